@@ -118,6 +118,46 @@ class DigitalTouristIDContract extends Contract {
         return JSON.stringify(digitalID);
     }
 
+    // Extend Tourist ID validity
+    async extendTouristID(ctx, did, newExpiryDate, reason) {
+        console.info('============= START : Extend Tourist ID ===========');
+        
+        const digitalIDAsBytes = await ctx.stub.getState(did);
+        if (!digitalIDAsBytes || digitalIDAsBytes.length === 0) {
+            throw new Error(`Tourist ID ${did} does not exist`);
+        }
+        
+        const digitalID = JSON.parse(digitalIDAsBytes.toString());
+        if (digitalID.status === 'REVOKED' || digitalID.status === 'EXPIRED') {
+            throw new Error(`Tourist ID ${did} is ${digitalID.status} and cannot be extended`);
+        }
+        if (isNaN(new Date(newExpiryDate).getTime()) || new Date(newExpiryDate) <= new Date(digitalID.expiryDate)) {
+            throw new Error('New expiry date must be later than the current expiry date');
+        }
+        
+        const oldExpiryDate = digitalID.expiryDate;
+        digitalID.expiryDate = newExpiryDate;
+        digitalID.lastUpdated = new Date().toISOString();
+        digitalID.updatedBy = ctx.clientIdentity.getID();
+        digitalID.updateReason = reason;
+        
+        await ctx.stub.putState(did, Buffer.from(JSON.stringify(digitalID)));
+        
+        // Emit extension event
+        const eventPayload = {
+            did: did,
+            oldExpiryDate: oldExpiryDate,
+            newExpiryDate: newExpiryDate,
+            reason: reason,
+            updatedBy: digitalID.updatedBy,
+            updatedAt: digitalID.lastUpdated
+        };
+        ctx.stub.setEvent('TouristIDExtended', Buffer.from(JSON.stringify(eventPayload)));
+        
+        console.info('============= END : Extend Tourist ID ===========');
+        return JSON.stringify(digitalID);
+    }
+
     // Query Tourist ID
     async queryTouristID(ctx, did) {
         const digitalIDAsBytes = await ctx.stub.getState(did);
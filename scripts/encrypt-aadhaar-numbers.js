@@ -0,0 +1,58 @@
+import Tourist from '../src/models/tourist.model.js';
+import { isValidAadhaar } from '../src/services/aadhaar.service.js';
+import { isEncrypted } from '../src/services/fieldEncryption.service.js';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// One-off migration for Aadhaar numbers stored before encryption at rest.
+// Valid numbers are encrypted with PII_ENCRYPTION_KEY; numbers that fail the
+// Verhoeff check are removed, since they cannot be a real Aadhaar number.
+// Pass --dry-run to only report what would change.
+async function encryptAadhaarNumbers() {
+    const dryRun = process.argv.includes('--dry-run');
+    const counts = { encrypted: 0, removed: 0, alreadyEncrypted: 0 };
+
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('✅ Connected to MongoDB');
+
+        const cursor = Tourist.collection.find(
+            { 'personalInfo.aadhaarNumber': { $exists: true, $nin: [null, ''] } },
+            { projection: { 'personalInfo.aadhaarNumber': 1 } }
+        );
+
+        for await (const tourist of cursor) {
+            const stored = tourist.personalInfo.aadhaarNumber;
+            if (isEncrypted(stored)) {
+                counts.alreadyEncrypted++;
+                continue;
+            }
+
+            if (isValidAadhaar(stored)) {
+                counts.encrypted++;
+                if (!dryRun) {
+                    // The schema setter encrypts the value
+                    await Tourist.updateOne({ _id: tourist._id }, { $set: { 'personalInfo.aadhaarNumber': stored } });
+                }
+            } else {
+                counts.removed++;
+                console.log(`   ${tourist._id} - invalid Aadhaar number removed`);
+                if (!dryRun) {
+                    await Tourist.updateOne({ _id: tourist._id }, { $unset: { 'personalInfo.aadhaarNumber': 1 } });
+                }
+            }
+        }
+
+        console.log(`\n📊 ${dryRun ? 'Would encrypt' : 'Encrypted'}: ${counts.encrypted}, ${dryRun ? 'would remove' : 'removed'}: ${counts.removed}, already encrypted: ${counts.alreadyEncrypted}`);
+        await mongoose.disconnect();
+
+    } catch (error) {
+        console.error('❌ Error:', error);
+        await mongoose.disconnect();
+        process.exitCode = 1;
+    }
+}
+
+encryptAadhaarNumbers();
@@ -0,0 +1,26 @@
+import User from '../src/models/user.model.js';
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// One-off migration for accounts without an email address (phone sign-in).
+// The old email_1 index made every email unique, including null; it is
+// dropped and replaced by the partial index declared on the schema.
+async function syncUserIndexes() {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('✅ Connected to MongoDB');
+
+        const dropped = await User.syncIndexes();
+        console.log(`\n📊 Indexes dropped: ${dropped.length ? dropped.join(', ') : 'none'}`);
+        await mongoose.disconnect();
+
+    } catch (error) {
+        console.error('❌ Error:', error);
+        await mongoose.disconnect();
+        process.exitCode = 1;
+    }
+}
+
+syncUserIndexes();
@@ -2,9 +2,12 @@ import { ComputerVisionClient } from '@azure/cognitiveservices-computervision';
 import { ApiKeyCredentials } from '@azure/ms-rest-js';
 import { AZURE_CONFIG } from '../constants.js';
 
-const computerVisionClient = new ComputerVisionClient(
-    new ApiKeyCredentials({ inHeader: { 'Ocp-Apim-Subscription-Key': AZURE_CONFIG.key } }), 
-    AZURE_CONFIG.endpoint
-);
+// null when Azure is not configured, e.g. when another OCR_PROVIDER is used
+const computerVisionClient = AZURE_CONFIG.key && AZURE_CONFIG.endpoint
+    ? new ComputerVisionClient(
+        new ApiKeyCredentials({ inHeader: { 'Ocp-Apim-Subscription-Key': AZURE_CONFIG.key } }),
+        AZURE_CONFIG.endpoint
+    )
+    : null;
 
-export { computerVisionClient };
\ No newline at end of file
+export { computerVisionClient };
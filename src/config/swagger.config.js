@@ -53,6 +53,30 @@ const options = {
                 name: '🌐 Admin Website - Geofencing',
                 description: 'Admin endpoints for geofence creation and management'
             },
+            {
+                name: '🌐 Admin Website - Access Control',
+                description: 'Admin endpoints for granting and revoking user roles'
+            },
+            {
+                name: '🌐 Admin Website - Incident Management',
+                description: 'Admin endpoints for incident dispatch, lifecycle and resolution'
+            },
+            {
+                name: '📱 Mobile App - Digital ID',
+                description: 'Digital tourist ID issuance, QR codes and printable cards'
+            },
+            {
+                name: '🌐 Admin Website - Digital ID',
+                description: 'Digital ID issuance and lookup for officials'
+            },
+            {
+                name: '📱 Mobile App - KYC',
+                description: 'Identity document upload and KYC status'
+            },
+            {
+                name: '🌐 Admin Website - KYC Review',
+                description: 'Manual review of KYC documents that could not be verified automatically'
+            },
             {
                 name: '🔧 System Health',
                 description: 'System health monitoring and service status endpoints'
@@ -175,6 +199,8 @@ const options = {
                                 coordinates: { type: 'array', items: { type: 'number' } }
                             }
                         },
+                        geoFenceId: { type: 'string', description: 'Reference to GeoFence' },
+                        geoFenceRevision: { type: 'integer', description: 'GeoFence revision the alert was evaluated against' },
                         timestamp: { type: 'string', format: 'date-time' },
                         acknowledgment: {
                             type: 'object',
@@ -228,7 +254,7 @@ const options = {
                         geometry: {
                             type: 'object',
                             properties: {
-                                type: { type: 'string', enum: ['Polygon', 'Circle', 'Point'] },
+                                type: { type: 'string', enum: ['Polygon', 'MultiPolygon', 'Point'] },
                                 coordinates: { type: 'array' },
                                 radius: { type: 'number' }
                             }
@@ -245,6 +271,7 @@ const options = {
                             }
                         },
                         isActive: { type: 'boolean' },
+                        revision: { type: 'integer', description: 'Current revision number, incremented on every change' },
                         createdBy: { type: 'string', description: 'Reference to User' }
                     }
                 },
@@ -435,6 +462,16 @@ const options = {
                             type: 'string', 
                             enum: ['gps', 'network', 'manual', 'iot_device', 'emergency'],
                             description: 'Location source type (optional)'
+                        },
+                        timestamp: {
+                            type: 'string',
+                            format: 'date-time',
+                            description: 'When the fix was taken (optional, defaults to now). Older fixes are stored in history only'
+                        },
+                        activity: {
+                            type: 'string',
+                            enum: ['stationary', 'walking', 'running', 'driving', 'cycling', 'unknown'],
+                            description: 'Detected activity (optional), checked against geofence prohibitedActivities'
                         }
                     },
                     example: {
@@ -461,7 +498,7 @@ const options = {
                         geometry: {
                             type: 'object',
                             properties: {
-                                type: { type: 'string', enum: ['Polygon', 'Circle', 'Point'] },
+                                type: { type: 'string', enum: ['Polygon', 'MultiPolygon', 'Point'] },
                                 coordinates: { type: 'array' },
                                 radius: { type: 'number' }
                             }
@@ -644,7 +681,7 @@ const options = {
                 },
                 put: {
                     summary: 'Update tourist profile',
-                    description: 'Update the current user\'s tourist profile information',
+                    description: 'Update the current user\'s tourist profile information. Once KYC is verified the name, date of birth and nationality are locked, because the digital ID signs them. Itinerary legs are managed through /api/users/profile/itinerary, which validates them.',
                     tags: ['📱 Mobile App - Profile Management'],
                     security: [{ FirebaseAuth: [] }],
                     requestBody: {
@@ -719,7 +756,8 @@ const options = {
                             }
                         },
                         400: { description: 'Bad request', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
-                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'Name, date of birth or nationality changed after KYC verification', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
                     }
                 }
             },
@@ -765,7 +803,7 @@ const options = {
             '/api/ocr/process': {
                 post: {
                     summary: 'Process document with OCR',
-                    description: 'Upload an Aadhaar card or passport image to extract name, DOB, address, and phone number',
+                    description: 'Upload an Aadhaar card or passport image to extract name, DOB, address, and phone number. Passport data is read from the ICAO 9303 machine-readable zone when present, with check digits verified; MRZ fields take precedence over the printed text. Visas (MRV MRZ or Indian e-visa printouts) and Indian driving licences are also recognised; anything else is rejected as unknown. Aadhaar numbers must pass the Verhoeff checksum and are masked (XXXX XXXX 1234) in both extractedInfo and extractedText. Up to four files (e.g. the front and back of a card) are read in upload order as one document; PDFs are rendered page by page, at most OCR_MAX_PAGES (default 4) pages in total. The response includes the text of each page and, for each extracted field, the page and line it was read from. Requires a Firebase token; each user may upload OCR_RATE_LIMIT documents (default 20) per 15 minutes.',
                     tags: ['📱 Mobile App - Document Processing'],
                     security: [{ FirebaseAuth: [] }],
                     requestBody: {
@@ -776,9 +814,13 @@ const options = {
                                     type: 'object',
                                     properties: {
                                         document: {
+                                            type: 'array',
+                                            items: { type: 'string', format: 'binary' },
+                                            description: 'Up to 4 document images (JPEG, PNG, BMP, TIFF) or PDFs, all pages of one document'
+                                        },
+                                        pdfPassword: {
                                             type: 'string',
-                                            format: 'binary',
-                                            description: 'Document image file (JPEG, PNG, WebP)'
+                                            description: 'Password for encrypted PDFs'
                                         }
                                     },
                                     required: ['document']
@@ -799,7 +841,7 @@ const options = {
                                             data: {
                                                 type: 'object',
                                                 properties: {
-                                                    documentType: { type: 'string', enum: ['aadhaar', 'passport'] },
+                                                    documentType: { type: 'string', enum: ['aadhaar', 'passport', 'visa', 'driving_license'] },
                                                     extractedInfo: {
                                                         type: 'object',
                                                         properties: {
@@ -807,10 +849,74 @@ const options = {
                                                             dob: { type: 'string' },
                                                             address: { type: 'string' },
                                                             phone: { type: 'string' },
-                                                            documentNumber: { type: 'string' }
+                                                            documentNumber: { type: 'string' },
+                                                            nationality: { type: 'string', description: 'ICAO country code from the MRZ', example: 'GBR' },
+                                                            sex: { type: 'string', enum: ['M', 'F', 'X'] },
+                                                            expiryDate: { type: 'string', description: 'DD/MM/YYYY' },
+                                                            passportNumber: { type: 'string', description: 'Passport the visa was issued against (e-visas)' },
+                                                            visaType: { type: 'string', example: 'E-TOURIST VISA' },
+                                                            mrz: {
+                                                                type: 'object',
+                                                                nullable: true,
+                                                                properties: {
+                                                                    format: { type: 'string', enum: ['TD3', 'MRV-A', 'MRV-B'] },
+                                                                    issuingState: { type: 'string' },
+                                                                    surname: { type: 'string' },
+                                                                    givenNames: { type: 'string' },
+                                                                    checks: {
+                                                                        type: 'object',
+                                                                        description: 'Check digit results per field',
+                                                                        properties: {
+                                                                            documentNumber: { type: 'boolean' },
+                                                                            dateOfBirth: { type: 'boolean' },
+                                                                            expiryDate: { type: 'boolean' },
+                                                                            personalNumber: { type: 'boolean' },
+                                                                            composite: { type: 'boolean' }
+                                                                        }
+                                                                    },
+                                                                    valid: { type: 'boolean' },
+                                                                    fields: { type: 'array', items: { type: 'string' }, description: 'Fields whose value was taken from the MRZ' }
+                                                                }
+                                                            }
+                                                        }
+                                                    },
+                                                    confidence: { type: 'number' },
+                                                    validation: {
+                                                        type: 'object',
+                                                        properties: {
+                                                            isValid: { type: 'boolean' },
+                                                            errors: { type: 'array', items: { type: 'string' } },
+                                                            warnings: { type: 'array', items: { type: 'string' } }
+                                                        }
+                                                    },
+                                                    extractedText: { type: 'string', description: 'Text of all pages, in order' },
+                                                    pages: {
+                                                        type: 'array',
+                                                        items: {
+                                                            type: 'object',
+                                                            properties: {
+                                                                page: { type: 'integer', description: 'Page number across all files, from 1' },
+                                                                file: { type: 'integer', description: 'Uploaded file the page came from, from 1' },
+                                                                filePage: { type: 'integer', description: 'Page within that file' },
+                                                                source: { type: 'string', enum: ['image', 'pdf'] },
+                                                                text: { type: 'string' }
+                                                            }
                                                         }
                                                     },
-                                                    confidence: { type: 'number' }
+                                                    provenance: {
+                                                        type: 'object',
+                                                        description: 'Where each extracted field was read, keyed by field name. Fields that could not be located are omitted.',
+                                                        additionalProperties: {
+                                                            type: 'object',
+                                                            properties: {
+                                                                file: { type: 'integer' },
+                                                                page: { type: 'integer' },
+                                                                line: { type: 'integer', description: 'Line within the page text, from 1' },
+                                                                source: { type: 'string', enum: ['mrz', 'text'] }
+                                                            }
+                                                        },
+                                                        example: { name: { file: 1, page: 1, line: 5, source: 'mrz' }, dob: { file: 1, page: 1, line: 6, source: 'mrz' } }
+                                                    }
                                                 }
                                             }
                                         }
@@ -818,8 +924,10 @@ const options = {
                                 }
                             }
                         },
-                        400: { description: 'Bad request', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
-                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                        400: { description: 'Bad request, including unreadable or password protected PDFs and too many pages', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        429: { description: 'Too many documents uploaded', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        422: { description: 'Document not recognised', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
                     }
                 }
             },
@@ -857,7 +965,7 @@ const options = {
             '/api/tracking/location/update/me': {
                 post: {
                     summary: 'Update my location',
-                    description: 'Update the current user\'s location coordinates',
+                    description: 'Update the current user\'s location coordinates. Runs the same pipeline as the Socket.IO location_update event: the fix is stored, geofences are evaluated, anomaly checks run and admins are notified. Fixes older than the current location are only stored in history (stale: true). The tourist is taken from the token; a touristId in the body is ignored.',
                     tags: ['📱 Mobile App - Location Tracking'],
                     security: [{ FirebaseAuth: [] }],
                     requestBody: {
@@ -882,13 +990,26 @@ const options = {
                                                     data: {
                                                         type: 'object',
                                                         properties: {
-                                                            location: {
+                                                            locationId: { type: 'string' },
+                                                            timestamp: { type: 'string', format: 'date-time' },
+                                                            stale: { type: 'boolean' },
+                                                            geofences: {
                                                                 type: 'object',
                                                                 properties: {
-                                                                    latitude: { type: 'number' },
-                                                                    longitude: { type: 'number' },
-                                                                    timestamp: { type: 'string', format: 'date-time' },
-                                                                    accuracy: { type: 'number' }
+                                                                    entered: { type: 'array', items: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' }, type: { type: 'string' } } } },
+                                                                    exited: { type: 'array', items: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' }, type: { type: 'string' } } } }
+                                                                }
+                                                            },
+                                                            alerts: {
+                                                                type: 'array',
+                                                                items: {
+                                                                    type: 'object',
+                                                                    properties: {
+                                                                        alertId: { type: 'string' },
+                                                                        type: { type: 'string' },
+                                                                        severity: { type: 'string' },
+                                                                        message: { type: 'string' }
+                                                                    }
                                                                 }
                                                             }
                                                         }
@@ -908,7 +1029,7 @@ const options = {
             '/api/tracking/location/update': {
                 post: {
                     summary: 'Update tourist location',
-                    description: 'Update location for a specific tourist (admin function)',
+                    description: 'Update location for a specific tourist. Callers may only update their own profile unless they hold locations:write_any (dispatchers).',
                     tags: ['🌐 Admin Website - Location Management'],
                     security: [{ FirebaseAuth: [] }],
                     requestBody: {
@@ -941,6 +1062,7 @@ const options = {
                         },
                         400: { description: 'Bad request', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
                         401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Not the caller\'s profile and no locations:write_any permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
                         404: { description: 'Tourist not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
                     }
                 }
@@ -992,7 +1114,7 @@ const options = {
             '/api/tracking/location/current/{touristId}': {
                 get: {
                     summary: 'Get tourist current location',
-                    description: 'Retrieve current location for a specific tourist',
+                    description: 'Retrieve current location for a specific tourist. Tourists can read their own location; anyone else needs locations:read_any.',
                     tags: ['🌐 Admin Website - Location Management'],
                     security: [{ FirebaseAuth: [] }],
                     parameters: [
@@ -1038,6 +1160,7 @@ const options = {
                             }
                         },
                         401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Another tourist\'s location without locations:read_any', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
                         404: { description: 'Tourist not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
                     }
                 }
@@ -1533,7 +1656,7 @@ const options = {
             '/api/tracking/alerts/emergency': {
                 post: {
                     summary: 'Create emergency alert for tourist',
-                    description: 'Create an emergency alert for a specific tourist (admin function)',
+                    description: 'Create an emergency alert for a specific tourist. Callers may only raise alerts for their own profile unless they hold locations:write_any. The reporting account is recorded on the alert; only alerts with a known reporter or raised by the server notify emergency contacts and authorities.',
                     tags: ['🌐 Admin Website - Emergency Management'],
                     security: [{ FirebaseAuth: [] }],
                     requestBody: {
@@ -1582,6 +1705,7 @@ const options = {
                         },
                         400: { description: 'Bad request', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
                         401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Alert for another tourist without locations:write_any', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
                         404: { description: 'Tourist not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
                     }
                 }
@@ -1684,6 +1808,33 @@ const options = {
                                             required: ['latitude', 'longitude']
                                         },
                                         radius: { type: 'number' },
+                                        geometry: {
+                                            type: 'object',
+                                            description: 'GeoJSON Polygon (holes allowed), MultiPolygon, or Point with radius. Used instead of center/coordinates.',
+                                            properties: {
+                                                type: { type: 'string', enum: ['Polygon', 'MultiPolygon', 'Point'] },
+                                                coordinates: { type: 'array' }
+                                            }
+                                        },
+                                        hysteresisMeters: { type: 'number', description: 'Distance outside the boundary before a tourist counts as having left (default GEOFENCE_HYSTERESIS_METERS)' },
+                                        restrictions: {
+                                            type: 'object',
+                                            properties: {
+                                                timeRestricted: { type: 'boolean' },
+                                                allowedHours: {
+                                                    type: 'object',
+                                                    properties: {
+                                                        from: { type: 'string', example: '06:00' },
+                                                        to: { type: 'string', example: '18:00' }
+                                                    }
+                                                },
+                                                timezone: { type: 'string', example: 'Asia/Kolkata', description: 'IANA timezone of allowedHours (default GEOFENCE_DEFAULT_TIMEZONE)' },
+                                                weatherDependent: { type: 'boolean', description: 'Weather condition is set via PUT /api/tracking/geofences/{fenceId}/weather' },
+                                                requiredPermissions: { type: 'array', items: { type: 'string' }, example: ['inner_line_permit'] },
+                                                prohibitedActivities: { type: 'array', items: { type: 'string', enum: ['stationary', 'walking', 'running', 'driving', 'cycling', 'unknown'] } },
+                                                speedLimitKmh: { type: 'number', minimum: 1, maximum: 300, example: 30, description: 'Speed limit inside the fence; raises a speed_limit alert when exceeded (lower of this and SPEED_ALERT_THRESHOLD_KMH applies)' }
+                                            }
+                                        },
                                         description: { type: 'string' }
                                     },
                                     required: ['name', 'type', 'center', 'radius']
@@ -1720,6 +1871,179 @@ const options = {
                     }
                 }
             },
+            '/api/tracking/geofences/check': {
+                get: {
+                    summary: 'Check which geofences contain a coordinate',
+                    description: 'Evaluates every active geofence (polygons with holes, multipolygons and circles) against the given coordinate and returns the ones that contain it, highest risk first',
+                    tags: ['🌐 Admin Website - Geofencing'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'latitude', in: 'query', required: true, schema: { type: 'number' } },
+                        { name: 'longitude', in: 'query', required: true, schema: { type: 'number' } },
+                        { name: 'type', in: 'query', schema: { type: 'string', enum: ['safe', 'warning', 'danger', 'restricted', 'emergency_services', 'accommodation', 'tourist_spot'] }, description: 'Only check fences of this type' }
+                    ],
+                    responses: {
+                        200: {
+                            description: 'Containing geofences',
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        allOf: [
+                                            { $ref: '#/components/schemas/SuccessResponse' },
+                                            {
+                                                type: 'object',
+                                                properties: {
+                                                    data: {
+                                                        type: 'object',
+                                                        properties: {
+                                                            location: {
+                                                                type: 'object',
+                                                                properties: {
+                                                                    latitude: { type: 'number' },
+                                                                    longitude: { type: 'number' }
+                                                                }
+                                                            },
+                                                            geofences: {
+                                                                type: 'array',
+                                                                items: {
+                                                                    type: 'object',
+                                                                    properties: {
+                                                                        id: { type: 'string' },
+                                                                        name: { type: 'string' },
+                                                                        type: { type: 'string' },
+                                                                        geometryType: { type: 'string', enum: ['Polygon', 'MultiPolygon', 'Point'] },
+                                                                        radius: { type: 'number' },
+                                                                        riskLevel: { type: 'integer' },
+                                                                        alertMessage: { type: 'string' }
+                                                                    }
+                                                                }
+                                                            },
+                                                            count: { type: 'integer' }
+                                                        }
+                                                    }
+                                                }
+                                            }
+                                        ]
+                                    }
+                                }
+                            }
+                        },
+                        400: { description: 'Invalid coordinates', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing geofences:read permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/tracking/geofences/import': {
+                post: {
+                    summary: 'Bulk import geofences',
+                    description: 'Creates geofences from a GeoJSON FeatureCollection, KML Placemarks or GPX routes/tracks. Every feature is checked with the same rules as POST /api/tracking/geofences and reported individually. Feature properties (GeoJSON properties, KML ExtendedData, GPX extensions) may set type, riskLevel, radius, hysteresisMeters, alertMessage and restrictions. Point features need a radius. With dryRun=true nothing is saved.',
+                    tags: ['🌐 Admin Website - Geofencing'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'format', in: 'query', schema: { type: 'string', enum: ['geojson', 'kml', 'gpx'] }, description: 'Detected from the file extension or content when omitted' },
+                        { name: 'dryRun', in: 'query', schema: { type: 'boolean', default: false } },
+                        { name: 'defaultType', in: 'query', schema: { type: 'string', enum: ['safe', 'warning', 'danger', 'restricted', 'emergency_services', 'accommodation', 'tourist_spot'] }, description: 'Type for features that do not set one (default warning)' },
+                        { name: 'defaultRiskLevel', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 10 } }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'multipart/form-data': {
+                                schema: {
+                                    type: 'object',
+                                    properties: {
+                                        file: { type: 'string', format: 'binary', description: '.geojson, .json, .kml or .gpx file (max 10MB)' }
+                                    },
+                                    required: ['file']
+                                }
+                            },
+                            'application/json': {
+                                schema: { type: 'object', description: 'GeoJSON FeatureCollection, Feature or geometry' }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Dry run report', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        201: {
+                            description: 'Import report (features may still fail individually)',
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        allOf: [
+                                            { $ref: '#/components/schemas/SuccessResponse' },
+                                            {
+                                                type: 'object',
+                                                properties: {
+                                                    data: {
+                                                        type: 'object',
+                                                        properties: {
+                                                            format: { type: 'string' },
+                                                            dryRun: { type: 'boolean' },
+                                                            summary: {
+                                                                type: 'object',
+                                                                properties: {
+                                                                    total: { type: 'integer' },
+                                                                    valid: { type: 'integer' },
+                                                                    created: { type: 'integer' },
+                                                                    failed: { type: 'integer' }
+                                                                }
+                                                            },
+                                                            results: {
+                                                                type: 'array',
+                                                                items: {
+                                                                    type: 'object',
+                                                                    properties: {
+                                                                        index: { type: 'integer' },
+                                                                        name: { type: 'string' },
+                                                                        status: { type: 'string', enum: ['valid', 'created', 'error'] },
+                                                                        id: { type: 'string' },
+                                                                        errors: { type: 'array', items: { type: 'string' } }
+                                                                    }
+                                                                }
+                                                            }
+                                                        }
+                                                    }
+                                                }
+                                            }
+                                        ]
+                                    }
+                                }
+                            }
+                        },
+                        400: { description: 'Unparseable file, unknown format, or no feature could be imported', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing geofences:write permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/tracking/geofences/export': {
+                get: {
+                    summary: 'Export geofences',
+                    description: 'Downloads geofences as a GeoJSON FeatureCollection or KML document. Circles are exported as a Point with a radius property. Exported files can be re-imported.',
+                    tags: ['🌐 Admin Website - Geofencing'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'format', in: 'query', schema: { type: 'string', enum: ['geojson', 'kml'], default: 'geojson' } },
+                        { name: 'type', in: 'query', schema: { type: 'string' } },
+                        { name: 'isActive', in: 'query', schema: { type: 'string', enum: ['true', 'false', 'all'], default: 'true' } },
+                        { name: 'riskLevel', in: 'query', schema: { type: 'integer' }, description: 'Minimum risk level' },
+                        { name: 'ids', in: 'query', schema: { type: 'string' }, description: 'Comma-separated geofence IDs' }
+                    ],
+                    responses: {
+                        200: {
+                            description: 'Geofence file',
+                            content: {
+                                'application/geo+json': { schema: { type: 'object' } },
+                                'application/vnd.google-earth.kml+xml': { schema: { type: 'string' } }
+                            }
+                        },
+                        400: { description: 'Bad request', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing geofences:read permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
             '/api/tracking/geofences/{fenceId}': {
                 put: {
                     summary: 'Update geofence',
@@ -1753,7 +2077,8 @@ const options = {
                                         },
                                         radius: { type: 'number' },
                                         description: { type: 'string' },
-                                        active: { type: 'boolean' }
+                                        active: { type: 'boolean' },
+                                        reason: { type: 'string', description: 'Change note stored on the new revision' }
                                     }
                                 }
                             }
@@ -1800,6 +2125,1297 @@ const options = {
                         404: { description: 'Geofence not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
                     }
                 }
+            },
+            '/api/roles': {
+                get: {
+                    summary: 'List role definitions',
+                    description: 'List every role and the permissions it grants',
+                    tags: ['🌐 Admin Website - Access Control'],
+                    security: [{ FirebaseAuth: [] }],
+                    responses: {
+                        200: { description: 'Role definitions retrieved successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing roles:manage permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/roles/audit': {
+                get: {
+                    summary: 'Get role change audit log',
+                    description: 'Paginated history of role grants and revocations, optionally filtered to one user',
+                    tags: ['🌐 Admin Website - Access Control'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'firebaseUid', in: 'query', schema: { type: 'string' }, description: 'Only show changes for this user' },
+                        { name: 'page', in: 'query', schema: { type: 'integer' } },
+                        { name: 'limit', in: 'query', schema: { type: 'integer' } }
+                    ],
+                    responses: {
+                        200: { description: 'Audit log retrieved successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        403: { description: 'Missing roles:manage permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'User not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/roles/users/{firebaseUid}': {
+                get: {
+                    summary: 'Get user roles',
+                    description: 'Get the roles and effective permissions of a user',
+                    tags: ['🌐 Admin Website - Access Control'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'firebaseUid', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    responses: {
+                        200: { description: 'User roles retrieved successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        404: { description: 'User not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/roles/users/{firebaseUid}/grant': {
+                post: {
+                    summary: 'Grant role',
+                    description: 'Grant a role to a user. The change is recorded in the audit log.',
+                    tags: ['🌐 Admin Website - Access Control'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'firebaseUid', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['role', 'reason'],
+                                    properties: {
+                                        role: { type: 'string', enum: ['tourist', 'family', 'police_officer', 'tourism_admin', 'dispatcher', 'hotel_staff', 'super_admin'] },
+                                        reason: { type: 'string' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Role granted successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Invalid role or missing reason', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'User not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'User already has the role', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/roles/users/{firebaseUid}/revoke': {
+                post: {
+                    summary: 'Revoke role',
+                    description: 'Revoke a role from a user. The change is recorded in the audit log.',
+                    tags: ['🌐 Admin Website - Access Control'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'firebaseUid', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['role', 'reason'],
+                                    properties: {
+                                        role: { type: 'string', enum: ['tourist', 'family', 'police_officer', 'tourism_admin', 'dispatcher', 'hotel_staff', 'super_admin'] },
+                                        reason: { type: 'string' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Role revoked successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        404: { description: 'User not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'User does not have the role', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/incidents': {
+                get: {
+                    summary: 'List incidents',
+                    description: 'List incidents filtered by status, severity, type, tourist or assigned officer',
+                    tags: ['🌐 Admin Website - Incident Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'status', in: 'query', schema: { type: 'string' }, description: 'Comma-separated statuses' },
+                        { name: 'severity', in: 'query', schema: { type: 'string' }, description: 'Comma-separated severities' },
+                        { name: 'type', in: 'query', schema: { type: 'string' } },
+                        { name: 'touristId', in: 'query', schema: { type: 'string' } },
+                        { name: 'assignedOfficer', in: 'query', schema: { type: 'string' }, description: 'User ID or "me"' },
+                        { name: 'page', in: 'query', schema: { type: 'string' } },
+                        { name: 'limit', in: 'query', schema: { type: 'string' } }
+                    ],
+                    responses: {
+                        200: { description: 'Incidents retrieved successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                },
+                post: {
+                    summary: 'Create incident',
+                    description: 'Manually open an incident for a tourist',
+                    tags: ['🌐 Admin Website - Incident Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['touristId', 'severity', 'latitude', 'longitude', 'description'],
+                                    properties: {
+                                        touristId: { type: 'string' },
+                                        type: { type: 'string', enum: ['panic_button', 'anomaly_detected', 'missing_person', 'medical_emergency', 'geofence_violation', 'device_malfunction', 'weather_alert', 'manual_report'] },
+                                        severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+                                        latitude: { type: 'number' },
+                                        longitude: { type: 'number' },
+                                        address: { type: 'string' },
+                                        landmark: { type: 'string' },
+                                        description: { type: 'string' },
+                                        reportedBy: { type: 'string', enum: ['tourist', 'family', 'public', 'authority', 'system'] }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        201: { description: 'Incident created successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Validation error', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/incidents/from-alert/{alertId}': {
+                post: {
+                    summary: 'Promote alert to incident',
+                    description: 'Open an incident from an existing alert and link it via metadata.relatedIncidentId',
+                    tags: ['🌐 Admin Website - Incident Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'alertId', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    properties: {
+                                        type: { type: 'string', description: 'Override the incident type' },
+                                        severity: { type: 'string', enum: ['low', 'medium', 'high', 'critical'] },
+                                        description: { type: 'string' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        201: { description: 'Alert promoted to incident successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Alert not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'Alert already linked to an incident', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/incidents/{incidentId}': {
+                get: {
+                    summary: 'Get incident',
+                    description: 'Get full incident details including timeline and allowed status transitions',
+                    tags: ['🌐 Admin Website - Incident Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'incidentId', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    responses: {
+                        200: { description: 'Incident retrieved successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Incident not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/incidents/{incidentId}/assign': {
+                post: {
+                    summary: 'Assign officer',
+                    description: 'Assign a police officer or dispatcher to the incident',
+                    tags: ['🌐 Admin Website - Incident Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'incidentId', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['officerId'],
+                                    properties: {
+                                        officerId: { type: 'string', description: 'User ID of the officer' },
+                                        notes: { type: 'string' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Officer assigned successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'User is not an officer', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Incident or officer not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/incidents/{incidentId}/dispatch': {
+                post: {
+                    summary: 'Dispatch unit',
+                    description: 'Dispatch a response unit. Moves the incident to responding.',
+                    tags: ['🌐 Admin Website - Incident Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'incidentId', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['unitType', 'unitId'],
+                                    properties: {
+                                        unitType: { type: 'string', enum: ['police', 'medical', 'fire', 'rescue', 'forest'] },
+                                        unitId: { type: 'string' },
+                                        officerName: { type: 'string' },
+                                        contactNumber: { type: 'string' },
+                                        estimatedResponseTime: { type: 'number', description: 'Minutes' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Unit dispatched successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Validation error', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'Unit already dispatched or incident closed', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/incidents/{incidentId}/units/{unitId}': {
+                patch: {
+                    summary: 'Update unit status',
+                    description: 'Update a responding unit (en_route, on_scene, completed). The first arrival on scene sets the actual response time.',
+                    tags: ['🌐 Admin Website - Incident Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'incidentId', in: 'path', required: true, schema: { type: 'string' } },
+                        { name: 'unitId', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['status'],
+                                    properties: {
+                                        status: { type: 'string', enum: ['dispatched', 'en_route', 'on_scene', 'completed'] }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Unit status updated successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Unit not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/incidents/{incidentId}/status': {
+                post: {
+                    summary: 'Change incident status',
+                    description: 'Move the incident through its lifecycle. Resolution states go through the resolve endpoint. Moving a resolved incident back to investigating reopens it: its resolution is moved to previousResolutions and a reopened event is added to the timeline.',
+                    tags: ['🌐 Admin Website - Incident Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'incidentId', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['status'],
+                                    properties: {
+                                        status: { type: 'string', enum: ['open', 'investigating', 'responding', 'closed'] },
+                                        notes: { type: 'string' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Incident status updated successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Invalid status', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'Transition not allowed', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/incidents/{incidentId}/timeline': {
+                post: {
+                    summary: 'Add timeline event',
+                    description: 'Append an event to the incident timeline. Actions the workflow records itself (created, reopened, officer_assigned, dispatched, arrived_on_scene, status_changed_*, unit_*) are rejected with 400.',
+                    tags: ['🌐 Admin Website - Incident Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'incidentId', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['action'],
+                                    properties: {
+                                        action: { type: 'string', description: 'snake_case action name' },
+                                        notes: { type: 'string' },
+                                        latitude: { type: 'number' },
+                                        longitude: { type: 'number' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        201: { description: 'Timeline event added successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Invalid action', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'Incident is closed', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/incidents/{incidentId}/resolve': {
+                post: {
+                    summary: 'Resolve incident',
+                    description: 'Resolve the incident, or mark it as a false alarm when resolutionType is false_alarm',
+                    tags: ['🌐 Admin Website - Incident Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'incidentId', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['resolutionType'],
+                                    properties: {
+                                        resolutionType: { type: 'string', enum: ['tourist_found_safe', 'medical_assistance_provided', 'false_alarm', 'referred_to_authorities', 'ongoing_investigation'] },
+                                        resolutionNotes: { type: 'string' },
+                                        followUpRequired: { type: 'boolean' },
+                                        followUpDate: { type: 'string' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Incident resolved successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Validation error', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'Transition not allowed', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/users/profile/devices': {
+                put: {
+                    summary: 'Register device',
+                    description: 'Register or update a device on the tourist profile. Devices with a pushToken receive push notifications for alerts.',
+                    tags: ['📱 Mobile App - Device Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['deviceId'],
+                                    properties: {
+                                        deviceId: { type: 'string' },
+                                        deviceType: { type: 'string', enum: ['mobile', 'smart_band', 'iot_tag'] },
+                                        pushToken: { type: 'string', description: 'FCM registration token' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Device registered successfully', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Bad request', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist profile not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/users/profile/permits': {
+                put: {
+                    summary: 'Record permit',
+                    description: 'Submit or update a permit (e.g. inner_line_permit) on the tourist profile. Submitted and changed permits are pending until an official verifies them via PUT /api/users/{touristId}/permits/{permitId}. Geofences listing the permit type in restrictions.requiredPermissions raise a permit_violation alert for tourists without a verified, valid one.',
+                    tags: ['📱 Mobile App - Device Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['type'],
+                                    properties: {
+                                        type: { type: 'string', description: 'Permit type, matched case-insensitively against geofence requiredPermissions' },
+                                        permitNumber: { type: 'string' },
+                                        issuedBy: { type: 'string' },
+                                        validFrom: { type: 'string', description: 'ISO date' },
+                                        validUntil: { type: 'string', description: 'ISO date' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Permit submitted for verification', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Bad request', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist profile not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/tracking/geofences/{fenceId}/weather': {
+                put: {
+                    summary: 'Set geofence weather condition',
+                    description: 'Sets the admin-managed weather condition of a weather-dependent geofence. "closed" raises a critical weather_warning alert for tourists inside, "advisory" a warning; "clear" lifts both.',
+                    tags: ['🌐 Admin Website - Geofencing'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'fenceId', in: 'path', required: true, schema: { type: 'string' } }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['condition'],
+                                    properties: {
+                                        condition: { type: 'string', enum: ['clear', 'advisory', 'closed'] },
+                                        reason: { type: 'string' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Weather condition updated', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Invalid condition', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing geofences:write permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Geofence not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'Geofence is not weather dependent', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/tracking/geofences/{fenceId}/revisions': {
+                get: {
+                    summary: 'List geofence revisions',
+                    description: 'Lists the immutable change history of a geofence, newest first. Each revision records the author, action (baseline, create, update, weather, delete, rollback), optional reason and a field-level diff against the previous revision. Snapshots are omitted; fetch a single revision for the full state.',
+                    tags: ['🌐 Admin Website - Geofencing'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'fenceId', in: 'path', required: true, schema: { type: 'string' }, description: 'Geofence ID' },
+                        { name: 'page', in: 'query', schema: { type: 'string' }, description: 'Page number (default 1)' },
+                        { name: 'limit', in: 'query', schema: { type: 'string' }, description: 'Revisions per page (default 10, max 100)' }
+                    ],
+                    responses: {
+                        200: { description: 'Revision history', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing geofences:read permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Geofence not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/tracking/geofences/{fenceId}/revisions/{revision}': {
+                get: {
+                    summary: 'Get a geofence revision',
+                    description: 'Returns a single revision including the full geofence snapshot. Alerts store the revision they were evaluated against in geoFenceRevision.',
+                    tags: ['🌐 Admin Website - Geofencing'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'fenceId', in: 'path', required: true, schema: { type: 'string' }, description: 'Geofence ID' },
+                        { name: 'revision', in: 'path', required: true, schema: { type: 'string' }, description: 'Revision number' }
+                    ],
+                    responses: {
+                        200: { description: 'Revision with snapshot', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Invalid revision number', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing geofences:read permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Geofence or revision not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/tracking/geofences/{fenceId}/as-of': {
+                get: {
+                    summary: 'View a geofence as of a date',
+                    description: 'Returns the geofence state that was in effect at the given date, together with the revision number and when it took effect.',
+                    tags: ['🌐 Admin Website - Geofencing'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'fenceId', in: 'path', required: true, schema: { type: 'string' }, description: 'Geofence ID' },
+                        { name: 'date', in: 'query', required: true, schema: { type: 'string' }, description: 'ISO 8601 date-time' }
+                    ],
+                    responses: {
+                        200: { description: 'Geofence state at the date', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Missing or invalid date', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing geofences:read permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Geofence not found or no recorded state at that date', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/tracking/geofences/{fenceId}/rollback': {
+                post: {
+                    summary: 'Roll back a geofence',
+                    description: 'Restores the geofence to an earlier revision. The rollback is stored as a new revision; history is never rewritten. The current weather status is kept. Rolling back to a revision where the fence was active reactivates it.',
+                    tags: ['🌐 Admin Website - Geofencing'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'fenceId', in: 'path', required: true, schema: { type: 'string' }, description: 'Geofence ID' }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['revision'],
+                                    properties: {
+                                        revision: { type: 'integer', description: 'Earlier revision number to restore' },
+                                        reason: { type: 'string', description: 'Why the rollback was made' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Geofence rolled back', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Invalid revision', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing geofences:write permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Geofence or revision not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'Fence already matches the revision, or its name is now used by another active geofence', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/tracking/geofences/{fenceId}/occupancy': {
+                get: {
+                    summary: 'Get geofence occupancy',
+                    description: 'Returns the live number of tourists inside the geofence, its capacity and occupancy level (normal, warning, over), crowd density per hectare and an hourly time series (peak, sampled average, entries, exits). Tourists count as inside until they leave or stop reporting for OCCUPANCY_STALE_MINUTES. Level changes are pushed to admins as capacity_warning, over_capacity and capacity_normal socket events.',
+                    tags: ['🌐 Admin Website - Geofencing'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'fenceId', in: 'path', required: true, schema: { type: 'string' }, description: 'Geofence ID' },
+                        { name: 'hours', in: 'query', schema: { type: 'string' }, description: 'Hours of history to return, 1-168 (default 24)' }
+                    ],
+                    responses: {
+                        200: { description: 'Occupancy and hourly series', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Invalid hours', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing geofences:read permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Geofence not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/tracking/safety-score/me': {
+                get: {
+                    summary: 'Get my safety score',
+                    description: 'Returns the current safety score of the signed-in tourist with the factor breakdown of the latest computation and recent history. The score starts at 100 and each factor deducts up to its weight (SAFETY_SCORE_WEIGHTS): geofence risk exposure, time in danger/restricted areas, night-time movement, battery, connectivity, unacknowledged alerts, risk profile and itinerary adherence. Bands: safe (70+), caution (40-69), at_risk (below 40).',
+                    tags: ['📱 Mobile App - Statistics'],
+                    security: [{ FirebaseAuth: [] }],
+                    responses: {
+                        200: { description: 'Safety score with breakdown', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/tracking/safety-score/{touristId}': {
+                get: {
+                    summary: 'Get a tourist safety score',
+                    description: 'Returns a tourist\'s current safety score, the factor breakdown of the latest computation and the score history. Scores are recomputed on a schedule (SAFETY_SCORE_CRON) and after geofence transitions, alerts, acknowledgements and profile changes. The score starts at 100 and each factor deducts up to its weight (SAFETY_SCORE_WEIGHTS): geofence risk exposure, time in danger/restricted areas, night-time movement, battery, connectivity, unacknowledged alerts, risk profile and itinerary adherence. Bands: safe (70+), caution (40-69), at_risk (below 40).',
+                    tags: ['🌐 Admin Website - Analytics'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'touristId', in: 'path', required: true, schema: { type: 'string' }, description: 'Tourist ID' },
+                        { name: 'limit', in: 'query', schema: { type: 'string' }, description: 'History entries to return, 1-100 (default 20)' }
+                    ],
+                    responses: {
+                        200: { description: 'Safety score with breakdown and history', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Invalid limit', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing tourists:read permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/tracking/safety-score/{touristId}/recompute': {
+                post: {
+                    summary: 'Recompute a tourist safety score',
+                    description: 'Recomputes the score immediately and records it in the history.',
+                    tags: ['🌐 Admin Website - Analytics'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'touristId', in: 'path', required: true, schema: { type: 'string' }, description: 'Tourist ID' }
+                    ],
+                    responses: {
+                        200: { description: 'Recomputed score with breakdown', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing tourists:read permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/tracking/itinerary/me/timeline': {
+                get: {
+                    summary: 'Get my itinerary timeline',
+                    description: 'Planned itinerary legs next to what actually happened. Arrival and departure times are filled in automatically from location fixes (within ITINERARY_ARRIVAL_RADIUS_METERS of the destination). Each leg has a status (upcoming, due, in_progress, completed, overdue, skipped, unscheduled), arrival/departure delays and its itinerary_deviation alerts (itinerary_overdue, off_route, high_risk_no_checkin). `route` is the distance from the current location to the stop or route segment the tourist should be on.',
+                    tags: ['📱 Mobile App - Statistics'],
+                    security: [{ FirebaseAuth: [] }],
+                    responses: {
+                        200: { description: 'Itinerary vs actual timeline', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist profile not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/tracking/itinerary/{touristId}/timeline': {
+                get: {
+                    summary: 'Get a tourist itinerary timeline',
+                    description: 'Planned itinerary legs next to what actually happened. Arrival and departure times are filled in automatically from location fixes (within ITINERARY_ARRIVAL_RADIUS_METERS of the destination). Each leg has a status (upcoming, due, in_progress, completed, overdue, skipped, unscheduled), arrival/departure delays and its itinerary_deviation alerts (itinerary_overdue, off_route, high_risk_no_checkin). `route` is the distance from the current location to the stop or route segment the tourist should be on.',
+                    tags: ['🌐 Admin Website - Analytics'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'touristId', in: 'path', required: true, schema: { type: 'string' }, description: 'Tourist ID' }
+                    ],
+                    responses: {
+                        200: { description: 'Itinerary vs actual timeline', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing tourists:read permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/users/profile/itinerary': {
+                get: {
+                    summary: 'List my itinerary',
+                    description: 'Itinerary legs of the signed-in tourist ordered by planned arrival, including actual arrival/departure recorded by the itinerary monitor and ledger anchoring status.',
+                    tags: ['📱 Mobile App - Profile Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    responses: {
+                        200: { description: 'Itinerary legs', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist profile not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                },
+                post: {
+                    summary: 'Add itinerary leg',
+                    description: 'Adds a leg. Coordinates are taken from latitude/longitude or geocoded (GEOCODER_PROVIDER) from address or destination. When FABRIC_NETWORK_ENABLED=true the leg is anchored to the travel-itinerary-log chaincode and the entry ID, content hash and status are returned in leg.ledger (ledger failures are recorded there and do not fail the request).',
+                    tags: ['📱 Mobile App - Profile Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['destination'],
+                                    properties: {
+                                        destination: { type: 'string', description: 'Name of the stop, e.g. Tsomgo Lake' },
+                                        latitude: { type: 'number', description: 'Optional; geocoded from address or destination when omitted' },
+                                        longitude: { type: 'number', description: 'Optional; geocoded from address or destination when omitted' },
+                                        address: { type: 'string', description: 'Address to geocode (defaults to destination)' },
+                                        plannedArrival: { type: 'string', description: 'ISO date-time' },
+                                        plannedDeparture: { type: 'string', description: 'ISO date-time' },
+                                        riskLevel: { type: 'string', enum: ['low', 'medium', 'high', 'extreme'] },
+                                        accommodationType: { type: 'string' },
+                                        accommodationDetails: { type: 'string' },
+                                        activities: { type: 'array', items: { type: 'string' }, example: ['boating', 'photography'] }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        201: { description: 'Leg added', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Validation error or location not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist profile not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        502: { description: 'Geocoder unavailable', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/users/profile/itinerary/{legId}': {
+                put: {
+                    summary: 'Update itinerary leg',
+                    description: 'Updates the given fields of a leg; sending latitude/longitude or address moves it. Null clears optional fields. On the ledger the edit is written as a new entry and the previous one is marked CANCELLED. When FABRIC_NETWORK_ENABLED=true the leg is anchored to the travel-itinerary-log chaincode and the entry ID, content hash and status are returned in leg.ledger (ledger failures are recorded there and do not fail the request).',
+                    tags: ['📱 Mobile App - Profile Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'legId', in: 'path', required: true, schema: { type: 'string' }, description: 'Itinerary leg ID' }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    properties: {
+                                        destination: { type: 'string', description: 'Name of the stop, e.g. Tsomgo Lake' },
+                                        latitude: { type: 'number', description: 'Optional; geocoded from address or destination when omitted' },
+                                        longitude: { type: 'number', description: 'Optional; geocoded from address or destination when omitted' },
+                                        address: { type: 'string', description: 'Address to geocode (defaults to destination)' },
+                                        plannedArrival: { type: 'string', description: 'ISO date-time' },
+                                        plannedDeparture: { type: 'string', description: 'ISO date-time' },
+                                        riskLevel: { type: 'string', enum: ['low', 'medium', 'high', 'extreme'] },
+                                        accommodationType: { type: 'string' },
+                                        accommodationDetails: { type: 'string' },
+                                        activities: { type: 'array', items: { type: 'string' }, example: ['boating', 'photography'] }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Leg updated', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Validation error', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist profile or leg not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        502: { description: 'Geocoder unavailable', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                },
+                delete: {
+                    summary: 'Remove itinerary leg',
+                    description: 'Removes a leg and marks its ledger entry CANCELLED when Fabric is enabled.',
+                    tags: ['📱 Mobile App - Profile Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'legId', in: 'path', required: true, schema: { type: 'string' }, description: 'Itinerary leg ID' }
+                    ],
+                    responses: {
+                        200: { description: 'Leg removed', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist profile or leg not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/users/profile/itinerary/{legId}/verify': {
+                get: {
+                    summary: 'Verify itinerary leg against the ledger',
+                    description: 'Compares the leg stored in MongoDB with its travel-itinerary-log entry: tourist DID, leg ID, content hash, destination, planned arrival and coordinates, and whether the entry was cancelled. verified is true only when nothing differs; mismatches lists each differing field with both values.',
+                    tags: ['📱 Mobile App - Profile Management'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'legId', in: 'path', required: true, schema: { type: 'string' }, description: 'Itinerary leg ID' }
+                    ],
+                    responses: {
+                        200: { description: 'Verification result', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist profile or leg not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        503: { description: 'Fabric network not available', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/users/{touristId}/itinerary/{legId}/verify': {
+                get: {
+                    summary: 'Verify a tourist itinerary leg against the ledger',
+                    description: 'Same check as GET /api/users/profile/itinerary/{legId}/verify for any tourist.',
+                    tags: ['🌐 Admin Website - Analytics'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'touristId', in: 'path', required: true, schema: { type: 'string' }, description: 'Tourist ID' },
+                        { name: 'legId', in: 'path', required: true, schema: { type: 'string' }, description: 'Itinerary leg ID' }
+                    ],
+                    responses: {
+                        200: { description: 'Verification result', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing tourists:read permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist or leg not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        503: { description: 'Fabric network not available', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/users/{touristId}/permits/{permitId}': {
+                put: {
+                    summary: 'Verify or reject a tourist permit',
+                    description: 'Records an official decision on a permit submitted by a tourist. Only verified permits satisfy geofence requiredPermissions. The decision is written to the audit log. Requires permits:manage.',
+                    tags: ['🌐 Admin Website - Geofencing'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'touristId', in: 'path', required: true, schema: { type: 'string' }, description: 'Tourist ID' },
+                        { name: 'permitId', in: 'path', required: true, schema: { type: 'string' }, description: 'Permit ID' }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['status'],
+                                    properties: {
+                                        status: { type: 'string', enum: ['verified', 'rejected'] },
+                                        reason: { type: 'string', description: 'Required when rejecting' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Permit reviewed', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Bad request', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        401: { description: 'Unauthorized', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permits:manage permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist or permit not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/digital-id/issue/me': {
+                post: {
+                    summary: 'Issue my digital tourist ID',
+                    description: 'Issues a digital ID once KYC is verified. The ID is anchored on the digital-tourist-id chaincode (or the local ledger when Fabric is disabled), valid until the expected check-out time, and carries a signed QR code. Returns the DigitalId and a printable card payload.',
+                    tags: ['📱 Mobile App - Digital ID'],
+                    security: [{ FirebaseAuth: [] }],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    properties: {
+                                        issueLocation: { type: 'string', description: 'Where the ID is issued, e.g. a check post (default Online)' },
+                                        issueCoordinates: { type: 'object', description: '{ latitude, longitude } of the issuing point' },
+                                        permissions: { type: 'object', description: 'Optional booleans: canTrack, canShareEmergency, canAccessMedical' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        201: { description: 'Digital ID issued with card payload', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        409: { description: 'KYC not verified or an active digital ID already exists', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        503: { description: 'Ledger unavailable', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/digital-id/me': {
+                get: {
+                    summary: 'Get my digital ID',
+                    description: 'Returns the active (or most recent) digital ID with validity and remaining days.',
+                    tags: ['📱 Mobile App - Digital ID'],
+                    security: [{ FirebaseAuth: [] }],
+                    responses: {
+                        200: { description: 'Digital ID retrieved', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        404: { description: 'No digital ID issued', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/digital-id/me/card': {
+                get: {
+                    summary: 'Get my printable ID card',
+                    description: 'Card payload for rendering or printing on a CR80 card: holder details and photo, DID, validity, issue location, primary emergency contact and the QR code as PNG data URL, SVG and raw signed token.',
+                    tags: ['📱 Mobile App - Digital ID'],
+                    security: [{ FirebaseAuth: [] }],
+                    responses: {
+                        200: { description: 'Card payload', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        404: { description: 'No digital ID issued', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/digital-id/{touristId}/issue': {
+                post: {
+                    summary: 'Issue a digital ID for a tourist',
+                    description: 'Issues a digital ID for a KYC-verified tourist at a check post or office. Requires digital_ids:issue.',
+                    tags: ['🌐 Admin Website - Digital ID'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'touristId', in: 'path', required: true, schema: { type: 'string' }, description: 'Tourist ID' }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    properties: {
+                                        issueLocation: { type: 'string', description: 'Where the ID is issued, e.g. a check post (default Online)' },
+                                        issueCoordinates: { type: 'object', description: '{ latitude, longitude } of the issuing point' },
+                                        permissions: { type: 'object', description: 'Optional booleans: canTrack, canShareEmergency, canAccessMedical' },
+                                        validUntil: { type: 'string', description: 'ISO date; defaults to the expected check-out time, capped at DIGITAL_ID_MAX_VALIDITY_DAYS' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        201: { description: 'Digital ID issued with card payload', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Invalid input', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'KYC not verified or an active digital ID already exists', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        503: { description: 'Ledger unavailable', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/digital-id/{touristId}': {
+                get: {
+                    summary: 'Get a tourist\'s digital ID',
+                    description: 'Returns the active (or most recent) digital ID for a tourist. Requires tourists:read.',
+                    tags: ['🌐 Admin Website - Digital ID'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'touristId', in: 'path', required: true, schema: { type: 'string' }, description: 'Tourist ID' }
+                    ],
+                    responses: {
+                        200: { description: 'Digital ID retrieved', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'No digital ID issued', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/digital-id/public-key': {
+                get: {
+                    summary: 'Get the QR verification key',
+                    description: 'Ed25519 public key (SPKI PEM) and key ID used to sign digital ID QR codes. Public; scanner apps cache it to check codes offline. See testing/verify-digital-id-qr.js.',
+                    tags: ['🌐 Admin Website - Digital ID'],
+                    responses: {
+                        200: { description: 'Verification key', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}}
+                    }
+                }
+            },
+            '/api/digital-id/verify': {
+                post: {
+                    summary: 'Verify a scanned digital ID',
+                    description: 'For police and hotel staff. Checks the QR signature, the DigitalId record (status, validity, remaining days) and, unless checkLedger is false, the DID on the ledger. An unreachable ledger is reported in data.ledger and does not fail the check. Every scan of a genuine code is appended to the ID access log with verifier, location, IP and user agent. Requires digital_ids:verify.',
+                    tags: ['🌐 Admin Website - Digital ID'],
+                    security: [{ FirebaseAuth: [] }],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['qrData'],
+                                    properties: {
+                                        qrData: { type: 'string', description: 'Text decoded from the QR code' },
+                                        latitude: { type: 'number', description: 'Where the scan happened' },
+                                        longitude: { type: 'number', description: 'Where the scan happened' },
+                                        checkLedger: { type: 'boolean', description: 'Also verify the DID on the ledger (default true)' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Verification result (data.verified tells whether the ID is genuine and valid)', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'qrData missing or invalid coordinates', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/digital-id/{touristId}/extend': {
+                post: {
+                    summary: 'Extend a digital ID',
+                    description: 'Sets validity.extendedUntil on the live ID and extends the expiry on the ledger. The new date must be later than the current expiry and within DIGITAL_ID_MAX_VALIDITY_DAYS from now. Requires digital_ids:manage.',
+                    tags: ['🌐 Admin Website - Digital ID'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'touristId', in: 'path', required: true, schema: { type: 'string' }, description: 'Tourist ID' }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['validUntil', 'reason'],
+                                    properties: {
+                                        validUntil: { type: 'string', description: 'New expiry (ISO date)' },
+                                        reason: { type: 'string', description: 'Why the change is made (3-500 characters), recorded in statusHistory and on the ledger' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Digital ID extended (message notes a failed ledger sync, retried nightly)', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Missing reason or invalid date', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist has no active or suspended digital ID', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'Not allowed from the current status', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/digital-id/{touristId}/suspend': {
+                post: {
+                    summary: 'Suspend a digital ID',
+                    description: 'Suspends an active ID; scans report it as not valid until it is reinstated. Requires digital_ids:manage.',
+                    tags: ['🌐 Admin Website - Digital ID'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'touristId', in: 'path', required: true, schema: { type: 'string' }, description: 'Tourist ID' }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['reason'],
+                                    properties: {
+                                        reason: { type: 'string', description: 'Why the change is made (3-500 characters), recorded in statusHistory and on the ledger' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Digital ID suspended (message notes a failed ledger sync, retried nightly)', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Missing reason or invalid date', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist has no active or suspended digital ID', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'Not allowed from the current status', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/digital-id/{touristId}/reinstate': {
+                post: {
+                    summary: 'Reinstate a suspended digital ID',
+                    description: 'Returns a suspended ID to active. An ID past its expiry must be extended first. Requires digital_ids:manage.',
+                    tags: ['🌐 Admin Website - Digital ID'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'touristId', in: 'path', required: true, schema: { type: 'string' }, description: 'Tourist ID' }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['reason'],
+                                    properties: {
+                                        reason: { type: 'string', description: 'Why the change is made (3-500 characters), recorded in statusHistory and on the ledger' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Digital ID reinstated (message notes a failed ledger sync, retried nightly)', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Missing reason or invalid date', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist has no active or suspended digital ID', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'Not allowed from the current status', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/digital-id/{touristId}/revoke': {
+                post: {
+                    summary: 'Revoke a digital ID',
+                    description: 'Permanently revokes the live ID on the database and the ledger. A new ID can be issued afterwards. Requires digital_ids:manage.',
+                    tags: ['🌐 Admin Website - Digital ID'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'touristId', in: 'path', required: true, schema: { type: 'string' }, description: 'Tourist ID' }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['reason'],
+                                    properties: {
+                                        reason: { type: 'string', description: 'Why the change is made (3-500 characters), recorded in statusHistory and on the ledger' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Digital ID revoked (message notes a failed ledger sync, retried nightly)', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Missing reason or invalid date', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Tourist has no active or suspended digital ID', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'Not allowed from the current status', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/kyc/documents': {
+                post: {
+                    summary: 'Submit an identity document for KYC',
+                    description: 'Runs OCR on the uploaded Aadhaar or passport image and matches the name (fuzzy) and date of birth against the profile to compute a 0-100 verificationScore. Documents scoring at least KYC_AUTO_VERIFY_SCORE with no blocking flags are verified immediately and Tourist.kycStatus becomes verified; the rest are queued for manual review. Documents that fail OCR validation (expired, failed MRZ check digits or checksum) are flagged document_invalid and always go to review. Only a keyed hash and the last four characters of the document number are stored.',
+                    tags: ['📱 Mobile App - KYC'],
+                    security: [{ FirebaseAuth: [] }],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'multipart/form-data': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['document'],
+                                    properties: {
+                                        document: { type: 'array', items: { type: 'string', format: 'binary' }, description: 'Up to 4 document images (JPEG, PNG, BMP, TIFF) or PDFs, e.g. the front and back of a card' },
+                                        pdfPassword: { type: 'string', description: 'Password for encrypted PDFs' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        201: { description: 'Document verified or queued for review', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'No file or unreadable image', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'Duplicate upload or too many documents awaiting review', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        429: { description: 'Too many documents uploaded', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        503: { description: 'OCR unavailable', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/kyc/me': {
+                get: {
+                    summary: 'Get my KYC status',
+                    description: 'Returns Tourist.kycStatus and every submitted document with its score, flags and decision.',
+                    tags: ['📱 Mobile App - KYC'],
+                    security: [{ FirebaseAuth: [] }],
+                    responses: {
+                        200: { description: 'KYC status and documents', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}}
+                    }
+                }
+            },
+            '/api/kyc/reviews': {
+                get: {
+                    summary: 'KYC review queue',
+                    description: 'Pending documents that need a manual decision, oldest first. Each item carries a `comparison` list putting the extracted name, date of birth, nationality and masked document number next to the profile values. Requires kyc:review.',
+                    tags: ['🌐 Admin Website - KYC Review'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'page', in: 'query', schema: { type: 'string' }, description: 'Page number (default 1)' },
+                        { name: 'limit', in: 'query', schema: { type: 'string' }, description: 'Page size, 1-100 (default 10)' },
+                        { name: 'nationality', in: 'query', schema: { type: 'string' }, description: 'Profile nationality (case-insensitive exact match)' },
+                        { name: 'documentType', in: 'query', schema: { type: 'string', enum: ['aadhaar', 'passport', 'visa', 'driving_license', 'photo'] }, description: 'Document type' },
+                        { name: 'minConfidence', in: 'query', schema: { type: 'number' }, description: 'Minimum OCR confidence (0-100)' },
+                        { name: 'maxConfidence', in: 'query', schema: { type: 'number' }, description: 'Maximum OCR confidence (0-100)' },
+                        { name: 'minScore', in: 'query', schema: { type: 'number' }, description: 'Minimum verification score (0-100)' },
+                        { name: 'maxScore', in: 'query', schema: { type: 'number' }, description: 'Maximum verification score (0-100)' }
+                    ],
+                    responses: {
+                        200: { description: 'Review queue', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Invalid filter', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/kyc/reviews/{documentId}': {
+                get: {
+                    summary: 'KYC document for review',
+                    description: 'One document with the same profile comparison as the queue, including documents that were verified automatically. Requires kyc:review.',
+                    tags: ['🌐 Admin Website - KYC Review'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'documentId', in: 'path', required: true, schema: { type: 'string' }, description: 'KYC document ID' }
+                    ],
+                    responses: {
+                        200: { description: 'Document', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Document not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/kyc/reviews/{documentId}/approve': {
+                post: {
+                    summary: 'Approve a KYC document',
+                    description: 'Marks the document verified, updates copies on issued digital IDs, sets Tourist.kycStatus and promotes the profile to the verified stage. The decision is written to the audit log. Requires kyc:review.',
+                    tags: ['🌐 Admin Website - KYC Review'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'documentId', in: 'path', required: true, schema: { type: 'string' }, description: 'KYC document ID' }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    properties: {
+                                        reason: { type: 'string', description: 'Optional note' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Document approved', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Document not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'Document already decided', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
+            },
+            '/api/kyc/reviews/{documentId}/reject': {
+                post: {
+                    summary: 'Reject a KYC document',
+                    description: 'Marks the document rejected with a reason; documents verified automatically can also be overturned. Tourist.kycStatus becomes rejected only when no other document is verified or pending. An active digital ID backed by the document is suspended until an official reinstates or revokes it (digitalIdsSuspended in the response). The decision is written to the audit log. Requires kyc:review.',
+                    tags: ['🌐 Admin Website - KYC Review'],
+                    security: [{ FirebaseAuth: [] }],
+                    parameters: [
+                        { name: 'documentId', in: 'path', required: true, schema: { type: 'string' }, description: 'KYC document ID' }
+                    ],
+                    requestBody: {
+                        required: true,
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'object',
+                                    required: ['reason'],
+                                    properties: {
+                                        reason: { type: 'string', description: 'Why the document was rejected (3-500 characters)' }
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    responses: {
+                        200: { description: 'Document rejected', content: { 'application/json': { schema: { $ref: '#/components/schemas/SuccessResponse' }}}},
+                        400: { description: 'Missing reason', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        403: { description: 'Missing permission', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        404: { description: 'Document not found', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}},
+                        409: { description: 'Document already decided', content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' }}}}
+                    }
+                }
             }
         }
     },
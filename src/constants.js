@@ -1,4 +1,143 @@
 export const AZURE_CONFIG = {
     key: process.env.VISION_KEY,
     endpoint: process.env.VISION_ENDPOINT
-};
\ No newline at end of file
+};
+
+export const ROLES = {
+    TOURIST: 'tourist',
+    FAMILY: 'family',
+    POLICE_OFFICER: 'police_officer',
+    TOURISM_ADMIN: 'tourism_admin',
+    DISPATCHER: 'dispatcher',
+    HOTEL_STAFF: 'hotel_staff',
+    SUPER_ADMIN: 'super_admin'
+};
+
+export const PERMISSIONS = {
+    TOURISTS_READ: 'tourists:read',
+    LOCATIONS_READ_ANY: 'locations:read_any',
+    // Reporting positions on behalf of other tourists (e.g. dispatch relaying a call)
+    LOCATIONS_WRITE_ANY: 'locations:write_any',
+    GEOFENCES_READ: 'geofences:read',
+    GEOFENCES_WRITE: 'geofences:write',
+    ALERTS_READ: 'alerts:read',
+    ALERTS_ACKNOWLEDGE: 'alerts:acknowledge',
+    STATS_READ: 'stats:read',
+    DEVICES_READ: 'devices:read',
+    INCIDENTS_READ: 'incidents:read',
+    INCIDENTS_MANAGE: 'incidents:manage',
+    INCIDENTS_DISPATCH: 'incidents:dispatch',
+    ROLES_MANAGE: 'roles:manage',
+    DIGITAL_IDS_ISSUE: 'digital_ids:issue',
+    DIGITAL_IDS_VERIFY: 'digital_ids:verify',
+    DIGITAL_IDS_MANAGE: 'digital_ids:manage',
+    KYC_REVIEW: 'kyc:review',
+    PERMITS_MANAGE: 'permits:manage'
+};
+
+export const ROLE_PERMISSIONS = {
+    [ROLES.TOURIST]: [],
+    [ROLES.FAMILY]: [],
+    [ROLES.POLICE_OFFICER]: [
+        PERMISSIONS.TOURISTS_READ,
+        PERMISSIONS.LOCATIONS_READ_ANY,
+        PERMISSIONS.GEOFENCES_READ,
+        PERMISSIONS.ALERTS_READ,
+        PERMISSIONS.ALERTS_ACKNOWLEDGE,
+        PERMISSIONS.STATS_READ,
+        PERMISSIONS.DEVICES_READ,
+        PERMISSIONS.INCIDENTS_READ,
+        PERMISSIONS.INCIDENTS_MANAGE,
+        PERMISSIONS.DIGITAL_IDS_VERIFY,
+        PERMISSIONS.PERMITS_MANAGE
+    ],
+    [ROLES.TOURISM_ADMIN]: [
+        PERMISSIONS.TOURISTS_READ,
+        PERMISSIONS.GEOFENCES_READ,
+        PERMISSIONS.GEOFENCES_WRITE,
+        PERMISSIONS.ALERTS_READ,
+        PERMISSIONS.STATS_READ,
+        PERMISSIONS.DEVICES_READ,
+        PERMISSIONS.INCIDENTS_READ,
+        PERMISSIONS.DIGITAL_IDS_ISSUE,
+        PERMISSIONS.DIGITAL_IDS_VERIFY,
+        PERMISSIONS.DIGITAL_IDS_MANAGE,
+        PERMISSIONS.KYC_REVIEW,
+        PERMISSIONS.PERMITS_MANAGE
+    ],
+    [ROLES.DISPATCHER]: [
+        PERMISSIONS.TOURISTS_READ,
+        PERMISSIONS.LOCATIONS_READ_ANY,
+        PERMISSIONS.GEOFENCES_READ,
+        PERMISSIONS.ALERTS_READ,
+        PERMISSIONS.ALERTS_ACKNOWLEDGE,
+        PERMISSIONS.STATS_READ,
+        PERMISSIONS.DEVICES_READ,
+        PERMISSIONS.INCIDENTS_READ,
+        PERMISSIONS.INCIDENTS_MANAGE,
+        PERMISSIONS.INCIDENTS_DISPATCH,
+        PERMISSIONS.LOCATIONS_WRITE_ANY
+    ],
+    // Hotels and homestays checking guests in
+    [ROLES.HOTEL_STAFF]: [
+        PERMISSIONS.DIGITAL_IDS_VERIFY
+    ],
+    [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS)
+};
+
+// Steps run in order once an alert has gone unacknowledged for `afterSeconds`.
+// Override per severity with the ESCALATION_LADDER env var (same JSON shape).
+export const ESCALATION_LADDER = {
+    emergency: [
+        { afterSeconds: 60, action: 'remind' },
+        { afterSeconds: 180, action: 'open_incident', incidentSeverity: 'critical' }
+    ],
+    critical: [
+        { afterSeconds: 300, action: 'remind' },
+        { afterSeconds: 900, action: 'open_incident', incidentSeverity: 'high' }
+    ],
+    warning: [
+        { afterSeconds: 1800, action: 'open_incident', incidentSeverity: 'medium' }
+    ],
+    info: []
+};
+
+// Maximum points each factor can take off a tourist's safety score of 100.
+// Override any subset with the SAFETY_SCORE_WEIGHTS env var (same JSON shape).
+export const SAFETY_SCORE_WEIGHTS = {
+    geofenceExposure: 25,
+    restrictedAreaTime: 15,
+    nightMovement: 10,
+    battery: 10,
+    connectivity: 10,
+    unacknowledgedAlerts: 20,
+    riskProfile: 10,
+    itineraryAdherence: 10
+};
+
+// Movement anomaly detection (anomalyDetection.service.js). Override any subset
+// with the ANOMALY_THRESHOLDS env var (same JSON shape).
+export const ANOMALY_THRESHOLDS = {
+    // Global speed limit; fences can set a lower restrictions.speedLimitKmh
+    speedLimitKmh: 120,
+    // Dropping from at least suddenStopFromKmh to suddenStopToKmh within the window
+    suddenStopFromKmh: 30,
+    suddenStopToKmh: 3,
+    suddenStopWindowSeconds: 60,
+    // No accommodation, safe zone, tourist spot or emergency service this close
+    remoteDistanceMeters: 2000,
+    // Implied speed between two fixes that cannot be real travel
+    teleportSpeedKmh: 500,
+    teleportMinDistanceMeters: 2000,
+    stationaryMinutes: 120,
+    stationaryRadiusMeters: 50,
+    fallAltitudeDropMeters: 15,
+    fallMaxDropMeters: 300,
+    fallWindowSeconds: 10,
+    fallMaxHorizontalMeters: 50,
+    fallStillKmh: 2,
+    // Fixes less accurate than this are ignored by position-based detectors
+    maxAccuracyMeters: 200,
+    // The same anomaly is not raised again for a tourist within this period
+    cooldownMinutes: 10
+};
@@ -0,0 +1,240 @@
+import digitalIdService from '../services/digitalId.service.js';
+
+const DIGITAL_ID_PERMISSIONS = ['canTrack', 'canShareEmergency', 'canAccessMedical'];
+
+const DIGITAL_ID_ERROR_STATUS = {
+    ValidationError: 400,
+    NotFoundError: 404,
+    ConflictError: 409,
+    LedgerUnavailableError: 503
+};
+
+const handleDigitalIdError = (res, error, message) => {
+    const status = DIGITAL_ID_ERROR_STATUS[error.name];
+    if (status) {
+        return res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'INTERNAL_ERROR'
+    });
+};
+
+const validationError = (message) => {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+};
+
+const parsePermissions = (permissions) => {
+    if (permissions === undefined) {
+        return undefined;
+    }
+    if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+        throw validationError('permissions must be an object');
+    }
+    const parsed = {};
+    for (const [key, value] of Object.entries(permissions)) {
+        if (!DIGITAL_ID_PERMISSIONS.includes(key) || typeof value !== 'boolean') {
+            throw validationError(`permissions may only contain boolean ${DIGITAL_ID_PERMISSIONS.join(', ')}`);
+        }
+        parsed[key] = value;
+    }
+    return parsed;
+};
+
+const sendIssued = (res, { digitalId, card }) => {
+    res.status(201).json({
+        success: true,
+        message: 'Digital ID issued successfully',
+        data: { digitalId, card }
+    });
+};
+
+export const issueMyDigitalId = async (req, res) => {
+    try {
+        const { issueLocation, issueCoordinates, permissions } = req.body;
+
+        // Self-service IDs always run to the expected check-out time
+        const issued = await digitalIdService.issue(req.tourist._id, {
+            issuedBy: `tourist:${req.user.uid}`,
+            issueLocation,
+            issueCoordinates,
+            permissions: parsePermissions(permissions)
+        });
+
+        sendIssued(res, issued);
+    } catch (error) {
+        handleDigitalIdError(res, error, 'Failed to issue digital ID');
+    }
+};
+
+export const issueTouristDigitalId = async (req, res) => {
+    try {
+        const { issueLocation, issueCoordinates, validUntil, permissions } = req.body;
+
+        const issued = await digitalIdService.issue(req.params.touristId, {
+            issuedBy: `user:${req.user.id}`,
+            issueLocation,
+            issueCoordinates,
+            validUntil,
+            permissions: parsePermissions(permissions)
+        });
+
+        sendIssued(res, issued);
+    } catch (error) {
+        handleDigitalIdError(res, error, 'Failed to issue digital ID');
+    }
+};
+
+export const getMyDigitalId = async (req, res) => {
+    try {
+        const digitalId = await digitalIdService.findCurrent(req.tourist._id);
+
+        res.json({
+            success: true,
+            message: 'Digital ID retrieved successfully',
+            data: {
+                digitalId,
+                isValid: digitalId.isValid(),
+                remainingDays: digitalId.getRemainingDays()
+            }
+        });
+    } catch (error) {
+        handleDigitalIdError(res, error, 'Failed to retrieve digital ID');
+    }
+};
+
+export const getMyDigitalIdCard = async (req, res) => {
+    try {
+        const digitalId = await digitalIdService.findCurrent(req.tourist._id);
+        const card = await digitalIdService.buildCard(digitalId, req.tourist);
+
+        res.json({
+            success: true,
+            message: 'Digital ID card retrieved successfully',
+            data: { card }
+        });
+    } catch (error) {
+        handleDigitalIdError(res, error, 'Failed to build digital ID card');
+    }
+};
+
+export const getTouristDigitalId = async (req, res) => {
+    try {
+        const digitalId = await digitalIdService.findCurrent(req.params.touristId);
+
+        res.json({
+            success: true,
+            message: 'Digital ID retrieved successfully',
+            data: {
+                digitalId,
+                isValid: digitalId.isValid(),
+                remainingDays: digitalId.getRemainingDays()
+            }
+        });
+    } catch (error) {
+        handleDigitalIdError(res, error, 'Failed to retrieve digital ID');
+    }
+};
+
+export const getVerificationKey = async (req, res) => {
+    try {
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.json({
+            success: true,
+            message: 'Digital ID verification key retrieved successfully',
+            data: digitalIdService.getPublicKey()
+        });
+    } catch (error) {
+        handleDigitalIdError(res, error, 'Failed to retrieve verification key');
+    }
+};
+
+export const verifyDigitalId = async (req, res) => {
+    try {
+        const { qrData, latitude, longitude, checkLedger } = req.body;
+
+        if (!qrData || typeof qrData !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'qrData is required'
+            });
+        }
+
+        let coordinates;
+        if (latitude !== undefined || longitude !== undefined) {
+            const lat = Number(latitude);
+            const lng = Number(longitude);
+            if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'latitude and longitude must be valid coordinates'
+                });
+            }
+            coordinates = [lng, lat];
+        }
+
+        const result = await digitalIdService.verify(qrData, {
+            verifier: `user:${req.user.id}`,
+            verifierDID: `did:yatra:user:${req.user.id}`,
+            coordinates,
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            checkLedger: checkLedger !== false
+        });
+
+        res.json({
+            success: true,
+            message: result.verified ? 'Digital ID verified' : 'Digital ID could not be verified',
+            data: result
+        });
+    } catch (error) {
+        handleDigitalIdError(res, error, 'Failed to verify digital ID');
+    }
+};
+
+const LIFECYCLE_ACTIONS = {
+    extend: { method: 'extend', message: 'Digital ID extended successfully' },
+    suspend: { method: 'suspend', message: 'Digital ID suspended successfully' },
+    reinstate: { method: 'reinstate', message: 'Digital ID reinstated successfully' },
+    revoke: { method: 'revoke', message: 'Digital ID revoked successfully' }
+};
+
+const changeDigitalIdStatus = (action) => async (req, res) => {
+    const { method, message } = LIFECYCLE_ACTIONS[action];
+    try {
+        const { reason, validUntil } = req.body;
+
+        const digitalId = await digitalIdService[method](req.params.touristId, {
+            reason,
+            validUntil,
+            changedBy: `user:${req.user.id}`
+        });
+
+        res.json({
+            success: true,
+            message: digitalId.blockchain?.syncStatus === 'failed'
+                ? `${message}; ledger sync failed and will be retried`
+                : message,
+            data: {
+                digitalId,
+                isValid: digitalId.isValid(),
+                remainingDays: digitalId.getRemainingDays()
+            }
+        });
+    } catch (error) {
+        handleDigitalIdError(res, error, `Failed to ${action} digital ID`);
+    }
+};
+
+export const extendDigitalId = changeDigitalIdStatus('extend');
+export const suspendDigitalId = changeDigitalIdStatus('suspend');
+export const reinstateDigitalId = changeDigitalIdStatus('reinstate');
+export const revokeDigitalId = changeDigitalIdStatus('revoke');
@@ -0,0 +1,562 @@
+import mongoose from 'mongoose';
+import Incident from '../models/incident.model.js';
+import Tourist from '../models/tourist.model.js';
+import User from '../models/user.model.js';
+import { ROLES } from '../constants.js';
+import incidentService from '../services/incident.service.js';
+import { notifyAdmins } from '../services/socket.service.js';
+
+const INCIDENT_TYPES = Incident.schema.path('type').enumValues;
+const INCIDENT_SEVERITIES = Incident.schema.path('severity').enumValues;
+const RESOLUTION_TYPES = Incident.schema.path('resolution.resolutionType').enumValues;
+const UNIT_TYPES = ['police', 'medical', 'fire', 'rescue', 'forest'];
+const UNIT_STATUSES = ['dispatched', 'en_route', 'on_scene', 'completed'];
+// Written by the incident workflow itself; response times and reports are
+// derived from them, so they cannot be added by hand
+const SYSTEM_TIMELINE_ACTIONS = ['created', 'reopened', 'officer_assigned', 'dispatched', 'arrived_on_scene'];
+const SYSTEM_TIMELINE_PREFIXES = ['status_changed_', 'unit_'];
+
+const broadcastIncidentUpdate = (incident, change) => {
+    notifyAdmins('incident_updated', {
+        incidentId: incident.incidentId,
+        touristId: incident.touristId,
+        status: incident.status,
+        severity: incident.severity,
+        change,
+        timestamp: new Date()
+    });
+};
+
+const handleIncidentError = (res, error, message) => {
+    console.error(`${message}:`, error);
+
+    if (error.name === 'TransitionError') {
+        return res.status(409).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    if (error.name === 'ConflictError') {
+        return res.status(409).json({
+            success: false,
+            message: error.message,
+            data: error.incident ? { incidentId: error.incident.incidentId } : undefined
+        });
+    }
+
+    if (error.name === 'ValidationError') {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation error',
+            details: error.errors ? Object.values(error.errors).map(err => err.message) : [error.message]
+        });
+    }
+
+    res.status(500).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'INTERNAL_ERROR'
+    });
+};
+
+export const createIncident = async (req, res) => {
+    try {
+        const {
+            touristId,
+            type = 'manual_report',
+            severity,
+            latitude,
+            longitude,
+            address,
+            landmark,
+            accuracy,
+            description,
+            reportedBy,
+            witnesses,
+            involvedPersons
+        } = req.body;
+
+        if (!INCIDENT_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid type. Must be one of: ${INCIDENT_TYPES.join(', ')}`
+            });
+        }
+
+        if (!INCIDENT_SEVERITIES.includes(severity)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid severity. Must be one of: ${INCIDENT_SEVERITIES.join(', ')}`
+            });
+        }
+
+        if (!description || typeof description !== 'string' || description.trim().length < 5) {
+            return res.status(400).json({
+                success: false,
+                message: 'Description must be at least 5 characters long'
+            });
+        }
+
+        const incident = await incidentService.createIncident({
+            touristId,
+            type,
+            severity,
+            coordinates: [longitude, latitude],
+            address,
+            landmark,
+            accuracy,
+            description: description.trim(),
+            reportedBy,
+            witnesses,
+            involvedPersons
+        }, req.user.uid);
+
+        res.status(201).json({
+            success: true,
+            message: 'Incident created successfully',
+            data: { incident }
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'Failed to create incident');
+    }
+};
+
+export const promoteAlertToIncident = async (req, res) => {
+    try {
+        const { type, severity, description } = req.body;
+
+        if (type && !INCIDENT_TYPES.includes(type)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid type. Must be one of: ${INCIDENT_TYPES.join(', ')}`
+            });
+        }
+
+        if (severity && !INCIDENT_SEVERITIES.includes(severity)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid severity. Must be one of: ${INCIDENT_SEVERITIES.join(', ')}`
+            });
+        }
+
+        const incident = await incidentService.createIncidentFromAlert(req.alert, req.user.uid, {
+            type,
+            severity,
+            description
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Alert promoted to incident successfully',
+            data: {
+                alertId: req.alert.alertId,
+                incident
+            }
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'Failed to promote alert to incident');
+    }
+};
+
+export const getIncidents = async (req, res) => {
+    try {
+        const { status, severity, type, touristId, assignedOfficer } = req.query;
+        const { page, limit, skip } = req.pagination;
+
+        const filter = {};
+        if (status) {
+            filter.status = { $in: status.split(',') };
+        }
+        if (severity) {
+            filter.severity = { $in: severity.split(',') };
+        }
+        if (type) {
+            filter.type = type;
+        }
+        if (touristId && mongoose.Types.ObjectId.isValid(touristId)) {
+            filter.touristId = touristId;
+        }
+        if (assignedOfficer === 'me') {
+            filter['response.assignedOfficer'] = req.user.id;
+        } else if (assignedOfficer && mongoose.Types.ObjectId.isValid(assignedOfficer)) {
+            filter['response.assignedOfficer'] = assignedOfficer;
+        }
+
+        const [incidents, total] = await Promise.all([
+            Incident.find(filter)
+                .select('-evidence -timeline')
+                .populate('touristId', 'digitalId personalInfo.name personalInfo.phone status')
+                .populate('response.assignedOfficer', 'name email')
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Incident.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Incidents retrieved successfully',
+            data: {
+                incidents,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'Failed to retrieve incidents');
+    }
+};
+
+export const getIncidentById = async (req, res) => {
+    try {
+        const incident = await Incident.findById(req.incident._id)
+            .populate('touristId', 'digitalId personalInfo.name personalInfo.phone personalInfo.nationality emergencyContacts status currentLocation')
+            .populate('response.assignedOfficer', 'name email')
+            .populate('resolution.resolvedBy', 'name email')
+            .lean();
+
+        res.status(200).json({
+            success: true,
+            message: 'Incident retrieved successfully',
+            data: {
+                incident,
+                responseTimeMinutes: req.incident.getResponseTime(),
+                allowedTransitions: Incident.STATUS_TRANSITIONS[incident.status]
+            }
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'Failed to retrieve incident');
+    }
+};
+
+export const assignOfficer = async (req, res) => {
+    try {
+        const { officerId, notes } = req.body;
+        const incident = req.incident;
+
+        if (!officerId || !mongoose.Types.ObjectId.isValid(officerId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid officerId is required'
+            });
+        }
+
+        const officer = await User.findById(officerId);
+        if (!officer || !officer.isActive) {
+            return res.status(404).json({
+                success: false,
+                message: 'Officer not found'
+            });
+        }
+
+        if (!officer.hasRole(ROLES.POLICE_OFFICER, ROLES.DISPATCHER)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Assigned user must be a police officer or dispatcher'
+            });
+        }
+
+        if (['closed', 'false_alarm'].includes(incident.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Cannot assign an officer to a ${incident.status} incident`
+            });
+        }
+
+        incident.response.assignedOfficer = officer._id;
+        await incident.addTimelineEvent('officer_assigned', req.user.uid, notes || `Assigned to ${officer.name}`);
+
+        broadcastIncidentUpdate(incident, { assignedOfficer: officer._id });
+
+        res.status(200).json({
+            success: true,
+            message: 'Officer assigned successfully',
+            data: {
+                incidentId: incident.incidentId,
+                assignedOfficer: {
+                    id: officer._id,
+                    name: officer.name,
+                    email: officer.email
+                }
+            }
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'Failed to assign officer');
+    }
+};
+
+export const dispatchUnit = async (req, res) => {
+    try {
+        const { unitType, unitId, officerName, contactNumber, estimatedResponseTime } = req.body;
+        const incident = req.incident;
+
+        if (!UNIT_TYPES.includes(unitType)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid unitType. Must be one of: ${UNIT_TYPES.join(', ')}`
+            });
+        }
+
+        if (!unitId || typeof unitId !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'unitId is required'
+            });
+        }
+
+        if (incident.response.respondingUnits.some(unit => unit.unitId === unitId && unit.status !== 'completed')) {
+            return res.status(409).json({
+                success: false,
+                message: `Unit ${unitId} is already dispatched to this incident`
+            });
+        }
+
+        // Dispatching implies the incident is being actively responded to
+        if (incident.status !== 'responding') {
+            if (!incident.canTransitionTo('responding')) {
+                return res.status(409).json({
+                    success: false,
+                    message: `Cannot dispatch units to a ${incident.status} incident`
+                });
+            }
+            incident.status = 'responding';
+        }
+
+        incident.response.respondingUnits.push({
+            unitType,
+            unitId,
+            officerName,
+            contactNumber,
+            dispatchTime: new Date(),
+            status: 'dispatched'
+        });
+
+        if (estimatedResponseTime !== undefined) {
+            incident.response.estimatedResponseTime = estimatedResponseTime;
+        }
+
+        await incident.addTimelineEvent('dispatched', req.user.uid, `${unitType} unit ${unitId} dispatched`);
+
+        broadcastIncidentUpdate(incident, { dispatchedUnit: { unitType, unitId } });
+
+        res.status(200).json({
+            success: true,
+            message: 'Unit dispatched successfully',
+            data: {
+                incidentId: incident.incidentId,
+                status: incident.status,
+                respondingUnits: incident.response.respondingUnits
+            }
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'Failed to dispatch unit');
+    }
+};
+
+export const updateUnitStatus = async (req, res) => {
+    try {
+        const { unitId } = req.params;
+        const { status } = req.body;
+        const incident = req.incident;
+
+        if (!UNIT_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid status. Must be one of: ${UNIT_STATUSES.join(', ')}`
+            });
+        }
+
+        const unit = incident.response.respondingUnits.find(u => u.unitId === unitId && u.status !== 'completed');
+        if (!unit) {
+            return res.status(404).json({
+                success: false,
+                message: `No active unit ${unitId} on this incident`
+            });
+        }
+
+        unit.status = status;
+        let action = `unit_${status}`;
+
+        if (status === 'on_scene' && !unit.arrivalTime) {
+            unit.arrivalTime = new Date();
+            const firstArrival = !incident.timeline.some(t => t.action === 'arrived_on_scene');
+            if (firstArrival) {
+                action = 'arrived_on_scene';
+                const firstDispatch = incident.response.respondingUnits
+                    .map(u => u.dispatchTime)
+                    .filter(Boolean)
+                    .sort((a, b) => a - b)[0];
+                if (firstDispatch) {
+                    incident.response.actualResponseTime = Math.round((unit.arrivalTime - firstDispatch) / (1000 * 60));
+                }
+            }
+        }
+
+        await incident.addTimelineEvent(action, req.user.uid, `Unit ${unitId} is ${status.replace('_', ' ')}`);
+
+        broadcastIncidentUpdate(incident, { unit: { unitId, status } });
+
+        res.status(200).json({
+            success: true,
+            message: 'Unit status updated successfully',
+            data: {
+                incidentId: incident.incidentId,
+                unit
+            }
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'Failed to update unit status');
+    }
+};
+
+export const updateIncidentStatus = async (req, res) => {
+    try {
+        const { status, notes } = req.body;
+        const incident = req.incident;
+
+        if (['resolved', 'false_alarm'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use the resolve endpoint to resolve an incident or mark it as a false alarm'
+            });
+        }
+
+        if (!Incident.schema.path('status').enumValues.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid status. Must be one of: ${Incident.schema.path('status').enumValues.join(', ')}`
+            });
+        }
+
+        await incident.transitionTo(status, req.user.uid, notes);
+
+        broadcastIncidentUpdate(incident, { status });
+
+        res.status(200).json({
+            success: true,
+            message: 'Incident status updated successfully',
+            data: {
+                incidentId: incident.incidentId,
+                status: incident.status,
+                allowedTransitions: Incident.STATUS_TRANSITIONS[incident.status]
+            }
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'Failed to update incident status');
+    }
+};
+
+export const addTimelineEvent = async (req, res) => {
+    try {
+        const { action, notes, latitude, longitude } = req.body;
+        const incident = req.incident;
+
+        if (!action || typeof action !== 'string' || !/^[a-z][a-z0-9_]{2,49}$/.test(action)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Action must be a snake_case identifier between 3 and 50 characters'
+            });
+        }
+
+        if (SYSTEM_TIMELINE_ACTIONS.includes(action) || SYSTEM_TIMELINE_PREFIXES.some(prefix => action.startsWith(prefix))) {
+            return res.status(400).json({
+                success: false,
+                message: `"${action}" is recorded automatically and cannot be added to the timeline by hand`
+            });
+        }
+
+        if (incident.status === 'closed') {
+            return res.status(409).json({
+                success: false,
+                message: 'Cannot add timeline events to a closed incident'
+            });
+        }
+
+        const hasCoordinates = typeof latitude === 'number' && typeof longitude === 'number';
+        await incident.addTimelineEvent(action, req.user.uid, notes, hasCoordinates ? [longitude, latitude] : null);
+
+        res.status(201).json({
+            success: true,
+            message: 'Timeline event added successfully',
+            data: {
+                incidentId: incident.incidentId,
+                event: incident.timeline[incident.timeline.length - 1]
+            }
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'Failed to add timeline event');
+    }
+};
+
+export const resolveIncident = async (req, res) => {
+    try {
+        const { resolutionType, resolutionNotes, followUpRequired = false, followUpDate } = req.body;
+        const incident = req.incident;
+
+        if (!RESOLUTION_TYPES.includes(resolutionType)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid resolutionType. Must be one of: ${RESOLUTION_TYPES.join(', ')}`
+            });
+        }
+
+        if (followUpRequired && (!followUpDate || isNaN(new Date(followUpDate).getTime()))) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid followUpDate is required when followUpRequired is true'
+            });
+        }
+
+        const targetStatus = resolutionType === 'false_alarm' ? 'false_alarm' : 'resolved';
+
+        incident.resolution = {
+            resolvedAt: new Date(),
+            resolvedBy: req.user.id,
+            resolutionType,
+            resolutionNotes,
+            followUpRequired,
+            followUpDate: followUpRequired ? new Date(followUpDate) : undefined
+        };
+        incident.response.respondingUnits.forEach(unit => {
+            if (unit.status !== 'completed') {
+                unit.status = 'completed';
+            }
+        });
+
+        await incident.transitionTo(targetStatus, req.user.uid, resolutionNotes || `Resolved: ${resolutionType}`);
+
+        // Release the tourist from emergency status unless another incident is still open
+        const otherOpenIncidents = await Incident.countDocuments({
+            touristId: incident.touristId,
+            _id: { $ne: incident._id },
+            status: { $in: ['open', 'investigating', 'responding'] }
+        });
+        if (otherOpenIncidents === 0) {
+            await Tourist.updateOne(
+                { _id: incident.touristId, status: { $in: ['emergency', 'missing'] } },
+                { status: resolutionType === 'tourist_found_safe' ? 'safe' : 'active' }
+            );
+        }
+
+        broadcastIncidentUpdate(incident, { status: incident.status, resolutionType });
+
+        res.status(200).json({
+            success: true,
+            message: 'Incident resolved successfully',
+            data: {
+                incidentId: incident.incidentId,
+                status: incident.status,
+                resolution: incident.resolution,
+                responseTimeMinutes: incident.getResponseTime()
+            }
+        });
+    } catch (error) {
+        handleIncidentError(res, error, 'Failed to resolve incident');
+    }
+};
@@ -0,0 +1,182 @@
+import AuditLog from '../models/auditLog.model.js';
+import KycDocument from '../models/kycDocument.model.js';
+import kycService from '../services/kyc.service.js';
+
+const KYC_ERROR_STATUS = {
+    ValidationError: 400,
+    NotFoundError: 404,
+    ConflictError: 409,
+    OcrUnavailableError: 503
+};
+
+const handleKycError = (res, error, message) => {
+    const status = KYC_ERROR_STATUS[error.name];
+    if (status) {
+        if (error.cause) {
+            console.error(`${message}:`, error.cause);
+        }
+        return res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'INTERNAL_ERROR'
+    });
+};
+
+const validationError = (message) => {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+};
+
+// Query string filters for the review queue
+const parseReviewFilters = (query) => {
+    const filters = {};
+
+    if (query.documentType !== undefined) {
+        const types = KycDocument.schema.path('type').enumValues;
+        if (!types.includes(query.documentType)) {
+            throw validationError(`documentType must be one of: ${types.join(', ')}`);
+        }
+        filters.documentType = query.documentType;
+    }
+
+    if (query.nationality !== undefined) {
+        if (typeof query.nationality !== 'string' || !query.nationality.trim() || query.nationality.length > 100) {
+            throw validationError('nationality must be a non-empty string');
+        }
+        filters.nationality = query.nationality;
+    }
+
+    for (const key of ['minConfidence', 'maxConfidence', 'minScore', 'maxScore']) {
+        if (query[key] === undefined) {
+            continue;
+        }
+        const value = Number(query[key]);
+        if (!Number.isFinite(value) || value < 0 || value > 100) {
+            throw validationError(`${key} must be a number between 0 and 100`);
+        }
+        filters[key] = value;
+    }
+    if (filters.minConfidence > filters.maxConfidence || filters.minScore > filters.maxScore) {
+        throw validationError('Minimum filters cannot exceed their maximum');
+    }
+
+    return filters;
+};
+
+const decideKycDocument = (approve) => async (req, res) => {
+    const verb = approve ? 'approve' : 'reject';
+    try {
+        const result = await kycService.decide(req.params.documentId, {
+            approve,
+            reviewer: req.account,
+            reason: req.body.reason
+        });
+
+        await AuditLog.record({
+            action: approve ? 'kyc_approved' : 'kyc_rejected',
+            actor: req.account,
+            target: { model: 'KycDocument', id: result.document._id.toString() },
+            changes: {
+                before: { verificationStatus: result.previousStatus },
+                after: { verificationStatus: result.document.verificationStatus, kycStatus: result.kycStatus }
+            },
+            reason: typeof req.body.reason === 'string' ? req.body.reason.trim() : undefined,
+            req
+        });
+
+        console.log(`KYC document ${result.document._id} ${result.document.verificationStatus} by ${req.account.email}`);
+
+        res.json({
+            success: true,
+            message: `KYC document ${approve ? 'approved' : 'rejected'}`,
+            data: result
+        });
+    } catch (error) {
+        handleKycError(res, error, `Failed to ${verb} KYC document`);
+    }
+};
+
+export const submitKycDocument = async (req, res) => {
+    try {
+        const { document, kycStatus } = await kycService.submitDocument(req.tourist, req.files, {
+            pdfPassword: req.body?.pdfPassword
+        });
+
+        res.status(201).json({
+            success: true,
+            message: document.verificationStatus === 'verified'
+                ? 'Document verified'
+                : 'Document received and queued for review',
+            data: { document, kycStatus }
+        });
+    } catch (error) {
+        handleKycError(res, error, 'Failed to process KYC document');
+    }
+};
+
+export const getMyKyc = async (req, res) => {
+    try {
+        const documents = await kycService.listDocuments(req.tourist._id);
+
+        res.json({
+            success: true,
+            message: 'KYC status retrieved successfully',
+            data: {
+                kycStatus: req.tourist.kycStatus,
+                documents
+            }
+        });
+    } catch (error) {
+        handleKycError(res, error, 'Failed to retrieve KYC status');
+    }
+};
+
+export const getKycReviewQueue = async (req, res) => {
+    try {
+        const { page, limit, skip } = req.pagination;
+        const filters = parseReviewFilters(req.query);
+        const { documents, total } = await kycService.getReviewQueue(filters, { skip, limit });
+
+        res.json({
+            success: true,
+            message: 'KYC review queue retrieved successfully',
+            data: {
+                documents,
+                filters,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        handleKycError(res, error, 'Failed to retrieve KYC review queue');
+    }
+};
+
+export const getKycReviewItem = async (req, res) => {
+    try {
+        const document = await kycService.getReviewItem(req.params.documentId);
+
+        res.json({
+            success: true,
+            message: 'KYC document retrieved successfully',
+            data: { document }
+        });
+    } catch (error) {
+        handleKycError(res, error, 'Failed to retrieve KYC document');
+    }
+};
+
+export const approveKycDocument = decideKycDocument(true);
+export const rejectKycDocument = decideKycDocument(false);
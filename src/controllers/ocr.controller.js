@@ -1,45 +1,58 @@
 import ocrService from '../services/ocr.service.js';
 export const processDocument = async (req, res) => {
     try {
-        if (!req.file) {
+        const files = req.files || [];
+        if (files.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: 'No document image uploaded'
             });
         }
-        if (req.file.size > 10 * 1024 * 1024) {
-            return res.status(400).json({
-                success: false,
-                message: 'File size too large. Maximum size is 10MB.'
-            });
-        }
         const allowedMimeTypes = [
             'image/jpeg', 'image/jpg', 'image/png', 
-            'image/bmp', 'image/tiff', 'image/tif'
+            'image/bmp', 'image/tiff', 'image/tif',
+            'application/pdf'
         ];
-        
-        if (!allowedMimeTypes.includes(req.file.mimetype.toLowerCase())) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid file type. Only JPEG, PNG, BMP, and TIFF images are allowed.'
-            });
-        }
-        if (!req.file.buffer || req.file.buffer.length === 0) {
-            return res.status(400).json({
-                success: false,
-                message: 'Uploaded file is empty or corrupted.'
-            });
+
+        for (const file of files) {
+            if (file.size > 10 * 1024 * 1024) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${file.originalname}: File size too large. Maximum size is 10MB.`
+                });
+            }
+            if (!allowedMimeTypes.includes(file.mimetype.toLowerCase())) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${file.originalname}: Invalid file type. Only JPEG, PNG, BMP and TIFF images and PDFs are allowed.`
+                });
+            }
+            if (!file.buffer || file.buffer.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${file.originalname}: Uploaded file is empty or corrupted.`
+                });
+            }
         }
 
-        console.log(`Processing document: ${req.file.originalname}, Size: ${Math.round(req.file.size / 1024)}KB`);
+        console.log(`Processing document: ${files.map(file => `${file.originalname} (${Math.round(file.size / 1024)}KB)`).join(', ')}`);
 
-        const result = await ocrService.processDocument(req.file.buffer);
+        const result = await ocrService.processDocument(files.map(file => file.buffer), {
+            pdfPassword: req.body?.pdfPassword
+        });
         if (!result || !result.documentType) {
             return res.status(422).json({
                 success: false,
                 message: 'Could not process document. Please ensure the image is clear and contains valid document data.'
             });
         }
+        if (result.documentType === 'unknown') {
+            return res.status(422).json({
+                success: false,
+                message: 'Could not recognise the document. Supported documents are Aadhaar cards, passports, visas (including Indian e-visas) and Indian driving licences.',
+                data: { documentType: result.documentType, validation: result.validation }
+            });
+        }
 
         res.json({
             success: true,
@@ -48,7 +61,10 @@ export const processDocument = async (req, res) => {
                 documentType: result.documentType,
                 extractedInfo: result.extractedInfo,
                 confidence: result.confidence,
-                extractedText: result.extractedText
+                validation: result.validation,
+                extractedText: result.extractedText,
+                pages: result.pages,
+                provenance: result.provenance
             }
         });
 
@@ -59,13 +75,16 @@ export const processDocument = async (req, res) => {
         let statusCode = 500;
         let errorMessage = 'Document processing failed';
         
-        if (error.message.includes('Invalid image file format')) {
+        if (error.name === 'ValidationError') {
+            statusCode = 400;
+            errorMessage = error.message;
+        } else if (error.message.includes('Invalid image file format')) {
             statusCode = 400;
             errorMessage = 'Invalid image file format. Please upload a valid JPEG, PNG, BMP, or TIFF image.';
         } else if (error.message.includes('preprocessing failed')) {
             statusCode = 400;
             errorMessage = 'Image processing failed. The file may be corrupted or in an unsupported format.';
-        } else if (error.message.includes('Azure')) {
+        } else if (error.name === 'OcrUnavailableError') {
             statusCode = 503;
             errorMessage = 'OCR service temporarily unavailable. Please try again later.';
         } else if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
@@ -77,11 +96,11 @@ export const processDocument = async (req, res) => {
             success: false,
             message: errorMessage,
             error: process.env.NODE_ENV === 'development' ? error.message : undefined,
-            details: process.env.NODE_ENV === 'development' ? {
-                originalName: req.file?.originalname,
-                mimeType: req.file?.mimetype,
-                size: req.file?.size
-            } : undefined
+            details: process.env.NODE_ENV === 'development' ? req.files?.map(file => ({
+                originalName: file.originalname,
+                mimeType: file.mimetype,
+                size: file.size
+            })) : undefined
         });
     }
 };
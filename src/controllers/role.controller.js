@@ -0,0 +1,217 @@
+import User from '../models/user.model.js';
+import Tourist from '../models/tourist.model.js';
+import AuditLog from '../models/auditLog.model.js';
+import { ROLES, ROLE_PERMISSIONS } from '../constants.js';
+
+// Users who have never hit a role-protected route have no account yet, so
+// seed one from their tourist profile before changing roles.
+const findOrSeedUser = async (firebaseUid) => {
+    const user = await User.findByFirebaseUid(firebaseUid);
+    if (user) {
+        return user;
+    }
+
+    const tourist = await Tourist.findOne({ firebaseUid }).lean();
+    if (!tourist) {
+        return null;
+    }
+
+    return User.findOrCreateFromFirebase({
+        uid: firebaseUid,
+        email: tourist.personalInfo.email,
+        name: tourist.personalInfo.name,
+        picture: tourist.personalInfo.profilePicture
+    });
+};
+
+const formatUserRoles = (user) => ({
+    id: user._id,
+    firebaseUid: user.firebaseUid,
+    email: user.email,
+    name: user.name,
+    roles: user.roles,
+    permissions: user.getPermissions()
+});
+
+export const getRoleDefinitions = async (req, res) => {
+    res.status(200).json({
+        success: true,
+        message: 'Role definitions retrieved successfully',
+        data: {
+            roles: Object.values(ROLES).map(role => ({
+                role,
+                permissions: ROLE_PERMISSIONS[role]
+            }))
+        }
+    });
+};
+
+export const getUserRoles = async (req, res) => {
+    try {
+        const user = await findOrSeedUser(req.params.firebaseUid);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+                error: 'USER_NOT_FOUND'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'User roles retrieved successfully',
+            data: formatUserRoles(user)
+        });
+    } catch (error) {
+        if (error.name === 'ConflictError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                error: 'EMAIL_IN_USE'
+            });
+        }
+        console.error('Error getting user roles:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve user roles',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'INTERNAL_ERROR'
+        });
+    }
+};
+
+const changeRole = (action) => async (req, res) => {
+    try {
+        const { role, reason } = req.body;
+
+        if (!Object.values(ROLES).includes(role)) {
+            return res.status(400).json({
+                success: false,
+                message: `Invalid role. Must be one of: ${Object.values(ROLES).join(', ')}`
+            });
+        }
+
+        if (!reason || typeof reason !== 'string' || reason.trim().length < 3) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason of at least 3 characters is required for role changes'
+            });
+        }
+
+        const user = await findOrSeedUser(req.params.firebaseUid);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found',
+                error: 'USER_NOT_FOUND'
+            });
+        }
+
+        const before = [...user.roles];
+
+        if (action === 'grant') {
+            if (user.roles.includes(role)) {
+                return res.status(409).json({
+                    success: false,
+                    message: `User already has role ${role}`
+                });
+            }
+            user.roles.push(role);
+        } else {
+            if (!user.roles.includes(role)) {
+                return res.status(409).json({
+                    success: false,
+                    message: `User does not have role ${role}`
+                });
+            }
+            if (role === ROLES.SUPER_ADMIN && user._id.equals(req.account._id)) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'You cannot revoke your own super admin role'
+                });
+            }
+            user.roles.pull(role);
+        }
+
+        await user.save();
+
+        await AuditLog.record({
+            action: action === 'grant' ? 'role_granted' : 'role_revoked',
+            actor: req.account,
+            target: { model: 'User', id: user._id.toString() },
+            changes: { before, after: [...user.roles] },
+            reason: reason.trim(),
+            req
+        });
+
+        console.log(`Role ${role} ${action === 'grant' ? 'granted to' : 'revoked from'} ${user.email} by ${req.account.email}`);
+
+        res.status(200).json({
+            success: true,
+            message: `Role ${action === 'grant' ? 'granted' : 'revoked'} successfully`,
+            data: formatUserRoles(user)
+        });
+    } catch (error) {
+        if (error.name === 'ConflictError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                error: 'EMAIL_IN_USE'
+            });
+        }
+        console.error(`Error during role ${action}:`, error);
+        res.status(500).json({
+            success: false,
+            message: `Failed to ${action} role`,
+            error: process.env.NODE_ENV === 'development' ? error.message : 'INTERNAL_ERROR'
+        });
+    }
+};
+
+export const grantRole = changeRole('grant');
+export const revokeRole = changeRole('revoke');
+
+export const getRoleAuditLog = async (req, res) => {
+    try {
+        const { firebaseUid } = req.query;
+        const { page, limit, skip } = req.pagination;
+
+        const filter = { action: { $in: ['role_granted', 'role_revoked'] } };
+        if (firebaseUid) {
+            const user = await User.findByFirebaseUid(firebaseUid);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'User not found',
+                    error: 'USER_NOT_FOUND'
+                });
+            }
+            filter['target.id'] = user._id.toString();
+        }
+
+        const [entries, total] = await Promise.all([
+            AuditLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+            AuditLog.countDocuments(filter)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            message: 'Role audit log retrieved successfully',
+            data: {
+                entries,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Error getting role audit log:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve role audit log',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'INTERNAL_ERROR'
+        });
+    }
+};
@@ -1,81 +1,65 @@
+import mongoose from 'mongoose'
 import { LocationHistory, Alert, Device } from '../models/tracking.model.js'
 import Tourist from '../models/tourist.model.js'
 import GeoFence from '../models/geoFence.model.js'
-import { getConnectedClientsInfo } from '../services/socket.service.js'
+import { getConnectedClientsInfo, notifyAdmins } from '../services/socket.service.js'
+import { PERMISSIONS } from '../constants.js'
+import escalationService from '../services/escalation.service.js'
+import notificationService from '../services/notification.service.js'
+import { normalizeGeometry } from '../services/geometry.service.js'
+import geofenceService from '../services/geofence.service.js'
+import locationIngestionService from '../services/locationIngestion.service.js'
+import { WEATHER_CONDITIONS } from '../services/geofenceRestriction.service.js'
+import geofenceTransferService, { IMPORT_FORMATS, EXPORT_FORMATS } from '../services/geofenceTransfer.service.js'
+import geofenceRevisionService from '../services/geofenceRevision.service.js'
+import occupancyService from '../services/occupancy.service.js'
+import safetyScoreService from '../services/safetyScore.service.js'
+import itineraryMonitorService from '../services/itineraryMonitor.service.js'
+import { getGeofenceDataError } from '../middlewares/geofence.middleware.js'
 
 export const updateLocation = async (req, res) => {
     try {
-        const {
-            touristId,
-            latitude,
-            longitude,
-            accuracy = 10,
-            speed = 0,
-            heading = 0,
-            altitude = 0,
-            batteryLevel = 100,
-            source = 'gps'
-        } = req.body
+        const result = await locationIngestionService.ingest(
+            { ...req.body, touristId: req.tourist?._id || req.body.touristId },
+            { tourist: req.tourist, transport: 'rest' }
+        )
 
-        if (!touristId || latitude === undefined || longitude === undefined) {
-            return res.status(400).json({
-                success: false,
-                message: 'Tourist ID, latitude, and longitude are required'
-            })
-        }
+        res.json({
+            success: true,
+            message: result.stale
+                ? 'Location recorded in history; a newer location is already current'
+                : 'Location updated successfully',
+            data: {
+                locationId: result.record._id,
+                timestamp: result.record.timestamp,
+                stale: result.stale,
+                geofences: result.geofences,
+                alerts: result.alerts.map(alert => ({
+                    alertId: alert.alertId,
+                    type: alert.type,
+                    severity: alert.severity,
+                    message: alert.message.english
+                }))
+            }
+        })
 
-        if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    } catch (error) {
+        console.error('Error updating location:', error)
+
+        if (error.name === 'ValidationError') {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid coordinates'
+                message: error.message
             })
         }
 
-        const tourist = await Tourist.findById(touristId)
-        if (!tourist) {
+        if (error.name === 'NotFoundError') {
             return res.status(404).json({
                 success: false,
-                message: 'Tourist not found'
+                message: error.message
             })
         }
 
-        const locationRecord = new LocationHistory({
-            touristId,
-            location: {
-                type: 'Point',
-                coordinates: [longitude, latitude]
-            },
-            timestamp: new Date(),
-            accuracy,
-            speed,
-            heading,
-            altitude,
-            batteryLevel,
-            source
-        })
-
-        await locationRecord.save()
-
-        await Tourist.findByIdAndUpdate(touristId, {
-            currentLocation: {
-                type: 'Point',
-                coordinates: [longitude, latitude]
-            },
-            lastLocationUpdate: new Date(),
-            isActive: true
-        })
-
-        res.json({
-            success: true,
-            message: 'Location updated successfully',
-            data: {
-                locationId: locationRecord._id,
-                timestamp: locationRecord.timestamp
-            }
-        })
-
-    } catch (error) {
-        console.error('Error updating location:', error)
         res.status(500).json({
             success: false,
             message: 'Failed to update location'
@@ -151,6 +135,14 @@ export const getCurrentLocation = async (req, res) => {
             })
         }
 
+        const isOwnData = req.user && req.user.uid === tourist.firebaseUid
+        if (!isOwnData && !req.user?.permissions?.includes(PERMISSIONS.LOCATIONS_READ_ANY)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only access your own location.'
+            })
+        }
+
         let currentLocation = null
         if (tourist.currentLocation && tourist.currentLocation.coordinates) {
             currentLocation = {
@@ -355,13 +347,13 @@ export const getActiveAlerts = async (req, res) => {
 export const acknowledgeAlert = async (req, res) => {
     try {
         const { alertId } = req.params
-        const { acknowledgedBy, response } = req.body
+        const { response } = req.body
 
         const alert = await Alert.findOneAndUpdate(
             { alertId },
             {
                 'acknowledgment.isAcknowledged': true,
-                'acknowledgment.acknowledgedBy': acknowledgedBy,
+                'acknowledgment.acknowledgedBy': req.user.id,
                 'acknowledgment.acknowledgedAt': new Date(),
                 'acknowledgment.response': response
             },
@@ -375,6 +367,9 @@ export const acknowledgeAlert = async (req, res) => {
             })
         }
 
+        await escalationService.cancelForAlert(alert._id)
+        safetyScoreService.requestRecompute(alert.touristId, 'alert_acknowledged')
+
         res.json({
             success: true,
             message: 'Alert acknowledged successfully',
@@ -433,7 +428,8 @@ export const createEmergencyAlert = async (req, res) => {
             },
             metadata: {
                 triggeredBy: 'api',
-                source: 'rest_api'
+                source: 'rest_api',
+                reportedBy: req.user.id
             }
         })
 
@@ -458,6 +454,10 @@ export const createEmergencyAlert = async (req, res) => {
             })
         }
 
+        notificationService.notifyAlert(alert)
+        await escalationService.scheduleForAlert(alert)
+        safetyScoreService.requestRecompute(updatedTourist._id, 'alert_raised')
+
         res.json({
             success: true,
             message: 'Emergency alert created successfully',
@@ -561,12 +561,12 @@ export const getGeofences = async (req, res) => {
 
 export const createGeofence = async (req, res) => {
     try {
-        const { name, coordinates, type, description, radius, riskLevel, alertMessage, restrictions, metadata } = req.body
+        const { name, coordinates, geometry: geoJson, type, description, radius, hysteresisMeters, riskLevel, alertMessage, restrictions, metadata } = req.body
 
-        if (!name || !coordinates) {
+        if (!name || (!coordinates && !geoJson)) {
             return res.status(400).json({
                 success: false,
-                message: 'Name and coordinates are required'
+                message: 'Name and coordinates (or geometry) are required'
             })
         }
 
@@ -590,35 +590,40 @@ export const createGeofence = async (req, res) => {
             });
         }
 
-        // Handle different coordinate formats
-        let processedCoordinates;
-        if (coordinates.latitude !== undefined && coordinates.longitude !== undefined) {
-            // Object format: { latitude: x, longitude: y }
-            processedCoordinates = [coordinates.longitude, coordinates.latitude];
-        } else if (Array.isArray(coordinates)) {
-            // Array format: [longitude, latitude] or [[lng, lat], [lng, lat], ...]
-            processedCoordinates = coordinates;
-        } else {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid coordinates format. Expected {latitude: number, longitude: number} or array format'
-            });
-        }
-
-        // Create proper geometry based on type
+        // Full GeoJSON geometry (holes, multipolygons) is already checked by validateGeofenceData
         let geometry;
-        if (radius) {
-            // For circles, store as Point with radius field
-            geometry = {
-                type: 'Point',
-                coordinates: processedCoordinates
-            };
+        if (geoJson) {
+            geometry = normalizeGeometry(geoJson);
         } else {
-            // For polygons, store as Polygon
-            geometry = {
-                type: 'Polygon',
-                coordinates: [processedCoordinates] // Polygon needs array of arrays
-            };
+            // Handle different coordinate formats
+            let processedCoordinates;
+            if (coordinates.latitude !== undefined && coordinates.longitude !== undefined) {
+                // Object format: { latitude: x, longitude: y }
+                processedCoordinates = [coordinates.longitude, coordinates.latitude];
+            } else if (Array.isArray(coordinates)) {
+                // Array format: [longitude, latitude] or [[lng, lat], [lng, lat], ...]
+                processedCoordinates = coordinates;
+            } else {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid coordinates format. Expected {latitude: number, longitude: number} or array format'
+                });
+            }
+
+            // Create proper geometry based on type
+            if (radius) {
+                // For circles, store as Point with radius field
+                geometry = {
+                    type: 'Point',
+                    coordinates: processedCoordinates
+                };
+            } else {
+                // For polygons, store as Polygon
+                geometry = normalizeGeometry({
+                    type: 'Polygon',
+                    coordinates: [processedCoordinates] // Polygon needs array of arrays
+                });
+            }
         }
 
         // Create geofence with validated data
@@ -628,6 +633,7 @@ export const createGeofence = async (req, res) => {
             description: description?.trim(),
             geometry: geometry,
             radius: radius, // Store radius as separate field
+            hysteresisMeters,
             riskLevel: riskLevel || 5,
             alertMessage: alertMessage || {
                 english: `You are entering ${name}`,
@@ -636,10 +642,12 @@ export const createGeofence = async (req, res) => {
             restrictions: restrictions || {},
             metadata: metadata || {},
             isActive: true,
-            createdBy: req.user.uid
+            createdBy: req.user.uid,
+            revision: 1
         })
 
         await geofence.save()
+        await geofenceRevisionService.recordCreation(geofence, { changedBy: req.user.uid })
 
         // Log geofence creation for audit
         console.log(`Geofence created: ${geofence.name} by user: ${req.user.uid}`)
@@ -654,6 +662,7 @@ export const createGeofence = async (req, res) => {
                 geometry: geofence.geometry,
                 riskLevel: geofence.riskLevel,
                 isActive: geofence.isActive,
+                revision: geofence.revision,
                 createdAt: geofence.createdAt
             }
         })
@@ -697,20 +706,8 @@ export const updateGeofence = async (req, res) => {
             })
         }
 
-        // Check ownership or admin permission
-        const isOwner = existingGeofence.createdBy === req.user?.uid
-        const isAdmin = req.user?.email?.includes('@admin.yatrasuraksha.com') || 
-                       req.user?.email === process.env.ADMIN_EMAIL
-
-        if (!isOwner && !isAdmin) {
-            return res.status(403).json({
-                success: false,
-                message: 'You can only update geofences you created'
-            })
-        }
-
         // Validate and sanitize updates
-        const allowedUpdates = ['name', 'description', 'type', 'geometry', 'riskLevel', 'alertMessage', 'restrictions', 'metadata', 'isActive']
+        const allowedUpdates = ['name', 'description', 'type', 'geometry', 'radius', 'hysteresisMeters', 'riskLevel', 'alertMessage', 'restrictions', 'metadata', 'isActive']
         const sanitizedUpdates = {}
 
         for (const key of Object.keys(updates)) {
@@ -719,6 +716,18 @@ export const updateGeofence = async (req, res) => {
             }
         }
 
+        if (sanitizedUpdates.geometry) {
+            sanitizedUpdates.geometry = normalizeGeometry(sanitizedUpdates.geometry)
+        }
+
+        // Weather status is managed through PUT /geofences/:fenceId/weather
+        if (sanitizedUpdates.restrictions) {
+            sanitizedUpdates.restrictions = {
+                ...sanitizedUpdates.restrictions,
+                weatherStatus: existingGeofence.restrictions?.weatherStatus
+            }
+        }
+
         // Check for name conflicts if name is being updated
         if (sanitizedUpdates.name && sanitizedUpdates.name !== existingGeofence.name) {
             const duplicateName = await GeoFence.findOne({ 
@@ -734,15 +743,12 @@ export const updateGeofence = async (req, res) => {
             }
         }
 
-        // Add audit trail
-        sanitizedUpdates.lastModifiedBy = req.user.uid
-        sanitizedUpdates.updatedAt = new Date()
-
-        const geofence = await GeoFence.findByIdAndUpdate(
-            fenceId,
-            sanitizedUpdates,
-            { new: true, runValidators: true }
-        )
+        // Stored as a new revision with the author and diff for the audit trail
+        const { geofence, revision } = await geofenceRevisionService.applyChange(fenceId, sanitizedUpdates, {
+            action: 'update',
+            changedBy: req.user.uid,
+            reason: typeof updates.reason === 'string' ? updates.reason.trim() : undefined
+        })
 
         // Log update for audit
         console.log(`Geofence updated: ${geofence.name} by user: ${req.user.uid}`)
@@ -757,12 +763,21 @@ export const updateGeofence = async (req, res) => {
                 geometry: geofence.geometry,
                 riskLevel: geofence.riskLevel,
                 isActive: geofence.isActive,
+                revision: geofence.revision,
+                changes: revision.changes,
                 updatedAt: geofence.updatedAt
             }
         })
 
     } catch (error) {
         console.error('Error updating geofence:', error)
+
+        if (error.name === 'NotFoundError') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            })
+        }
         
         if (error.name === 'ValidationError') {
             return res.status(400).json({
@@ -792,18 +807,6 @@ export const deleteGeofence = async (req, res) => {
             })
         }
 
-        // Check ownership or admin permission
-        const isOwner = geofence.createdBy === req.user?.uid
-        const isAdmin = req.user?.email?.includes('@admin.yatrasuraksha.com') || 
-                       req.user?.email === process.env.ADMIN_EMAIL
-
-        if (!isOwner && !isAdmin) {
-            return res.status(403).json({
-                success: false,
-                message: 'You can only delete geofences you created'
-            })
-        }
-
         // Check if geofence is referenced in active alerts
         const activeAlerts = await Alert.countDocuments({
             geoFenceId: fenceId,
@@ -818,10 +821,9 @@ export const deleteGeofence = async (req, res) => {
         }
 
         // Soft delete - mark as inactive instead of hard delete for audit trail
-        await GeoFence.findByIdAndUpdate(fenceId, {
-            isActive: false,
-            deletedAt: new Date(),
-            deletedBy: req.user.uid
+        await geofenceRevisionService.applyChange(fenceId, { isActive: false }, {
+            action: 'delete',
+            changedBy: req.user.uid
         })
 
         // Log deletion for audit
@@ -841,6 +843,672 @@ export const deleteGeofence = async (req, res) => {
     }
 }
 
+export const importGeofences = async (req, res) => {
+    try {
+        const options = { ...req.query, ...(req.file ? req.body : {}) }
+        const dryRun = options.dryRun === true || options.dryRun === 'true'
+        const content = req.file ? req.file.buffer.toString('utf8') : req.body
+
+        if (!content || (typeof content === 'object' && Object.keys(content).length === 0)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Upload a GeoJSON, KML or GPX file as "file", or send GeoJSON as the request body'
+            })
+        }
+
+        const format = geofenceTransferService.detectFormat({
+            format: options.format,
+            filename: req.file?.originalname,
+            content
+        })
+        if (!format) {
+            return res.status(400).json({
+                success: false,
+                message: `Unsupported or unrecognised format. Must be one of: ${IMPORT_FORMATS.join(', ')}`
+            })
+        }
+
+        let features
+        try {
+            features = geofenceTransferService.parse(content, format)
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                message: `Could not parse ${format.toUpperCase()} file: ${error.message}`
+            })
+        }
+
+        const defaults = {
+            type: options.defaultType,
+            riskLevel: options.defaultRiskLevel !== undefined ? parseInt(options.defaultRiskLevel) : undefined
+        }
+
+        const names = features.map(feature => feature.name?.trim()).filter(Boolean)
+        const existingNames = new Set(
+            (await GeoFence.find({ name: { $in: names }, isActive: true }).select('name').lean())
+                .map(fence => fence.name)
+        )
+        const seenNames = new Set()
+
+        const results = []
+        for (const feature of features) {
+            const result = { index: feature.index, name: feature.name, status: 'valid', errors: [] }
+            results.push(result)
+
+            if (feature.error) {
+                result.errors.push(feature.error)
+            }
+
+            const data = feature.error ? null : geofenceTransferService.toGeofenceData(feature, defaults)
+            if (data) {
+                if (!data.name) {
+                    result.errors.push('Name is required')
+                }
+                const validationError = getGeofenceDataError(data)
+                if (validationError) {
+                    result.errors.push(validationError)
+                }
+                if (data.name && (existingNames.has(data.name) || seenNames.has(data.name))) {
+                    result.errors.push('A geofence with this name already exists')
+                }
+                if (data.name) {
+                    seenNames.add(data.name)
+                }
+            }
+
+            if (result.errors.length > 0) {
+                result.status = 'error'
+                continue
+            }
+
+            const geofence = new GeoFence({
+                ...data,
+                geometry: normalizeGeometry(data.geometry),
+                riskLevel: data.riskLevel || 5,
+                alertMessage: data.alertMessage || {
+                    english: `You are entering ${data.name}`,
+                    hindi: `आप ${data.name} में प्रवेश कर रहे हैं`
+                },
+                restrictions: data.restrictions || {},
+                metadata: data.metadata || {},
+                isActive: true,
+                createdBy: req.user.uid,
+                revision: 1
+            })
+
+            try {
+                if (dryRun) {
+                    await geofence.validate()
+                } else {
+                    await geofence.save()
+                    await geofenceRevisionService.recordCreation(geofence, {
+                        changedBy: req.user.uid,
+                        reason: `Imported from ${format.toUpperCase()}`
+                    })
+                    result.status = 'created'
+                    result.id = geofence._id
+                }
+            } catch (error) {
+                result.status = 'error'
+                result.errors.push(error.name === 'ValidationError' && error.errors
+                    ? Object.values(error.errors).map(err => err.message).join('; ')
+                    : error.message)
+            }
+        }
+
+        const summary = {
+            total: results.length,
+            valid: results.filter(r => r.status !== 'error').length,
+            created: results.filter(r => r.status === 'created').length,
+            failed: results.filter(r => r.status === 'error').length
+        }
+
+        console.log(`Geofence import (${format}${dryRun ? ', dry run' : ''}) by user: ${req.user.uid}: ${summary.created} created, ${summary.failed} failed`)
+
+        const status = dryRun ? 200 : summary.created > 0 ? 201 : 400
+        res.status(status).json({
+            success: dryRun ? summary.failed === 0 : summary.created > 0,
+            message: dryRun
+                ? `Dry run: ${summary.valid} of ${summary.total} features can be imported`
+                : `Imported ${summary.created} of ${summary.total} features`,
+            data: {
+                format,
+                dryRun,
+                summary,
+                results
+            }
+        })
+
+    } catch (error) {
+        console.error('Error importing geofences:', error)
+        res.status(500).json({
+            success: false,
+            message: 'Failed to import geofences'
+        })
+    }
+}
+
+export const exportGeofences = async (req, res) => {
+    try {
+        const { format = 'geojson', type, isActive = 'true', riskLevel, ids } = req.query
+
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`
+            })
+        }
+
+        const filter = {}
+        if (type) {
+            filter.type = type
+        }
+        if (isActive !== 'all') {
+            filter.isActive = isActive === 'true'
+        }
+        if (riskLevel) {
+            filter.riskLevel = { $gte: parseInt(riskLevel) }
+        }
+        if (ids) {
+            const idList = ids.split(',').map(id => id.trim()).filter(Boolean)
+            if (idList.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'ids must be a comma-separated list of geofence IDs'
+                })
+            }
+            filter._id = { $in: idList }
+        }
+
+        const geofences = await GeoFence.find(filter).sort({ name: 1 }).lean()
+        const date = new Date().toISOString().slice(0, 10)
+
+        if (format === 'kml') {
+            res.set('Content-Type', 'application/vnd.google-earth.kml+xml')
+            res.set('Content-Disposition', `attachment; filename="geofences-${date}.kml"`)
+            return res.send(geofenceTransferService.toKML(geofences))
+        }
+
+        res.set('Content-Type', 'application/geo+json')
+        res.set('Content-Disposition', `attachment; filename="geofences-${date}.geojson"`)
+        res.send(JSON.stringify(geofenceTransferService.toGeoJSON(geofences), null, 2))
+
+    } catch (error) {
+        console.error('Error exporting geofences:', error)
+        res.status(500).json({
+            success: false,
+            message: 'Failed to export geofences'
+        })
+    }
+}
+
+export const setGeofenceWeather = async (req, res) => {
+    try {
+        const { condition, reason } = req.body
+        const geofence = req.geofence
+
+        if (!WEATHER_CONDITIONS.includes(condition)) {
+            return res.status(400).json({
+                success: false,
+                message: `Condition must be one of: ${WEATHER_CONDITIONS.join(', ')}`
+            })
+        }
+
+        if (!geofence.restrictions?.weatherDependent) {
+            return res.status(409).json({
+                success: false,
+                message: 'Geofence is not weather dependent'
+            })
+        }
+
+        const weatherStatus = {
+            condition,
+            reason: reason?.trim(),
+            updatedBy: req.user.uid,
+            updatedAt: new Date()
+        }
+        const { geofence: updated } = await geofenceRevisionService.applyChange(geofence._id, {
+            'restrictions.weatherStatus': weatherStatus
+        }, {
+            action: 'weather',
+            changedBy: req.user.uid,
+            reason: weatherStatus.reason
+        })
+
+        notifyAdmins('geofence_weather_updated', {
+            fenceId: geofence._id,
+            fenceName: geofence.name,
+            condition,
+            reason: weatherStatus.reason,
+            updatedBy: req.user.uid,
+            timestamp: weatherStatus.updatedAt
+        })
+
+        console.log(`Geofence weather set to ${condition}: ${geofence.name} by user: ${req.user.uid}`)
+
+        res.json({
+            success: true,
+            message: 'Geofence weather condition updated',
+            data: {
+                id: updated._id,
+                name: updated.name,
+                revision: updated.revision,
+                weatherStatus: updated.restrictions.weatherStatus
+            }
+        })
+
+    } catch (error) {
+        console.error('Error updating geofence weather:', error)
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update geofence weather condition'
+        })
+    }
+}
+
+export const getGeofenceOccupancy = async (req, res) => {
+    try {
+        const hours = req.query.hours === undefined ? 24 : Number(req.query.hours)
+
+        if (!Number.isInteger(hours) || hours < 1 || hours > 168) {
+            return res.status(400).json({
+                success: false,
+                message: 'Hours must be an integer between 1 and 168'
+            })
+        }
+
+        const occupancy = await occupancyService.getOccupancy(req.geofence, { hours })
+
+        res.json({
+            success: true,
+            data: occupancy
+        })
+
+    } catch (error) {
+        console.error('Error getting geofence occupancy:', error)
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve geofence occupancy'
+        })
+    }
+}
+
+export const getGeofenceRevisions = async (req, res) => {
+    try {
+        const { fenceId } = req.params
+        const { page, limit } = req.pagination
+
+        const { revisions, totalCount } = await geofenceRevisionService.listRevisions(fenceId, { page, limit })
+        const totalPages = Math.ceil(totalCount / limit)
+
+        res.json({
+            success: true,
+            data: {
+                fenceId,
+                currentRevision: req.geofence.revision,
+                revisions,
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalCount,
+                    limit,
+                    hasNextPage: page < totalPages,
+                    hasPrevPage: page > 1
+                }
+            }
+        })
+
+    } catch (error) {
+        console.error('Error getting geofence revisions:', error)
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve geofence revisions'
+        })
+    }
+}
+
+export const getGeofenceRevision = async (req, res) => {
+    try {
+        const { fenceId } = req.params
+        const revisionNumber = Number(req.params.revision)
+
+        if (!Number.isInteger(revisionNumber) || revisionNumber < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Revision must be a non-negative integer'
+            })
+        }
+
+        const revision = await geofenceRevisionService.getRevision(fenceId, revisionNumber)
+        if (!revision) {
+            return res.status(404).json({
+                success: false,
+                message: `Revision ${revisionNumber} not found`
+            })
+        }
+
+        res.json({
+            success: true,
+            data: revision
+        })
+
+    } catch (error) {
+        console.error('Error getting geofence revision:', error)
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve geofence revision'
+        })
+    }
+}
+
+export const getGeofenceAsOf = async (req, res) => {
+    try {
+        const { fenceId } = req.params
+        const asOf = new Date(req.query.date)
+
+        if (!req.query.date || Number.isNaN(asOf.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'A valid date query parameter is required'
+            })
+        }
+
+        const revision = await geofenceRevisionService.getRevisionAsOf(fenceId, asOf)
+        if (revision) {
+            return res.json({
+                success: true,
+                data: {
+                    fenceId,
+                    asOf,
+                    revision: revision.revision,
+                    action: revision.action,
+                    changedBy: revision.changedBy,
+                    effectiveFrom: revision.createdAt,
+                    geofence: revision.snapshot
+                }
+            })
+        }
+
+        // Fences created before versioning and never changed since have no
+        // history yet; their current state has applied since creation.
+        const geofence = req.geofence
+        const hasHistory = await geofenceRevisionService.getRevision(fenceId, geofence.revision)
+        if (!hasHistory && geofence.createdAt <= asOf) {
+            return res.json({
+                success: true,
+                data: {
+                    fenceId,
+                    asOf,
+                    revision: geofence.revision,
+                    action: null,
+                    changedBy: geofence.lastModifiedBy || geofence.createdBy,
+                    effectiveFrom: geofence.updatedAt,
+                    geofence: geofenceRevisionService.snapshot(geofence)
+                }
+            })
+        }
+
+        res.status(404).json({
+            success: false,
+            message: `No recorded state for this geofence as of ${asOf.toISOString()}`
+        })
+
+    } catch (error) {
+        console.error('Error getting geofence as of date:', error)
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve geofence state'
+        })
+    }
+}
+
+export const rollbackGeofence = async (req, res) => {
+    try {
+        const { fenceId } = req.params
+        const { revision: target, reason } = req.body
+
+        if (!Number.isInteger(target) || target < 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Revision must be a non-negative integer'
+            })
+        }
+
+        if (target >= req.geofence.revision) {
+            return res.status(400).json({
+                success: false,
+                message: `Revision must be earlier than the current revision (${req.geofence.revision})`
+            })
+        }
+
+        const { geofence, revision } = await geofenceRevisionService.rollback(fenceId, target, {
+            changedBy: req.user.uid,
+            reason: typeof reason === 'string' ? reason.trim() : undefined
+        })
+
+        console.log(`Geofence rolled back to revision ${target}: ${geofence.name} by user: ${req.user.uid}`)
+
+        res.json({
+            success: true,
+            message: `Geofence rolled back to revision ${target}`,
+            data: {
+                id: geofence._id,
+                name: geofence.name,
+                type: geofence.type,
+                geometry: geofence.geometry,
+                riskLevel: geofence.riskLevel,
+                isActive: geofence.isActive,
+                revision: geofence.revision,
+                rolledBackTo: target,
+                changes: revision.changes
+            }
+        })
+
+    } catch (error) {
+        console.error('Error rolling back geofence:', error)
+
+        if (error.name === 'NotFoundError') {
+            return res.status(404).json({
+                success: false,
+                message: error.message
+            })
+        }
+
+        if (error.name === 'ConflictError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message
+            })
+        }
+
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation error',
+                details: Object.values(error.errors || {}).map(err => err.message)
+            })
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to roll back geofence'
+        })
+    }
+}
+
+export const checkGeofences = async (req, res) => {
+    try {
+        const { latitude, longitude, type } = req.query
+        const lat = parseFloat(latitude)
+        const lng = parseFloat(longitude)
+
+        if (Number.isNaN(lat) || Number.isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+            return res.status(400).json({
+                success: false,
+                message: 'Valid latitude and longitude are required'
+            })
+        }
+
+        const geoFences = await geofenceService.findFencesAt(lng, lat, type ? { type } : {})
+
+        const matches = geoFences
+            .map(fence => ({
+                id: fence._id,
+                name: fence.name,
+                type: fence.type,
+                geometryType: fence.geometry.type,
+                radius: fence.radius,
+                riskLevel: fence.riskLevel,
+                alertMessage: fence.alertMessage?.english
+            }))
+            .sort((a, b) => b.riskLevel - a.riskLevel)
+
+        res.json({
+            success: true,
+            data: {
+                location: { latitude: lat, longitude: lng },
+                geofences: matches,
+                count: matches.length
+            }
+        })
+
+    } catch (error) {
+        console.error('Error checking geofences:', error)
+        res.status(500).json({
+            success: false,
+            message: 'Failed to check geofences'
+        })
+    }
+}
+
+const formatSafetyScore = (tourist, history) => {
+    const latest = history[0]
+    return {
+        touristId: tourist._id,
+        score: tourist.safetyScore,
+        band: latest?.band ?? null,
+        updatedAt: tourist.safetyScoreUpdatedAt ?? null,
+        factors: latest?.factors ?? [],
+        history: history.map(entry => ({
+            score: entry.score,
+            previousScore: entry.previousScore,
+            band: entry.band,
+            trigger: entry.trigger,
+            computedAt: entry.computedAt
+        }))
+    }
+}
+
+export const getMySafetyScore = async (req, res) => {
+    try {
+        let tourist = req.tourist
+        let history = await safetyScoreService.getHistory(tourist._id, { limit: 10 })
+
+        // Profiles that have not been scored yet
+        if (history.length === 0) {
+            await safetyScoreService.recompute(tourist._id, { trigger: 'manual' })
+            tourist = await Tourist.findById(tourist._id).select('safetyScore safetyScoreUpdatedAt').lean()
+            history = await safetyScoreService.getHistory(tourist._id, { limit: 10 })
+        }
+
+        res.json({
+            success: true,
+            data: formatSafetyScore(tourist, history)
+        })
+
+    } catch (error) {
+        console.error('Error getting safety score:', error)
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve safety score'
+        })
+    }
+}
+
+export const getTouristSafetyScore = async (req, res) => {
+    try {
+        const limit = req.query.limit === undefined ? 20 : Number(req.query.limit)
+
+        if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+            return res.status(400).json({
+                success: false,
+                message: 'Limit must be between 1 and 100'
+            })
+        }
+
+        const history = await safetyScoreService.getHistory(req.tourist._id, { limit })
+
+        res.json({
+            success: true,
+            data: formatSafetyScore(req.tourist, history)
+        })
+
+    } catch (error) {
+        console.error('Error getting tourist safety score:', error)
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve safety score'
+        })
+    }
+}
+
+export const recomputeSafetyScore = async (req, res) => {
+    try {
+        const result = await safetyScoreService.recompute(req.tourist._id, { trigger: 'manual' })
+
+        console.log(`Safety score recomputed for tourist ${req.tourist._id} by user: ${req.user.uid}`)
+
+        res.json({
+            success: true,
+            message: 'Safety score recomputed',
+            data: result
+        })
+
+    } catch (error) {
+        console.error('Error recomputing safety score:', error)
+        res.status(500).json({
+            success: false,
+            message: 'Failed to recompute safety score'
+        })
+    }
+}
+
+export const getMyItineraryTimeline = async (req, res) => {
+    try {
+        const timeline = await itineraryMonitorService.getTimeline(req.tourist)
+
+        res.json({
+            success: true,
+            data: timeline
+        })
+
+    } catch (error) {
+        console.error('Error getting itinerary timeline:', error)
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve itinerary timeline'
+        })
+    }
+}
+
+export const getTouristItineraryTimeline = async (req, res) => {
+    try {
+        const timeline = await itineraryMonitorService.getTimeline(req.tourist)
+
+        res.json({
+            success: true,
+            data: timeline
+        })
+
+    } catch (error) {
+        console.error('Error getting tourist itinerary timeline:', error)
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve itinerary timeline'
+        })
+    }
+}
+
 export const getConnectedDevices = async (req, res) => {
     try {
         const devices = await Device.find({
@@ -952,7 +1620,7 @@ export const getUserLocationHistory = async (req, res) => {
 
         // Authorization check: user can only access their own data OR admin access
         const isOwnData = req.user && req.user.uid === tourist.firebaseUid;
-        const isAdmin = req.user && (req.user.role === 'admin' || req.user.role === 'authority');
+        const isAdmin = req.user?.permissions?.includes(PERMISSIONS.LOCATIONS_READ_ANY);
         
         if (!isOwnData && !isAdmin) {
             return res.status(403).json({
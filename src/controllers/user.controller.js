@@ -1,6 +1,25 @@
 import Tourist from '../models/tourist.model.js';
+import AuditLog from '../models/auditLog.model.js';
+import safetyScoreService from '../services/safetyScore.service.js';
+import itineraryService from '../services/itinerary.service.js';
 import { v4 as uuidv4 } from 'uuid';
 
+// Signed into the digital ID and matched against the KYC documents, so they
+// cannot change once KYC is verified
+const KYC_IDENTITY_FIELDS = ['name', 'dateOfBirth', 'nationality'];
+
+const changesKycIdentity = (current, requested) => KYC_IDENTITY_FIELDS.some(field => {
+    if (requested[field] === undefined) {
+        return false;
+    }
+    const before = current[field] ?? null;
+    const after = requested[field] ?? null;
+    if (field === 'dateOfBirth') {
+        return (before && new Date(before).getTime()) !== (after && new Date(after).getTime());
+    }
+    return before !== after;
+});
+
 const createAutomaticTouristProfile = async (firebaseUser) => {
     try {
         const { uid, email, name, picture, emailVerified } = firebaseUser;
@@ -280,8 +299,11 @@ export const updateTouristProfile = async (req, res) => {
                 error: 'UNAUTHORIZED'
             });
         }
-        // Get existing profile from database - DON'T create or override
-        let touristProfile = await Tourist.findOne({ firebaseUid: req.user.uid });
+        // Get existing profile from database - DON'T create or override.
+        // The hidden document numbers are loaded so replacing personalInfo
+        // below keeps them.
+        let touristProfile = await Tourist.findOne({ firebaseUid: req.user.uid })
+            .select('+personalInfo.aadhaarNumber +personalInfo.passportNumber');
         
         if (!touristProfile) {
             return res.status(404).json({
@@ -291,7 +313,16 @@ export const updateTouristProfile = async (req, res) => {
             });
         }
 
-        const allowedUpdates = ['personalInfo', 'emergencyContacts', 'preferences', 'travelItinerary', 'riskProfile'];
+        if (req.body.personalInfo && touristProfile.kycStatus === 'verified'
+            && changesKycIdentity(touristProfile.personalInfo, req.body.personalInfo)) {
+            return res.status(409).json({
+                success: false,
+                message: 'Name, date of birth and nationality cannot be changed after KYC verification',
+                error: 'IDENTITY_LOCKED'
+            });
+        }
+
+        const allowedUpdates = ['personalInfo', 'emergencyContacts', 'preferences', 'riskProfile'];
         const updates = {};
         for (const key of allowedUpdates) {
             if (req.body[key] !== undefined) {
@@ -335,6 +366,10 @@ export const updateTouristProfile = async (req, res) => {
             { new: true, runValidators: true }
         );
 
+        if (updates.riskProfile) {
+            safetyScoreService.requestRecompute(updatedProfile._id, 'profile_update');
+        }
+
         res.status(200).json({
             success: true,
             message: 'Tourist profile updated successfully',
@@ -466,7 +501,7 @@ export const getProfileStatus = async (req, res) => {
     }
 };
 
-// Admin-only routes (no authentication required)
+// Admin-only routes (require PERMISSIONS.TOURISTS_READ)
 export const getAllTourists = async (req, res) => {
     try {
         const { page = 1, limit = 50, status, search } = req.query;
@@ -547,3 +582,371 @@ export const getTouristById = async (req, res) => {
     }
 };
 
+
+export const registerDevice = async (req, res) => {
+    try {
+        const { deviceId, deviceType = 'mobile', pushToken } = req.body;
+
+        if (!deviceId || typeof deviceId !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'deviceId is required'
+            });
+        }
+
+        if (!['mobile', 'smart_band', 'iot_tag'].includes(deviceType)) {
+            return res.status(400).json({
+                success: false,
+                message: 'deviceType must be one of: mobile, smart_band, iot_tag'
+            });
+        }
+
+        if (pushToken !== undefined && (typeof pushToken !== 'string' || pushToken.length < 10)) {
+            return res.status(400).json({
+                success: false,
+                message: 'pushToken must be a valid FCM registration token'
+            });
+        }
+
+        const touristProfile = await Tourist.findOne({ firebaseUid: req.user.uid });
+        if (!touristProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tourist profile not found',
+                error: 'PROFILE_NOT_FOUND'
+            });
+        }
+
+        let device = touristProfile.devices.find(d => d.deviceId === deviceId);
+        if (device) {
+            device.deviceType = deviceType;
+            device.isActive = true;
+            device.lastSeen = new Date();
+            if (pushToken !== undefined) {
+                device.pushToken = pushToken;
+            }
+        } else {
+            touristProfile.devices.push({
+                deviceId,
+                deviceType,
+                isActive: true,
+                lastSeen: new Date(),
+                pushToken
+            });
+            device = touristProfile.devices[touristProfile.devices.length - 1];
+        }
+
+        await touristProfile.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Device registered successfully',
+            data: {
+                deviceId: device.deviceId,
+                deviceType: device.deviceType,
+                pushEnabled: !!device.pushToken
+            }
+        });
+    } catch (error) {
+        console.error('Error registering device:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to register device',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'INTERNAL_ERROR'
+        });
+    }
+};
+
+export const upsertPermit = async (req, res) => {
+    try {
+        const { type, permitNumber, issuedBy, validFrom, validUntil } = req.body;
+
+        if (!type || typeof type !== 'string' || !type.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Permit type is required'
+            });
+        }
+
+        const from = validFrom ? new Date(validFrom) : undefined;
+        const until = validUntil ? new Date(validUntil) : undefined;
+        if ((from && isNaN(from.getTime())) || (until && isNaN(until.getTime()))) {
+            return res.status(400).json({
+                success: false,
+                message: 'validFrom and validUntil must be valid dates'
+            });
+        }
+        if (from && until && from > until) {
+            return res.status(400).json({
+                success: false,
+                message: 'validFrom must be before validUntil'
+            });
+        }
+
+        const touristProfile = await Tourist.findOne({ firebaseUid: req.user.uid });
+        if (!touristProfile) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tourist profile not found',
+                error: 'PROFILE_NOT_FOUND'
+            });
+        }
+
+        const permitType = type.trim();
+        let permit = touristProfile.permits.find(p =>
+            p.type.toLowerCase() === permitType.toLowerCase() &&
+            (!permitNumber || p.permitNumber === permitNumber)
+        );
+        if (permit) {
+            permit.permitNumber = permitNumber ?? permit.permitNumber;
+            permit.issuedBy = issuedBy ?? permit.issuedBy;
+            permit.validFrom = from ?? permit.validFrom;
+            permit.validUntil = until ?? permit.validUntil;
+            // A changed permit has to be verified again
+            permit.status = 'pending';
+            permit.reviewedBy = undefined;
+            permit.reviewedAt = undefined;
+            permit.rejectionReason = undefined;
+        } else {
+            touristProfile.permits.push({ type: permitType, permitNumber, issuedBy, validFrom: from, validUntil: until });
+            permit = touristProfile.permits[touristProfile.permits.length - 1];
+        }
+
+        await touristProfile.save();
+
+        res.status(200).json({
+            success: true,
+            message: 'Permit submitted for verification',
+            data: {
+                permits: touristProfile.permits
+            }
+        });
+    } catch (error) {
+        console.error('Error recording permit:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to record permit',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'INTERNAL_ERROR'
+        });
+    }
+};
+
+// Officials verify or reject permits submitted by tourists
+export const reviewTouristPermit = async (req, res) => {
+    try {
+        const { status, reason } = req.body;
+
+        if (!['verified', 'rejected'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'status must be verified or rejected'
+            });
+        }
+        const rejectionReason = typeof reason === 'string' ? reason.trim() : '';
+        if (status === 'rejected' && !rejectionReason) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required when rejecting a permit'
+            });
+        }
+
+        const tourist = await Tourist.findById(req.params.touristId);
+        const permit = tourist?.permits.id(req.params.permitId);
+        if (!permit) {
+            return res.status(404).json({
+                success: false,
+                message: 'Permit not found',
+                error: 'PERMIT_NOT_FOUND'
+            });
+        }
+
+        const previousStatus = permit.status;
+        permit.status = status;
+        permit.reviewedBy = req.account._id;
+        permit.reviewedAt = new Date();
+        permit.rejectionReason = status === 'rejected' ? rejectionReason : undefined;
+        await tourist.save();
+
+        await AuditLog.record({
+            action: status === 'verified' ? 'permit_verified' : 'permit_rejected',
+            actor: req.account,
+            target: { model: 'Tourist', id: tourist._id.toString() },
+            changes: {
+                before: { permitId: permit._id.toString(), status: previousStatus },
+                after: { permitId: permit._id.toString(), status }
+            },
+            reason: rejectionReason || undefined,
+            req
+        });
+
+        res.status(200).json({
+            success: true,
+            message: `Permit ${status}`,
+            data: { permit }
+        });
+    } catch (error) {
+        console.error('Error reviewing permit:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to review permit',
+            error: process.env.NODE_ENV === 'development' ? error.message : 'INTERNAL_ERROR'
+        });
+    }
+};
+
+const ITINERARY_ERROR_STATUS = {
+    ValidationError: 400,
+    NotFoundError: 404,
+    GeocodingError: 502,
+    LedgerUnavailableError: 503
+};
+
+const sendItineraryError = (res, error, message) => {
+    const status = ITINERARY_ERROR_STATUS[error.name];
+    if (status) {
+        return res.status(status).json({
+            success: false,
+            message: error.message,
+            // Mongoose validation errors carry per-field messages
+            ...(error.errors ? { errors: Object.values(error.errors).map(err => err.message) } : {})
+        });
+    }
+    res.status(500).json({
+        success: false,
+        message,
+        error: process.env.NODE_ENV === 'development' ? error.message : 'INTERNAL_ERROR'
+    });
+};
+
+const findOwnProfile = async (req, res) => {
+    const touristProfile = await Tourist.findOne({ firebaseUid: req.user.uid });
+    if (!touristProfile) {
+        res.status(404).json({
+            success: false,
+            message: 'Tourist profile not found',
+            error: 'PROFILE_NOT_FOUND'
+        });
+    }
+    return touristProfile;
+};
+
+export const getItinerary = async (req, res) => {
+    try {
+        const touristProfile = await findOwnProfile(req, res);
+        if (!touristProfile) {
+            return;
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                itinerary: itineraryService.listLegs(touristProfile)
+            }
+        });
+    } catch (error) {
+        console.error('Error getting itinerary:', error);
+        sendItineraryError(res, error, 'Failed to retrieve itinerary');
+    }
+};
+
+export const addItineraryLeg = async (req, res) => {
+    try {
+        const touristProfile = await findOwnProfile(req, res);
+        if (!touristProfile) {
+            return;
+        }
+
+        const leg = await itineraryService.addLeg(touristProfile, req.body);
+
+        res.status(201).json({
+            success: true,
+            message: 'Itinerary leg added successfully',
+            data: { leg }
+        });
+    } catch (error) {
+        console.error('Error adding itinerary leg:', error);
+        sendItineraryError(res, error, 'Failed to add itinerary leg');
+    }
+};
+
+export const updateItineraryLeg = async (req, res) => {
+    try {
+        const touristProfile = await findOwnProfile(req, res);
+        if (!touristProfile) {
+            return;
+        }
+
+        const leg = await itineraryService.updateLeg(touristProfile, req.params.legId, req.body);
+
+        res.status(200).json({
+            success: true,
+            message: 'Itinerary leg updated successfully',
+            data: { leg }
+        });
+    } catch (error) {
+        console.error('Error updating itinerary leg:', error);
+        sendItineraryError(res, error, 'Failed to update itinerary leg');
+    }
+};
+
+export const deleteItineraryLeg = async (req, res) => {
+    try {
+        const touristProfile = await findOwnProfile(req, res);
+        if (!touristProfile) {
+            return;
+        }
+
+        const result = await itineraryService.removeLeg(touristProfile, req.params.legId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Itinerary leg removed successfully',
+            data: result
+        });
+    } catch (error) {
+        console.error('Error removing itinerary leg:', error);
+        sendItineraryError(res, error, 'Failed to remove itinerary leg');
+    }
+};
+
+export const verifyItineraryLeg = async (req, res) => {
+    try {
+        const touristProfile = await findOwnProfile(req, res);
+        if (!touristProfile) {
+            return;
+        }
+
+        const verification = await itineraryService.verifyLeg(touristProfile, req.params.legId);
+
+        res.status(200).json({
+            success: true,
+            data: verification
+        });
+    } catch (error) {
+        console.error('Error verifying itinerary leg:', error);
+        sendItineraryError(res, error, 'Failed to verify itinerary leg');
+    }
+};
+
+export const verifyTouristItineraryLeg = async (req, res) => {
+    try {
+        const tourist = await Tourist.findById(req.params.touristId);
+        if (!tourist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tourist not found',
+                error: 'TOURIST_NOT_FOUND'
+            });
+        }
+
+        const verification = await itineraryService.verifyLeg(tourist, req.params.legId);
+
+        res.status(200).json({
+            success: true,
+            data: verification
+        });
+    } catch (error) {
+        console.error('Error verifying tourist itinerary leg:', error);
+        sendItineraryError(res, error, 'Failed to verify itinerary leg');
+    }
+};
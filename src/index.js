@@ -12,8 +12,17 @@ import connectDB from './db/index.db.js'
 import userRouter from './routes/user.router.js'
 import ocrRouter from './routes/ocr.router.js'
 import trackingRouter from './routes/tracking.router.js'
+import roleRouter from './routes/role.router.js'
+import incidentRouter from './routes/incident.router.js'
+import digitalIdRouter from './routes/digitalId.router.js'
+import kycRouter from './routes/kyc.router.js'
 import { initializeSocketIO } from './services/socket.service.js'
 import { cleanupOrphanedRecords } from './middlewares/validation.middleware.js'
+import escalationService from './services/escalation.service.js'
+import occupancyService from './services/occupancy.service.js'
+import safetyScoreService from './services/safetyScore.service.js'
+import itineraryMonitorService from './services/itineraryMonitor.service.js'
+import digitalIdLifecycleService from './services/digitalIdLifecycle.service.js'
 import cron from 'node-cron'
 
 const app = express()
@@ -63,6 +72,10 @@ app.get('/', (req, res) => {
 app.use('/api/users', userRouter)
 app.use('/api/ocr', ocrRouter)
 app.use('/api/tracking', trackingRouter)
+app.use('/api/roles', roleRouter)
+app.use('/api/incidents', incidentRouter)
+app.use('/api/digital-id', digitalIdRouter)
+app.use('/api/kyc', kycRouter)
 
 app.use((req, res) => {
     res.status(404).json({
@@ -102,6 +115,12 @@ connectDB().then(() => {
         setTimeout(() => {
             cleanupOrphanedRecords();
         }, 5000);
+
+        escalationService.start();
+        occupancyService.start();
+        safetyScoreService.start();
+        itineraryMonitorService.start();
+        digitalIdLifecycleService.start();
     })
 }).catch((error) => {
     console.error("Failed to connect to the database:", error);
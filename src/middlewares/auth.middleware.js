@@ -221,4 +221,38 @@ export const optionalAuth = async (req, res, next) => {
         req.user = null;
         next();
     }
-};
\ No newline at end of file
+};
+// Socket.IO counterpart of verifyFirebaseToken, registered with io.use().
+// Clients pass the ID token in the handshake, io(url, { auth: { token } }),
+// or as a Bearer Authorization header. Rejected connections receive a
+// connect_error with the message.
+export const verifySocketToken = async (socket, next) => {
+    if (!auth) {
+        return next(new Error('Firebase authentication is not configured'));
+    }
+
+    const authHeader = socket.handshake.headers?.authorization;
+    const token = socket.handshake.auth?.token
+        || (authHeader?.startsWith('Bearer ') ? authHeader.split(' ')[1] : null);
+    if (!token || token.split('.').length !== 3) {
+        return next(new Error('Valid Firebase ID token is required'));
+    }
+
+    try {
+        const decodedToken = await auth.verifyIdToken(token);
+        socket.data.user = {
+            uid: decodedToken.uid,
+            email: decodedToken.email,
+            emailVerified: decodedToken.email_verified,
+            name: decodedToken.name,
+            picture: decodedToken.picture,
+            signInProvider: decodedToken.firebase?.sign_in_provider,
+            firebaseUser: decodedToken
+        };
+        next();
+    } catch (error) {
+        next(new Error(error.code === 'auth/id-token-expired'
+            ? 'Token has expired. Please login again.'
+            : 'Invalid or expired token'));
+    }
+};
@@ -1,50 +1,46 @@
-// Role-based authorization middleware
-export const requireAdminRole = async (req, res, next) => {
-    try {
-        // Check if user has admin or authority role
-        const user = req.user;
-        if (!user) {
-            return res.status(401).json({
-                success: false,
-                message: 'Authentication required'
-            });
-        }
+import { validateGeometry } from '../services/geometry.service.js';
+import { isValidTimeOfDay, isValidTimezone, TRACKED_ACTIVITIES } from '../services/geofenceRestriction.service.js';
 
-        // For now, check if user email contains admin domains
-        // TODO: Implement proper role system in database
-        const adminDomains = ['@admin.yatrasuraksha.com', '@authority.gov.in'];
-        const testEmails = ['test@gmail.com']; // Allow test users during development
-        const isAdmin = adminDomains.some(domain => user.email?.includes(domain)) ||
-                       user.email === process.env.ADMIN_EMAIL ||
-                       (process.env.NODE_ENV === 'development' && testEmails.includes(user.email));
-
-        if (!isAdmin) {
-            return res.status(403).json({
-                success: false,
-                message: 'Admin access required for geofence operations. Current user: ' + user.email
-            });
-        }
+const validateRestrictions = (restrictions) => {
+    if (typeof restrictions !== 'object' || restrictions === null) {
+        return 'Restrictions must be an object';
+    }
 
-        next();
-    } catch (error) {
-        return res.status(500).json({
-            success: false,
-            message: 'Error validating admin role',
-            error: error.message
-        });
+    const { timeRestricted, allowedHours, timezone, requiredPermissions, prohibitedActivities, speedLimitKmh } = restrictions;
+
+    if (allowedHours?.from !== undefined && !isValidTimeOfDay(allowedHours.from) ||
+        allowedHours?.to !== undefined && !isValidTimeOfDay(allowedHours.to)) {
+        return 'Allowed hours must use HH:MM (24-hour) format';
+    }
+    if (timeRestricted && (!allowedHours?.from || !allowedHours?.to)) {
+        return 'Time-restricted geofences need allowedHours.from and allowedHours.to';
+    }
+    if (timezone !== undefined && (typeof timezone !== 'string' || !isValidTimezone(timezone))) {
+        return 'Timezone must be a valid IANA timezone, e.g. Asia/Kolkata';
+    }
+    if (requiredPermissions !== undefined &&
+        (!Array.isArray(requiredPermissions) || !requiredPermissions.every(p => typeof p === 'string' && p.trim()))) {
+        return 'Required permissions must be an array of permit types';
     }
+    if (prohibitedActivities !== undefined &&
+        (!Array.isArray(prohibitedActivities) || !prohibitedActivities.every(a => TRACKED_ACTIVITIES.includes(a)))) {
+        return `Prohibited activities must be any of: ${TRACKED_ACTIVITIES.join(', ')}`;
+    }
+    if (speedLimitKmh !== undefined && (typeof speedLimitKmh !== 'number' || speedLimitKmh < 1 || speedLimitKmh > 300)) {
+        return 'Speed limit must be a number between 1 and 300 km/h';
+    }
+
+    return null;
 };
 
-// Enhanced geofence validation
-export const validateGeofenceData = (req, res, next) => {
-    const { name, coordinates, type, radius, riskLevel } = req.body;
+// Validation rules shared by the geofence create/update routes and bulk
+// import. Returns the first problem found, or null when the data is valid.
+export const getGeofenceDataError = (data, { existingRadius } = {}) => {
+    const { name, coordinates, geometry, type, radius, riskLevel, hysteresisMeters, restrictions } = data;
 
     // Validate name
     if (name && (typeof name !== 'string' || name.trim().length < 3)) {
-        return res.status(400).json({
-            success: false,
-            message: 'Name must be at least 3 characters long'
-        });
+        return 'Name must be at least 3 characters long';
     }
 
     // Validate coordinates
@@ -52,18 +48,12 @@ export const validateGeofenceData = (req, res, next) => {
         // Handle object format: { latitude: x, longitude: y }
         if (coordinates.latitude !== undefined && coordinates.longitude !== undefined) {
             if (typeof coordinates.latitude !== 'number' || typeof coordinates.longitude !== 'number') {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Latitude and longitude must be numbers'
-                });
+                return 'Latitude and longitude must be numbers';
             }
             // Validate coordinate ranges
             if (coordinates.longitude < -180 || coordinates.longitude > 180 || 
                 coordinates.latitude < -90 || coordinates.latitude > 90) {
-                return res.status(400).json({
-                    success: false,
-                    message: 'Coordinates out of valid range'
-                });
+                return 'Coordinates out of valid range';
             }
         }
         // Handle array format
@@ -73,56 +63,74 @@ export const validateGeofenceData = (req, res, next) => {
                 for (const coord of coordinates) {
                     if (!Array.isArray(coord) || coord.length !== 2 || 
                         typeof coord[0] !== 'number' || typeof coord[1] !== 'number') {
-                        return res.status(400).json({
-                            success: false,
-                            message: 'Invalid coordinate format. Expected [longitude, latitude]'
-                        });
+                        return 'Invalid coordinate format. Expected [longitude, latitude]';
                     }
                     // Validate longitude/latitude ranges
                     if (coord[0] < -180 || coord[0] > 180 || coord[1] < -90 || coord[1] > 90) {
-                        return res.status(400).json({
-                            success: false,
-                            message: 'Coordinates out of valid range'
-                        });
+                        return 'Coordinates out of valid range';
                     }
                 }
             }
         } else {
-            return res.status(400).json({
-                success: false,
-                message: 'Coordinates must be an array or object with latitude/longitude'
-            });
+            return 'Coordinates must be an array or object with latitude/longitude';
+        }
+    }
+
+    // Validate full GeoJSON geometry (polygons with holes, multipolygons, circles)
+    if (geometry !== undefined) {
+        const geometryError = validateGeometry(geometry, radius ?? existingRadius);
+        if (geometryError) {
+            return geometryError;
         }
     }
 
     // Validate radius
     if (radius !== undefined) {
         if (typeof radius !== 'number' || radius <= 0 || radius > 50000) {
-            return res.status(400).json({
-                success: false,
-                message: 'Radius must be between 1 and 50000 meters'
-            });
+            return 'Radius must be between 1 and 50000 meters';
+        }
+    }
+
+    // Validate hysteresis buffer
+    if (hysteresisMeters !== undefined) {
+        if (typeof hysteresisMeters !== 'number' || hysteresisMeters < 0 || hysteresisMeters > 1000) {
+            return 'Hysteresis buffer must be between 0 and 1000 meters';
+        }
+    }
+
+    // Validate restrictions
+    if (restrictions !== undefined) {
+        const restrictionError = validateRestrictions(restrictions);
+        if (restrictionError) {
+            return restrictionError;
         }
     }
 
     // Validate risk level
     if (riskLevel !== undefined) {
         if (!Number.isInteger(riskLevel) || riskLevel < 1 || riskLevel > 10) {
-            return res.status(400).json({
-                success: false,
-                message: 'Risk level must be an integer between 1 and 10'
-            });
+            return 'Risk level must be an integer between 1 and 10';
         }
     }
 
     // Validate type
     const validTypes = ['safe', 'warning', 'danger', 'restricted', 'emergency_services', 'accommodation', 'tourist_spot'];
     if (type && !validTypes.includes(type)) {
+        return `Invalid type. Must be one of: ${validTypes.join(', ')}`;
+    }
+
+    return null;
+};
+
+// Enhanced geofence validation
+export const validateGeofenceData = (req, res, next) => {
+    const error = getGeofenceDataError(req.body, { existingRadius: req.geofence?.radius });
+    if (error) {
         return res.status(400).json({
             success: false,
-            message: `Invalid type. Must be one of: ${validTypes.join(', ')}`
+            message: error
         });
     }
 
     next();
-};
\ No newline at end of file
+};
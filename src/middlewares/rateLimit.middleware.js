@@ -0,0 +1,24 @@
+import rateLimit from 'express-rate-limit';
+
+const DEFAULT_OCR_LIMIT = 20;
+const OCR_WINDOW_MS = 15 * 60 * 1000;
+
+const getOcrLimit = () => {
+    const limit = parseInt(process.env.OCR_RATE_LIMIT, 10);
+    return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_OCR_LIMIT;
+};
+
+// Document reading rasterises PDFs and may run OCR locally, so each user gets
+// OCR_RATE_LIMIT uploads (default 20) per 15 minutes. Must run after
+// verifyFirebaseToken; requests are counted per Firebase user.
+export const ocrRateLimit = rateLimit({
+    windowMs: OCR_WINDOW_MS,
+    limit: getOcrLimit,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    keyGenerator: (req) => req.user?.uid || req.ip,
+    message: {
+        success: false,
+        message: 'Too many documents uploaded. Please try again later.'
+    }
+});
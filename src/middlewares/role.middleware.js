@@ -0,0 +1,91 @@
+import User from '../models/user.model.js';
+
+// Resolves the database account behind the Firebase identity on req.user and
+// exposes its roles and permissions. Must run after verifyFirebaseToken.
+export const loadUserAccount = async (req, res, next) => {
+    try {
+        if (!req.user || !req.user.uid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        if (!req.account) {
+            const account = await User.findOrCreateFromFirebase(req.user);
+
+            if (!account.isActive) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'User account is disabled'
+                });
+            }
+
+            req.account = account;
+            req.user.id = account._id;
+            req.user.roles = account.roles;
+            req.user.permissions = account.getPermissions();
+        }
+
+        next();
+    } catch (error) {
+        if (error.name === 'ConflictError') {
+            return res.status(409).json({
+                success: false,
+                message: error.message,
+                error: 'EMAIL_IN_USE'
+            });
+        }
+        return res.status(500).json({
+            success: false,
+            message: 'Error loading user roles',
+            error: error.message
+        });
+    }
+};
+
+// Socket.IO counterpart of loadUserAccount; register after verifySocketToken.
+// Adds id, roles and permissions to socket.data.user.
+export const loadSocketAccount = async (socket, next) => {
+    try {
+        const account = await User.findOrCreateFromFirebase(socket.data.user);
+        if (!account.isActive) {
+            return next(new Error('User account is disabled'));
+        }
+
+        socket.data.user.id = account._id;
+        socket.data.user.roles = account.roles;
+        socket.data.user.permissions = account.getPermissions();
+        next();
+    } catch (error) {
+        next(new Error(error.name === 'ConflictError' ? error.message : 'Error loading user roles'));
+    }
+};
+
+export const requireRole = (...roles) => {
+    return (req, res, next) => {
+        loadUserAccount(req, res, () => {
+            if (!req.account.hasRole(...roles)) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Access denied. Required role: ${roles.join(' or ')}`
+                });
+            }
+            next();
+        });
+    };
+};
+
+export const requirePermission = (...permissions) => {
+    return (req, res, next) => {
+        loadUserAccount(req, res, () => {
+            if (!req.account.hasPermission(...permissions)) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Access denied. Missing permission: ${permissions.join(', ')}`
+                });
+            }
+            next();
+        });
+    };
+};
@@ -0,0 +1,76 @@
+import multer from 'multer';
+
+// Document images are kept in memory: OCR reads the buffer and KYC stores
+// only hashes, so uploads never touch the disk.
+const storage = multer.memoryStorage();
+
+// Files per upload, e.g. the front and back of a card
+export const MAX_DOCUMENT_FILES = 4;
+
+const fileFilter = (req, file, cb) => {
+    const allowedMimeTypes = [
+        'image/jpeg',
+        'image/jpg', 
+        'image/png',
+        'image/bmp',
+        'image/tiff',
+        'image/tif',
+        'application/pdf',
+        'application/octet-stream' 
+    ];
+    
+    
+    const allowedExtensions = ['.jpg', '.jpeg', '.png', '.bmp', '.tiff', '.tif', '.pdf'];
+    const fileExtension = file.originalname.toLowerCase().substring(file.originalname.lastIndexOf('.'));
+    
+    console.log(`Uploaded file: ${file.originalname}, MIME type: ${file.mimetype}, Extension: ${fileExtension}`);
+    
+    
+    const isValidMimeType = allowedMimeTypes.includes(file.mimetype.toLowerCase());
+    const isValidExtension = allowedExtensions.includes(fileExtension);
+    
+    if (isValidMimeType || isValidExtension) {
+        
+        if (file.mimetype === 'application/octet-stream' && isValidExtension) {
+            console.log(`📸 Accepting file with octet-stream MIME type due to valid image extension: ${fileExtension}`);
+        }
+        cb(null, true);
+    } else {
+        cb(new Error(`Unsupported file format: ${file.mimetype} (${fileExtension}). Supported formats: JPEG, PNG, BMP, TIFF, PDF`), false);
+    }
+};
+
+export const uploadDocument = multer({
+    storage: storage,
+    limits: {
+        fileSize: 10 * 1024 * 1024,
+        files: MAX_DOCUMENT_FILES
+    },
+    fileFilter: fileFilter
+});
+
+export const handleUploadError = (err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+            return res.status(400).json({
+                success: false,
+                message: 'File too large. Maximum size allowed is 10MB.'
+            });
+        }
+        if (err.code === 'LIMIT_FILE_COUNT') {
+            return res.status(400).json({
+                success: false,
+                message: `Too many files. Please upload at most ${MAX_DOCUMENT_FILES} files, all pages of one document.`
+            });
+        }
+    }
+    
+    if (err.message.includes('Only image files') || err.message.includes('Unsupported file format')) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid file type. Please upload JPEG, PNG, BMP or TIFF images or a PDF.'
+        });
+    }
+
+    next(err);
+};
@@ -1,7 +1,9 @@
 import mongoose from 'mongoose';
 import Tourist from '../models/tourist.model.js';
 import GeoFence from '../models/geoFence.model.js';
+import Incident from '../models/incident.model.js';
 import { LocationHistory, Alert, Device } from '../models/tracking.model.js';
+import { PERMISSIONS } from '../constants.js';
 
 export const validateObjectId = (fieldName) => {
     return (req, res, next) => {
@@ -203,6 +205,36 @@ export const validateAlertExists = async (req, res, next) => {
     }
 };
 
+export const validateIncidentExists = async (req, res, next) => {
+    try {
+        const incidentId = req.params.incidentId || req.body.incidentId;
+        
+        if (!incidentId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Incident ID is required'
+            });
+        }
+
+        const incident = await Incident.findOne({ incidentId });
+        if (!incident) {
+            return res.status(404).json({
+                success: false,
+                message: 'Incident not found'
+            });
+        }
+
+        req.incident = incident;
+        next();
+    } catch (error) {
+        return res.status(500).json({
+            success: false,
+            message: 'Error validating incident existence',
+            error: error.message
+        });
+    }
+};
+
 export const validateDeviceExists = async (req, res, next) => {
     try {
         const deviceId = req.params.deviceId || req.body.deviceId;
@@ -431,7 +463,9 @@ export const cleanupOrphanedRecords = async () => {
     }
 };
 
-// Validate tourist exists for location updates without authentication
+// Location updates raise alerts, notifications and escalations, so callers
+// may only report their own position unless they hold locations:write_any.
+// Must run after verifyFirebaseToken and loadUserAccount.
 export const validateTouristForLocationUpdate = async (req, res, next) => {
     try {
         const touristId = req.body.touristId;
@@ -451,7 +485,46 @@ export const validateTouristForLocationUpdate = async (req, res, next) => {
             });
         }
 
+        const isOwnProfile = req.user?.uid && req.user.uid === tourist.firebaseUid;
+        if (!isOwnProfile && !req.user?.permissions?.includes(PERMISSIONS.LOCATIONS_WRITE_ANY)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. You can only update your own location.'
+            });
+        }
+
+        req.tourist = tourist;
+        next();
+    } catch (error) {
+        return res.status(500).json({
+            success: false,
+            message: 'Error validating tourist for location update',
+            error: error.message
+        });
+    }
+};
+
+// The tourist for /me routes comes from the token alone; any touristId in
+// the body is ignored
+export const validateOwnTouristForLocationUpdate = async (req, res, next) => {
+    try {
+        if (!req.user?.uid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Authentication required'
+            });
+        }
+
+        const tourist = await Tourist.findOne({ firebaseUid: req.user.uid });
+        if (!tourist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tourist profile not found. Please complete profile setup.'
+            });
+        }
+
         req.tourist = tourist;
+        req.body.touristId = tourist._id.toString();
         next();
     } catch (error) {
         return res.status(500).json({
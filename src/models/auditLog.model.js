@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+const auditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        enum: ['role_granted', 'role_revoked', 'kyc_approved', 'kyc_rejected', 'permit_verified', 'permit_rejected'],
+        required: true,
+        index: true
+    },
+    actor: {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        firebaseUid: String,
+        email: String
+    },
+    target: {
+        model: {
+            type: String,
+            required: true
+        },
+        id: {
+            type: String,
+            required: true
+        }
+    },
+    changes: {
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    },
+    reason: String,
+    ipAddress: String,
+    userAgent: String
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false,
+    collection: 'audit_logs'
+});
+
+auditLogSchema.index({ 'target.model': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ 'actor.userId': 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Audit entries are append-only
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+    const error = new Error('Audit log entries are immutable');
+    error.name = 'ValidationError';
+    next(error);
+});
+
+auditLogSchema.statics.record = function({ action, actor, target, changes, reason, req }) {
+    return this.create({
+        action,
+        actor: actor ? {
+            userId: actor._id,
+            firebaseUid: actor.firebaseUid,
+            email: actor.email
+        } : undefined,
+        target,
+        changes,
+        reason,
+        ipAddress: req?.ip,
+        userAgent: req?.get?.('user-agent')
+    });
+};
+
+export default mongoose.model('AuditLog', auditLogSchema);
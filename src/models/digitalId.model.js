@@ -7,16 +7,26 @@ const digitalIdSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    // Decentralized identifier issued by the digital-tourist-id chaincode
+    did: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+    // SHA-256 of the KYC summary anchored with the DID (the chaincode's kycDocumentHash)
     blockchainHash: {
         type: String,
         unique: true,
         required: true,
         index: true
     },
+    // PNG data URL of qrToken
     qrCode: {
         type: String,
         required: true
     },
+    // Signed payload encoded in the QR code (see qrSigning.service.js)
+    qrToken: String,
     kycData: {
         verified: {
             type: Boolean,
@@ -29,6 +39,12 @@ const digitalIdSchema = new mongoose.Schema({
                 required: true
             },
             documentNumber: String,
+            // Source upload and its keyed number hash (see kyc.service.js)
+            kycDocumentId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'KycDocument'
+            },
+            documentNumberHash: String,
             fileUrl: String,
             verificationStatus: {
                 type: String,
@@ -93,7 +109,38 @@ const digitalIdSchema = new mongoose.Schema({
         default: 'active',
         index: true
     },
+    // Lifecycle changes after issuance, newest last
+    statusHistory: [{
+        action: {
+            type: String,
+            enum: ['extended', 'suspended', 'reinstated', 'revoked', 'expired'],
+            required: true
+        },
+        status: String,
+        reason: String,
+        changedBy: String,
+        validUntil: Date,
+        changedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Expiry date the tourist was last warned about, so extensions warn again
+    expiryNotice: {
+        sentAt: Date,
+        expiresAt: Date
+    },
     blockchain: {
+        // 'fabric' or 'local' (see localLedger.service.js)
+        ledger: String,
+        // Whether the latest lifecycle change reached the ledger; failed
+        // syncs are retried by the nightly lifecycle job
+        syncStatus: {
+            type: String,
+            enum: ['synced', 'failed']
+        },
+        syncError: String,
+        lastSyncedAt: Date,
         transactionHash: String,
         blockNumber: Number,
         networkId: String,
@@ -119,7 +166,15 @@ const digitalIdSchema = new mongoose.Schema({
             default: Date.now
         },
         ipAddress: String,
-        userAgent: String
+        userAgent: String,
+        // Set on 'verify' entries
+        verification: {
+            verified: Boolean,
+            reason: String,
+            signatureValid: Boolean,
+            ledgerChecked: Boolean,
+            ledgerValid: Boolean
+        }
     }],
     permissions: {
         canTrack: {
@@ -142,19 +197,31 @@ const digitalIdSchema = new mongoose.Schema({
 
 digitalIdSchema.index({ blockchainHash: 1 });
 digitalIdSchema.index({ touristId: 1 });
+// At most one live ID per tourist
+digitalIdSchema.index(
+    { touristId: 1 },
+    { unique: true, partialFilterExpression: { status: { $in: ['active', 'suspended'] } }, name: 'one_live_id_per_tourist' }
+);
 digitalIdSchema.index({ status: 1, 'validity.validUntil': 1 });
+digitalIdSchema.index({ status: 1, 'validity.extendedUntil': 1 });
+digitalIdSchema.index({ 'blockchain.syncStatus': 1 }, { sparse: true });
 digitalIdSchema.index({ 'issueDetails.issuedAt': 1 });
 
+// An extension replaces validUntil as the expiry date
+digitalIdSchema.methods.getExpiryDate = function() {
+    return this.validity.extendedUntil || this.validity.validUntil;
+};
+
 digitalIdSchema.methods.isValid = function() {
     const now = new Date();
     return this.status === 'active' && 
-           this.validity.validUntil > now && 
+           this.getExpiryDate() > now && 
            this.validity.validFrom <= now;
 };
 
 digitalIdSchema.methods.getRemainingDays = function() {
     const now = new Date();
-    const validUntil = this.validity.extendedUntil || this.validity.validUntil;
+    const validUntil = this.getExpiryDate();
     return Math.ceil((validUntil - now) / (1000 * 60 * 60 * 24));
 };
 
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+
+const escalationTimerSchema = new mongoose.Schema({
+    alert: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Alert',
+        required: true
+    },
+    alertId: {
+        type: String,
+        required: true
+    },
+    touristId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tourist',
+        required: true,
+        index: true
+    },
+    reason: {
+        type: String,
+        enum: ['unacknowledged_alert', 'repeated_danger_entry', 'high_risk_inactivity'],
+        required: true
+    },
+    severity: {
+        type: String,
+        enum: ['info', 'warning', 'critical', 'emergency'],
+        required: true
+    },
+    step: {
+        type: Number,
+        default: 0
+    },
+    dueAt: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'escalated', 'cancelled', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    incidentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Incident'
+    },
+    lastError: String,
+    history: [{
+        step: Number,
+        action: String,
+        executedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true,
+    collection: 'escalation_timers'
+});
+
+escalationTimerSchema.index({ status: 1, dueAt: 1 });
+escalationTimerSchema.index({ alert: 1, reason: 1 }, { unique: true });
+
+export default mongoose.model('EscalationTimer', escalationTimerSchema);
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { evaluateFence } from '../services/geometry.service.js';
 
 const geoFenceSchema = new mongoose.Schema({
     name: {
@@ -20,7 +21,7 @@ const geoFenceSchema = new mongoose.Schema({
     geometry: {
         type: {
             type: String,
-            enum: ['Polygon', 'Point'], // Removed 'Circle' as it's not valid GeoJSON
+            enum: ['Polygon', 'MultiPolygon', 'Point'], // Circles are a Point plus `radius`
             required: true
         },
         coordinates: {
@@ -43,6 +44,13 @@ const geoFenceSchema = new mongoose.Schema({
             message: 'Radius is required for circular geofences and must be greater than 0'
         }
     },
+    // How far outside the boundary a tourist must move before they count as
+    // having left. Falls back to GEOFENCE_HYSTERESIS_METERS.
+    hysteresisMeters: {
+        type: Number,
+        min: 0,
+        max: 1000
+    },
     riskLevel: {
         type: Number,
         min: 1,
@@ -62,14 +70,32 @@ const geoFenceSchema = new mongoose.Schema({
             default: false
         },
         allowedHours: {
-            from: String,
+            from: String, // HH:MM, local to `timezone`
             to: String
         },
+        timezone: String, // IANA name, defaults to GEOFENCE_DEFAULT_TIMEZONE
         weatherDependent: {
             type: Boolean,
             default: false
         },
+        // Set by admins; only enforced when weatherDependent is true
+        weatherStatus: {
+            condition: {
+                type: String,
+                enum: ['clear', 'advisory', 'closed'],
+                default: 'clear'
+            },
+            reason: String,
+            updatedBy: String,
+            updatedAt: Date
+        },
         minimumGroupSize: Number,
+        // Lower than the global ANOMALY_THRESHOLDS.speedLimitKmh inside this fence
+        speedLimitKmh: {
+            type: Number,
+            min: 1,
+            max: 300
+        },
         requiredPermissions: [String],
         prohibitedActivities: [String]
     },
@@ -84,7 +110,15 @@ const geoFenceSchema = new mongoose.Schema({
             max: 5
         },
         averageVisitDuration: Number,
+        // Maximum safe number of tourists inside at once
         capacity: Number,
+        // Occupancy percentage of capacity that raises capacity_warning;
+        // falls back to CAPACITY_WARNING_PERCENT
+        capacityWarningPercent: {
+            type: Number,
+            min: 1,
+            max: 100
+        },
         facilities: [String],
         entryFee: Number,
         contactInfo: {
@@ -107,6 +141,11 @@ const geoFenceSchema = new mongoose.Schema({
         type: String,
         index: true
     },
+    // Bumped on every change; the full history lives in GeofenceRevision
+    revision: {
+        type: Number,
+        default: 0
+    },
     statistics: {
         totalVisitors: {
             type: Number,
@@ -117,7 +156,22 @@ const geoFenceSchema = new mongoose.Schema({
             default: 0
         },
         averageSafetyScore: Number,
-        lastIncident: Date
+        lastIncident: Date,
+        // Maintained by occupancy.service.js from GeofenceMembership
+        currentOccupancy: {
+            type: Number,
+            default: 0
+        },
+        peakOccupancy: {
+            type: Number,
+            default: 0
+        },
+        occupancyLevel: {
+            type: String,
+            enum: ['normal', 'warning', 'over'],
+            default: 'normal'
+        },
+        occupancyUpdatedAt: Date
     }
 }, {
     timestamps: true,
@@ -129,8 +183,8 @@ geoFenceSchema.index({ type: 1, isActive: 1 });
 geoFenceSchema.index({ riskLevel: 1 });
 geoFenceSchema.index({ createdAt: 1 });
 
-geoFenceSchema.methods.isPointInside = function(longitude, latitude) {
-    return false;
+geoFenceSchema.methods.isPointInside = function(longitude, latitude, options = {}) {
+    return evaluateFence(this, longitude, latitude, options).inside;
 };
 
 geoFenceSchema.methods.getLocalizedMessage = function(language = 'english') {
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Current inside/outside state of a tourist for every geofence they have
+// entered. One document per (tourist, fence) pair, flipped on entry and exit.
+const geofenceMembershipSchema = new mongoose.Schema({
+    touristId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tourist',
+        required: true
+    },
+    geoFence: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GeoFence',
+        required: true
+    },
+    fenceType: {
+        type: String,
+        enum: ['safe', 'warning', 'danger', 'restricted', 'emergency_services', 'accommodation', 'tourist_spot']
+    },
+    isInside: {
+        type: Boolean,
+        default: false
+    },
+    enteredAt: Date,
+    exitedAt: Date,
+    lastSeenAt: Date,
+    entryCount: {
+        type: Number,
+        default: 0
+    },
+    // Restriction violations already alerted for this stay, e.g. 'outside_allowed_hours'
+    activeViolations: [String]
+}, {
+    timestamps: true,
+    collection: 'geofence_memberships'
+});
+
+geofenceMembershipSchema.index({ touristId: 1, geoFence: 1 }, { unique: true });
+geofenceMembershipSchema.index({ touristId: 1, isInside: 1 });
+// Occupancy counts only memberships seen recently
+geofenceMembershipSchema.index({ geoFence: 1, isInside: 1, lastSeenAt: 1 });
+
+export default mongoose.model('GeofenceMembership', geofenceMembershipSchema);
@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// Hourly occupancy buckets per geofence. Peaks and entry/exit counts are
+// updated on every membership transition; averages come from the periodic
+// sampler so they are evenly weighted across the hour.
+const geofenceOccupancySchema = new mongoose.Schema({
+    geoFence: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GeoFence',
+        required: true
+    },
+    hour: {
+        type: Date,
+        required: true
+    },
+    peak: {
+        type: Number,
+        default: 0
+    },
+    lastOccupancy: {
+        type: Number,
+        default: 0
+    },
+    samples: {
+        type: Number,
+        default: 0
+    },
+    occupancySum: {
+        type: Number,
+        default: 0
+    },
+    entries: {
+        type: Number,
+        default: 0
+    },
+    exits: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true,
+    collection: 'geofence_occupancy'
+});
+
+geofenceOccupancySchema.index({ geoFence: 1, hour: 1 }, { unique: true });
+// Keep 90 days of history
+geofenceOccupancySchema.index({ hour: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+export default mongoose.model('GeofenceOccupancy', geofenceOccupancySchema);
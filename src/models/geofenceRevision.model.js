@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+// Immutable history of a geofence. Every create, update, weather change,
+// delete and rollback stores the complete fence state at that revision, so the
+// boundary an alert was evaluated against can always be reconstructed.
+const geofenceRevisionSchema = new mongoose.Schema({
+    geoFence: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GeoFence',
+        required: true
+    },
+    revision: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    action: {
+        type: String,
+        // 'baseline' captures fences that existed before versioning, on their first change
+        enum: ['baseline', 'create', 'update', 'weather', 'delete', 'rollback'],
+        required: true
+    },
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    changes: [{
+        _id: false,
+        path: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+    }],
+    changedBy: {
+        type: String,
+        required: true
+    },
+    reason: String,
+    rolledBackTo: Number,
+    // When this state took effect; not a timestamps option so baselines can be backdated
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    collection: 'geofence_revisions'
+});
+
+geofenceRevisionSchema.index({ geoFence: 1, revision: 1 }, { unique: true });
+geofenceRevisionSchema.index({ geoFence: 1, createdAt: -1 });
+
+const immutableError = () => {
+    const error = new Error('Geofence revisions are immutable');
+    error.name = 'ImmutableRevisionError';
+    return error;
+};
+
+geofenceRevisionSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    function(next) {
+        next(immutableError());
+    }
+);
+
+geofenceRevisionSchema.pre('save', function(next) {
+    next(this.isNew ? undefined : immutableError());
+});
+
+export default mongoose.model('GeofenceRevision', geofenceRevisionSchema);
@@ -173,6 +173,20 @@ const incidentSchema = new mongoose.Schema({
         },
         followUpDate: Date
     },
+    // Resolutions of earlier rounds, kept when a resolved incident is reopened
+    previousResolutions: [{
+        resolvedAt: Date,
+        resolvedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        resolutionType: String,
+        resolutionNotes: String,
+        followUpRequired: Boolean,
+        followUpDate: Date,
+        reopenedAt: Date,
+        reopenedBy: String
+    }],
     analytics: {
         detectionMethod: String,
         responseEfficiency: Number,
@@ -191,6 +205,48 @@ incidentSchema.index({ touristId: 1, createdAt: -1 });
 incidentSchema.index({ status: 1, createdAt: -1 });
 incidentSchema.index({ 'response.assignedOfficer': 1 });
 
+// Allowed lifecycle moves. Terminal resolution states are entered through
+// resolve(), which also records the resolution details.
+incidentSchema.statics.STATUS_TRANSITIONS = {
+    open: ['investigating', 'responding', 'resolved', 'false_alarm'],
+    investigating: ['responding', 'resolved', 'false_alarm'],
+    responding: ['investigating', 'resolved', 'false_alarm'],
+    resolved: ['closed', 'investigating'],
+    false_alarm: ['closed'],
+    closed: []
+};
+
+incidentSchema.methods.canTransitionTo = function(status) {
+    const allowed = this.constructor.STATUS_TRANSITIONS[this.status] || [];
+    return allowed.includes(status);
+};
+
+incidentSchema.methods.transitionTo = function(status, performedBy, notes = '') {
+    if (!this.canTransitionTo(status)) {
+        const error = new Error(`Cannot move incident from ${this.status} to ${status}`);
+        error.name = 'TransitionError';
+        throw error;
+    }
+    const previous = this.status;
+    this.status = status;
+
+    // Reopening: the old resolution no longer describes a live incident
+    if (previous === 'resolved' && status !== 'closed') {
+        const resolution = this.resolution?.toObject ? this.resolution.toObject() : this.resolution;
+        if (resolution?.resolvedAt) {
+            this.previousResolutions.push({ ...resolution, reopenedAt: new Date(), reopenedBy: performedBy });
+        }
+        this.resolution = undefined;
+        this.timeline.push({
+            action: 'reopened',
+            performedBy,
+            notes: notes || `Reopened after being resolved as ${resolution?.resolutionType || 'unknown'}`
+        });
+    }
+
+    return this.addTimelineEvent(`status_changed_${status}`, performedBy, notes || `Status changed from ${previous} to ${status}`);
+};
+
 incidentSchema.methods.getResponseTime = function() {
     if (this.response.actualResponseTime) {
         return this.response.actualResponseTime;
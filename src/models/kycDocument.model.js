@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+
+// One uploaded identity document and the outcome of checking it against the
+// tourist's profile. Field names follow DigitalId.kycData.documents so
+// verified documents can be copied onto the digital ID at issuance.
+const kycDocumentSchema = new mongoose.Schema({
+    touristId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tourist',
+        required: true,
+        index: true
+    },
+    type: {
+        type: String,
+        enum: ['aadhaar', 'passport', 'visa', 'driving_license', 'photo'],
+        required: true
+    },
+    // Keyed hash of the normalised document number; the number itself is never stored
+    documentNumberHash: {
+        type: String,
+        select: false,
+        index: true
+    },
+    documentNumberLast4: String,
+    // SHA-256 of the uploaded file
+    fileHash: {
+        type: String,
+        required: true
+    },
+    extracted: {
+        name: String,
+        dateOfBirth: Date,
+        rawDateOfBirth: String
+    },
+    ocrConfidence: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    matching: {
+        // 0-1 similarity between the extracted and profile names
+        nameScore: Number,
+        // null when either side has no date of birth
+        dobMatch: Boolean
+    },
+    verificationScore: {
+        type: Number,
+        min: 0,
+        max: 100,
+        required: true
+    },
+    // Why the document could not be verified automatically
+    flags: [{
+        type: String,
+        enum: [
+            'name_mismatch',
+            'dob_mismatch',
+            'dob_unreadable',
+            'profile_dob_missing',
+            'document_number_unreadable',
+            'nationality_mismatch',
+            'duplicate_document',
+            'low_ocr_confidence',
+            'low_score',
+            'document_invalid'
+        ]
+    }],
+    // What OCR validation rejected, behind a document_invalid flag
+    validationErrors: [String],
+    verificationStatus: {
+        type: String,
+        enum: ['pending', 'verified', 'rejected'],
+        default: 'pending',
+        index: true
+    },
+    reviewRequired: {
+        type: Boolean,
+        default: false
+    },
+    // 'auto' when the score cleared KYC_AUTO_VERIFY_SCORE, otherwise 'manual'
+    decidedBy: {
+        type: String,
+        enum: ['auto', 'manual']
+    },
+    verifiedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    verificationDate: Date,
+    rejectionReason: String
+}, {
+    timestamps: true,
+    collection: 'kyc_documents'
+});
+
+kycDocumentSchema.index({ verificationStatus: 1, reviewRequired: 1, createdAt: 1 });
+kycDocumentSchema.index({ touristId: 1, createdAt: -1 });
+
+export default mongoose.model('KycDocument', kycDocumentSchema);
@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// Stand-in for chaincode world state when FABRIC_NETWORK_ENABLED is off. Each
+// key keeps its full history, and every write's txId chains the previous one
+// so edits made outside localLedger.service.js are detectable.
+const localLedgerSchema = new mongoose.Schema({
+    chaincode: {
+        type: String,
+        required: true
+    },
+    key: {
+        type: String,
+        required: true
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    txId: {
+        type: String,
+        required: true
+    },
+    history: [{
+        _id: false,
+        txId: String,
+        value: mongoose.Schema.Types.Mixed,
+        timestamp: {
+            type: Date,
+            default: Date.now
+        }
+    }]
+}, {
+    timestamps: true,
+    collection: 'local_ledger'
+});
+
+localLedgerSchema.index({ chaincode: 1, key: 1 }, { unique: true });
+
+export default mongoose.model('LocalLedger', localLedgerSchema);
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+
+// One entry per change in a tourist's safety score, with the factor
+// breakdown that produced it.
+const safetyScoreSchema = new mongoose.Schema({
+    touristId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Tourist',
+        required: true
+    },
+    score: {
+        type: Number,
+        min: 0,
+        max: 100,
+        required: true
+    },
+    previousScore: Number,
+    band: {
+        type: String,
+        enum: ['safe', 'caution', 'at_risk'],
+        required: true
+    },
+    trigger: {
+        type: String,
+        enum: ['scheduled', 'location_event', 'alert_raised', 'alert_acknowledged', 'profile_update', 'manual'],
+        required: true
+    },
+    factors: [{
+        _id: false,
+        key: String,
+        label: String,
+        penalty: Number,
+        maxPenalty: Number,
+        details: mongoose.Schema.Types.Mixed
+    }],
+    computedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    collection: 'safety_scores'
+});
+
+safetyScoreSchema.index({ touristId: 1, computedAt: -1 });
+// Keep 180 days of history
+safetyScoreSchema.index({ computedAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+export default mongoose.model('SafetyScore', safetyScoreSchema);
@@ -1,4 +1,19 @@
 import mongoose from 'mongoose';
+import { isValidAadhaar, maskAadhaar, normalizeAadhaar } from '../services/aadhaar.service.js';
+import { decryptField, encryptField, isEncrypted } from '../services/fieldEncryption.service.js';
+
+// Placeholder kept instead of an invalid number so the validator can reject
+// it without the number itself appearing in the error
+const INVALID_AADHAAR = 'invalid';
+
+// Valid Aadhaar numbers are encrypted as they are assigned, so plaintext
+// never reaches the database
+const encryptAadhaarNumber = (value) => {
+    if (!value || isEncrypted(value)) {
+        return value;
+    }
+    return isValidAadhaar(value) ? encryptField(normalizeAadhaar(value)) : INVALID_AADHAAR;
+};
 
 const touristSchema = new mongoose.Schema({
     digitalId: {
@@ -7,6 +22,11 @@ const touristSchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    // Current DigitalId document, set on issuance
+    activeDigitalId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DigitalId'
+    },
     firebaseUid: {
         type: String,
         required: true,
@@ -57,9 +77,15 @@ const touristSchema = new mongoose.Schema({
                 message: 'Please provide a valid nationality'
             }
         },
+        // Encrypted at rest; read it with tourist.getAadhaarNumber()
         aadhaarNumber: {
             type: String,
-            select: false
+            select: false,
+            set: encryptAadhaarNumber,
+            validate: {
+                validator: (v) => !v || isEncrypted(v),
+                message: 'Please provide a valid Aadhaar number'
+            }
         },
         passportNumber: {
             type: String,
@@ -89,12 +115,16 @@ const touristSchema = new mongoose.Schema({
         accuracy: Number,
         address: String
     },
+    // Timestamp of the newest accepted location fix
+    lastLocationUpdate: Date,
     safetyScore: {
         type: Number,
         min: 0,
         max: 100,
         default: 75
     },
+    // Set by safetyScore.service.js; history lives in safety_scores
+    safetyScoreUpdatedAt: Date,
     status: {
         type: String,
         enum: ['active', 'inactive', 'emergency', 'missing', 'safe'],
@@ -146,6 +176,16 @@ const touristSchema = new mongoose.Schema({
             },
             coordinates: [Number]
         },
+        // Set by itinerary.service.js when the leg is created or moved
+        locationDetails: {
+            address: String,
+            district: String,
+            state: String,
+            geocodedBy: {
+                type: String,
+                enum: ['client', 'nominatim']
+            }
+        },
         plannedArrival: Date,
         plannedDeparture: Date,
         actualArrival: Date,
@@ -156,6 +196,17 @@ const touristSchema = new mongoose.Schema({
         riskLevel: {
             type: String,
             enum: ['low', 'medium', 'high', 'extreme']
+        },
+        // travel-itinerary-log chaincode entry for the current version of the leg
+        ledger: {
+            entryId: String,
+            contentHash: String,
+            anchoredAt: Date,
+            status: {
+                type: String,
+                enum: ['anchored', 'failed']
+            },
+            error: String
         }
     }],
     preferences: {
@@ -197,7 +248,32 @@ const touristSchema = new mongoose.Schema({
             default: true
         },
         lastSeen: Date,
-        batteryLevel: Number
+        batteryLevel: Number,
+        pushToken: String
+    }],
+    permits: [{
+        type: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        permitNumber: String,
+        issuedBy: String,
+        validFrom: Date,
+        validUntil: Date,
+        // Tourists submit permits; only ones verified by an official count
+        // towards geofence requiredPermissions
+        status: {
+            type: String,
+            enum: ['pending', 'verified', 'rejected'],
+            default: 'pending'
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reviewedAt: Date,
+        rejectionReason: String
     }],
     kycStatus: {
         type: String,
@@ -224,4 +300,16 @@ touristSchema.index({ 'currentLocation.coordinates': '2dsphere' });
 touristSchema.index({ 'personalInfo.email': 1 });
 touristSchema.index({ createdAt: 1 });
 
+// Masked (XXXX XXXX 1234) unless the full number is explicitly asked for.
+// The field is not selected by default: load it with
+// .select('+personalInfo.aadhaarNumber') first.
+touristSchema.methods.getAadhaarNumber = function({ masked = true } = {}) {
+    const stored = this.personalInfo?.aadhaarNumber;
+    if (!stored) {
+        return null;
+    }
+    const number = decryptField(stored);
+    return masked ? maskAadhaar(number) : number;
+};
+
 export default mongoose.model('Tourist', touristSchema);
\ No newline at end of file
@@ -120,7 +120,7 @@ const alertSchema = new mongoose.Schema({
     },
     type: {
         type: String,
-        enum: ['geofence_entry', 'geofence_exit', 'inactivity', 'speed_limit', 'battery_low', 'panic_button', 'anomaly', 'weather_warning', 'area_closure'],
+        enum: ['geofence_entry', 'geofence_exit', 'inactivity', 'speed_limit', 'battery_low', 'panic_button', 'anomaly', 'weather_warning', 'area_closure', 'restricted_hours', 'permit_violation', 'prohibited_activity', 'itinerary_deviation'],
         required: true,
         index: true
     },
@@ -150,11 +150,23 @@ const alertSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'GeoFence'
     },
+    // GeoFence.revision the alert was evaluated against
+    geoFenceRevision: Number,
     metadata: {
         triggeredBy: String,
+        // Account that raised a user-reported alert; alerts without one (or
+        // triggeredBy 'system') never reach emergency contacts or authorities
+        reportedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // Detector that raised the alert, e.g. 'sudden_stop', 'possible_fall'
+        anomalyType: String,
         thresholdValue: Number,
         actualValue: Number,
         duration: Number,
+        // Tourist.travelItinerary leg an itinerary_deviation alert is about
+        itineraryLegId: mongoose.Schema.Types.ObjectId,
         relatedIncidentId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Incident'
@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { ROLES, ROLE_PERMISSIONS } from '../constants.js';
 
 const userSchema = new mongoose.Schema({
    
@@ -9,10 +10,10 @@ const userSchema = new mongoose.Schema({
     },
     
    
+    // Null for accounts without an email address, e.g. phone sign-in
     email: {
         type: String,
-        required: true,
-        unique: true,
+        default: null,
         lowercase: true,
         trim: true
     },
@@ -29,6 +30,15 @@ const userSchema = new mongoose.Schema({
     },
     
     
+    roles: {
+        type: [{
+            type: String,
+            enum: Object.values(ROLES)
+        }],
+        default: [ROLES.TOURIST],
+        index: true
+    },
+    
     isActive: {
         type: Boolean,
         default: true
@@ -43,10 +53,35 @@ const userSchema = new mongoose.Schema({
     timestamps: true,
     versionKey: false
 });
+// Unique among accounts that have an email; any number may have none
+// (run scripts/sync-user-indexes.js once to replace the old email_1 index)
+userSchema.index({ email: 1 }, {
+    name: 'email_unique_when_set',
+    unique: true,
+    partialFilterExpression: { email: { $type: 'string' } }
+});
+
 userSchema.methods.updateLastLogin = function() {
     this.lastLogin = new Date();
     return this.save();
 };
+userSchema.methods.hasRole = function(...roles) {
+    return this.roles.some(role => roles.includes(role));
+};
+
+userSchema.methods.getPermissions = function() {
+    const permissions = new Set();
+    for (const role of this.roles) {
+        (ROLE_PERMISSIONS[role] || []).forEach(permission => permissions.add(permission));
+    }
+    return Array.from(permissions);
+};
+
+userSchema.methods.hasPermission = function(...permissions) {
+    const granted = this.getPermissions();
+    return permissions.every(permission => granted.includes(permission));
+};
+
 userSchema.statics.findByFirebaseUid = function(firebaseUid) {
     return this.findOne({ firebaseUid });
 };
@@ -55,6 +90,49 @@ userSchema.statics.findByEmail = function(email) {
     return this.findOne({ email: email.toLowerCase() });
 };
 
+// Accounts are created lazily the first time an authenticated user hits a
+// role-protected route. Verified emails listed in SUPER_ADMIN_EMAILS (or
+// ADMIN_EMAIL) are bootstrapped as super admins so the first grants can be
+// made; an unverified address could have been registered by anyone.
+userSchema.statics.findOrCreateFromFirebase = async function(firebaseUser) {
+    const existing = await this.findOne({ firebaseUid: firebaseUser.uid });
+    if (existing) {
+        return existing;
+    }
+
+    const bootstrapAdmins = (process.env.SUPER_ADMIN_EMAILS || process.env.ADMIN_EMAIL || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+    const email = firebaseUser.email ? firebaseUser.email.toLowerCase() : null;
+    const emailVerified = (firebaseUser.email_verified ?? firebaseUser.emailVerified) === true;
+
+    try {
+        return await this.create({
+            firebaseUid: firebaseUser.uid,
+            email,
+            name: firebaseUser.name || (email ? email.split('@')[0] : firebaseUser.uid),
+            profilePicture: firebaseUser.picture || null,
+            roles: email && emailVerified && bootstrapAdmins.includes(email) ? [ROLES.SUPER_ADMIN] : [ROLES.TOURIST]
+        });
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+        // Concurrent first requests for the same user race on the uid index
+        const raced = await this.findOne({ firebaseUid: firebaseUser.uid });
+        if (raced) {
+            return raced;
+        }
+        // Otherwise another Firebase account already owns the email, e.g. the
+        // same person signing in with a different provider. Accounts are not
+        // linked automatically because that would hand over its roles.
+        const conflict = new Error('An account with this email address already exists. Sign in with the method you used before.');
+        conflict.name = 'ConflictError';
+        throw conflict;
+    }
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
\ No newline at end of file
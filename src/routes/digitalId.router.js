@@ -0,0 +1,73 @@
+import { Router } from 'express'
+import {
+    issueMyDigitalId,
+    issueTouristDigitalId,
+    getMyDigitalId,
+    getMyDigitalIdCard,
+    getTouristDigitalId,
+    getVerificationKey,
+    verifyDigitalId,
+    extendDigitalId,
+    suspendDigitalId,
+    reinstateDigitalId,
+    revokeDigitalId
+} from '../controllers/digitalId.controller.js'
+import { verifyFirebaseToken } from '../middlewares/auth.middleware.js'
+import { requirePermission } from '../middlewares/role.middleware.js'
+import {
+    validateObjectId,
+    validateOrCreateTourist,
+    sanitizeInput
+} from '../middlewares/validation.middleware.js'
+import { PERMISSIONS } from '../constants.js'
+
+const router = Router()
+router.use(sanitizeInput)
+
+// Public so scanner apps can fetch and cache it before going offline
+router.get('/public-key', getVerificationKey)
+
+router.use(verifyFirebaseToken)
+
+router.post('/verify',
+    requirePermission(PERMISSIONS.DIGITAL_IDS_VERIFY),
+    verifyDigitalId
+)
+
+router.post('/issue/me', validateOrCreateTourist, issueMyDigitalId)
+router.get('/me', validateOrCreateTourist, getMyDigitalId)
+router.get('/me/card', validateOrCreateTourist, getMyDigitalIdCard)
+
+router.post('/:touristId/issue',
+    requirePermission(PERMISSIONS.DIGITAL_IDS_ISSUE),
+    validateObjectId('touristId'),
+    issueTouristDigitalId
+)
+router.get('/:touristId',
+    requirePermission(PERMISSIONS.TOURISTS_READ),
+    validateObjectId('touristId'),
+    getTouristDigitalId
+)
+
+router.post('/:touristId/extend',
+    requirePermission(PERMISSIONS.DIGITAL_IDS_MANAGE),
+    validateObjectId('touristId'),
+    extendDigitalId
+)
+router.post('/:touristId/suspend',
+    requirePermission(PERMISSIONS.DIGITAL_IDS_MANAGE),
+    validateObjectId('touristId'),
+    suspendDigitalId
+)
+router.post('/:touristId/reinstate',
+    requirePermission(PERMISSIONS.DIGITAL_IDS_MANAGE),
+    validateObjectId('touristId'),
+    reinstateDigitalId
+)
+router.post('/:touristId/revoke',
+    requirePermission(PERMISSIONS.DIGITAL_IDS_MANAGE),
+    validateObjectId('touristId'),
+    revokeDigitalId
+)
+
+export default router
@@ -0,0 +1,84 @@
+import { Router } from 'express'
+import {
+    createIncident,
+    promoteAlertToIncident,
+    getIncidents,
+    getIncidentById,
+    assignOfficer,
+    dispatchUnit,
+    updateUnitStatus,
+    updateIncidentStatus,
+    addTimelineEvent,
+    resolveIncident
+} from '../controllers/incident.controller.js'
+import { verifyFirebaseToken } from '../middlewares/auth.middleware.js'
+import { requirePermission } from '../middlewares/role.middleware.js'
+import {
+    validateObjectId,
+    validateCoordinates,
+    validateTouristExists,
+    validateAlertExists,
+    validateIncidentExists,
+    validatePagination,
+    sanitizeInput
+} from '../middlewares/validation.middleware.js'
+import { PERMISSIONS } from '../constants.js'
+
+const router = Router()
+router.use(sanitizeInput)
+router.use(verifyFirebaseToken)
+
+router.get('/', 
+    requirePermission(PERMISSIONS.INCIDENTS_READ),
+    validatePagination,
+    getIncidents
+)
+router.post('/', 
+    requirePermission(PERMISSIONS.INCIDENTS_MANAGE),
+    validateObjectId('touristId'),
+    validateCoordinates,
+    validateTouristExists,
+    createIncident
+)
+router.post('/from-alert/:alertId', 
+    requirePermission(PERMISSIONS.INCIDENTS_MANAGE),
+    validateAlertExists,
+    promoteAlertToIncident
+)
+router.get('/:incidentId', 
+    requirePermission(PERMISSIONS.INCIDENTS_READ),
+    validateIncidentExists,
+    getIncidentById
+)
+router.post('/:incidentId/assign', 
+    requirePermission(PERMISSIONS.INCIDENTS_DISPATCH),
+    validateIncidentExists,
+    assignOfficer
+)
+router.post('/:incidentId/dispatch', 
+    requirePermission(PERMISSIONS.INCIDENTS_DISPATCH),
+    validateIncidentExists,
+    dispatchUnit
+)
+router.patch('/:incidentId/units/:unitId', 
+    requirePermission(PERMISSIONS.INCIDENTS_MANAGE),
+    validateIncidentExists,
+    updateUnitStatus
+)
+router.post('/:incidentId/status', 
+    requirePermission(PERMISSIONS.INCIDENTS_MANAGE),
+    validateIncidentExists,
+    updateIncidentStatus
+)
+router.post('/:incidentId/timeline', 
+    requirePermission(PERMISSIONS.INCIDENTS_MANAGE),
+    validateIncidentExists,
+    addTimelineEvent
+)
+router.post('/:incidentId/resolve', 
+    requirePermission(PERMISSIONS.INCIDENTS_MANAGE),
+    validateIncidentExists,
+    resolveIncident
+)
+
+export default router
@@ -0,0 +1,56 @@
+import { Router } from 'express'
+import {
+    submitKycDocument,
+    getMyKyc,
+    getKycReviewQueue,
+    getKycReviewItem,
+    approveKycDocument,
+    rejectKycDocument
+} from '../controllers/kyc.controller.js'
+import { verifyFirebaseToken } from '../middlewares/auth.middleware.js'
+import { requirePermission } from '../middlewares/role.middleware.js'
+import { uploadDocument, handleUploadError, MAX_DOCUMENT_FILES } from '../middlewares/upload.middleware.js'
+import { ocrRateLimit } from '../middlewares/rateLimit.middleware.js'
+import {
+    validateObjectId,
+    validateOrCreateTourist,
+    validatePagination,
+    sanitizeInput
+} from '../middlewares/validation.middleware.js'
+import { PERMISSIONS } from '../constants.js'
+
+const router = Router()
+router.use(sanitizeInput)
+router.use(verifyFirebaseToken)
+
+router.post('/documents',
+    ocrRateLimit,
+    uploadDocument.array('document', MAX_DOCUMENT_FILES),
+    handleUploadError,
+    validateOrCreateTourist,
+    submitKycDocument
+)
+router.get('/me', validateOrCreateTourist, getMyKyc)
+
+router.get('/reviews',
+    requirePermission(PERMISSIONS.KYC_REVIEW),
+    validatePagination,
+    getKycReviewQueue
+)
+router.get('/reviews/:documentId',
+    requirePermission(PERMISSIONS.KYC_REVIEW),
+    validateObjectId('documentId'),
+    getKycReviewItem
+)
+router.post('/reviews/:documentId/approve',
+    requirePermission(PERMISSIONS.KYC_REVIEW),
+    validateObjectId('documentId'),
+    approveKycDocument
+)
+router.post('/reviews/:documentId/reject',
+    requirePermission(PERMISSIONS.KYC_REVIEW),
+    validateObjectId('documentId'),
+    rejectKycDocument
+)
+
+export default router
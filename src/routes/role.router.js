@@ -0,0 +1,24 @@
+import { Router } from 'express';
+import {
+    getRoleDefinitions,
+    getUserRoles,
+    grantRole,
+    revokeRole,
+    getRoleAuditLog
+} from '../controllers/role.controller.js';
+import { verifyFirebaseToken } from '../middlewares/auth.middleware.js';
+import { requirePermission } from '../middlewares/role.middleware.js';
+import { sanitizeInput, validatePagination } from '../middlewares/validation.middleware.js';
+import { PERMISSIONS } from '../constants.js';
+
+const router = Router();
+router.use(sanitizeInput);
+router.use(verifyFirebaseToken, requirePermission(PERMISSIONS.ROLES_MANAGE));
+
+router.get('/', getRoleDefinitions);
+router.get('/audit', validatePagination, getRoleAuditLog);
+router.get('/users/:firebaseUid', getUserRoles);
+router.post('/users/:firebaseUid/grant', grantRole);
+router.post('/users/:firebaseUid/revoke', revokeRole);
+
+export default router;
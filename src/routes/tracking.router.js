@@ -1,4 +1,5 @@
 import { Router } from 'express'
+import multer from 'multer'
 import {
     updateLocation,
     getCurrentLocation,
@@ -9,7 +10,21 @@ import {
     getGeofences,
     updateGeofence,
     deleteGeofence,
+    checkGeofences,
+    setGeofenceWeather,
+    getGeofenceOccupancy,
+    getGeofenceRevisions,
+    getGeofenceRevision,
+    getGeofenceAsOf,
+    rollbackGeofence,
+    importGeofences,
+    exportGeofences,
     getConnectedDevices,
+    getMySafetyScore,
+    getTouristSafetyScore,
+    recomputeSafetyScore,
+    getMyItineraryTimeline,
+    getTouristItineraryTimeline,
     createEmergencyAlert,
     getTouristsByLocation,
     getHeatmapData,
@@ -27,21 +42,47 @@ import {
     sanitizeInput,
     validatePagination,
     validateLocationHistoryParams,
-    validateTouristForLocationUpdate
+    validateTouristForLocationUpdate,
+    validateOwnTouristForLocationUpdate
 } from '../middlewares/validation.middleware.js'
 import { 
     validateGeofenceData 
 } from '../middlewares/geofence.middleware.js'
+import { loadUserAccount, requirePermission } from '../middlewares/role.middleware.js'
+import { PERMISSIONS } from '../constants.js'
 
 const router = Router()
 router.use(sanitizeInput)
 
+const geofenceUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 10 * 1024 * 1024,
+        files: 1
+    }
+})
+
+const handleGeofenceUploadError = (err, req, res, next) => {
+    if (err instanceof multer.MulterError) {
+        return res.status(400).json({
+            success: false,
+            message: err.code === 'LIMIT_FILE_SIZE'
+                ? 'File too large. Maximum size allowed is 10MB.'
+                : err.message
+        })
+    }
+    next(err)
+}
+
 router.post('/location/update/me', 
+    verifyFirebaseToken,
     validateCoordinates, 
-    validateTouristForLocationUpdate,
+    validateOwnTouristForLocationUpdate,
     updateLocation
 )
 router.post('/location/update', 
+    verifyFirebaseToken,
+    loadUserAccount,
     validateObjectId('touristId'), 
     validateCoordinates, 
     validateTouristForLocationUpdate, 
@@ -54,6 +95,7 @@ router.get('/location/current/me',
 )
 router.get('/location/current/:touristId', 
     verifyFirebaseToken,
+    loadUserAccount,
     validateObjectId('touristId'), 
     validateTouristExists, 
     getCurrentLocation
@@ -71,49 +113,164 @@ router.get('/location/history/my',
     getMyLocationHistory
 )
 router.get('/location/history/:touristId', 
+    verifyFirebaseToken,
+    loadUserAccount,
     validateObjectId('touristId'), 
     validateTouristExists,
     validateLocationHistoryParams,
     getUserLocationHistory
 )
-router.get('/stats', getTouristStats)
-router.get('/devices/connected', getConnectedDevices)
+router.get('/stats', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.STATS_READ),
+    getTouristStats
+)
+router.get('/safety-score/me', 
+    verifyFirebaseToken,
+    validateOrCreateTourist,
+    getMySafetyScore
+)
+router.get('/safety-score/:touristId', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.TOURISTS_READ),
+    validateObjectId('touristId'), 
+    validateTouristExists,
+    getTouristSafetyScore
+)
+router.post('/safety-score/:touristId/recompute', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.TOURISTS_READ),
+    validateObjectId('touristId'), 
+    validateTouristExists,
+    recomputeSafetyScore
+)
+router.get('/itinerary/me/timeline', 
+    verifyFirebaseToken,
+    validateOrCreateTourist,
+    getMyItineraryTimeline
+)
+router.get('/itinerary/:touristId/timeline', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.TOURISTS_READ),
+    validateObjectId('touristId'), 
+    validateTouristExists,
+    getTouristItineraryTimeline
+)
+router.get('/devices/connected', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.DEVICES_READ),
+    getConnectedDevices
+)
 router.get('/alerts/active', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.ALERTS_READ),
     validatePagination, 
     getActiveAlerts
 )
 router.post('/alerts/acknowledge/:alertId', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.ALERTS_ACKNOWLEDGE),
     validateAlertExists, 
     acknowledgeAlert
 )
 router.post('/alerts/emergency/me', 
     verifyFirebaseToken,
+    loadUserAccount,
     validateCoordinates, 
     validateOrCreateTourist, 
     createEmergencyAlert
 )
 router.post('/alerts/emergency', 
     verifyFirebaseToken,
+    loadUserAccount,
     validateCoordinates, 
     validateObjectId('touristId'), 
-    validateTouristExists, 
+    validateTouristForLocationUpdate, 
     createEmergencyAlert
 )
 router.get('/geofences', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.GEOFENCES_READ),
     validatePagination, 
     getGeofences
 )
+router.get('/geofences/check', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.GEOFENCES_READ),
+    checkGeofences
+)
 router.post('/geofences', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.GEOFENCES_WRITE),
     validateGeofenceData,
     createGeofence
 )
+router.post('/geofences/import', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.GEOFENCES_WRITE),
+    geofenceUpload.single('file'),
+    handleGeofenceUploadError,
+    importGeofences
+)
+router.get('/geofences/export', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.GEOFENCES_READ),
+    exportGeofences
+)
 router.put('/geofences/:fenceId', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.GEOFENCES_WRITE),
     validateObjectId('fenceId'), 
     validateGeofenceExists,
     validateGeofenceData, 
     updateGeofence
 )
+router.put('/geofences/:fenceId/weather', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.GEOFENCES_WRITE),
+    validateObjectId('fenceId'), 
+    validateGeofenceExists,
+    setGeofenceWeather
+)
+router.get('/geofences/:fenceId/occupancy', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.GEOFENCES_READ),
+    validateObjectId('fenceId'), 
+    validateGeofenceExists,
+    getGeofenceOccupancy
+)
+router.get('/geofences/:fenceId/revisions', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.GEOFENCES_READ),
+    validateObjectId('fenceId'), 
+    validateGeofenceExists,
+    validatePagination,
+    getGeofenceRevisions
+)
+router.get('/geofences/:fenceId/revisions/:revision', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.GEOFENCES_READ),
+    validateObjectId('fenceId'), 
+    validateGeofenceExists,
+    getGeofenceRevision
+)
+router.get('/geofences/:fenceId/as-of', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.GEOFENCES_READ),
+    validateObjectId('fenceId'), 
+    validateGeofenceExists,
+    getGeofenceAsOf
+)
+router.post('/geofences/:fenceId/rollback', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.GEOFENCES_WRITE),
+    validateObjectId('fenceId'), 
+    validateGeofenceExists,
+    rollbackGeofence
+)
 router.delete('/geofences/:fenceId', 
+    verifyFirebaseToken,
+    requirePermission(PERMISSIONS.GEOFENCES_WRITE),
     validateObjectId('fenceId'), 
     validateGeofenceExists, 
     deleteGeofence
@@ -6,11 +6,22 @@ import {
     updateTouristProfile,
     getProfileStatus,
     getAllTourists,
-    getTouristById
+    getTouristById,
+    registerDevice,
+    upsertPermit,
+    reviewTouristPermit,
+    getItinerary,
+    addItineraryLeg,
+    updateItineraryLeg,
+    deleteItineraryLeg,
+    verifyItineraryLeg,
+    verifyTouristItineraryLeg
 } from "../controllers/user.controller.js";
 import { verifyFirebaseToken, optionalAuth } from "../middlewares/auth.middleware.js";
 import { sanitizeInput, validateObjectId } from "../middlewares/validation.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
 import { auth } from "../config/firebase.config.js";
+import { PERMISSIONS } from "../constants.js";
 
 const router = Router();
 router.use(sanitizeInput);
@@ -125,10 +136,19 @@ router.get("/me", verifyFirebaseToken, getCurrentUser);
 router.get("/profile", verifyFirebaseToken, getTouristProfile);
 router.put("/profile", verifyFirebaseToken, updateTouristProfile);
 router.get("/profile/status", verifyFirebaseToken, getProfileStatus);
+router.put("/profile/devices", verifyFirebaseToken, registerDevice);
+router.put("/profile/permits", verifyFirebaseToken, upsertPermit);
+router.get("/profile/itinerary", verifyFirebaseToken, getItinerary);
+router.post("/profile/itinerary", verifyFirebaseToken, addItineraryLeg);
+router.put("/profile/itinerary/:legId", verifyFirebaseToken, validateObjectId('legId'), updateItineraryLeg);
+router.delete("/profile/itinerary/:legId", verifyFirebaseToken, validateObjectId('legId'), deleteItineraryLeg);
+router.get("/profile/itinerary/:legId/verify", verifyFirebaseToken, validateObjectId('legId'), verifyItineraryLeg);
 
-// Admin routes without authentication
-router.get("/all", getAllTourists);
-router.get("/:touristId", validateObjectId('touristId'), getTouristById);
+// Admin routes
+router.get("/all", verifyFirebaseToken, requirePermission(PERMISSIONS.TOURISTS_READ), getAllTourists);
+router.put("/:touristId/permits/:permitId", verifyFirebaseToken, requirePermission(PERMISSIONS.PERMITS_MANAGE), validateObjectId('touristId'), validateObjectId('permitId'), reviewTouristPermit);
+router.get("/:touristId/itinerary/:legId/verify", verifyFirebaseToken, requirePermission(PERMISSIONS.TOURISTS_READ), validateObjectId('touristId'), validateObjectId('legId'), verifyTouristItineraryLeg);
+router.get("/:touristId", verifyFirebaseToken, requirePermission(PERMISSIONS.TOURISTS_READ), validateObjectId('touristId'), getTouristById);
 
 export default router;
 
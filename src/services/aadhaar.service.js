@@ -0,0 +1,59 @@
+// Aadhaar number checks and masking. Aadhaar numbers are twelve digits, never
+// start with 0 or 1, and end in a Verhoeff check digit, which catches every
+// single-digit misread and every swap of neighbouring digits.
+
+const VERHOEFF_MULTIPLY = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+    [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+    [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+    [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+    [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+    [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+    [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+    [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+    [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+
+const VERHOEFF_PERMUTE = [
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+    [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+    [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+    [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+    [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+    [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+    [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+    [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+// Aadhaar numbers and 16 digit virtual IDs, grouped in fours or not
+const AADHAAR_IN_TEXT = /\b\d{4}[ -]?\d{4}[ -]?\d{4}(?:[ -]?\d{4})?\b/g;
+
+export const isValidVerhoeff = (digits) => {
+    let check = 0;
+    const reversed = digits.split('').reverse();
+    for (let i = 0; i < reversed.length; i++) {
+        check = VERHOEFF_MULTIPLY[check][VERHOEFF_PERMUTE[i % 8][Number(reversed[i])]];
+    }
+    return check === 0;
+};
+
+export const normalizeAadhaar = (value) => String(value ?? '').replace(/[\s-]/g, '');
+
+export const isValidAadhaar = (value) => {
+    const digits = normalizeAadhaar(value);
+    return /^[2-9]\d{11}$/.test(digits) && isValidVerhoeff(digits);
+};
+
+// XXXX XXXX 1234; virtual IDs keep their extra group
+export const maskAadhaar = (value) => {
+    const digits = normalizeAadhaar(value);
+    if (!digits) {
+        return null;
+    }
+    return `${'XXXX '.repeat(Math.max(Math.ceil(digits.length / 4) - 1, 0))}${digits.slice(-4)}`;
+};
+
+// Masks anything in free text that could be an Aadhaar number or virtual ID,
+// checksum or not, so misread numbers do not leak either
+export const redactAadhaarNumbers = (text) => (text || '').replace(AADHAAR_IN_TEXT, maskAadhaar);
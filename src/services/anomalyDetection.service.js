@@ -0,0 +1,290 @@
+import geolib from 'geolib';
+import { ANOMALY_THRESHOLDS } from '../constants.js';
+
+// Movement anomaly detectors. Everything here is a pure function of a
+// tourist's recent track, so the same code runs inside the ingestion pipeline
+// and offline against recorded tracks (see testing/replay-anomaly-track.js).
+//
+// A track is a chronological list of points:
+//   { timestamp: Date, latitude, longitude, speed?, altitude?, accuracy? }
+// where speed is in m/s, and the last point is the fix being analysed.
+
+const MIN_DERIVED_SPEED_SECONDS = 5;
+
+const toLatLng = (point) => ({ latitude: point.latitude, longitude: point.longitude });
+
+const distanceMeters = (a, b) => geolib.getDistance(toLatLng(a), toLatLng(b), 0.1);
+
+const secondsBetween = (a, b) => (b.timestamp.getTime() - a.timestamp.getTime()) / 1000;
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const isAccurate = (point, thresholds) =>
+    typeof point.accuracy !== 'number' || point.accuracy <= thresholds.maxAccuracyMeters;
+
+export const getAnomalyThresholds = () => {
+    let overrides = {};
+    if (process.env.ANOMALY_THRESHOLDS) {
+        try {
+            overrides = JSON.parse(process.env.ANOMALY_THRESHOLDS);
+        } catch (error) {
+            console.error('Invalid ANOMALY_THRESHOLDS JSON, using defaults:', error.message);
+        }
+    }
+    // SPEED_ALERT_THRESHOLD_KMH predates ANOMALY_THRESHOLDS and still sets the global limit
+    const legacySpeedLimit = parseFloat(process.env.SPEED_ALERT_THRESHOLD_KMH);
+    return {
+        ...ANOMALY_THRESHOLDS,
+        ...(Number.isNaN(legacySpeedLimit) ? {} : { speedLimitKmh: legacySpeedLimit }),
+        ...overrides
+    };
+};
+
+// How much history the detectors need before the current fix
+export const getTrackWindowMs = (thresholds = getAnomalyThresholds()) =>
+    Math.max(
+        thresholds.stationaryMinutes * 60 * 1.25,
+        thresholds.suddenStopWindowSeconds * 2,
+        thresholds.fallWindowSeconds * 2
+    ) * 1000;
+
+// Reported speed when the device provides one, otherwise derived from an
+// earlier fix at least MIN_DERIVED_SPEED_SECONDS back so GPS jitter between
+// near-simultaneous fixes does not read as speed.
+export const speedKmhAt = (points, index) => {
+    const point = points[index];
+    if (typeof point.speed === 'number' && point.speed > 0) {
+        return point.speed * 3.6;
+    }
+    for (let i = index - 1; i >= 0; i--) {
+        const seconds = secondsBetween(points[i], point);
+        if (seconds >= MIN_DERIVED_SPEED_SECONDS) {
+            return (distanceMeters(points[i], point) / seconds) * 3.6;
+        }
+    }
+    return 0;
+};
+
+export const detectImplausibleJump = (points, thresholds) => {
+    const current = points[points.length - 1];
+    const previous = points[points.length - 2];
+    if (!previous || !isAccurate(previous, thresholds) || !isAccurate(current, thresholds)) {
+        return null;
+    }
+
+    const seconds = secondsBetween(previous, current);
+    const meters = distanceMeters(previous, current);
+    if (meters < thresholds.teleportMinDistanceMeters) {
+        return null;
+    }
+
+    const impliedKmh = seconds > 0 ? (meters / seconds) * 3.6 : Infinity;
+    if (impliedKmh <= thresholds.teleportSpeedKmh) {
+        return null;
+    }
+
+    const km = round(meters / 1000, 1);
+    const actual = Number.isFinite(impliedKmh) ? round(impliedKmh) : null;
+    return {
+        anomalyType: 'implausible_jump',
+        type: 'anomaly',
+        severity: 'warning',
+        thresholdValue: thresholds.teleportSpeedKmh,
+        actualValue: actual,
+        message: {
+            english: `Location jumped ${km} km in ${round(seconds)}s${actual ? ` (${actual} km/h)` : ''}; possible GPS spoofing`,
+            hindi: `स्थान ${round(seconds)} सेकंड में ${km} किमी बदल गया; संभावित GPS स्पूफिंग`
+        },
+        details: { distanceMeters: meters, seconds: round(seconds) }
+    };
+};
+
+// The first stopped fix after moving fast. Only alerts in remote areas, where
+// a crash or breakdown is unlikely to be noticed by anyone nearby.
+export const detectSuddenStop = (points, thresholds) => {
+    const lastIndex = points.length - 1;
+    const current = points[lastIndex];
+    if (lastIndex < 1 || speedKmhAt(points, lastIndex) > thresholds.suddenStopToKmh) {
+        return null;
+    }
+    if (speedKmhAt(points, lastIndex - 1) <= thresholds.suddenStopToKmh) {
+        return null;
+    }
+
+    let fromKmh = 0;
+    for (let i = lastIndex - 1; i >= 0 && secondsBetween(points[i], current) <= thresholds.suddenStopWindowSeconds; i--) {
+        fromKmh = Math.max(fromKmh, speedKmhAt(points, i));
+    }
+    if (fromKmh < thresholds.suddenStopFromKmh) {
+        return null;
+    }
+
+    return {
+        anomalyType: 'sudden_stop',
+        type: 'anomaly',
+        severity: 'warning',
+        requiresRemote: true,
+        thresholdValue: thresholds.suddenStopFromKmh,
+        actualValue: round(fromKmh),
+        message: {
+            english: `Sudden stop from ${round(fromKmh)} km/h in a remote area`,
+            hindi: `दूरस्थ क्षेत्र में ${round(fromKmh)} किमी/घंटा से अचानक रुकना`
+        },
+        details: { windowSeconds: thresholds.suddenStopWindowSeconds }
+    };
+};
+
+// Raised once, on the fix where the stationary period crosses the threshold
+export const detectProlongedStationary = (points, thresholds, { fences = [] } = {}) => {
+    const lastIndex = points.length - 1;
+    const current = points[lastIndex];
+    if (lastIndex < 1 || fences.some(fence => fence.type === 'accommodation')) {
+        return null;
+    }
+
+    let earliest = current;
+    for (let i = lastIndex - 1; i >= 0; i--) {
+        if (!isAccurate(points[i], thresholds)) {
+            continue;
+        }
+        if (distanceMeters(points[i], current) > thresholds.stationaryRadiusMeters) {
+            break;
+        }
+        earliest = points[i];
+    }
+
+    const thresholdSeconds = thresholds.stationaryMinutes * 60;
+    const stationarySeconds = secondsBetween(earliest, current);
+    const previousSeconds = secondsBetween(earliest, points[lastIndex - 1]);
+    if (stationarySeconds < thresholdSeconds || previousSeconds >= thresholdSeconds) {
+        return null;
+    }
+
+    const minutes = round(stationarySeconds / 60);
+    return {
+        anomalyType: 'prolonged_stationary',
+        type: 'inactivity',
+        severity: 'warning',
+        thresholdValue: thresholds.stationaryMinutes,
+        actualValue: minutes,
+        duration: minutes,
+        message: {
+            english: `No movement for ${minutes} minutes away from accommodation`,
+            hindi: `आवास से दूर ${minutes} मिनट से कोई गतिविधि नहीं`
+        },
+        details: { radiusMeters: thresholds.stationaryRadiusMeters }
+    };
+};
+
+// The lowest applicable limit wins: the global one or any fence the tourist is in
+export const detectSpeeding = (points, thresholds, { fences = [] } = {}) => {
+    const speedKmh = speedKmhAt(points, points.length - 1);
+
+    let limit = thresholds.speedLimitKmh;
+    let limitFence = null;
+    for (const fence of fences) {
+        const fenceLimit = fence.restrictions?.speedLimitKmh;
+        if (typeof fenceLimit === 'number' && fenceLimit > 0 && fenceLimit < limit) {
+            limit = fenceLimit;
+            limitFence = fence;
+        }
+    }
+
+    if (speedKmh <= limit) {
+        return null;
+    }
+
+    const where = limitFence ? ` in ${limitFence.name}` : '';
+    return {
+        anomalyType: 'speeding',
+        type: 'speed_limit',
+        severity: 'warning',
+        thresholdValue: limit,
+        actualValue: round(speedKmh),
+        message: {
+            english: `Travelling at ${round(speedKmh)} km/h, above the ${limit} km/h safety limit${where}`,
+            hindi: `${round(speedKmh)} किमी/घंटा की गति, सुरक्षा सीमा ${limit} किमी/घंटा से अधिक`
+        },
+        details: limitFence ? { fenceId: limitFence._id, fenceName: limitFence.name } : {}
+    };
+};
+
+// A sharp altitude drop over a short horizontal distance, ending at rest
+export const detectFall = (points, thresholds) => {
+    const lastIndex = points.length - 1;
+    const current = points[lastIndex];
+    if (typeof current.altitude !== 'number' || !isAccurate(current, thresholds)) {
+        return null;
+    }
+    if (speedKmhAt(points, lastIndex) > thresholds.fallStillKmh) {
+        return null;
+    }
+
+    let highest = null;
+    for (let i = lastIndex - 1; i >= 0 && secondsBetween(points[i], current) <= thresholds.fallWindowSeconds; i--) {
+        const point = points[i];
+        if (typeof point.altitude === 'number' && isAccurate(point, thresholds) &&
+            (!highest || point.altitude > highest.altitude)) {
+            highest = point;
+        }
+    }
+    if (!highest) {
+        return null;
+    }
+
+    const drop = highest.altitude - current.altitude;
+    if (drop < thresholds.fallAltitudeDropMeters || drop > thresholds.fallMaxDropMeters) {
+        return null;
+    }
+    if (distanceMeters(highest, current) > thresholds.fallMaxHorizontalMeters) {
+        return null;
+    }
+
+    const seconds = round(secondsBetween(highest, current));
+    return {
+        anomalyType: 'possible_fall',
+        type: 'anomaly',
+        severity: 'critical',
+        thresholdValue: thresholds.fallAltitudeDropMeters,
+        actualValue: round(drop, 1),
+        message: {
+            english: `Altitude dropped ${round(drop)} m in ${seconds}s; possible fall`,
+            hindi: `${seconds} सेकंड में ${round(drop)} मीटर ऊंचाई में गिरावट; संभावित गिरना`
+        },
+        details: { seconds }
+    };
+};
+
+// Runs every detector on the last point of the track. `context.fences` are
+// the fences the tourist is inside; `context.isRemote` is a boolean or an
+// (async) function, only consulted when a detection needs it.
+export const detectAnomalies = async (points, context = {}, thresholds = getAnomalyThresholds()) => {
+    if (points.length === 0) {
+        return [];
+    }
+
+    // A jump makes every speed-based reading for this fix meaningless
+    const jump = detectImplausibleJump(points, thresholds);
+    if (jump) {
+        return [jump];
+    }
+
+    const detections = [
+        detectSuddenStop(points, thresholds),
+        detectProlongedStationary(points, thresholds, context),
+        detectSpeeding(points, thresholds, context),
+        detectFall(points, thresholds)
+    ].filter(Boolean);
+
+    const results = [];
+    for (const { requiresRemote, ...detection } of detections) {
+        if (requiresRemote) {
+            const remote = typeof context.isRemote === 'function' ? await context.isRemote() : context.isRemote;
+            if (!remote) {
+                continue;
+            }
+        }
+        results.push(detection);
+    }
+    return results;
+};
@@ -0,0 +1,504 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import QRCode from 'qrcode';
+import DigitalId from '../models/digitalId.model.js';
+import KycDocument from '../models/kycDocument.model.js';
+import Tourist from '../models/tourist.model.js';
+import fabricService from './fabric.service.js';
+import { getKeyId, getPublicKeyPem, signPayload, verifyToken } from './qrSigning.service.js';
+
+const QR_PAYLOAD_VERSION = 1;
+const LIVE_STATUSES = ['active', 'suspended'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ACCESS_LOG_ENTRIES = 500;
+const MAX_REASON_LENGTH = 500;
+
+// DigitalId status -> digital-tourist-id chaincode status
+const LEDGER_STATUS = {
+    active: 'ACTIVE',
+    suspended: 'SUSPENDED',
+    revoked: 'REVOKED',
+    expired: 'EXPIRED'
+};
+
+// Lifecycle actions and the statuses they may start from
+const TRANSITIONS = {
+    suspend: { from: ['active'], to: 'suspended', action: 'suspended' },
+    reinstate: { from: ['suspended'], to: 'active', action: 'reinstated' },
+    revoke: { from: ['active', 'suspended'], to: 'revoked', action: 'revoked' },
+    expire: { from: ['active', 'suspended'], to: 'expired', action: 'expired' }
+};
+
+// ISO/IEC 7810 ID-1 (credit card) size, which most ID card printers take
+const CARD_LAYOUT = {
+    format: 'CR80',
+    widthMm: 85.6,
+    heightMm: 53.98,
+    qrSizeMm: 30,
+    dpi: 300
+};
+
+const namedError = (name, message) => {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+};
+
+const getMaxValidityDays = () => parseInt(process.env.DIGITAL_ID_MAX_VALIDITY_DAYS, 10) || 180;
+const getLedgerTimeoutMs = () => parseInt(process.env.DIGITAL_ID_LEDGER_TIMEOUT_MS, 10) || 3000;
+
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Ledger did not respond within ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const parseReason = (reason) => {
+    if (typeof reason !== 'string' || reason.trim().length < 3 || reason.length > MAX_REASON_LENGTH) {
+        throw namedError('ValidationError', `A reason of 3 to ${MAX_REASON_LENGTH} characters is required`);
+    }
+    return reason.trim();
+};
+
+// Issues digital tourist IDs once KYC is verified: anchors a DID on the
+// digital-tourist-id chaincode (or the local ledger), signs a QR payload that
+// scanners can check offline and stores the DigitalId linked from the tourist.
+class DigitalIdService {
+    async findLive(touristId) {
+        return DigitalId.findOne({ touristId, status: { $in: LIVE_STATUSES } });
+    }
+
+    // The ID to show a tourist: the live one, otherwise the most recent
+    async findCurrent(touristId) {
+        const digitalId = await this.findLive(touristId)
+            || await DigitalId.findOne({ touristId }).sort({ 'issueDetails.issuedAt': -1 });
+        if (!digitalId) {
+            throw namedError('NotFoundError', 'No digital ID has been issued for this tourist');
+        }
+        return digitalId;
+    }
+
+    resolveValidUntil(tourist, requested) {
+        const now = new Date();
+        const maxUntil = new Date(now.getTime() + getMaxValidityDays() * DAY_MS);
+
+        let validUntil = requested !== undefined && requested !== null ? new Date(requested) : tourist.expectedCheckOutTime;
+        if (!validUntil || Number.isNaN(new Date(validUntil).getTime())) {
+            throw namedError('ValidationError', 'validUntil must be a valid date');
+        }
+        validUntil = new Date(validUntil);
+        if (validUntil <= now) {
+            throw namedError('ValidationError', 'validUntil must be in the future');
+        }
+        return validUntil > maxUntil ? maxUntil : validUntil;
+    }
+
+    parseIssueCoordinates(coordinates) {
+        if (!coordinates) {
+            return undefined;
+        }
+        const latitude = Number(coordinates.latitude);
+        const longitude = Number(coordinates.longitude);
+        if (!Number.isFinite(latitude) || !Number.isFinite(longitude)
+            || latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+            throw namedError('ValidationError', 'issueCoordinates must contain a valid latitude and longitude');
+        }
+        return { type: 'Point', coordinates: [longitude, latitude] };
+    }
+
+    // options: { issuedBy, issueLocation, issueCoordinates, validUntil, permissions }
+    async issue(touristId, options = {}) {
+        const tourist = await Tourist.findById(touristId);
+        if (!tourist) {
+            throw namedError('NotFoundError', 'Tourist not found');
+        }
+        if (tourist.kycStatus !== 'verified') {
+            throw namedError('ConflictError', 'KYC verification must be completed before a digital ID can be issued');
+        }
+        if (await this.findLive(tourist._id)) {
+            throw namedError('ConflictError', 'Tourist already has an active digital ID');
+        }
+
+        const validFrom = new Date();
+        const validUntil = this.resolveValidUntil(tourist, options.validUntil);
+        const issueCoordinates = this.parseIssueCoordinates(options.issueCoordinates);
+        const kycDocuments = await KycDocument.find({ touristId: tourist._id, verificationStatus: 'verified' })
+            .select('+documentNumberHash')
+            .sort({ verificationDate: -1 });
+        const documentType = kycDocuments[0]?.type || 'unverified';
+
+        // Anchored as the DID's KYC document. The DigitalId _id keeps the hash
+        // unique when a tourist is re-issued an ID with the same details.
+        const _id = new mongoose.Types.ObjectId();
+        const kycDocument = {
+            digitalId: _id.toString(),
+            touristId: tourist._id.toString(),
+            name: tourist.personalInfo.name,
+            nationality: tourist.personalInfo.nationality || null,
+            dateOfBirth: toIso(tourist.personalInfo.dateOfBirth),
+            documentType,
+            validFrom: validFrom.toISOString(),
+            validUntil: validUntil.toISOString()
+        };
+        const blockchainHash = crypto.createHash('sha256').update(JSON.stringify(kycDocument)).digest('hex');
+
+        let did;
+        try {
+            did = await fabricService.issueTouristID({
+                expiryDate: validUntil.toISOString(),
+                ocrData: kycDocument,
+                documentType
+            });
+        } catch (error) {
+            throw namedError('LedgerUnavailableError', `Digital ID could not be anchored: ${error.message}`);
+        }
+
+        const qrToken = signPayload({
+            v: QR_PAYLOAD_VERSION,
+            id: _id.toString(),
+            did,
+            name: tourist.personalInfo.name,
+            nat: tourist.personalInfo.nationality || null,
+            exp: Math.floor(validUntil.getTime() / 1000),
+            iat: Math.floor(validFrom.getTime() / 1000)
+        });
+
+        let digitalId;
+        try {
+            digitalId = await DigitalId.create({
+                _id,
+                touristId: tourist._id,
+                did,
+                blockchainHash,
+                qrCode: await QRCode.toDataURL(qrToken, { errorCorrectionLevel: 'M', margin: 1, width: 512 }),
+                qrToken,
+                kycData: {
+                    verified: true,
+                    documents: kycDocuments.map(document => ({
+                        type: document.type,
+                        kycDocumentId: document._id,
+                        documentNumberHash: document.documentNumberHash,
+                        verificationStatus: document.verificationStatus,
+                        verifiedBy: document.verifiedBy,
+                        verificationDate: document.verificationDate
+                    })),
+                    verificationDate: kycDocuments[0]?.verificationDate || validFrom,
+                    verificationScore: kycDocuments.length
+                        ? Math.max(...kycDocuments.map(document => document.verificationScore))
+                        : undefined
+                },
+                issueDetails: {
+                    issuedAt: validFrom,
+                    issuedBy: options.issuedBy,
+                    issueLocation: options.issueLocation || 'Online',
+                    issueCoordinates
+                },
+                validity: { validFrom, validUntil },
+                blockchain: {
+                    ledger: fabricService.networkEnabled ? 'fabric' : 'local',
+                    transactionHash: did,
+                    networkId: fabricService.networkEnabled ? 'digitalid-channel' : 'local'
+                },
+                permissions: options.permissions
+            });
+        } catch (error) {
+            // The DID is already on the ledger; revoke it so it never verifies
+            await fabricService.updateTouristIDStatus(did, 'REVOKED', 'Issuance not completed')
+                .catch(revokeError => console.error(`Failed to revoke orphaned DID ${did}:`, revokeError.message));
+            if (error.code === 11000) {
+                throw namedError('ConflictError', 'Tourist already has an active digital ID');
+            }
+            throw error;
+        }
+
+        await Tourist.updateOne({ _id: tourist._id }, { $set: { activeDigitalId: digitalId._id } });
+        return { digitalId, card: await this.buildCard(digitalId, tourist) };
+    }
+
+    async findLiveOrFail(touristId) {
+        const digitalId = await this.findLive(touristId);
+        if (!digitalId) {
+            throw namedError('NotFoundError', 'Tourist has no active or suspended digital ID');
+        }
+        return digitalId;
+    }
+
+    // Pushes a lifecycle change to the ledger. Failures are recorded on the
+    // ID rather than thrown: the database stays authoritative for /verify and
+    // the nightly lifecycle job retries until the ledger catches up.
+    async syncLedger(digitalId, reason, { extended = false } = {}) {
+        // After a failed sync the ledger may be behind on both expiry and
+        // status, so both are replayed. Extending goes first because the
+        // ledger refuses to extend an ID that is no longer live.
+        const replay = digitalId.blockchain?.syncStatus === 'failed';
+        let blockchain;
+        try {
+            if ((extended || replay) && digitalId.validity.extendedUntil && LIVE_STATUSES.includes(digitalId.status)) {
+                await fabricService.extendTouristID(digitalId.did, digitalId.getExpiryDate().toISOString(), reason)
+                    .catch(error => {
+                        // On replay the extension may already be on the ledger
+                        if (!replay) {
+                            throw error;
+                        }
+                    });
+            }
+            if (!extended || replay) {
+                await fabricService.updateTouristIDStatus(digitalId.did, LEDGER_STATUS[digitalId.status], reason);
+            }
+            blockchain = { syncStatus: 'synced', syncError: null, lastSyncedAt: new Date() };
+        } catch (error) {
+            blockchain = { syncStatus: 'failed', syncError: error.message };
+        }
+
+        const $set = {};
+        for (const [field, value] of Object.entries(blockchain)) {
+            $set[`blockchain.${field}`] = value;
+        }
+        await DigitalId.updateOne({ _id: digitalId._id }, { $set });
+        Object.assign(digitalId.blockchain, blockchain);
+        return digitalId;
+    }
+
+    async resyncLedger(digitalId) {
+        const reason = digitalId.statusHistory[digitalId.statusHistory.length - 1]?.reason || 'Ledger resync';
+        return this.syncLedger(digitalId, reason);
+    }
+
+    async transition(touristId, transitionName, { reason, changedBy }) {
+        const { from, to, action } = TRANSITIONS[transitionName];
+        const current = await this.findLiveOrFail(touristId);
+        if (!from.includes(current.status)) {
+            throw namedError('ConflictError', `Cannot ${transitionName} a digital ID that is ${current.status}`);
+        }
+
+        const digitalId = await DigitalId.findOneAndUpdate(
+            { _id: current._id, status: { $in: from } },
+            {
+                $set: { status: to },
+                $push: { statusHistory: { action, status: to, reason, changedBy, changedAt: new Date() } }
+            },
+            { new: true }
+        );
+        if (!digitalId) {
+            throw namedError('ConflictError', 'Digital ID was changed by another request, please retry');
+        }
+        return this.syncLedger(digitalId, reason);
+    }
+
+    async suspend(touristId, { reason, changedBy }) {
+        return this.transition(touristId, 'suspend', { reason: parseReason(reason), changedBy });
+    }
+
+    async reinstate(touristId, { reason, changedBy }) {
+        const current = await this.findLiveOrFail(touristId);
+        if (current.status === 'suspended' && current.getExpiryDate() <= new Date()) {
+            throw namedError('ConflictError', 'Digital ID has passed its expiry date; extend it before reinstating');
+        }
+        return this.transition(touristId, 'reinstate', { reason: parseReason(reason), changedBy });
+    }
+
+    async revoke(touristId, { reason, changedBy }) {
+        return this.transition(touristId, 'revoke', { reason: parseReason(reason), changedBy });
+    }
+
+    async extend(touristId, { validUntil, reason, changedBy }) {
+        reason = parseReason(reason);
+        const current = await this.findLiveOrFail(touristId);
+
+        const newUntil = validUntil === undefined || validUntil === null ? null : new Date(validUntil);
+        if (!newUntil || Number.isNaN(newUntil.getTime())) {
+            throw namedError('ValidationError', 'validUntil must be a valid date');
+        }
+        const currentUntil = current.getExpiryDate();
+        if (newUntil <= currentUntil) {
+            throw namedError('ValidationError', `validUntil must be later than the current expiry (${currentUntil.toISOString()})`);
+        }
+        const maxUntil = new Date(Date.now() + getMaxValidityDays() * DAY_MS);
+        if (newUntil > maxUntil) {
+            throw namedError('ValidationError', `validUntil cannot be more than ${getMaxValidityDays()} days from now`);
+        }
+
+        const digitalId = await DigitalId.findOneAndUpdate(
+            {
+                _id: current._id,
+                status: { $in: LIVE_STATUSES },
+                'validity.extendedUntil': current.validity.extendedUntil || null
+            },
+            {
+                $set: { 'validity.extendedUntil': newUntil },
+                $push: {
+                    statusHistory: {
+                        action: 'extended',
+                        status: current.status,
+                        reason,
+                        changedBy,
+                        validUntil: newUntil,
+                        changedAt: new Date()
+                    }
+                }
+            },
+            { new: true }
+        );
+        if (!digitalId) {
+            throw namedError('ConflictError', 'Digital ID was changed by another request, please retry');
+        }
+        return this.syncLedger(digitalId, reason, { extended: true });
+    }
+
+    // Published so scanner apps can cache it and check QR signatures offline
+    getPublicKey() {
+        return {
+            keyId: getKeyId(),
+            algorithm: 'Ed25519',
+            format: 'spki-pem',
+            publicKey: getPublicKeyPem()
+        };
+    }
+
+    // Asks the ledger whether the DID is still valid. An unreachable ledger is
+    // reported rather than thrown: the signature and the database record are
+    // enough to verify a card, so scans keep working during ledger outages.
+    async checkLedger(did, verifierDID) {
+        try {
+            const result = await withTimeout(fabricService.verifyTouristID(did, verifierDID), getLedgerTimeoutMs());
+            return { checked: true, reachable: true, isValid: result.isValid, status: result.status, reason: null };
+        } catch (error) {
+            if (error.name === 'NotFoundError') {
+                return { checked: true, reachable: true, isValid: false, status: null, reason: 'DID not found on ledger' };
+            }
+            return { checked: false, reachable: false, isValid: null, status: null, reason: error.message };
+        }
+    }
+
+    // Verifies a scanned QR token and records the scan on the ID's access log.
+    // context: { verifier, verifierDID, coordinates: [lng, lat], ipAddress, userAgent, checkLedger }
+    async verify(token, context = {}) {
+        const checkedAt = new Date();
+        const signature = verifyToken(token);
+        const payload = signature.payload;
+        const result = {
+            verified: false,
+            reason: null,
+            checkedAt,
+            signature: {
+                valid: signature.valid,
+                keyId: payload?.kid || null,
+                reason: signature.reason
+            },
+            digitalId: null,
+            holder: null,
+            ledger: { checked: false, reachable: null, isValid: null, status: null, reason: 'Not requested' }
+        };
+
+        if (!signature.valid) {
+            result.reason = signature.reason;
+            return result;
+        }
+
+        const digitalId = mongoose.isValidObjectId(payload.id) ? await DigitalId.findById(payload.id) : null;
+        if (!digitalId || digitalId.did !== payload.did) {
+            result.reason = 'Digital ID is not on record';
+            return result;
+        }
+
+        const tourist = await Tourist.findById(digitalId.touristId).select('personalInfo status').lean();
+        const isValid = digitalId.isValid();
+        result.digitalId = {
+            id: digitalId._id,
+            did: digitalId.did,
+            status: digitalId.status,
+            isValid,
+            remainingDays: Math.max(digitalId.getRemainingDays(), 0),
+            validFrom: digitalId.validity.validFrom,
+            validUntil: digitalId.getExpiryDate()
+        };
+        result.holder = tourist ? {
+            touristId: tourist._id,
+            name: tourist.personalInfo.name,
+            nationality: tourist.personalInfo.nationality || null,
+            photo: tourist.personalInfo.profilePicture || null
+        } : null;
+
+        if (context.checkLedger !== false) {
+            result.ledger = await this.checkLedger(digitalId.did, context.verifierDID);
+        }
+
+        if (!isValid) {
+            result.reason = digitalId.status === 'active' ? 'Digital ID is outside its validity period' : `Digital ID is ${digitalId.status}`;
+        } else if (result.ledger.checked && !result.ledger.isValid) {
+            result.reason = result.ledger.reason || `Ledger reports the ID as ${result.ledger.status}`;
+        } else {
+            result.verified = true;
+        }
+
+        await DigitalId.updateOne({ _id: digitalId._id }, {
+            $push: {
+                accessLog: {
+                    $each: [{
+                        accessedBy: context.verifier,
+                        accessType: 'verify',
+                        location: context.coordinates ? { type: 'Point', coordinates: context.coordinates } : undefined,
+                        timestamp: checkedAt,
+                        ipAddress: context.ipAddress,
+                        userAgent: context.userAgent,
+                        verification: {
+                            verified: result.verified,
+                            reason: result.reason,
+                            signatureValid: true,
+                            ledgerChecked: result.ledger.checked,
+                            ledgerValid: result.ledger.isValid
+                        }
+                    }],
+                    $slice: -MAX_ACCESS_LOG_ENTRIES
+                }
+            }
+        });
+
+        return result;
+    }
+
+    // Everything a client needs to render or print the ID card
+    async buildCard(digitalId, tourist) {
+        const primaryContact = tourist.emergencyContacts?.find(contact => contact.isPrimary)
+            || tourist.emergencyContacts?.[0];
+
+        return {
+            layout: CARD_LAYOUT,
+            holder: {
+                name: tourist.personalInfo.name,
+                nationality: tourist.personalInfo.nationality || null,
+                dateOfBirth: tourist.personalInfo.dateOfBirth || null,
+                photo: tourist.personalInfo.profilePicture || null
+            },
+            id: {
+                digitalId: digitalId._id,
+                did: digitalId.did,
+                touristCode: tourist.digitalId,
+                status: digitalId.status,
+                validFrom: digitalId.validity.validFrom,
+                validUntil: digitalId.getExpiryDate(),
+                issuedAt: digitalId.issueDetails.issuedAt,
+                issueLocation: digitalId.issueDetails.issueLocation,
+                ledger: digitalId.blockchain?.ledger || null
+            },
+            emergencyContact: primaryContact ? {
+                name: primaryContact.name,
+                relationship: primaryContact.relationship,
+                phone: primaryContact.phone
+            } : null,
+            qr: {
+                token: digitalId.qrToken,
+                pngDataUrl: digitalId.qrCode,
+                svg: digitalId.qrToken
+                    ? await QRCode.toString(digitalId.qrToken, { type: 'svg', errorCorrectionLevel: 'M', margin: 1 })
+                    : null
+            }
+        };
+    }
+}
+
+export default new DigitalIdService();
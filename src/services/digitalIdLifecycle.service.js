@@ -0,0 +1,177 @@
+import cron from 'node-cron';
+import DigitalId from '../models/digitalId.model.js';
+import Tourist from '../models/tourist.model.js';
+import digitalIdService from './digitalId.service.js';
+import notificationService from './notification.service.js';
+
+// After the 02:00 orphaned record cleanup in index.js
+const DEFAULT_CRON = '30 2 * * *';
+const DEFAULT_NOTICE_DAYS = 3;
+const BATCH_SIZE = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SYSTEM_ACTOR = 'system:lifecycle';
+
+// Nightly housekeeping for digital IDs and stays: expires IDs past their
+// (extended) expiry date, marks tourists past their expected check-out as
+// inactive, warns tourists whose ID is about to expire and retries ledger
+// syncs that failed when an admin changed an ID.
+class DigitalIdLifecycleService {
+    constructor() {
+        this.task = null;
+        this.isProcessing = false;
+    }
+
+    getNoticeDays() {
+        const days = parseFloat(process.env.DIGITAL_ID_EXPIRY_NOTICE_DAYS);
+        return Number.isFinite(days) && days >= 0 ? days : DEFAULT_NOTICE_DAYS;
+    }
+
+    start() {
+        if (this.task) {
+            return;
+        }
+        let schedule = process.env.DIGITAL_ID_LIFECYCLE_CRON || DEFAULT_CRON;
+        if (!cron.validate(schedule)) {
+            console.warn(`Invalid DIGITAL_ID_LIFECYCLE_CRON "${schedule}", using ${DEFAULT_CRON}`);
+            schedule = DEFAULT_CRON;
+        }
+        this.task = cron.schedule(schedule, () => this.runNightly());
+        console.log(`🪪 Digital ID lifecycle job started (${schedule})`);
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+    }
+
+    async runNightly(now = new Date()) {
+        if (this.isProcessing) {
+            return null;
+        }
+        this.isProcessing = true;
+
+        const summary = {};
+        try {
+            for (const [step, run] of [
+                ['expired', () => this.expireDue(now)],
+                ['checkedOut', () => this.deactivateCheckedOut(now)],
+                ['notified', () => this.notifyExpiring(now)],
+                ['resynced', () => this.retryLedgerSync()]
+            ]) {
+                try {
+                    summary[step] = await run();
+                } catch (error) {
+                    console.error(`Digital ID lifecycle step "${step}" failed:`, error);
+                    summary[step] = null;
+                }
+            }
+            console.log('🪪 Digital ID lifecycle run:', summary);
+            return summary;
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    async expireDue(now = new Date()) {
+        const cursor = DigitalId.find({
+            status: { $in: ['active', 'suspended'] },
+            'validity.autoExpiry': { $ne: false },
+            $or: [
+                { 'validity.extendedUntil': { $lte: now } },
+                { 'validity.extendedUntil': null, 'validity.validUntil': { $lte: now } }
+            ]
+        })
+            .select('_id')
+            .lean()
+            .cursor({ batchSize: BATCH_SIZE });
+
+        let expired = 0;
+        for await (const { _id } of cursor) {
+            try {
+                const digitalId = await DigitalId.findOneAndUpdate(
+                    { _id, status: { $in: ['active', 'suspended'] } },
+                    {
+                        $set: { status: 'expired' },
+                        $push: {
+                            statusHistory: {
+                                action: 'expired',
+                                status: 'expired',
+                                reason: 'Validity period ended',
+                                changedBy: SYSTEM_ACTOR,
+                                changedAt: now
+                            }
+                        }
+                    },
+                    { new: true }
+                );
+                if (digitalId) {
+                    await digitalIdService.syncLedger(digitalId, 'Validity period ended');
+                    expired++;
+                }
+            } catch (error) {
+                console.error(`Failed to expire digital ID ${_id}:`, error);
+            }
+        }
+        return expired;
+    }
+
+    // Tourists in an emergency or reported missing keep their status
+    async deactivateCheckedOut(now = new Date()) {
+        const result = await Tourist.updateMany(
+            {
+                status: { $in: ['active', 'safe'] },
+                expectedCheckOutTime: { $lt: now }
+            },
+            { $set: { status: 'inactive' } }
+        );
+        return result.modifiedCount;
+    }
+
+    async notifyExpiring(now = new Date()) {
+        const horizon = new Date(now.getTime() + this.getNoticeDays() * DAY_MS);
+        const cursor = DigitalId.find({
+            status: 'active',
+            $or: [
+                { 'validity.extendedUntil': { $gt: now, $lte: horizon } },
+                { 'validity.extendedUntil': null, 'validity.validUntil': { $gt: now, $lte: horizon } }
+            ]
+        })
+            .cursor({ batchSize: BATCH_SIZE });
+
+        let notified = 0;
+        for await (const digitalId of cursor) {
+            const expiresAt = digitalId.getExpiryDate();
+            if (digitalId.expiryNotice?.expiresAt?.getTime() === expiresAt.getTime()) {
+                continue;
+            }
+
+            const results = await notificationService.notifyDigitalIdExpiry(digitalId, expiresAt);
+            if (results.some(result => result.status !== 'failed')) {
+                await DigitalId.updateOne(
+                    { _id: digitalId._id },
+                    { $set: { expiryNotice: { sentAt: new Date(), expiresAt } } }
+                );
+                notified++;
+            }
+        }
+        return notified;
+    }
+
+    async retryLedgerSync() {
+        const cursor = DigitalId.find({ 'blockchain.syncStatus': 'failed' })
+            .cursor({ batchSize: BATCH_SIZE });
+
+        let resynced = 0;
+        for await (const digitalId of cursor) {
+            await digitalIdService.resyncLedger(digitalId);
+            if (digitalId.blockchain.syncStatus === 'synced') {
+                resynced++;
+            }
+        }
+        return resynced;
+    }
+}
+
+export default new DigitalIdLifecycleService();
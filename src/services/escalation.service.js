@@ -0,0 +1,236 @@
+import cron from 'node-cron';
+import EscalationTimer from '../models/escalationTimer.model.js';
+import { Alert } from '../models/tracking.model.js';
+import Tourist from '../models/tourist.model.js';
+import GeoFence from '../models/geoFence.model.js';
+import { ESCALATION_LADDER } from '../constants.js';
+import incidentService from './incident.service.js';
+import { notifyAdmins } from './socket.service.js';
+
+const MAX_ATTEMPTS = 3;
+// Failed steps are retried after 30s, then 60s, ... so a provider outage
+// does not use up every attempt within a few polls
+const RETRY_BASE_MS = 30 * 1000;
+const BATCH_SIZE = 50;
+const STALE_CLAIM_MS = 5 * 60 * 1000;
+const DEFAULT_POLL_CRON = '*/15 * * * * *';
+
+// Pending escalations live in the escalation_timers collection and are picked
+// up by a polling job, so they survive restarts and run on a single claim even
+// with several API instances.
+class EscalationService {
+    constructor() {
+        this.task = null;
+        this.isProcessing = false;
+    }
+
+    getLadder(severity) {
+        let overrides = {};
+        if (process.env.ESCALATION_LADDER) {
+            try {
+                overrides = JSON.parse(process.env.ESCALATION_LADDER);
+            } catch (error) {
+                console.error('Invalid ESCALATION_LADDER JSON, using defaults:', error.message);
+            }
+        }
+        return overrides[severity] || ESCALATION_LADDER[severity] || [];
+    }
+
+    start() {
+        if (this.task) {
+            return;
+        }
+        let schedule = process.env.ESCALATION_POLL_CRON || DEFAULT_POLL_CRON;
+        if (!cron.validate(schedule)) {
+            console.warn(`Invalid ESCALATION_POLL_CRON "${schedule}", using ${DEFAULT_POLL_CRON}`);
+            schedule = DEFAULT_POLL_CRON;
+        }
+        this.task = cron.schedule(schedule, () => this.processDueTimers());
+        console.log(`⏱️  Escalation engine started (${schedule})`);
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+    }
+
+    async scheduleForAlert(alert, reason = 'unacknowledged_alert') {
+        try {
+            const ladder = this.getLadder(alert.severity);
+            if (ladder.length === 0) {
+                return null;
+            }
+
+            const createdAt = alert.createdAt || new Date();
+            return await EscalationTimer.findOneAndUpdate(
+                { alert: alert._id, reason },
+                {
+                    $setOnInsert: {
+                        alertId: alert.alertId,
+                        touristId: alert.touristId,
+                        severity: alert.severity,
+                        step: 0,
+                        dueAt: new Date(createdAt.getTime() + ladder[0].afterSeconds * 1000),
+                        status: 'pending'
+                    }
+                },
+                { upsert: true, new: true }
+            );
+        } catch (error) {
+            console.error(`Failed to schedule escalation for alert ${alert.alertId}:`, error);
+            return null;
+        }
+    }
+
+    async cancelForAlert(alertObjectId) {
+        await EscalationTimer.updateMany(
+            { alert: alertObjectId, status: { $in: ['pending', 'processing'] } },
+            { status: 'cancelled' }
+        );
+    }
+
+    // Called after a danger-zone entry alert. Escalates once the tourist keeps
+    // re-entering danger zones within the configured window.
+    async checkRepeatedDangerEntries(alert) {
+        const threshold = parseInt(process.env.ESCALATION_DANGER_ENTRY_THRESHOLD) || 3;
+        const windowHours = parseInt(process.env.ESCALATION_DANGER_ENTRY_WINDOW_HOURS) || 24;
+        const since = new Date(Date.now() - windowHours * 60 * 60 * 1000);
+
+        const dangerFenceIds = await GeoFence.find({ type: 'danger' }).distinct('_id');
+        const entries = await Alert.countDocuments({
+            touristId: alert.touristId,
+            type: 'geofence_entry',
+            geoFenceId: { $in: dangerFenceIds },
+            createdAt: { $gte: since }
+        });
+
+        if (entries >= threshold) {
+            return this.scheduleForAlert(alert, 'repeated_danger_entry');
+        }
+        return null;
+    }
+
+    // Called after an inactivity alert. Only tourists currently on a high or
+    // extreme risk itinerary leg are escalated.
+    async checkHighRiskInactivity(alert) {
+        const tourist = await Tourist.findById(alert.touristId).select('travelItinerary').lean();
+        const now = new Date();
+        const onHighRiskLeg = tourist?.travelItinerary?.some(leg =>
+            ['high', 'extreme'].includes(leg.riskLevel) &&
+            leg.plannedArrival && leg.plannedArrival <= now &&
+            (!leg.plannedDeparture || leg.plannedDeparture >= now)
+        );
+
+        if (onHighRiskLeg) {
+            return this.scheduleForAlert(alert, 'high_risk_inactivity');
+        }
+        return null;
+    }
+
+    async processDueTimers() {
+        if (this.isProcessing) {
+            return;
+        }
+        this.isProcessing = true;
+
+        try {
+            // Claims left behind by a crashed or restarted instance
+            await EscalationTimer.updateMany(
+                { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_CLAIM_MS) } },
+                { status: 'pending' }
+            );
+
+            for (let i = 0; i < BATCH_SIZE; i++) {
+                const timer = await EscalationTimer.findOneAndUpdate(
+                    { status: 'pending', dueAt: { $lte: new Date() } },
+                    { status: 'processing', $inc: { attempts: 1 } },
+                    { sort: { dueAt: 1 }, new: true }
+                );
+                if (!timer) {
+                    break;
+                }
+                await this.runStep(timer);
+            }
+        } catch (error) {
+            console.error('Error processing escalation timers:', error);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    async runStep(timer) {
+        try {
+            const alert = await Alert.findById(timer.alert);
+
+            if (!alert || alert.acknowledgment?.isAcknowledged || alert.metadata?.relatedIncidentId) {
+                timer.status = 'cancelled';
+                await timer.save();
+                return;
+            }
+
+            const ladder = this.getLadder(timer.severity);
+            const step = ladder[timer.step];
+            if (!step) {
+                timer.status = 'cancelled';
+                await timer.save();
+                return;
+            }
+
+            if (step.action === 'open_incident') {
+                const incident = await incidentService.createIncidentFromAlert(alert, 'system', {
+                    severity: step.incidentSeverity,
+                    reportedBy: 'system',
+                    automaticDetection: true,
+                    detectionMethod: `escalation:${timer.reason}`
+                });
+                timer.incidentId = incident._id;
+
+                notifyAdmins('alert_escalated', {
+                    alertId: alert.alertId,
+                    incidentId: incident.incidentId,
+                    touristId: alert.touristId,
+                    reason: timer.reason,
+                    severity: incident.severity,
+                    timestamp: new Date()
+                });
+            } else {
+                notifyAdmins('escalation_reminder', {
+                    alertId: alert.alertId,
+                    touristId: alert.touristId,
+                    type: alert.type,
+                    severity: alert.severity,
+                    reason: timer.reason,
+                    unacknowledgedSince: alert.createdAt,
+                    timestamp: new Date()
+                });
+            }
+
+            timer.history.push({ step: timer.step, action: step.action });
+
+            const nextStep = ladder[timer.step + 1];
+            if (step.action !== 'open_incident' && nextStep) {
+                timer.step += 1;
+                timer.dueAt = new Date(alert.createdAt.getTime() + nextStep.afterSeconds * 1000);
+                timer.status = 'pending';
+                timer.attempts = 0;
+            } else {
+                timer.status = 'escalated';
+            }
+
+            await timer.save();
+            console.log(`⏫ Escalation step ${step.action} executed for alert ${alert.alertId} (${timer.reason})`);
+        } catch (error) {
+            console.error(`Escalation failed for alert ${timer.alertId}:`, error);
+            timer.lastError = error.message;
+            timer.status = timer.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+            if (timer.status === 'pending') {
+                timer.dueAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** Math.max(timer.attempts - 1, 0));
+            }
+            await timer.save();
+        }
+    }
+}
+
+export default new EscalationService();
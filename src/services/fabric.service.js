@@ -1,7 +1,7 @@
-import { Gateway, Wallets } from 'fabric-network';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
+import localLedgerService from './localLedger.service.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -13,6 +13,17 @@ class FabricService {
         this.connectionProfile = null;
         this.isConnected = false;
         this.networkEnabled = process.env.FABRIC_NETWORK_ENABLED === 'true';
+        this.sdk = null;
+    }
+
+    // fabric-network is CommonJS with native gRPC bindings, so it is only
+    // loaded when the network is enabled and cannot break startup otherwise
+    async loadSdk() {
+        if (!this.sdk) {
+            const fabricNetwork = await import('fabric-network');
+            this.sdk = fabricNetwork.default || fabricNetwork;
+        }
+        return this.sdk;
     }
 
     async initialize() {
@@ -28,6 +39,7 @@ class FabricService {
                 return;
             }
             
+            const { Wallets } = await this.loadSdk();
             const ccp = JSON.parse(fs.readFileSync(ccpPath, 'utf8'));
             this.connectionProfile = ccp;
             const walletPath = path.resolve(__dirname, '..', 'fabric-network', 'wallet');
@@ -50,6 +62,7 @@ class FabricService {
                 console.warn(`Identity for user ${userId} does not exist in wallet. Creating mock identity for development.`);
                 await this.createMockIdentity(userId);
             }
+            const { Gateway } = await this.loadSdk();
             this.gateway = new Gateway();
             
             
@@ -83,7 +96,7 @@ class FabricService {
     }
 
     async getContract(channelName, chaincodeName) {
-        if (!this.isConnected) {
+        if (!this.isConnected && !await this.ensureConnected()) {
             throw new Error('Gateway not connected. Call connectGateway() first.');
         }
 
@@ -97,6 +110,29 @@ class FabricService {
         }
     }
 
+    // Lazily initializes and connects on first use. Resolves to false when the
+    // network is disabled or unreachable so callers can skip anchoring.
+    async ensureConnected() {
+        if (!this.networkEnabled) {
+            return false;
+        }
+        if (this.isConnected) {
+            return true;
+        }
+        if (!this.wallet) {
+            await this.initialize();
+        }
+        if (!this.wallet || !this.connectionProfile) {
+            return false;
+        }
+        try {
+            await this.connectGateway();
+        } catch (error) {
+            return false;
+        }
+        return this.isConnected;
+    }
+
     async disconnect() {
         if (this.gateway) {
             await this.gateway.disconnect();
@@ -105,15 +141,10 @@ class FabricService {
         }
     }
 
+    // Digital ID functions run against the local ledger (MongoDB) when the
+    // Fabric network is disabled, so DIDs issued in development still verify.
     async issueTouristID(touristData) {
         try {
-            if (!this.networkEnabled) {
-                console.warn('Fabric network disabled. Returning mock DID.');
-                return `did:tourist:mock-${Date.now()}`;
-            }
-
-            const contract = await this.getContract('digitalid-channel', 'digital-tourist-id');
-            
             const digitalIdData = {
                 issuerDID: 'did:tourismdept:gov-ts',
                 expiryDate: touristData.expiryDate,
@@ -121,17 +152,26 @@ class FabricService {
                 documentType: touristData.documentType 
             };
 
+            if (!this.networkEnabled) {
+                return await localLedgerService.issueTouristID(digitalIdData);
+            }
+
+            const contract = await this.getContract('digitalid-channel', 'digital-tourist-id');
+
             const result = await contract.submitTransaction('issueTouristID', JSON.stringify(digitalIdData));
             return result.toString(); 
         } catch (error) {
             console.error('Failed to issue tourist digital ID:', error);
-            
-            return `did:tourist:mock-${Date.now()}`;
+            throw error;
         }
     }
 
     async verifyTouristID(did, verifierDID = 'did:police:verification') {
         try {
+            if (!this.networkEnabled) {
+                return await localLedgerService.verifyTouristID(did, verifierDID);
+            }
+
             const contract = await this.getContract('digitalid-channel', 'digital-tourist-id');
             
             const result = await contract.submitTransaction('verifyTouristID', did, verifierDID);
@@ -144,6 +184,10 @@ class FabricService {
 
     async updateTouristIDStatus(did, newStatus, reason) {
         try {
+            if (!this.networkEnabled) {
+                return await localLedgerService.updateTouristIDStatus(did, newStatus, reason);
+            }
+
             const contract = await this.getContract('digitalid-channel', 'digital-tourist-id');
             
             const result = await contract.submitTransaction('updateTouristIDStatus', did, newStatus, reason);
@@ -154,8 +198,28 @@ class FabricService {
         }
     }
 
+    async extendTouristID(did, newExpiryDate, reason) {
+        try {
+            if (!this.networkEnabled) {
+                return await localLedgerService.extendTouristID(did, newExpiryDate, reason);
+            }
+
+            const contract = await this.getContract('digitalid-channel', 'digital-tourist-id');
+
+            const result = await contract.submitTransaction('extendTouristID', did, newExpiryDate, reason);
+            return JSON.parse(result.toString());
+        } catch (error) {
+            console.error('Failed to extend tourist ID:', error);
+            throw error;
+        }
+    }
+
     async queryTouristID(did) {
         try {
+            if (!this.networkEnabled) {
+                return await localLedgerService.queryTouristID(did);
+            }
+
             const contract = await this.getContract('digitalid-channel', 'digital-tourist-id');
             
             const result = await contract.evaluateTransaction('queryTouristID', did);
@@ -168,6 +232,10 @@ class FabricService {
 
     async verifyDocumentHash(did, providedHash) {
         try {
+            if (!this.networkEnabled) {
+                return await localLedgerService.verifyDocumentHash(did, providedHash);
+            }
+
             const contract = await this.getContract('digitalid-channel', 'digital-tourist-id');
             
             const result = await contract.evaluateTransaction('verifyDocumentHash', did, providedHash);
@@ -202,6 +270,18 @@ class FabricService {
         }
     }
 
+    async queryItineraryEntry(entryId) {
+        try {
+            const contract = await this.getContract('travel-channel', 'travel-itinerary-log');
+            
+            const result = await contract.evaluateTransaction('queryItineraryEntry', entryId);
+            return JSON.parse(result.toString());
+        } catch (error) {
+            console.error('Failed to query itinerary entry:', error);
+            throw error;
+        }
+    }
+
     async queryTouristItinerary(touristDID) {
         try {
             const contract = await this.getContract('travel-channel', 'travel-itinerary-log');
@@ -0,0 +1,61 @@
+import crypto from 'crypto';
+
+// Encryption at rest for individual sensitive fields. Values are stored as
+//   enc:v1:<base64url IV>:<base64url auth tag>:<base64url ciphertext>
+// using AES-256-GCM with the 32 byte key in PII_ENCRYPTION_KEY (base64 or
+// hex). Outside production a fixed development key is used when it is unset.
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+let encryptionKey = null;
+
+const configError = (message) => {
+    const error = new Error(message);
+    error.name = 'ConfigurationError';
+    return error;
+};
+
+const getKey = () => {
+    if (encryptionKey) {
+        return encryptionKey;
+    }
+
+    const configured = process.env.PII_ENCRYPTION_KEY;
+    if (configured) {
+        const key = /^[0-9a-f]{64}$/i.test(configured)
+            ? Buffer.from(configured, 'hex')
+            : Buffer.from(configured, 'base64');
+        if (key.length !== 32) {
+            throw configError('PII_ENCRYPTION_KEY must be 32 bytes, base64 or hex encoded');
+        }
+        encryptionKey = key;
+    } else if (process.env.NODE_ENV === 'production') {
+        throw configError('PII_ENCRYPTION_KEY must be set in production');
+    } else {
+        console.warn('⚠️  No PII_ENCRYPTION_KEY set; using a development key for encrypted fields.');
+        encryptionKey = crypto.createHash('sha256').update('yatra-suraksha-development-pii-key').digest();
+    }
+    return encryptionKey;
+};
+
+export const isEncrypted = (value) => typeof value === 'string' && value.startsWith(PREFIX);
+
+export const encryptField = (plaintext) => {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+    return PREFIX + [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join(':');
+};
+
+// Values written before encryption was introduced are returned unchanged
+export const decryptField = (value) => {
+    if (!isEncrypted(value)) {
+        return value;
+    }
+    const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
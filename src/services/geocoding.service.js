@@ -0,0 +1,104 @@
+import fetch from 'node-fetch';
+
+const DEFAULT_PROVIDER = 'nominatim';
+const DEFAULT_NOMINATIM_URL = 'https://nominatim.openstreetmap.org';
+const DEFAULT_TIMEOUT_MS = 5000;
+
+const validationError = (message) => {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Resolves itinerary destinations to coordinates. Coordinates supplied by the
+// client win; otherwise the address is looked up with GEOCODER_PROVIDER
+// (`nominatim`, the OpenStreetMap search API, or `none` to require
+// coordinates). Resolves to { latitude, longitude, address, district, state, geocodedBy }.
+class GeocodingService {
+    getProvider() {
+        return process.env.GEOCODER_PROVIDER || DEFAULT_PROVIDER;
+    }
+
+    async resolve({ latitude, longitude, address }) {
+        if (latitude !== undefined || longitude !== undefined) {
+            if (!isNumber(latitude) || !isNumber(longitude)) {
+                throw validationError('Latitude and longitude must both be numbers');
+            }
+            if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+                throw validationError('Invalid coordinates');
+            }
+            return { latitude, longitude, address, geocodedBy: 'client' };
+        }
+
+        if (!address) {
+            throw validationError('Provide latitude and longitude or an address to geocode');
+        }
+
+        const provider = this.getProvider();
+        if (provider === 'none') {
+            throw validationError('Geocoding is disabled; provide latitude and longitude');
+        }
+        if (provider !== 'nominatim') {
+            throw new Error(`Unknown GEOCODER_PROVIDER "${provider}"`);
+        }
+
+        let result;
+        try {
+            result = await this.searchNominatim(address);
+        } catch (error) {
+            const failure = new Error(`Geocoding failed: ${error.name === 'AbortError' ? 'timed out' : error.message}`);
+            failure.name = 'GeocodingError';
+            throw failure;
+        }
+        if (!result) {
+            throw validationError(`Could not find a location for "${address}"; provide latitude and longitude`);
+        }
+        return result;
+    }
+
+    async searchNominatim(address) {
+        const baseUrl = process.env.GEOCODER_URL || DEFAULT_NOMINATIM_URL;
+        const params = new URLSearchParams({
+            q: address,
+            format: 'jsonv2',
+            addressdetails: '1',
+            limit: '1',
+            countrycodes: process.env.GEOCODER_COUNTRY_CODES || 'in'
+        });
+
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), parseInt(process.env.GEOCODER_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS);
+        try {
+            const response = await fetch(`${baseUrl}/search?${params}`, {
+                headers: {
+                    // Nominatim's usage policy requires an identifying User-Agent
+                    'User-Agent': process.env.GEOCODER_USER_AGENT || 'yatra-suraksha-backend',
+                    'Accept-Language': 'en'
+                },
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`Geocoder responded with ${response.status}`);
+            }
+
+            const [match] = await response.json();
+            if (!match) {
+                return null;
+            }
+            return {
+                latitude: parseFloat(match.lat),
+                longitude: parseFloat(match.lon),
+                address: match.display_name || address,
+                district: match.address?.state_district || match.address?.county || match.address?.city,
+                state: match.address?.state,
+                geocodedBy: 'nominatim'
+            };
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+}
+
+export default new GeocodingService();
@@ -0,0 +1,179 @@
+import GeoFence from '../models/geoFence.model.js';
+import GeofenceMembership from '../models/geofenceMembership.model.js';
+import { evaluateFence } from './geometry.service.js';
+
+const EARTH_RADIUS_METERS = 6378100;
+// Upper bound of GeoFence.radius; circles further away than this cannot contain the point
+const MAX_CIRCLE_RADIUS_METERS = 50000;
+
+const FENCE_FIELDS = 'name type geometry radius riskLevel hysteresisMeters alertMessage restrictions metadata isActive revision';
+
+// Fence lookups go through the geometry 2dsphere index instead of loading
+// every fence: polygons with $geoIntersects, circles with a $centerSphere
+// pre-filter sized to the largest allowed radius. The geometry engine makes
+// the final call on each candidate.
+class GeofenceService {
+    async findCandidateFences(longitude, latitude, filter = {}) {
+        const point = { type: 'Point', coordinates: [longitude, latitude] };
+        const base = { isActive: true, ...filter };
+
+        const [polygons, circles] = await Promise.all([
+            GeoFence.find({
+                ...base,
+                'geometry.type': { $in: ['Polygon', 'MultiPolygon'] },
+                geometry: { $geoIntersects: { $geometry: point } }
+            }).select(FENCE_FIELDS).lean(),
+            GeoFence.find({
+                ...base,
+                'geometry.type': 'Point',
+                geometry: {
+                    $geoWithin: {
+                        $centerSphere: [point.coordinates, MAX_CIRCLE_RADIUS_METERS / EARTH_RADIUS_METERS]
+                    }
+                }
+            }).select(FENCE_FIELDS).lean()
+        ]);
+
+        return [...polygons, ...circles];
+    }
+
+    async findFencesAt(longitude, latitude, filter = {}) {
+        const candidates = await this.findCandidateFences(longitude, latitude, filter);
+        return candidates.filter(fence => evaluateFence(fence, longitude, latitude).inside);
+    }
+
+    // Compares the tourist's new position with their stored memberships and
+    // returns the fences they entered and exited, plus every fence they are
+    // inside after this update. Fences the tourist is
+    // already inside are always re-evaluated so the hysteresis buffer applies
+    // even though the index query no longer returns them.
+    async evaluateLocation(touristId, longitude, latitude) {
+        const now = new Date();
+
+        const [candidates, memberships] = await Promise.all([
+            this.findCandidateFences(longitude, latitude),
+            GeofenceMembership.find({ touristId, isInside: true }).select('geoFence').lean()
+        ]);
+
+        const fences = new Map(candidates.map(fence => [fence._id.toString(), fence]));
+        const insideIds = new Set(memberships.map(m => m.geoFence.toString()));
+
+        const missing = [...insideIds].filter(id => !fences.has(id));
+        if (missing.length > 0) {
+            const insideFences = await GeoFence.find({ _id: { $in: missing }, isActive: true })
+                .select(FENCE_FIELDS)
+                .lean();
+            insideFences.forEach(fence => fences.set(fence._id.toString(), fence));
+
+            // Fences that were deactivated or removed while the tourist was inside
+            const gone = missing.filter(id => !fences.has(id));
+            if (gone.length > 0) {
+                await GeofenceMembership.updateMany(
+                    { touristId, geoFence: { $in: gone }, isInside: true },
+                    { isInside: false, exitedAt: now }
+                );
+            }
+        }
+
+        const entered = [];
+        const exited = [];
+        const inside = [];
+        const stillInside = [];
+
+        for (const [id, fence] of fences) {
+            const wasInside = insideIds.has(id);
+            const isInside = evaluateFence(fence, longitude, latitude, { wasInside }).inside;
+
+            if (isInside && !wasInside) {
+                if (await this.markEntered(touristId, fence, now)) {
+                    entered.push(fence);
+                }
+            } else if (!isInside && wasInside) {
+                if (await this.markExited(touristId, fence, now)) {
+                    exited.push(fence);
+                }
+            } else if (isInside) {
+                stillInside.push(fence._id);
+            }
+
+            if (isInside) {
+                inside.push(fence);
+            }
+        }
+
+        if (stillInside.length > 0) {
+            await GeofenceMembership.updateMany(
+                { touristId, geoFence: { $in: stillInside } },
+                { lastSeenAt: now }
+            );
+        }
+
+        return { entered, exited, inside };
+    }
+
+    // Both transitions are conditional updates, so concurrent location
+    // updates for the same tourist produce a single entry or exit.
+    async markEntered(touristId, fence, at) {
+        try {
+            const membership = await GeofenceMembership.findOneAndUpdate(
+                { touristId, geoFence: fence._id, isInside: { $ne: true } },
+                {
+                    $set: { isInside: true, fenceType: fence.type, enteredAt: at, lastSeenAt: at, activeViolations: [] },
+                    $unset: { exitedAt: 1 },
+                    $inc: { entryCount: 1 }
+                },
+                { upsert: true, new: true }
+            );
+            return Boolean(membership);
+        } catch (error) {
+            if (error.code === 11000) {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    async markExited(touristId, fence, at) {
+        const membership = await GeofenceMembership.findOneAndUpdate(
+            { touristId, geoFence: fence._id, isInside: true },
+            { isInside: false, exitedAt: at, lastSeenAt: at, activeViolations: [] }
+        );
+        return Boolean(membership);
+    }
+
+    // Records the restriction violations currently in effect for a tourist
+    // inside a fence and returns the codes that were not active before. Codes
+    // are added one at a time with a conditional update so concurrent updates
+    // alert only once.
+    async syncViolations(touristId, fenceId, codes) {
+        const added = [];
+        for (const code of codes) {
+            const result = await GeofenceMembership.updateOne(
+                { touristId, geoFence: fenceId, isInside: true, activeViolations: { $ne: code } },
+                { $addToSet: { activeViolations: code } }
+            );
+            if (result.modifiedCount === 1) {
+                added.push(code);
+            }
+        }
+
+        await GeofenceMembership.updateOne(
+            { touristId, geoFence: fenceId },
+            { $pull: { activeViolations: { $nin: codes } } }
+        );
+
+        return added;
+    }
+
+    // Closes every open membership of a deactivated fence without raising
+    // exit alerts. Shape changes need no reset since fences a tourist is
+    // inside are always re-evaluated.
+    async resetMemberships(fenceId) {
+        await GeofenceMembership.updateMany(
+            { geoFence: fenceId, isInside: true },
+            { isInside: false, exitedAt: new Date() }
+        );
+    }
+}
+
+export default new GeofenceService();
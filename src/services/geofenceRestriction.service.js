@@ -0,0 +1,141 @@
+// Evaluates GeoFence.restrictions for a tourist who is inside the fence.
+// Each violation carries a stable `code` so repeated location updates inside
+// the same fence only alert once per violation (see GeofenceMembership).
+
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export const WEATHER_CONDITIONS = ['clear', 'advisory', 'closed'];
+// Values of LocationHistory.context.activity
+export const TRACKED_ACTIVITIES = ['stationary', 'walking', 'running', 'driving', 'cycling', 'unknown'];
+
+export const isValidTimeOfDay = (value) => TIME_PATTERN.test(value);
+
+export const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+export const getDefaultTimezone = () => process.env.GEOFENCE_DEFAULT_TIMEZONE || DEFAULT_TIMEZONE;
+
+const toMinutes = (value) => {
+    const [, hours, minutes] = value.match(TIME_PATTERN);
+    return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+const localMinutes = (at, timezone) => {
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: timezone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(at);
+    const hour = parseInt(parts.find(part => part.type === 'hour').value);
+    const minute = parseInt(parts.find(part => part.type === 'minute').value);
+    return hour * 60 + minute;
+};
+
+// `from`/`to` are local HH:MM in the fence's timezone. Windows where `from`
+// is later than `to` run overnight, e.g. 20:00-06:00.
+export const isWithinAllowedHours = (allowedHours, timezone, at = new Date()) => {
+    if (!isValidTimeOfDay(allowedHours?.from) || !isValidTimeOfDay(allowedHours?.to)) {
+        return true;
+    }
+    const from = toMinutes(allowedHours.from);
+    const to = toMinutes(allowedHours.to);
+    const now = localMinutes(at, timezone);
+
+    if (from === to) {
+        return true;
+    }
+    return from < to ? now >= from && now < to : now >= from || now < to;
+};
+
+const hasValidPermit = (tourist, permitType, at) =>
+    (tourist.permits || []).some(permit =>
+        permit.type?.toLowerCase() === permitType.toLowerCase() &&
+        permit.status === 'verified' &&
+        (!permit.validFrom || permit.validFrom <= at) &&
+        (!permit.validUntil || permit.validUntil >= at)
+    );
+
+const isStrictFence = (fence) => ['danger', 'restricted'].includes(fence.type);
+
+export const evaluateRestrictions = (fence, { tourist, activity, at = new Date() }) => {
+    const restrictions = fence.restrictions || {};
+    const violations = [];
+
+    if (restrictions.timeRestricted) {
+        const timezone = restrictions.timezone || getDefaultTimezone();
+        if (!isWithinAllowedHours(restrictions.allowedHours, timezone, at)) {
+            const { from, to } = restrictions.allowedHours;
+            violations.push({
+                code: 'outside_allowed_hours',
+                type: 'restricted_hours',
+                severity: isStrictFence(fence) ? 'critical' : 'warning',
+                message: {
+                    english: `${fence.name} is only open between ${from} and ${to} (${timezone})`,
+                    hindi: `${fence.name} केवल ${from} से ${to} के बीच खुला है`
+                }
+            });
+        }
+    }
+
+    for (const permit of restrictions.requiredPermissions || []) {
+        if (!hasValidPermit(tourist, permit, at)) {
+            violations.push({
+                code: `missing_permit:${permit}`,
+                type: 'permit_violation',
+                severity: isStrictFence(fence) ? 'critical' : 'warning',
+                message: {
+                    english: `A valid ${permit} is required inside ${fence.name}`,
+                    hindi: `${fence.name} में वैध ${permit} आवश्यक है`
+                }
+            });
+        }
+    }
+
+    if (activity && (restrictions.prohibitedActivities || []).includes(activity)) {
+        violations.push({
+            code: `prohibited_activity:${activity}`,
+            type: 'prohibited_activity',
+            severity: 'warning',
+            message: {
+                english: `${activity} is not permitted inside ${fence.name}`,
+                hindi: `${fence.name} में ${activity} की अनुमति नहीं है`
+            }
+        });
+    }
+
+    if (restrictions.weatherDependent) {
+        const condition = restrictions.weatherStatus?.condition || 'clear';
+        const reason = restrictions.weatherStatus?.reason;
+        if (condition === 'closed') {
+            violations.push({
+                code: 'weather_closure',
+                type: 'weather_warning',
+                severity: 'critical',
+                message: {
+                    english: `${fence.name} is closed due to weather${reason ? `: ${reason}` : ''}. Please leave the area`,
+                    hindi: `मौसम के कारण ${fence.name} बंद है। कृपया क्षेत्र छोड़ दें`
+                }
+            });
+        } else if (condition === 'advisory') {
+            violations.push({
+                code: 'weather_advisory',
+                type: 'weather_warning',
+                severity: 'warning',
+                message: {
+                    english: `Weather advisory for ${fence.name}${reason ? `: ${reason}` : ''}`,
+                    hindi: `${fence.name} के लिए मौसम चेतावनी`
+                }
+            });
+        }
+    }
+
+    return violations;
+};
@@ -0,0 +1,223 @@
+import GeoFence from '../models/geoFence.model.js';
+import GeofenceRevision from '../models/geofenceRevision.model.js';
+import geofenceService from './geofence.service.js';
+
+// Fields that define how a fence behaves; a revision snapshots exactly these
+export const REVISION_FIELDS = [
+    'name', 'description', 'type', 'geometry', 'radius', 'hysteresisMeters',
+    'riskLevel', 'alertMessage', 'restrictions', 'metadata', 'isActive'
+];
+
+// Compared as a whole rather than field by field
+const ATOMIC_PATHS = ['geometry'];
+
+const isPlainObject = (value) =>
+    value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+const flatten = (value, prefix, out) => {
+    if (isPlainObject(value) && !ATOMIC_PATHS.includes(prefix)) {
+        for (const [key, child] of Object.entries(value)) {
+            flatten(child, prefix ? `${prefix}.${key}` : key, out);
+        }
+    } else if (value !== undefined && value !== null) {
+        out[prefix] = value;
+    }
+    return out;
+};
+
+const conflictError = (message) => {
+    const error = new Error(message);
+    error.name = 'ConflictError';
+    return error;
+};
+
+const notFoundError = (message) => {
+    const error = new Error(message);
+    error.name = 'NotFoundError';
+    return error;
+};
+
+// Every configuration change to a GeoFence goes through applyChange so the fence's
+// `revision` counter and the revision history move together. The counter is
+// incremented in the same update as the change, which keeps revision numbers
+// unique under concurrent edits.
+class GeofenceRevisionService {
+    snapshot(fence) {
+        const source = typeof fence.toObject === 'function' ? fence.toObject() : fence;
+        const snapshot = {};
+        for (const field of REVISION_FIELDS) {
+            if (source[field] !== undefined) {
+                snapshot[field] = JSON.parse(JSON.stringify(source[field]));
+            }
+        }
+        return snapshot;
+    }
+
+    // Dotted-path differences between two snapshots, e.g. 'restrictions.allowedHours.from'
+    diff(before, after) {
+        const from = flatten(before || {}, '', {});
+        const to = flatten(after || {}, '', {});
+        const paths = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+
+        return paths
+            .filter(path => JSON.stringify(from[path]) !== JSON.stringify(to[path]))
+            .map(path => ({ path, from: from[path] ?? null, to: to[path] ?? null }));
+    }
+
+    async record(fence, { action, changedBy, reason, rolledBackTo }) {
+        const previous = await GeofenceRevision.findOne({ geoFence: fence._id, revision: { $lt: fence.revision } })
+            .sort({ revision: -1 })
+            .select('snapshot')
+            .lean();
+
+        const snapshot = this.snapshot(fence);
+        return GeofenceRevision.create({
+            geoFence: fence._id,
+            revision: fence.revision,
+            action,
+            snapshot,
+            changes: this.diff(previous?.snapshot, snapshot),
+            changedBy,
+            reason,
+            rolledBackTo
+        });
+    }
+
+    // Fences created before versioning have no history; their state just
+    // before the first versioned change becomes revision 0.
+    async ensureBaseline(fence) {
+        if (fence.revision) {
+            return;
+        }
+        try {
+            await GeofenceRevision.create({
+                geoFence: fence._id,
+                revision: 0,
+                action: 'baseline',
+                snapshot: this.snapshot(fence),
+                changedBy: fence.lastModifiedBy || fence.createdBy,
+                createdAt: fence.updatedAt || fence.createdAt
+            });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
+        }
+    }
+
+    async recordCreation(fence, { changedBy, reason } = {}) {
+        return this.record(fence, { action: 'create', changedBy, reason });
+    }
+
+    // `changes` maps fields to new values; undefined values are unset.
+    // Resolves to { geofence, revision }.
+    async applyChange(fenceId, changes, { action = 'update', changedBy, reason, rolledBackTo } = {}) {
+        const existing = await GeoFence.findById(fenceId);
+        if (!existing) {
+            throw notFoundError('Geofence not found');
+        }
+        await this.ensureBaseline(existing);
+
+        const $set = { lastModifiedBy: changedBy };
+        const $unset = {};
+        for (const [key, value] of Object.entries(changes)) {
+            if (value === undefined) {
+                $unset[key] = 1;
+            } else {
+                $set[key] = value;
+            }
+        }
+
+        const update = { $set, $inc: { revision: 1 } };
+        if (Object.keys($unset).length > 0) {
+            update.$unset = $unset;
+        }
+
+        const geofence = await GeoFence.findByIdAndUpdate(fenceId, update, { new: true, runValidators: true });
+        if (!geofence) {
+            throw notFoundError('Geofence not found');
+        }
+
+        const revision = await this.record(geofence, { action, changedBy, reason, rolledBackTo });
+
+        if (existing.isActive && !geofence.isActive) {
+            await geofenceService.resetMemberships(fenceId);
+        }
+
+        return { geofence, revision };
+    }
+
+    async listRevisions(fenceId, { page = 1, limit = 20 } = {}) {
+        const filter = { geoFence: fenceId };
+        const [revisions, totalCount] = await Promise.all([
+            GeofenceRevision.find(filter)
+                .sort({ revision: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .select('-snapshot')
+                .lean(),
+            GeofenceRevision.countDocuments(filter)
+        ]);
+        return { revisions, totalCount };
+    }
+
+    async getRevision(fenceId, revision) {
+        return GeofenceRevision.findOne({ geoFence: fenceId, revision }).lean();
+    }
+
+    // The revision in effect at `date`, or null if the fence had no recorded state yet
+    async getRevisionAsOf(fenceId, date) {
+        return GeofenceRevision.findOne({ geoFence: fenceId, createdAt: { $lte: date } })
+            .sort({ createdAt: -1, revision: -1 })
+            .lean();
+    }
+
+    // Restores the tracked fields of an earlier revision as a new revision.
+    // The live weather status is kept, as it is set separately from edits.
+    async rollback(fenceId, revisionNumber, { changedBy, reason } = {}) {
+        const [fence, target] = await Promise.all([
+            GeoFence.findById(fenceId),
+            this.getRevision(fenceId, revisionNumber)
+        ]);
+        if (!fence) {
+            throw notFoundError('Geofence not found');
+        }
+        if (!target) {
+            throw notFoundError(`Revision ${revisionNumber} not found`);
+        }
+
+        const current = this.snapshot(fence);
+        const restored = { ...target.snapshot };
+        if (current.restrictions?.weatherStatus) {
+            restored.restrictions = {
+                ...(restored.restrictions || {}),
+                weatherStatus: current.restrictions.weatherStatus
+            };
+        }
+
+        if (this.diff(current, this.snapshot(restored)).length === 0) {
+            throw conflictError(`Geofence already matches revision ${revisionNumber}`);
+        }
+
+        if (restored.isActive && restored.name) {
+            const duplicate = await GeoFence.exists({ name: restored.name, _id: { $ne: fenceId }, isActive: true });
+            if (duplicate) {
+                throw conflictError(`Another active geofence is named "${restored.name}"`);
+            }
+        }
+
+        const changes = {};
+        for (const field of REVISION_FIELDS) {
+            changes[field] = restored[field];
+        }
+
+        return this.applyChange(fenceId, changes, {
+            action: 'rollback',
+            changedBy,
+            reason,
+            rolledBackTo: revisionNumber
+        });
+    }
+}
+
+export default new GeofenceRevisionService();
@@ -0,0 +1,361 @@
+import { XMLParser, XMLBuilder } from 'fast-xml-parser';
+
+// Converts between GeoFence documents and the boundary files tourism
+// departments share with us: GeoJSON FeatureCollections, KML Placemarks and
+// GPX routes/tracks. Parsing never throws for a single bad feature; problems
+// are reported per feature so an import can show exactly what to fix.
+
+export const IMPORT_FORMATS = ['geojson', 'kml', 'gpx'];
+export const EXPORT_FORMATS = ['geojson', 'kml'];
+
+const NUMERIC_PROPERTIES = ['riskLevel', 'radius', 'hysteresisMeters'];
+const JSON_PROPERTIES = ['restrictions', 'alertMessage', 'metadata'];
+
+const XML_ARRAYS = [
+    'Document', 'Folder', 'Placemark', 'Polygon', 'Point', 'innerBoundaryIs', 'Data', 'SimpleData',
+    'rte', 'rtept', 'trk', 'trkseg', 'trkpt'
+];
+
+const xmlParser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    trimValues: true,
+    isArray: (name) => XML_ARRAYS.includes(name)
+});
+
+const xmlBuilder = new XMLBuilder({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    format: true,
+    suppressEmptyNode: true
+});
+
+const textOf = (node) => {
+    if (node === undefined || node === null) {
+        return undefined;
+    }
+    if (typeof node === 'object') {
+        return node['#text'] !== undefined ? String(node['#text']).trim() : undefined;
+    }
+    return String(node).trim();
+};
+
+// KML/GPX/ExtendedData values arrive as strings
+const coerceProperties = (properties = {}) => {
+    const result = { ...properties };
+    for (const key of NUMERIC_PROPERTIES) {
+        if (typeof result[key] === 'string' && result[key].trim() !== '') {
+            const value = Number(result[key]);
+            result[key] = Number.isNaN(value) ? result[key] : value;
+        }
+    }
+    for (const key of JSON_PROPERTIES) {
+        if (typeof result[key] === 'string') {
+            try {
+                result[key] = JSON.parse(result[key]);
+            } catch {
+                // A plain string alert message is the English text
+                if (key === 'alertMessage') {
+                    result[key] = { english: result[key] };
+                }
+            }
+        }
+    }
+    return result;
+};
+
+const parseKmlCoordinates = (text) => {
+    const positions = (textOf(text) || '').split(/\s+/).filter(Boolean).map(tuple => {
+        const [lng, lat] = tuple.split(',').map(Number);
+        return [lng, lat];
+    });
+    if (positions.length === 0 || positions.some(([lng, lat]) => Number.isNaN(lng) || Number.isNaN(lat))) {
+        throw new Error('Invalid KML coordinates');
+    }
+    return positions;
+};
+
+const collectPlacemarks = (node, out = []) => {
+    if (Array.isArray(node)) {
+        node.forEach(child => collectPlacemarks(child, out));
+    } else if (node && typeof node === 'object') {
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'Placemark') {
+                out.push(...value);
+            } else if (!key.startsWith('@_')) {
+                collectPlacemarks(value, out);
+            }
+        }
+    }
+    return out;
+};
+
+const kmlExtendedData = (placemark) => {
+    const properties = {};
+    const extended = placemark.ExtendedData || {};
+    for (const data of extended.Data || []) {
+        properties[data['@_name']] = textOf(data.value);
+    }
+    const schemaData = [].concat(extended.SchemaData || []);
+    for (const schema of schemaData) {
+        for (const data of schema.SimpleData || []) {
+            properties[data['@_name']] = textOf(data);
+        }
+    }
+    return properties;
+};
+
+const kmlPolygonRings = (polygon) => {
+    const outer = polygon.outerBoundaryIs?.LinearRing?.coordinates;
+    if (!outer) {
+        throw new Error('Polygon has no outer boundary');
+    }
+    return [
+        parseKmlCoordinates(outer),
+        ...(polygon.innerBoundaryIs || []).map(inner => parseKmlCoordinates(inner.LinearRing?.coordinates))
+    ];
+};
+
+const kmlGeometry = (placemark) => {
+    const multi = placemark.MultiGeometry || {};
+    const polygons = [...(placemark.Polygon || []), ...(multi.Polygon || [])];
+    if (polygons.length === 1) {
+        return { type: 'Polygon', coordinates: kmlPolygonRings(polygons[0]) };
+    }
+    if (polygons.length > 1) {
+        return { type: 'MultiPolygon', coordinates: polygons.map(kmlPolygonRings) };
+    }
+
+    const point = (placemark.Point || multi.Point || [])[0];
+    if (point) {
+        return { type: 'Point', coordinates: parseKmlCoordinates(point.coordinates)[0] };
+    }
+
+    throw new Error('Placemark has no Polygon or Point geometry');
+};
+
+const gpxExtensions = (node) => {
+    const properties = {};
+    for (const [key, value] of Object.entries(node.extensions || {})) {
+        if (!key.startsWith('@_')) {
+            properties[key] = textOf(value);
+        }
+    }
+    return properties;
+};
+
+const gpxRing = (points) => {
+    const positions = (points || []).map(point => [Number(point['@_lon']), Number(point['@_lat'])]);
+    if (positions.some(([lng, lat]) => Number.isNaN(lng) || Number.isNaN(lat))) {
+        throw new Error('Invalid GPX point coordinates');
+    }
+    return positions;
+};
+
+class GeofenceTransferService {
+    detectFormat({ format, filename, content }) {
+        if (format) {
+            return IMPORT_FORMATS.includes(format.toLowerCase()) ? format.toLowerCase() : null;
+        }
+        const extension = filename?.toLowerCase().split('.').pop();
+        if (extension === 'json' || extension === 'geojson') {
+            return 'geojson';
+        }
+        if (IMPORT_FORMATS.includes(extension)) {
+            return extension;
+        }
+        if (typeof content === 'object' || /^\s*[{[]/.test(content || '')) {
+            return 'geojson';
+        }
+        if (/<kml[\s>]/i.test(content)) {
+            return 'kml';
+        }
+        if (/<gpx[\s>]/i.test(content)) {
+            return 'gpx';
+        }
+        return null;
+    }
+
+    // Resolves to a list of { index, name, description, properties, geometry }
+    // or { index, name, error } entries, one per feature in the file.
+    parse(content, format) {
+        switch (format) {
+            case 'geojson':
+                return this.parseGeoJSON(content);
+            case 'kml':
+                return this.parseKML(content);
+            case 'gpx':
+                return this.parseGPX(content);
+            default:
+                throw new Error(`Unsupported import format: ${format}`);
+        }
+    }
+
+    parseGeoJSON(content) {
+        const json = typeof content === 'string' ? JSON.parse(content) : content;
+
+        let features;
+        if (json?.type === 'FeatureCollection') {
+            features = Array.isArray(json.features) ? json.features : [];
+        } else if (json?.type === 'Feature') {
+            features = [json];
+        } else if (json?.type && json.coordinates) {
+            features = [{ type: 'Feature', geometry: json, properties: {} }];
+        } else {
+            throw new Error('Expected a GeoJSON FeatureCollection, Feature or geometry');
+        }
+
+        return features.map((feature, index) => {
+            const properties = coerceProperties(feature?.properties || {});
+            if (!feature?.geometry) {
+                return { index, name: properties.name, error: 'Feature has no geometry' };
+            }
+            return {
+                index,
+                name: properties.name,
+                description: properties.description,
+                properties,
+                geometry: { type: feature.geometry.type, coordinates: feature.geometry.coordinates }
+            };
+        });
+    }
+
+    parseKML(content) {
+        const document = xmlParser.parse(content);
+        if (!document.kml) {
+            throw new Error('Not a KML document');
+        }
+
+        return collectPlacemarks(document.kml).map((placemark, index) => {
+            const name = textOf(placemark.name);
+            try {
+                return {
+                    index,
+                    name,
+                    description: textOf(placemark.description),
+                    properties: coerceProperties(kmlExtendedData(placemark)),
+                    geometry: kmlGeometry(placemark)
+                };
+            } catch (error) {
+                return { index, name, error: error.message };
+            }
+        });
+    }
+
+    // Routes and tracks are treated as closed boundaries
+    parseGPX(content) {
+        const document = xmlParser.parse(content);
+        if (!document.gpx) {
+            throw new Error('Not a GPX document');
+        }
+
+        const routes = (document.gpx.rte || []).map(route => ({ node: route, points: route.rtept }));
+        const tracks = (document.gpx.trk || []).map(track => ({
+            node: track,
+            points: (track.trkseg || []).flatMap(segment => segment.trkpt || [])
+        }));
+
+        return [...routes, ...tracks].map(({ node, points }, index) => {
+            const name = textOf(node.name);
+            try {
+                return {
+                    index,
+                    name,
+                    description: textOf(node.desc),
+                    properties: coerceProperties(gpxExtensions(node)),
+                    geometry: { type: 'Polygon', coordinates: [gpxRing(points)] }
+                };
+            } catch (error) {
+                return { index, name, error: error.message };
+            }
+        });
+    }
+
+    // Shapes a parsed feature like a POST /geofences body
+    toGeofenceData(feature, defaults = {}) {
+        const { properties = {} } = feature;
+        return {
+            name: typeof feature.name === 'string' ? feature.name.trim() : feature.name,
+            description: feature.description,
+            type: properties.type || defaults.type || 'warning',
+            geometry: feature.geometry,
+            radius: properties.radius,
+            hysteresisMeters: properties.hysteresisMeters,
+            riskLevel: properties.riskLevel ?? defaults.riskLevel,
+            alertMessage: properties.alertMessage,
+            restrictions: properties.restrictions,
+            metadata: properties.metadata
+        };
+    }
+
+    fenceProperties(fence) {
+        const { weatherStatus, ...restrictions } = fence.restrictions || {};
+        return {
+            id: fence._id.toString(),
+            name: fence.name,
+            description: fence.description,
+            type: fence.type,
+            riskLevel: fence.riskLevel,
+            radius: fence.radius,
+            hysteresisMeters: fence.hysteresisMeters,
+            isActive: fence.isActive,
+            alertMessage: fence.alertMessage,
+            restrictions
+        };
+    }
+
+    toGeoJSON(fences) {
+        return {
+            type: 'FeatureCollection',
+            features: fences.map(fence => ({
+                type: 'Feature',
+                geometry: { type: fence.geometry.type, coordinates: fence.geometry.coordinates },
+                properties: this.fenceProperties(fence)
+            }))
+        };
+    }
+
+    toKML(fences) {
+        const ring = positions => ({ coordinates: positions.map(([lng, lat]) => `${lng},${lat}`).join(' ') });
+        const polygon = rings => ({
+            outerBoundaryIs: { LinearRing: ring(rings[0]) },
+            innerBoundaryIs: rings.slice(1).map(hole => ({ LinearRing: ring(hole) }))
+        });
+
+        const placemarks = fences.map(fence => {
+            const { id, name, description, ...properties } = this.fenceProperties(fence);
+            const data = Object.entries({ id, ...properties })
+                .filter(([, value]) => value !== undefined && value !== null)
+                .map(([key, value]) => ({
+                    '@_name': key,
+                    value: typeof value === 'object' ? JSON.stringify(value) : String(value)
+                }));
+
+            const placemark = { name, description, ExtendedData: { Data: data } };
+            const { type, coordinates } = fence.geometry;
+            if (type === 'Polygon') {
+                placemark.Polygon = polygon(coordinates);
+            } else if (type === 'MultiPolygon') {
+                placemark.MultiGeometry = { Polygon: coordinates.map(polygon) };
+            } else {
+                placemark.Point = { coordinates: `${coordinates[0]},${coordinates[1]}` };
+            }
+            return placemark;
+        });
+
+        return xmlBuilder.build({
+            '?xml': { '@_version': '1.0', '@_encoding': 'UTF-8' },
+            kml: {
+                '@_xmlns': 'http://www.opengis.net/kml/2.2',
+                Document: {
+                    name: 'Yatra Suraksha Geofences',
+                    Placemark: placemarks
+                }
+            }
+        });
+    }
+}
+
+export default new GeofenceTransferService();
@@ -0,0 +1,255 @@
+import geolib from 'geolib';
+
+// Geofence geometry is stored as GeoJSON, so every position here is
+// [longitude, latitude]. Circles are a GeoJSON Point plus the fence's
+// `radius` field in meters.
+
+const DEFAULT_HYSTERESIS_METERS = 25;
+const DEGREES_TO_RADIANS = Math.PI / 180;
+// geolib's earth radius, so boundary distances agree with getDistance
+const METERS_PER_DEGREE = 6378137 * DEGREES_TO_RADIANS;
+
+const toLatLng = ([longitude, latitude]) => ({ latitude, longitude });
+
+const closeRing = (ring) => {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return first[0] === last[0] && first[1] === last[1] ? ring : [...ring, first];
+};
+
+const isPosition = (position) =>
+    Array.isArray(position) &&
+    position.length === 2 &&
+    typeof position[0] === 'number' && typeof position[1] === 'number' &&
+    position[0] >= -180 && position[0] <= 180 &&
+    position[1] >= -90 && position[1] <= 90;
+
+const isPointOnSegment = ([x, y], [x1, y1], [x2, y2]) => {
+    const cross = (x - x1) * (y2 - y1) - (y - y1) * (x2 - x1);
+    if (Math.abs(cross) > 1e-12) {
+        return false;
+    }
+    return x >= Math.min(x1, x2) && x <= Math.max(x1, x2) &&
+        y >= Math.min(y1, y2) && y <= Math.max(y1, y2);
+};
+
+// Ray casting on the lon/lat plane. Points on the boundary count as inside.
+export const isPointInRing = (point, ring) => {
+    const closed = closeRing(ring);
+    const [x, y] = point;
+    let inside = false;
+
+    for (let i = 0, j = closed.length - 1; i < closed.length; j = i++) {
+        const [xi, yi] = closed[i];
+        const [xj, yj] = closed[j];
+
+        if (isPointOnSegment(point, closed[j], closed[i])) {
+            return true;
+        }
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+};
+
+const isPointOnRingBoundary = (point, ring) => {
+    const closed = closeRing(ring);
+    for (let i = 1; i < closed.length; i++) {
+        if (isPointOnSegment(point, closed[i - 1], closed[i])) {
+            return true;
+        }
+    }
+    return false;
+};
+
+// First ring is the outer boundary, the rest are holes
+export const isPointInPolygon = (point, rings) => {
+    if (!rings?.length || !isPointInRing(point, rings[0])) {
+        return false;
+    }
+    return !rings.slice(1).some(hole => isPointInRing(point, hole) && !isPointOnRingBoundary(point, hole));
+};
+
+export const isPointInMultiPolygon = (point, polygons) =>
+    (polygons || []).some(rings => isPointInPolygon(point, rings));
+
+// Planar distance on an equirectangular projection centred on the point,
+// accurate to well under a meter at geofence scale. geolib's
+// getDistanceFromLine works from whole-meter side lengths, which puts a point
+// 10 m off a 2 km edge nearly 30 m away.
+const distanceToSegment = (point, start, end) => {
+    const cosLatitude = Math.cos(point[1] * DEGREES_TO_RADIANS);
+    const project = ([longitude, latitude]) => [
+        (longitude - point[0]) * cosLatitude * METERS_PER_DEGREE,
+        (latitude - point[1]) * METERS_PER_DEGREE
+    ];
+    const [x1, y1] = project(start);
+    const [x2, y2] = project(end);
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0 ? 0 : Math.min(Math.max(-(x1 * dx + y1 * dy) / lengthSquared, 0), 1);
+    return Math.hypot(x1 + t * dx, y1 + t * dy);
+};
+
+const distanceToRing = (point, ring) => {
+    const closed = closeRing(ring);
+    let min = Infinity;
+    for (let i = 1; i < closed.length; i++) {
+        min = Math.min(min, distanceToSegment(point, closed[i - 1], closed[i]));
+    }
+    return min;
+};
+
+const getPolygons = (geometry) => {
+    if (geometry.type === 'Polygon') {
+        return [geometry.coordinates];
+    }
+    if (geometry.type === 'MultiPolygon') {
+        return geometry.coordinates;
+    }
+    return [];
+};
+
+export const containsPoint = (fence, longitude, latitude) => {
+    const { geometry } = fence;
+    const point = [longitude, latitude];
+
+    switch (geometry?.type) {
+        case 'Point':
+            return fence.radius > 0 &&
+                geolib.getDistance(toLatLng(point), toLatLng(geometry.coordinates)) <= fence.radius;
+        case 'Polygon':
+            return isPointInPolygon(point, geometry.coordinates);
+        case 'MultiPolygon':
+            return isPointInMultiPolygon(point, geometry.coordinates);
+        default:
+            return false;
+    }
+};
+
+// Distance in meters from the point to the fence boundary
+export const distanceToBoundary = (fence, longitude, latitude) => {
+    const { geometry } = fence;
+    const point = [longitude, latitude];
+
+    if (geometry?.type === 'Point') {
+        const fromCenter = geolib.getDistance(toLatLng(point), toLatLng(geometry.coordinates));
+        return Math.abs(fromCenter - (fence.radius || 0));
+    }
+
+    let min = Infinity;
+    for (const rings of getPolygons(geometry || {})) {
+        for (const ring of rings) {
+            min = Math.min(min, distanceToRing(point, ring));
+        }
+    }
+    return min;
+};
+
+// Enclosed area in square meters, holes excluded
+export const getAreaSquareMeters = (fence) => {
+    const { geometry } = fence;
+
+    if (geometry?.type === 'Point') {
+        return Math.PI * (fence.radius || 0) ** 2;
+    }
+
+    let area = 0;
+    for (const [outer, ...holes] of getPolygons(geometry || {})) {
+        area += geolib.getAreaOfPolygon(outer.map(toLatLng));
+        for (const hole of holes) {
+            area -= geolib.getAreaOfPolygon(hole.map(toLatLng));
+        }
+    }
+    return Math.max(area, 0);
+};
+
+export const getHysteresisMeters = (fence) => {
+    if (typeof fence.hysteresisMeters === 'number') {
+        return fence.hysteresisMeters;
+    }
+    const fromEnv = parseFloat(process.env.GEOFENCE_HYSTERESIS_METERS);
+    return Number.isNaN(fromEnv) ? DEFAULT_HYSTERESIS_METERS : fromEnv;
+};
+
+// A tourist enters as soon as they cross the boundary, but is only treated as
+// having left once they are more than the hysteresis buffer outside it. This
+// keeps GPS jitter along an edge from producing entry/exit alert storms.
+export const evaluateFence = (fence, longitude, latitude, { wasInside = false, bufferMeters } = {}) => {
+    if (containsPoint(fence, longitude, latitude)) {
+        return { inside: true, withinBuffer: false };
+    }
+
+    if (wasInside) {
+        const buffer = bufferMeters ?? getHysteresisMeters(fence);
+        if (buffer > 0 && distanceToBoundary(fence, longitude, latitude) <= buffer) {
+            return { inside: true, withinBuffer: true };
+        }
+    }
+
+    return { inside: false, withinBuffer: false };
+};
+
+// Returns an error message, or null when the geometry is usable
+export const validateGeometry = (geometry, radius) => {
+    if (!geometry || typeof geometry !== 'object') {
+        return 'Geometry is required';
+    }
+
+    if (geometry.type === 'Point') {
+        if (!isPosition(geometry.coordinates)) {
+            return 'Point geometry must be a [longitude, latitude] position';
+        }
+        if (typeof radius !== 'number' || radius <= 0) {
+            return 'Radius is required for circular geofences and must be greater than 0';
+        }
+        return null;
+    }
+
+    const validateRings = (rings) => {
+        if (!Array.isArray(rings) || rings.length === 0) {
+            return 'Polygon must have at least an outer ring';
+        }
+        for (const ring of rings) {
+            if (!Array.isArray(ring) || ring.length === 0 || !ring.every(isPosition)) {
+                return 'Invalid coordinate format. Expected [longitude, latitude]';
+            }
+            if (closeRing(ring).length < 4) {
+                return 'Polygon rings need at least three distinct positions';
+            }
+        }
+        return null;
+    };
+
+    if (geometry.type === 'Polygon') {
+        return validateRings(geometry.coordinates);
+    }
+
+    if (geometry.type === 'MultiPolygon') {
+        if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+            return 'MultiPolygon must contain at least one polygon';
+        }
+        for (const rings of geometry.coordinates) {
+            const error = validateRings(rings);
+            if (error) {
+                return error;
+            }
+        }
+        return null;
+    }
+
+    return 'Geometry type must be Point, Polygon or MultiPolygon';
+};
+
+// MongoDB's 2dsphere index rejects polygons whose rings are not closed
+export const normalizeGeometry = (geometry) => {
+    if (geometry.type === 'Polygon') {
+        return { type: 'Polygon', coordinates: geometry.coordinates.map(closeRing) };
+    }
+    if (geometry.type === 'MultiPolygon') {
+        return { type: 'MultiPolygon', coordinates: geometry.coordinates.map(rings => rings.map(closeRing)) };
+    }
+    return { type: geometry.type, coordinates: geometry.coordinates };
+};
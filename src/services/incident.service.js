@@ -0,0 +1,143 @@
+import { v4 as uuidv4 } from 'uuid';
+import Incident from '../models/incident.model.js';
+import Tourist from '../models/tourist.model.js';
+import { Alert } from '../models/tracking.model.js';
+import { notifyAdmins } from './socket.service.js';
+import notificationService from './notification.service.js';
+
+const ALERT_TYPE_TO_INCIDENT_TYPE = {
+    panic_button: 'panic_button',
+    anomaly: 'anomaly_detected',
+    speed_limit: 'anomaly_detected',
+    inactivity: 'missing_person',
+    geofence_entry: 'geofence_violation',
+    geofence_exit: 'geofence_violation',
+    area_closure: 'geofence_violation',
+    restricted_hours: 'geofence_violation',
+    permit_violation: 'geofence_violation',
+    prohibited_activity: 'geofence_violation',
+    battery_low: 'device_malfunction',
+    weather_warning: 'weather_alert'
+};
+
+const ALERT_SEVERITY_TO_INCIDENT_SEVERITY = {
+    info: 'low',
+    warning: 'medium',
+    critical: 'high',
+    emergency: 'critical'
+};
+
+class IncidentService {
+    generateIncidentId() {
+        return `INC-${Date.now()}-${uuidv4().split('-')[0].toUpperCase()}`;
+    }
+
+    async createIncident(data, performedBy) {
+        const tourist = await Tourist.findById(data.touristId).select('digitalId status');
+        if (!tourist) {
+            const error = new Error(`Tourist with ID ${data.touristId} does not exist`);
+            error.name = 'ValidationError';
+            throw error;
+        }
+
+        const incident = new Incident({
+            incidentId: this.generateIncidentId(),
+            touristId: tourist._id,
+            digitalId: tourist.digitalId,
+            type: data.type,
+            severity: data.severity,
+            location: {
+                type: 'Point',
+                coordinates: data.coordinates,
+                address: data.address,
+                landmark: data.landmark,
+                accuracy: data.accuracy
+            },
+            description: data.description,
+            emergencyDetails: {
+                panicButtonPressed: data.type === 'panic_button',
+                automaticDetection: data.automaticDetection || false,
+                reportedBy: data.reportedBy || 'authority',
+                witnesses: data.witnesses || [],
+                involvedPersons: data.involvedPersons || []
+            },
+            analytics: {
+                detectionMethod: data.detectionMethod || 'manual'
+            },
+            timeline: [{
+                action: 'created',
+                performedBy,
+                notes: data.timelineNote || 'Incident created',
+                location: { type: 'Point', coordinates: data.coordinates }
+            }]
+        });
+
+        await incident.save();
+
+        if (['critical', 'high'].includes(incident.severity) && tourist.status !== 'emergency') {
+            await Tourist.findByIdAndUpdate(tourist._id, { status: 'emergency' });
+        }
+
+        notifyAdmins('incident_created', {
+            incidentId: incident.incidentId,
+            touristId: incident.touristId,
+            type: incident.type,
+            severity: incident.severity,
+            location: {
+                latitude: incident.location.coordinates[1],
+                longitude: incident.location.coordinates[0]
+            },
+            timestamp: incident.createdAt
+        });
+
+        notificationService.notifyIncident(incident);
+
+        console.log(`🚓 Incident ${incident.incidentId} created for tourist ${incident.touristId}`);
+
+        return incident;
+    }
+
+    async createIncidentFromAlert(alert, performedBy, overrides = {}) {
+        if (alert.metadata?.relatedIncidentId) {
+            const existing = await Incident.findById(alert.metadata.relatedIncidentId);
+            if (existing) {
+                const error = new Error(`Alert ${alert.alertId} is already linked to incident ${existing.incidentId}`);
+                error.name = 'ConflictError';
+                error.incident = existing;
+                throw error;
+            }
+        }
+
+        let coordinates = alert.location?.coordinates;
+        if (!coordinates?.length) {
+            const tourist = await Tourist.findById(alert.touristId).select('currentLocation').lean();
+            coordinates = tourist?.currentLocation?.coordinates;
+        }
+        if (!coordinates?.length) {
+            const error = new Error(`Alert ${alert.alertId} has no location to open an incident at`);
+            error.name = 'ValidationError';
+            throw error;
+        }
+
+        const incident = await this.createIncident({
+            touristId: alert.touristId,
+            type: overrides.type || ALERT_TYPE_TO_INCIDENT_TYPE[alert.type] || 'manual_report',
+            severity: overrides.severity || ALERT_SEVERITY_TO_INCIDENT_SEVERITY[alert.severity] || 'medium',
+            coordinates,
+            description: overrides.description || alert.message?.english || `Incident opened from alert ${alert.alertId}`,
+            reportedBy: overrides.reportedBy || 'authority',
+            automaticDetection: overrides.automaticDetection || false,
+            detectionMethod: overrides.detectionMethod || `alert:${alert.type}`,
+            timelineNote: `Promoted from alert ${alert.alertId}`
+        }, performedBy);
+
+        await Alert.updateOne(
+            { _id: alert._id },
+            { 'metadata.relatedIncidentId': incident._id }
+        );
+
+        return incident;
+    }
+}
+
+export default new IncidentService();
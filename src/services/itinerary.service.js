@@ -0,0 +1,332 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Tourist from '../models/tourist.model.js';
+import fabricService from './fabric.service.js';
+import geocodingService from './geocoding.service.js';
+import safetyScoreService from './safetyScore.service.js';
+
+const RISK_LEVELS = ['low', 'medium', 'high', 'extreme'];
+const MAX_TEXT_LENGTH = 500;
+
+const namedError = (name, message) => {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+};
+
+const validationError = (message) => namedError('ValidationError', message);
+
+const toIso = (value) => (value ? new Date(value).toISOString() : null);
+
+const parseDate = (value, field) => {
+    if (value === null) {
+        return null;
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw validationError(`${field} must be a valid date`);
+    }
+    return date;
+};
+
+const optionalText = (value, field) => {
+    if (value === null || value === '') {
+        return undefined;
+    }
+    if (typeof value !== 'string' || value.length > MAX_TEXT_LENGTH) {
+        throw validationError(`${field} must be a string of at most ${MAX_TEXT_LENGTH} characters`);
+    }
+    return value.trim();
+};
+
+// Body of POST/PUT /api/users/profile/itinerary. Actual arrival/departure
+// belong to the itinerary monitor and cannot be set here.
+const parseLegInput = (body, { partial = false } = {}) => {
+    const fields = {};
+
+    if (body.destination !== undefined || !partial) {
+        if (typeof body.destination !== 'string' || !body.destination.trim()) {
+            throw validationError('Destination is required');
+        }
+        fields.destination = optionalText(body.destination, 'destination');
+    }
+    for (const field of ['plannedArrival', 'plannedDeparture']) {
+        if (body[field] !== undefined) {
+            fields[field] = parseDate(body[field], field);
+        }
+    }
+    if (body.riskLevel !== undefined && body.riskLevel !== null && !RISK_LEVELS.includes(body.riskLevel)) {
+        throw validationError(`riskLevel must be one of: ${RISK_LEVELS.join(', ')}`);
+    }
+    if (body.riskLevel !== undefined) {
+        fields.riskLevel = body.riskLevel || undefined;
+    }
+    for (const field of ['accommodationType', 'accommodationDetails']) {
+        if (body[field] !== undefined) {
+            fields[field] = optionalText(body[field], field);
+        }
+    }
+    if (body.activities !== undefined) {
+        if (!Array.isArray(body.activities) || body.activities.some(activity => typeof activity !== 'string')) {
+            throw validationError('activities must be an array of strings');
+        }
+        fields.activities = body.activities.map(activity => activity.trim()).filter(Boolean);
+    }
+
+    const relocate = body.latitude !== undefined || body.longitude !== undefined || body.address !== undefined || !partial;
+    return { fields, relocate };
+};
+
+// The fields anchored on the ledger, in a fixed order so the hash is stable
+export const hashLeg = (tourist, leg) => {
+    const [longitude, latitude] = leg.location?.coordinates || [];
+    const canonical = {
+        legId: leg._id.toString(),
+        touristDID: tourist.digitalId,
+        destination: leg.destination,
+        coordinates: typeof latitude === 'number' ? [longitude, latitude] : null,
+        plannedArrival: toIso(leg.plannedArrival),
+        plannedDeparture: toIso(leg.plannedDeparture),
+        riskLevel: leg.riskLevel || null,
+        accommodationType: leg.accommodationType || null,
+        activities: leg.activities || []
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+};
+
+// Itinerary legs are managed one at a time so each change can be anchored to
+// the travel-itinerary-log chaincode. The ledger has no edit operation: an
+// edited leg is written as a new entry that supersedes the previous one, which
+// is marked CANCELLED, so the chain of versions stays on the ledger. Ledger
+// failures never block the change itself; they are recorded on the leg.
+class ItineraryService {
+    findLeg(tourist, legId) {
+        const leg = mongoose.isValidObjectId(legId) ? tourist.travelItinerary.id(legId) : null;
+        if (!leg) {
+            throw namedError('NotFoundError', 'Itinerary leg not found');
+        }
+        return leg;
+    }
+
+    listLegs(tourist) {
+        return [...tourist.travelItinerary].sort((a, b) =>
+            (a.plannedArrival ? a.plannedArrival.getTime() : Infinity) - (b.plannedArrival ? b.plannedArrival.getTime() : Infinity)
+        );
+    }
+
+    async resolveLocation(body, destination) {
+        const place = await geocodingService.resolve({
+            latitude: body.latitude,
+            longitude: body.longitude,
+            address: optionalText(body.address, 'address') || destination
+        });
+        return {
+            location: { type: 'Point', coordinates: [place.longitude, place.latitude] },
+            locationDetails: {
+                address: place.address,
+                district: place.district,
+                state: place.state,
+                geocodedBy: place.geocodedBy
+            }
+        };
+    }
+
+    checkDates(leg) {
+        if (leg.plannedArrival && leg.plannedDeparture && leg.plannedArrival > leg.plannedDeparture) {
+            throw validationError('plannedArrival must be before plannedDeparture');
+        }
+    }
+
+    async addLeg(tourist, body) {
+        const { fields } = parseLegInput(body);
+        const leg = {
+            _id: new mongoose.Types.ObjectId(),
+            ...fields,
+            ...await this.resolveLocation(body, fields.destination)
+        };
+        this.checkDates(leg);
+
+        const updated = await Tourist.findByIdAndUpdate(
+            tourist._id,
+            { $push: { travelItinerary: leg } },
+            { new: true, runValidators: true }
+        );
+        const saved = updated.travelItinerary.id(leg._id);
+
+        const anchored = await this.anchor(updated, saved);
+        safetyScoreService.requestRecompute(updated._id, 'profile_update');
+        return anchored;
+    }
+
+    async updateLeg(tourist, legId, body) {
+        const current = this.findLeg(tourist, legId);
+        const { fields, relocate } = parseLegInput(body, { partial: true });
+        if (relocate) {
+            Object.assign(fields, await this.resolveLocation(body, fields.destination || current.destination));
+        }
+        if (Object.keys(fields).length === 0) {
+            throw validationError('No itinerary fields to update');
+        }
+        this.checkDates({ ...current.toObject(), ...fields });
+
+        const update = { $set: {}, $unset: {} };
+        for (const [field, value] of Object.entries(fields)) {
+            if (value === undefined || value === null) {
+                update.$unset[`travelItinerary.$.${field}`] = '';
+            } else {
+                update.$set[`travelItinerary.$.${field}`] = value;
+            }
+        }
+        if (Object.keys(update.$unset).length === 0) {
+            delete update.$unset;
+        }
+
+        const updated = await Tourist.findOneAndUpdate(
+            { _id: tourist._id, 'travelItinerary._id': current._id },
+            update,
+            { new: true, runValidators: true }
+        );
+        if (!updated) {
+            throw namedError('NotFoundError', 'Itinerary leg not found');
+        }
+
+        const anchored = await this.anchor(updated, updated.travelItinerary.id(current._id));
+        safetyScoreService.requestRecompute(updated._id, 'profile_update');
+        return anchored;
+    }
+
+    async removeLeg(tourist, legId) {
+        const leg = this.findLeg(tourist, legId);
+
+        await Tourist.updateOne({ _id: tourist._id }, { $pull: { travelItinerary: { _id: leg._id } } });
+
+        let ledgerCancelled = false;
+        if (leg.ledger?.entryId && await fabricService.ensureConnected()) {
+            try {
+                await fabricService.updateEntryStatus(leg.ledger.entryId, {
+                    status: 'CANCELLED',
+                    actualDateTime: new Date().toISOString(),
+                    notes: 'Removed from itinerary',
+                    verificationMethod: 'API'
+                });
+                ledgerCancelled = true;
+            } catch (error) {
+                console.error(`Failed to cancel ledger entry ${leg.ledger.entryId}:`, error.message);
+            }
+        }
+
+        safetyScoreService.requestRecompute(tourist._id, 'profile_update');
+        return { legId: leg._id, ledgerEntryId: leg.ledger?.entryId || null, ledgerCancelled };
+    }
+
+    // Writes the current version of the leg to the ledger when Fabric is
+    // enabled and stores the entry on the leg. Returns the leg.
+    async anchor(tourist, leg) {
+        if (!await fabricService.ensureConnected()) {
+            return leg;
+        }
+
+        const contentHash = hashLeg(tourist, leg);
+        const previousEntryId = leg.ledger?.entryId;
+        if (previousEntryId && leg.ledger.contentHash === contentHash && leg.ledger.status === 'anchored') {
+            return leg;
+        }
+
+        const [longitude, latitude] = leg.location.coordinates;
+        let ledger;
+        try {
+            const entryId = await fabricService.addItineraryEntry({
+                touristDID: tourist.digitalId,
+                locationIdentifier: `geo:${latitude.toFixed(4)},${longitude.toFixed(4)}`,
+                eventType: leg.accommodationType ? 'HOTEL_CHECK_IN' : 'DESTINATION_VISIT',
+                scheduledDateTime: toIso(leg.plannedArrival),
+                locationName: leg.destination,
+                district: leg.locationDetails?.district,
+                state: leg.locationDetails?.state,
+                coordinates: { latitude, longitude },
+                metadata: {
+                    legId: leg._id.toString(),
+                    contentHash,
+                    plannedDeparture: toIso(leg.plannedDeparture),
+                    riskLevel: leg.riskLevel || null,
+                    supersedes: previousEntryId || null
+                }
+            });
+            ledger = { entryId, contentHash, anchoredAt: new Date(), status: 'anchored' };
+
+            if (previousEntryId) {
+                await fabricService.updateEntryStatus(previousEntryId, {
+                    status: 'CANCELLED',
+                    actualDateTime: new Date().toISOString(),
+                    notes: `Superseded by ${entryId}`,
+                    verificationMethod: 'API'
+                }).catch(error => console.error(`Failed to mark ledger entry ${previousEntryId} superseded:`, error.message));
+            }
+        } catch (error) {
+            // The previous entry, if any, stays referenced so verification shows the drift
+            ledger = {
+                entryId: previousEntryId,
+                contentHash: leg.ledger?.contentHash,
+                anchoredAt: leg.ledger?.anchoredAt,
+                status: 'failed',
+                error: error.message
+            };
+        }
+
+        await Tourist.updateOne(
+            { _id: tourist._id, 'travelItinerary._id': leg._id },
+            { $set: { 'travelItinerary.$.ledger': ledger } }
+        );
+        leg.ledger = ledger;
+        return leg;
+    }
+
+    // Compares the leg in MongoDB with its ledger entry
+    async verifyLeg(tourist, legId) {
+        const leg = this.findLeg(tourist, legId);
+        const databaseHash = hashLeg(tourist, leg);
+        const result = {
+            legId: leg._id,
+            entryId: leg.ledger?.entryId || null,
+            ledgerStatus: leg.ledger?.status || null,
+            anchoredAt: leg.ledger?.anchoredAt || null,
+            databaseHash
+        };
+
+        if (!result.entryId) {
+            return { ...result, verified: false, reason: 'Itinerary leg has not been anchored to the ledger', mismatches: [] };
+        }
+        if (!await fabricService.ensureConnected()) {
+            throw namedError('LedgerUnavailableError', 'Fabric network is not available');
+        }
+
+        const entry = await fabricService.queryItineraryEntry(result.entryId);
+        const [longitude, latitude] = leg.location?.coordinates || [];
+        const checks = [
+            ['touristDID', tourist.digitalId, entry.touristDID],
+            ['legId', leg._id.toString(), entry.metadata?.legId],
+            ['contentHash', databaseHash, entry.metadata?.contentHash],
+            ['destination', leg.destination, entry.locationDetails?.name],
+            ['plannedArrival', toIso(leg.plannedArrival), entry.scheduledDateTime ?? null],
+            ['latitude', latitude, entry.locationDetails?.coordinates?.latitude],
+            ['longitude', longitude, entry.locationDetails?.coordinates?.longitude]
+        ];
+        const mismatches = checks
+            .filter(([, database, ledger]) => database !== ledger)
+            .map(([field, database, ledger]) => ({ field, database, ledger }));
+
+        const latestStatus = entry.statusUpdates?.[entry.statusUpdates.length - 1]?.status || null;
+        if (latestStatus === 'CANCELLED') {
+            mismatches.push({ field: 'status', database: 'active', ledger: latestStatus });
+        }
+
+        return {
+            ...result,
+            verified: mismatches.length === 0,
+            mismatches,
+            ledgerEntry: entry
+        };
+    }
+}
+
+export default new ItineraryService();
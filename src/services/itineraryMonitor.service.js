@@ -0,0 +1,454 @@
+import cron from 'node-cron';
+import geolib from 'geolib';
+import { v4 as uuidv4 } from 'uuid';
+import { LocationHistory, Alert } from '../models/tracking.model.js';
+import Tourist from '../models/tourist.model.js';
+import escalationService from './escalation.service.js';
+import notificationService from './notification.service.js';
+import { notifyAdmins } from './socket.service.js';
+
+const DEFAULT_CRON = '*/10 * * * *';
+const DEFAULT_ARRIVAL_RADIUS_METERS = 1000;
+const DEFAULT_DEVIATION_KM = 10;
+const DEFAULT_OVERDUE_GRACE_MINUTES = 60;
+const DEFAULT_CHECK_IN_MINUTES = 60;
+const DEFAULT_COOLDOWN_MINUTES = 60;
+// Leaving needs a wider margin than arriving so GPS jitter at the edge does
+// not produce a departure followed by a second arrival
+const DEPARTURE_RADIUS_FACTOR = 1.5;
+// Fixes this long before the planned arrival still count as arriving
+const EARLY_ARRIVAL_MS = 24 * 60 * 60 * 1000;
+// Overdue alerts are only raised for recently missed arrivals, so old
+// itineraries do not flood the dashboard when monitoring is first enabled
+const OVERDUE_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+const BATCH_SIZE = 50;
+const EARTH_RADIUS_METERS = 6378100;
+const HIGH_RISK_LEVELS = ['high', 'extreme'];
+
+const minutesBetween = (from, to) => Math.round((new Date(to).getTime() - new Date(from).getTime()) / 60000);
+
+const legPoint = (leg) => {
+    const [longitude, latitude] = leg.location?.coordinates || [];
+    return typeof longitude === 'number' && typeof latitude === 'number' ? { latitude, longitude } : null;
+};
+
+// Legs in travel order; legs without a planned arrival keep their position
+const orderLegs = (itinerary = []) => itinerary
+    .map((leg, index) => ({ leg, index }))
+    .sort((a, b) => {
+        const aTime = a.leg.plannedArrival ? new Date(a.leg.plannedArrival).getTime() : null;
+        const bTime = b.leg.plannedArrival ? new Date(b.leg.plannedArrival).getTime() : null;
+        return aTime === null || bTime === null || aTime === bTime ? a.index - b.index : aTime - bTime;
+    })
+    .map(({ leg }) => leg);
+
+const isWithinPlannedStay = (leg, at) =>
+    leg.plannedArrival && new Date(leg.plannedArrival) <= at &&
+    (!leg.plannedDeparture || new Date(leg.plannedDeparture) >= at);
+
+// Distance from a point to the part of the itinerary the tourist should be
+// on at `at`: the current stop during a planned stay, otherwise the straight
+// line between the last stop and the next one.
+const routeDistance = (legs, point, at) => {
+    const located = legs.filter(leg => legPoint(leg));
+    const stay = located.find(leg => isWithinPlannedStay(leg, at));
+    if (stay) {
+        return { meters: geolib.getDistance(point, legPoint(stay)), leg: stay, segment: [stay] };
+    }
+
+    const nextIndex = located.findIndex(leg => leg.plannedArrival && new Date(leg.plannedArrival) > at);
+    if (nextIndex <= 0) {
+        // Before the trip starts or after the last stop there is no route to follow
+        return null;
+    }
+
+    const from = located[nextIndex - 1];
+    const to = located[nextIndex];
+    let meters = geolib.getDistanceFromLine(point, legPoint(from), legPoint(to));
+    if (!Number.isFinite(meters)) {
+        meters = Math.min(geolib.getDistance(point, legPoint(from)), geolib.getDistance(point, legPoint(to)));
+    }
+    return { meters, leg: to, segment: [from, to] };
+};
+
+const legStatus = (leg, legs, at, graceMinutes) => {
+    if (leg.actualDeparture) {
+        return 'completed';
+    }
+    if (leg.actualArrival) {
+        return 'in_progress';
+    }
+    const position = legs.indexOf(leg);
+    if (legs.slice(position + 1).some(later => later.actualArrival)) {
+        return 'skipped';
+    }
+    if (!leg.plannedArrival) {
+        return 'unscheduled';
+    }
+    const plannedArrival = new Date(leg.plannedArrival);
+    if (plannedArrival > at) {
+        return 'upcoming';
+    }
+    return at.getTime() - plannedArrival.getTime() <= graceMinutes * 60 * 1000 ? 'due' : 'overdue';
+};
+
+// Compares Tourist.travelItinerary with actual movement. Arrival and
+// departure times are filled in from location fixes as they are ingested, and
+// from stored location history when a fix was missed. Off-route alerts are
+// raised per fix; overdue arrivals and silence on high or extreme risk legs
+// are found by a periodic sweep, since they are about fixes that never came.
+class ItineraryMonitorService {
+    constructor() {
+        this.task = null;
+        this.isProcessing = false;
+    }
+
+    getSettings() {
+        return {
+            arrivalRadiusMeters: parseFloat(process.env.ITINERARY_ARRIVAL_RADIUS_METERS) || DEFAULT_ARRIVAL_RADIUS_METERS,
+            deviationKm: parseFloat(process.env.ITINERARY_DEVIATION_KM) || DEFAULT_DEVIATION_KM,
+            overdueGraceMinutes: parseFloat(process.env.ITINERARY_OVERDUE_GRACE_MINUTES) || DEFAULT_OVERDUE_GRACE_MINUTES,
+            checkInMinutes: parseFloat(process.env.ITINERARY_CHECK_IN_MINUTES) || DEFAULT_CHECK_IN_MINUTES,
+            cooldownMinutes: parseFloat(process.env.ITINERARY_ALERT_COOLDOWN_MINUTES) || DEFAULT_COOLDOWN_MINUTES
+        };
+    }
+
+    start() {
+        if (this.task) {
+            return;
+        }
+        let schedule = process.env.ITINERARY_MONITOR_CRON || DEFAULT_CRON;
+        if (!cron.validate(schedule)) {
+            console.warn(`Invalid ITINERARY_MONITOR_CRON "${schedule}", using ${DEFAULT_CRON}`);
+            schedule = DEFAULT_CRON;
+        }
+        this.task = cron.schedule(schedule, () => this.checkActive());
+        console.log(`🗺️  Itinerary monitor started (${schedule})`);
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+    }
+
+    // Anomaly check for the ingestion pipeline: records arrivals/departures
+    // for the fix and returns an alert definition when the tourist is too far
+    // from the planned route.
+    async checkLocation({ tourist, location }) {
+        const legs = orderLegs(tourist.travelItinerary);
+        if (legs.length === 0) {
+            return [];
+        }
+
+        const settings = this.getSettings();
+        const point = { latitude: location.latitude, longitude: location.longitude };
+        await this.recordActuals(tourist._id, legs, point, location.timestamp, settings);
+
+        const route = routeDistance(legs, point, location.timestamp);
+        const limitMeters = settings.deviationKm * 1000;
+        if (!route || route.meters <= limitMeters) {
+            return [];
+        }
+
+        const recent = await Alert.exists({
+            touristId: tourist._id,
+            'metadata.anomalyType': 'off_route',
+            createdAt: { $gte: new Date(Date.now() - settings.cooldownMinutes * 60 * 1000) }
+        });
+        if (recent) {
+            return [];
+        }
+
+        const km = Math.round(route.meters / 100) / 10;
+        const target = route.segment.map(leg => leg.destination).join(' → ');
+        return [{
+            type: 'itinerary_deviation',
+            severity: HIGH_RISK_LEVELS.includes(route.leg.riskLevel) ? 'critical' : 'warning',
+            message: {
+                english: `${km} km off the planned route (${target})`,
+                hindi: `नियोजित मार्ग (${target}) से ${km} किमी दूर`
+            },
+            metadata: {
+                triggeredBy: 'system',
+                anomalyType: 'off_route',
+                thresholdValue: settings.deviationKm,
+                actualValue: km,
+                itineraryLegId: route.leg._id
+            }
+        }];
+    }
+
+    async recordActuals(touristId, legs, point, at, settings) {
+        for (const leg of legs) {
+            const destination = legPoint(leg);
+            if (!destination) {
+                continue;
+            }
+            const meters = geolib.getDistance(point, destination);
+
+            if (!leg.actualArrival && meters <= settings.arrivalRadiusMeters &&
+                (!leg.plannedArrival || at.getTime() >= new Date(leg.plannedArrival).getTime() - EARLY_ARRIVAL_MS)) {
+                await this.setActual(touristId, leg, 'actualArrival', at);
+            } else if (leg.actualArrival && !leg.actualDeparture && at > new Date(leg.actualArrival) &&
+                meters > settings.arrivalRadiusMeters * DEPARTURE_RADIUS_FACTOR) {
+                await this.setActual(touristId, leg, 'actualDeparture', at);
+            }
+        }
+    }
+
+    // Conditional on the field being empty so concurrent fixes record it once
+    async setActual(touristId, leg, field, at) {
+        const result = await Tourist.updateOne(
+            { _id: touristId, travelItinerary: { $elemMatch: { _id: leg._id, [field]: null } } },
+            { $set: { [`travelItinerary.$.${field}`]: at } }
+        );
+        if (result.modifiedCount === 1) {
+            leg[field] = at;
+            console.log(`🗺️  Tourist ${touristId} ${field === 'actualArrival' ? 'arrived at' : 'left'} ${leg.destination}`);
+        }
+        return result.modifiedCount === 1;
+    }
+
+    // Every checked-in tourist with an itinerary
+    async checkActive() {
+        if (this.isProcessing) {
+            return;
+        }
+        this.isProcessing = true;
+
+        try {
+            const cursor = Tourist.find({
+                actualCheckOutTime: null,
+                status: { $ne: 'inactive' },
+                'travelItinerary.0': { $exists: true }
+            })
+                .select('travelItinerary lastLocationUpdate currentLocation personalInfo.name')
+                .lean()
+                .cursor({ batchSize: BATCH_SIZE });
+
+            for await (const tourist of cursor) {
+                try {
+                    await this.checkTourist(tourist);
+                } catch (error) {
+                    console.error(`Failed to check itinerary for tourist ${tourist._id}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Error checking itineraries:', error);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    async checkTourist(tourist, at = new Date()) {
+        const settings = this.getSettings();
+        const legs = orderLegs(tourist.travelItinerary);
+        const alerts = [];
+
+        for (const leg of legs) {
+            if (leg.actualArrival || !leg.plannedArrival || !legPoint(leg)) {
+                continue;
+            }
+            const overdueMs = at.getTime() - new Date(leg.plannedArrival).getTime();
+            if (overdueMs <= settings.overdueGraceMinutes * 60 * 1000 || overdueMs > OVERDUE_LOOKBACK_MS) {
+                continue;
+            }
+            if (await this.backfillArrival(tourist._id, leg, settings)) {
+                continue;
+            }
+            if (legStatus(leg, legs, at, settings.overdueGraceMinutes) !== 'overdue') {
+                continue;
+            }
+
+            const alert = await this.raiseOnce(tourist, leg, {
+                anomalyType: 'itinerary_overdue',
+                severity: HIGH_RISK_LEVELS.includes(leg.riskLevel) ? 'critical' : 'warning',
+                thresholdValue: settings.overdueGraceMinutes,
+                actualValue: Math.round(overdueMs / 60000),
+                message: {
+                    english: `Overdue at ${leg.destination}: planned arrival was ${Math.round(overdueMs / 60000)} minutes ago`,
+                    hindi: `${leg.destination} पर पहुंचने में देरी: नियोजित आगमन ${Math.round(overdueMs / 60000)} मिनट पहले था`
+                }
+            });
+            if (alert) {
+                alerts.push(alert);
+            }
+        }
+
+        const current = legs.find(leg =>
+            HIGH_RISK_LEVELS.includes(leg.riskLevel) &&
+            (isWithinPlannedStay(leg, at) || (leg.actualArrival && !leg.actualDeparture))
+        );
+        if (current) {
+            const lastCheckIn = tourist.lastLocationUpdate ? new Date(tourist.lastLocationUpdate) : null;
+            const silentSince = lastCheckIn || new Date(current.actualArrival || current.plannedArrival);
+            const silentMinutes = minutesBetween(silentSince, at);
+            if (silentMinutes > settings.checkInMinutes) {
+                const alert = await this.raiseOnce(tourist, current, {
+                    anomalyType: 'high_risk_no_checkin',
+                    severity: 'critical',
+                    since: silentSince,
+                    thresholdValue: settings.checkInMinutes,
+                    actualValue: silentMinutes,
+                    message: {
+                        english: `No check-in for ${silentMinutes} minutes on ${current.riskLevel} risk leg ${current.destination}`,
+                        hindi: `${current.destination} (${current.riskLevel} जोखिम) पर ${silentMinutes} मिनट से कोई चेक-इन नहीं`
+                    }
+                });
+                if (alert) {
+                    await escalationService.scheduleForAlert(alert, 'high_risk_inactivity');
+                    alerts.push(alert);
+                }
+            }
+        }
+
+        return alerts;
+    }
+
+    // The tourist may have reached the stop while no fix was being ingested
+    // in real time (e.g. a batch upload), so look in the stored history first.
+    async backfillArrival(touristId, leg, settings) {
+        const { latitude, longitude } = legPoint(leg);
+        const fix = await LocationHistory.findOne({
+            touristId,
+            timestamp: { $gte: new Date(new Date(leg.plannedArrival).getTime() - EARLY_ARRIVAL_MS) },
+            location: {
+                $geoWithin: {
+                    $centerSphere: [[longitude, latitude], settings.arrivalRadiusMeters / EARTH_RADIUS_METERS]
+                }
+            }
+        }).sort({ timestamp: 1 }).select('timestamp').lean();
+
+        if (!fix) {
+            return false;
+        }
+        await this.setActual(touristId, leg, 'actualArrival', fix.timestamp);
+        return true;
+    }
+
+    // One alert per leg and kind; `since` allows a repeat after a new check-in
+    async raiseOnce(tourist, leg, { anomalyType, severity, message, thresholdValue, actualValue, since }) {
+        const existing = await Alert.exists({
+            touristId: tourist._id,
+            'metadata.anomalyType': anomalyType,
+            'metadata.itineraryLegId': leg._id,
+            ...(since ? { createdAt: { $gte: since } } : {})
+        });
+        if (existing) {
+            return null;
+        }
+
+        const alert = new Alert({
+            alertId: `itinerary_deviation_${Date.now()}_${tourist._id}_${uuidv4().split('-')[0]}`,
+            touristId: tourist._id,
+            type: 'itinerary_deviation',
+            severity,
+            message,
+            location: tourist.currentLocation?.coordinates?.length ? {
+                type: 'Point',
+                coordinates: tourist.currentLocation.coordinates
+            } : undefined,
+            metadata: {
+                triggeredBy: 'system',
+                anomalyType,
+                thresholdValue,
+                actualValue,
+                itineraryLegId: leg._id
+            }
+        });
+        await alert.save();
+        notificationService.notifyAlert(alert);
+
+        const [longitude, latitude] = tourist.currentLocation?.coordinates || [];
+        // Same event as per-fix anomalies, so off-route and sweep alerts arrive together
+        notifyAdmins('anomaly_alert', {
+            alertId: alert.alertId,
+            touristId: tourist._id,
+            type: alert.type,
+            anomalyType,
+            severity,
+            message: message.english,
+            thresholdValue,
+            actualValue,
+            legId: leg._id,
+            destination: leg.destination,
+            location: typeof latitude === 'number' ? { latitude, longitude } : null,
+            timestamp: alert.createdAt
+        });
+        return alert;
+    }
+
+    async getTimeline(tourist, at = new Date()) {
+        const settings = this.getSettings();
+        const legs = orderLegs(tourist.travelItinerary);
+
+        const alerts = await Alert.find({
+            touristId: tourist._id,
+            type: 'itinerary_deviation',
+            'metadata.itineraryLegId': { $in: legs.map(leg => leg._id) }
+        })
+            .sort({ createdAt: -1 })
+            .select('alertId severity message metadata.anomalyType metadata.itineraryLegId acknowledgment.isAcknowledged createdAt')
+            .lean();
+
+        const [longitude, latitude] = tourist.currentLocation?.coordinates || [];
+        const position = typeof latitude === 'number' ? { latitude, longitude } : null;
+        const route = position ? routeDistance(legs, position, at) : null;
+
+        const timeline = legs.map(leg => {
+            const point = legPoint(leg);
+            return {
+                legId: leg._id,
+                destination: leg.destination,
+                location: point,
+                riskLevel: leg.riskLevel || null,
+                activities: leg.activities || [],
+                plannedArrival: leg.plannedArrival || null,
+                plannedDeparture: leg.plannedDeparture || null,
+                actualArrival: leg.actualArrival || null,
+                actualDeparture: leg.actualDeparture || null,
+                arrivalDelayMinutes: leg.plannedArrival && leg.actualArrival
+                    ? minutesBetween(leg.plannedArrival, leg.actualArrival)
+                    : null,
+                departureDelayMinutes: leg.plannedDeparture && leg.actualDeparture
+                    ? minutesBetween(leg.plannedDeparture, leg.actualDeparture)
+                    : null,
+                status: legStatus(leg, legs, at, settings.overdueGraceMinutes),
+                distanceKm: point && position ? Math.round(geolib.getDistance(position, point) / 100) / 10 : null,
+                alerts: alerts
+                    .filter(alert => alert.metadata.itineraryLegId?.toString() === leg._id.toString())
+                    .map(alert => ({
+                        alertId: alert.alertId,
+                        anomalyType: alert.metadata.anomalyType,
+                        severity: alert.severity,
+                        message: alert.message.english,
+                        acknowledged: alert.acknowledgment?.isAcknowledged || false,
+                        createdAt: alert.createdAt
+                    }))
+            };
+        });
+
+        return {
+            touristId: tourist._id,
+            timestamp: at,
+            lastCheckIn: tourist.lastLocationUpdate || null,
+            currentLocation: position,
+            route: route ? {
+                legId: route.leg._id,
+                destination: route.leg.destination,
+                distanceKm: Math.round(route.meters / 100) / 10,
+                offRoute: route.meters > settings.deviationKm * 1000
+            } : null,
+            summary: timeline.reduce((counts, leg) => {
+                counts[leg.status] = (counts[leg.status] || 0) + 1;
+                return counts;
+            }, {}),
+            settings,
+            timeline
+        };
+    }
+}
+
+export default new ItineraryMonitorService();
@@ -0,0 +1,557 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import DigitalId from '../models/digitalId.model.js';
+import KycDocument from '../models/kycDocument.model.js';
+import Tourist from '../models/tourist.model.js';
+import ocrService from './ocr.service.js';
+import digitalIdService from './digitalId.service.js';
+import { maskAadhaar } from './aadhaar.service.js';
+
+const DEFAULT_AUTO_VERIFY_SCORE = 85;
+const NAME_MATCH_THRESHOLD = 0.85;
+const LOW_OCR_CONFIDENCE = 50;
+const MAX_PENDING_PER_TOURIST = 3;
+const MAX_REASON_LENGTH = 500;
+// A profile date saved at local midnight can sit up to a day off UTC midnight
+const SAME_DAY_TOLERANCE_MS = 14 * 60 * 60 * 1000;
+
+// Any of these sends a document to manual review whatever its score
+const BLOCKING_FLAGS = ['name_mismatch', 'dob_mismatch', 'document_number_unreadable', 'nationality_mismatch', 'duplicate_document', 'document_invalid'];
+
+const HONORIFICS = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'shri', 'sri', 'smt', 'kumari', 'km']);
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const INDIA = /^(india|indian|in|ind|bharat)$/i;
+
+// Nationality each document type implies, for the review comparison
+const IMPLIED_NATIONALITY = {
+    aadhaar: 'Indian'
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+let hashKey = null;
+
+const namedError = (name, message) => {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+};
+
+const getAutoVerifyScore = () => {
+    const score = parseFloat(process.env.KYC_AUTO_VERIFY_SCORE);
+    return Number.isFinite(score) ? score : DEFAULT_AUTO_VERIFY_SCORE;
+};
+
+// Document numbers are hashed with a secret so the stored hashes cannot be
+// reversed by enumerating every possible number
+const getHashKey = () => {
+    if (hashKey) {
+        return hashKey;
+    }
+    if (process.env.KYC_HASH_KEY) {
+        hashKey = process.env.KYC_HASH_KEY;
+    } else if (process.env.NODE_ENV === 'production') {
+        throw namedError('ConfigurationError', 'KYC_HASH_KEY must be set in production');
+    } else {
+        console.warn('⚠️  No KYC_HASH_KEY set; using a development key for document number hashes.');
+        hashKey = 'yatra-suraksha-development-kyc-key';
+    }
+    return hashKey;
+};
+
+export const hashDocumentNumber = (documentNumber) => crypto
+    .createHmac('sha256', getHashKey())
+    .update(documentNumber.replace(/[\s-]/g, '').toUpperCase())
+    .digest('hex');
+
+const normalizeName = (name) => (name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]+/g, ' ')
+    .split(' ')
+    .filter(token => token && !HONORIFICS.has(token));
+
+const levenshtein = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+const ratio = (a, b) => (a.length || b.length ? 1 - levenshtein(a, b) / Math.max(a.length, b.length) : 1);
+
+const tokenSimilarity = (a, b) => {
+    // An initial matches the name it abbreviates
+    if ((a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b))) {
+        return 0.9;
+    }
+    return ratio(a, b);
+};
+
+// 0-1 similarity that tolerates OCR typos, reordered names (passports print
+// the surname first), initials and a missing middle name
+export const nameSimilarity = (first, second) => {
+    const a = normalizeName(first);
+    const b = normalizeName(second);
+    if (a.length === 0 || b.length === 0) {
+        return 0;
+    }
+
+    const [shorter, longer] = a.length <= b.length ? [a, b] : [b, a];
+    const unused = [...longer];
+    let total = 0;
+    for (const token of shorter) {
+        let bestIndex = 0;
+        let best = -1;
+        unused.forEach((candidate, index) => {
+            const score = tokenSimilarity(token, candidate);
+            if (score > best) {
+                best = score;
+                bestIndex = index;
+            }
+        });
+        total += best;
+        unused.splice(bestIndex, 1);
+    }
+    // Each extra token on one side costs a little
+    const tokenScore = (total / shorter.length) * (0.9 + 0.1 * shorter.length / longer.length);
+
+    return Math.max(tokenScore, ratio(a.join(''), b.join('')));
+};
+
+// Dates as printed on Indian and most foreign documents: day first
+export const parseDocumentDate = (value) => {
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+    const text = value.trim();
+    let day, month, year;
+    let match;
+
+    if ((match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/))) {
+        [, day, month, year] = match.map(Number);
+    } else if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/))) {
+        [, year, month, day] = match.map(Number);
+    } else if ((match = text.match(/^(\d{1,2})\s+([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{4})$/))) {
+        day = Number(match[1]);
+        month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+        year = Number(match[3]);
+    } else {
+        return null;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (month < 1 || date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date;
+};
+
+// Compares OCR output with the profile and scores the document 0-100.
+// `validation` is the OCR validation result; an expired document, failed MRZ
+// check digit or bad checksum is never verified automatically.
+export const scoreDocument = ({ type, extractedInfo, ocrConfidence, profile, duplicate, validation }) => {
+    const flags = [];
+
+    if (validation && !validation.isValid) {
+        flags.push('document_invalid');
+    }
+
+    const nameScore = nameSimilarity(extractedInfo.name, profile.name);
+    if (nameScore < NAME_MATCH_THRESHOLD) {
+        flags.push('name_mismatch');
+    }
+
+    const dateOfBirth = parseDocumentDate(extractedInfo.dob);
+    let dobMatch = null;
+    if (!dateOfBirth) {
+        flags.push('dob_unreadable');
+    } else if (!profile.dateOfBirth) {
+        flags.push('profile_dob_missing');
+    } else {
+        dobMatch = Math.abs(new Date(profile.dateOfBirth).getTime() - dateOfBirth.getTime()) < SAME_DAY_TOLERANCE_MS;
+        if (!dobMatch) {
+            flags.push('dob_mismatch');
+        }
+    }
+
+    if (!extractedInfo.documentNumber) {
+        flags.push('document_number_unreadable');
+    }
+    if (type === 'aadhaar' && profile.nationality && !INDIA.test(profile.nationality.trim())) {
+        flags.push('nationality_mismatch');
+    }
+    if (duplicate) {
+        flags.push('duplicate_document');
+    }
+    if (ocrConfidence < LOW_OCR_CONFIDENCE) {
+        flags.push('low_ocr_confidence');
+    }
+
+    const dobPoints = dobMatch === true ? 30 : dobMatch === false ? 0 : 10;
+    const verificationScore = Math.round(
+        45 * nameScore
+        + dobPoints
+        + (extractedInfo.documentNumber ? 10 : 0)
+        + 15 * (Math.min(Math.max(ocrConfidence, 0), 100) / 100)
+    );
+
+    const autoVerify = verificationScore >= getAutoVerifyScore()
+        && !flags.some(flag => BLOCKING_FLAGS.includes(flag));
+    if (verificationScore < getAutoVerifyScore()) {
+        flags.push('low_score');
+    }
+
+    return {
+        extracted: {
+            name: extractedInfo.name || undefined,
+            dateOfBirth: dateOfBirth || undefined,
+            rawDateOfBirth: extractedInfo.dob || undefined
+        },
+        matching: { nameScore: Math.round(nameScore * 100) / 100, dobMatch },
+        verificationScore,
+        flags,
+        autoVerify
+    };
+};
+
+// KYC runs each uploaded document through OCR, matches the result against
+// the tourist's profile and either verifies it straight away or queues it
+// for an official to review.
+class KycService {
+    async runOcr(buffers, options) {
+        try {
+            // The full document number is needed for the keyed hash; only the
+            // hash and last four digits are stored
+            return await ocrService.analyzeDocument(buffers, options);
+        } catch (error) {
+            // Unreadable or locked PDFs and too many pages
+            if (error.name === 'ValidationError') {
+                throw error;
+            }
+            if (error.message?.includes('Invalid image file format') || error.message?.includes('preprocessing failed')) {
+                throw namedError('ValidationError', 'The uploaded file is not a readable JPEG, PNG, BMP or TIFF image or PDF');
+            }
+            const unavailable = namedError('OcrUnavailableError', 'Document reading is temporarily unavailable. Please try again later.');
+            unavailable.cause = error;
+            throw unavailable;
+        }
+    }
+
+    // `files` are the pages of one document, e.g. the front and back of a
+    // card, as images or PDFs
+    async submitDocument(tourist, files, options = {}) {
+        const buffers = (files || []).map(file => file.buffer);
+        if (!buffers.length || buffers.some(buffer => !buffer?.length)) {
+            throw namedError('ValidationError', 'No document image uploaded');
+        }
+
+        const pending = await KycDocument.countDocuments({ touristId: tourist._id, verificationStatus: 'pending' });
+        if (pending >= MAX_PENDING_PER_TOURIST) {
+            throw namedError('ConflictError', `You already have ${pending} documents awaiting review`);
+        }
+
+        const fileHash = buffers.reduce((hash, buffer) => hash.update(buffer), crypto.createHash('sha256')).digest('hex');
+        if (await KycDocument.exists({ touristId: tourist._id, fileHash, verificationStatus: { $ne: 'rejected' } })) {
+            throw namedError('ConflictError', 'This document has already been submitted');
+        }
+
+        const ocr = await this.runOcr(buffers, options);
+        if (!ocr?.documentType || ocr.documentType === 'unknown') {
+            throw namedError('ValidationError', 'Could not recognise the document. Please upload a clear photo of an Aadhaar card, passport, visa or driving licence.');
+        }
+
+        const documentNumber = ocr.extractedInfo.documentNumber;
+        const documentNumberHash = documentNumber ? hashDocumentNumber(documentNumber) : undefined;
+        const duplicate = documentNumberHash ? await KycDocument.exists({
+            documentNumberHash,
+            touristId: { $ne: tourist._id },
+            verificationStatus: { $ne: 'rejected' }
+        }) : null;
+
+        const result = scoreDocument({
+            type: ocr.documentType,
+            extractedInfo: ocr.extractedInfo,
+            ocrConfidence: ocr.confidence,
+            profile: tourist.personalInfo,
+            duplicate: !!duplicate,
+            validation: ocr.validation
+        });
+
+        const now = new Date();
+        const document = await KycDocument.create({
+            touristId: tourist._id,
+            type: ocr.documentType,
+            documentNumberHash,
+            documentNumberLast4: documentNumber ? documentNumber.replace(/[\s-]/g, '').slice(-4) : undefined,
+            fileHash,
+            extracted: result.extracted,
+            ocrConfidence: ocr.confidence,
+            matching: result.matching,
+            verificationScore: result.verificationScore,
+            flags: result.flags,
+            validationErrors: ocr.validation?.isValid === false ? ocr.validation.errors : undefined,
+            verificationStatus: result.autoVerify ? 'verified' : 'pending',
+            reviewRequired: !result.autoVerify,
+            decidedBy: result.autoVerify ? 'auto' : undefined,
+            verificationDate: result.autoVerify ? now : undefined
+        });
+
+        const kycStatus = await this.refreshKycStatus(tourist._id);
+        return { document: this.toResponse(document), kycStatus };
+    }
+
+    // Tourist.kycStatus follows the tourist's documents: verified once any
+    // document is verified, rejected only when every document was rejected.
+    // A verified KYC promotes the profile to the 'verified' stage; losing it
+    // drops the profile back to the stage its details support.
+    async refreshKycStatus(touristId) {
+        const statuses = await KycDocument.distinct('verificationStatus', { touristId });
+        const kycStatus = statuses.includes('verified') ? 'verified'
+            : statuses.includes('pending') || statuses.length === 0 ? 'pending'
+                : 'rejected';
+
+        const tourist = await Tourist.findById(touristId)
+            .select('profileCompletionStage personalInfo.phone personalInfo.nationality emergencyContacts')
+            .lean();
+        if (!tourist) {
+            return kycStatus;
+        }
+
+        const update = { kycStatus };
+        if (kycStatus === 'verified') {
+            update.profileCompletionStage = 'verified';
+        } else if (tourist.profileCompletionStage === 'verified') {
+            const { phone, nationality } = tourist.personalInfo || {};
+            update.profileCompletionStage = phone && nationality && tourist.emergencyContacts?.length ? 'complete'
+                : phone || nationality ? 'basic' : 'initial';
+        }
+        await Tourist.updateOne({ _id: touristId }, { $set: update });
+        return kycStatus;
+    }
+
+    async listDocuments(touristId) {
+        const documents = await KycDocument.find({ touristId }).sort({ createdAt: -1 });
+        return documents.map(document => this.toResponse(document));
+    }
+
+    // Extracted fields next to the profile they were matched against
+    buildComparison(document, profile) {
+        const personalInfo = profile?.personalInfo || {};
+        return [
+            {
+                field: 'name',
+                extracted: document.extracted?.name || null,
+                profile: personalInfo.name || null,
+                score: document.matching?.nameScore ?? null,
+                match: document.matching?.nameScore === undefined ? null : document.matching.nameScore >= NAME_MATCH_THRESHOLD
+            },
+            {
+                field: 'dateOfBirth',
+                extracted: document.extracted?.dateOfBirth || null,
+                extractedRaw: document.extracted?.rawDateOfBirth || null,
+                profile: personalInfo.dateOfBirth || null,
+                match: document.matching?.dobMatch ?? null
+            },
+            {
+                field: 'nationality',
+                extracted: IMPLIED_NATIONALITY[document.type] || null,
+                profile: personalInfo.nationality || null,
+                match: document.flags?.includes('nationality_mismatch') ? false : null
+            },
+            {
+                field: 'documentNumber',
+                extracted: !document.documentNumberLast4 ? null
+                    : document.type === 'aadhaar' ? maskAadhaar(document.documentNumberLast4.padStart(12, '0'))
+                        : `****${document.documentNumberLast4}`,
+                profile: null,
+                match: document.flags?.includes('duplicate_document') ? false : null
+            }
+        ];
+    }
+
+    toReviewItem(document) {
+        const { documentNumberHash, __v, tourist, ...rest } = document;
+        return {
+            ...rest,
+            tourist: tourist ? {
+                _id: tourist._id,
+                name: tourist.personalInfo?.name,
+                nationality: tourist.personalInfo?.nationality,
+                dateOfBirth: tourist.personalInfo?.dateOfBirth,
+                digitalId: tourist.digitalId,
+                kycStatus: tourist.kycStatus,
+                profileCompletionStage: tourist.profileCompletionStage
+            } : null,
+            comparison: this.buildComparison(document, tourist)
+        };
+    }
+
+    // filters: { nationality, documentType, minConfidence, maxConfidence, minScore, maxScore }
+    // Confidence is the OCR confidence; score is the verificationScore.
+    async getReviewQueue(filters = {}, { skip = 0, limit = 10 } = {}) {
+        const match = { verificationStatus: 'pending', reviewRequired: true };
+        if (filters.documentType) {
+            match.type = filters.documentType;
+        }
+        for (const [field, min, max] of [
+            ['ocrConfidence', filters.minConfidence, filters.maxConfidence],
+            ['verificationScore', filters.minScore, filters.maxScore]
+        ]) {
+            if (min !== undefined || max !== undefined) {
+                match[field] = {};
+                if (min !== undefined) match[field].$gte = min;
+                if (max !== undefined) match[field].$lte = max;
+            }
+        }
+
+        const pipeline = [
+            { $match: match },
+            {
+                $lookup: {
+                    from: Tourist.collection.name,
+                    localField: 'touristId',
+                    foreignField: '_id',
+                    as: 'tourist',
+                    pipeline: [{
+                        $project: {
+                            personalInfo: { name: 1, nationality: 1, dateOfBirth: 1 },
+                            digitalId: 1,
+                            kycStatus: 1,
+                            profileCompletionStage: 1
+                        }
+                    }]
+                }
+            },
+            { $unwind: { path: '$tourist', preserveNullAndEmptyArrays: true } }
+        ];
+        if (filters.nationality) {
+            pipeline.push({
+                $match: { 'tourist.personalInfo.nationality': new RegExp(`^${escapeRegex(filters.nationality.trim())}$`, 'i') }
+            });
+        }
+        pipeline.push({
+            $facet: {
+                documents: [{ $sort: { createdAt: 1 } }, { $skip: skip }, { $limit: limit }],
+                total: [{ $count: 'count' }]
+            }
+        });
+
+        const [result] = await KycDocument.aggregate(pipeline);
+        return {
+            documents: result.documents.map(document => this.toReviewItem(document)),
+            total: result.total[0]?.count || 0
+        };
+    }
+
+    async getReviewItem(documentId) {
+        const document = mongoose.isValidObjectId(documentId) ? await KycDocument.findById(documentId).lean() : null;
+        if (!document) {
+            throw namedError('NotFoundError', 'KYC document not found');
+        }
+        const tourist = await Tourist.findById(document.touristId)
+            .select('personalInfo.name personalInfo.nationality personalInfo.dateOfBirth digitalId kycStatus profileCompletionStage')
+            .lean();
+        return this.toReviewItem({ ...document, tourist });
+    }
+
+    async decide(documentId, { approve, reviewer, reason }) {
+        if (!mongoose.isValidObjectId(documentId)) {
+            throw namedError('NotFoundError', 'KYC document not found');
+        }
+        if (!approve && (typeof reason !== 'string' || reason.trim().length < 3 || reason.length > MAX_REASON_LENGTH)) {
+            throw namedError('ValidationError', `A rejection reason of 3 to ${MAX_REASON_LENGTH} characters is required`);
+        }
+
+        const decision = {
+            verificationStatus: approve ? 'verified' : 'rejected',
+            decidedBy: 'manual',
+            verifiedBy: reviewer._id,
+            verificationDate: new Date()
+        };
+        if (!approve) {
+            decision.rejectionReason = reason.trim();
+        }
+
+        // Officials may also overturn an automatic verification
+        const decidable = approve
+            ? { verificationStatus: 'pending' }
+            : { $or: [{ verificationStatus: 'pending' }, { verificationStatus: 'verified', decidedBy: 'auto' }] };
+
+        const previous = await KycDocument.findOneAndUpdate(
+            { _id: documentId, ...decidable },
+            { $set: decision },
+            { new: false }
+        );
+        if (!previous) {
+            const existing = await KycDocument.findById(documentId).select('verificationStatus').lean();
+            if (!existing) {
+                throw namedError('NotFoundError', 'KYC document not found');
+            }
+            throw namedError('ConflictError', `KYC document has already been ${existing.verificationStatus}`);
+        }
+        const previousStatus = previous.verificationStatus;
+        const document = previous.set(decision);
+
+        // Keep copies on issued digital IDs in step
+        const { modifiedCount: digitalIdsUpdated } = await DigitalId.updateMany(
+            { 'kycData.documents.kycDocumentId': document._id },
+            {
+                $set: {
+                    'kycData.documents.$[doc].verificationStatus': decision.verificationStatus,
+                    'kycData.documents.$[doc].verifiedBy': decision.verifiedBy,
+                    'kycData.documents.$[doc].verificationDate': decision.verificationDate
+                }
+            },
+            { arrayFilters: [{ 'doc.kycDocumentId': document._id }] }
+        );
+
+        // A rejected document can no longer vouch for an issued ID, so the ID
+        // is suspended until an official reinstates or revokes it
+        let digitalIdsSuspended = 0;
+        if (!approve) {
+            const backed = await DigitalId.find({ 'kycData.documents.kycDocumentId': document._id, status: 'active' })
+                .select('touristId')
+                .lean();
+            for (const { touristId } of backed) {
+                try {
+                    await digitalIdService.suspend(touristId, {
+                        reason: `KYC document rejected: ${decision.rejectionReason}`.slice(0, MAX_REASON_LENGTH),
+                        changedBy: `user:${reviewer._id}`
+                    });
+                    digitalIdsSuspended += 1;
+                } catch (error) {
+                    console.error(`Failed to suspend digital ID of tourist ${touristId} after KYC rejection:`, error.message);
+                }
+            }
+        }
+
+        const kycStatus = await this.refreshKycStatus(document.touristId);
+        return {
+            document: this.toResponse(document),
+            previousStatus,
+            kycStatus,
+            digitalIdsUpdated,
+            digitalIdsSuspended
+        };
+    }
+
+    toResponse(document) {
+        const { documentNumberHash, __v, ...rest } = document.toObject();
+        return rest;
+    }
+}
+
+export default new KycService();
@@ -0,0 +1,123 @@
+import crypto from 'crypto';
+import LocalLedger from '../models/localLedger.model.js';
+
+const DIGITAL_ID_CHAINCODE = 'digital-tourist-id';
+const ISSUER_DID = 'did:tourismdept:gov-ts';
+const LOCAL_IDENTITY = 'local-ledger';
+
+const notFound = (message) => {
+    const error = new Error(message);
+    error.name = 'NotFoundError';
+    return error;
+};
+
+const transactionId = (value, previousTxId = '') =>
+    crypto.createHash('sha256').update(previousTxId + JSON.stringify(value)).digest('hex');
+
+// Implements the digital-tourist-id chaincode functions against MongoDB with
+// the same inputs and outputs, so development and air-gapped deployments can
+// issue and verify IDs without a Fabric network. fabric.service.js delegates
+// here when FABRIC_NETWORK_ENABLED is not true.
+class LocalLedgerService {
+    async put(chaincode, key, value) {
+        const existing = await LocalLedger.findOne({ chaincode, key }).select('txId').lean();
+        const txId = transactionId(value, existing?.txId);
+        await LocalLedger.updateOne(
+            { chaincode, key },
+            {
+                $set: { value, txId },
+                $push: { history: { txId, value, timestamp: new Date() } }
+            },
+            { upsert: true }
+        );
+        return txId;
+    }
+
+    async get(chaincode, key) {
+        const entry = await LocalLedger.findOne({ chaincode, key }).lean();
+        return entry ? entry.value : null;
+    }
+
+    async issueTouristID(data) {
+        const did = `did:tourist:local-${Date.now().toString(36)}-${crypto.randomBytes(8).toString('hex')}`;
+        const now = new Date().toISOString();
+        await this.put(DIGITAL_ID_CHAINCODE, did, {
+            did,
+            issuerDID: data.issuerDID || ISSUER_DID,
+            status: 'ACTIVE',
+            issueDate: now,
+            expiryDate: data.expiryDate,
+            kycDocumentHash: crypto.createHash('sha256').update(JSON.stringify(data.kycDocument)).digest('hex'),
+            documentType: data.documentType,
+            issuedBy: LOCAL_IDENTITY,
+            createdAt: now
+        });
+        return did;
+    }
+
+    async queryTouristID(did) {
+        const digitalId = await this.get(DIGITAL_ID_CHAINCODE, did);
+        if (!digitalId) {
+            throw notFound(`Tourist ID ${did} does not exist`);
+        }
+        return digitalId;
+    }
+
+    async verifyTouristID(did, verifierDID) {
+        const digitalId = await this.queryTouristID(did);
+        const now = new Date();
+        return {
+            did,
+            isValid: digitalId.status === 'ACTIVE' && now <= new Date(digitalId.expiryDate),
+            status: digitalId.status,
+            issuerDID: digitalId.issuerDID,
+            expiryDate: digitalId.expiryDate,
+            verifiedBy: verifierDID,
+            verifiedAt: now.toISOString(),
+            documentType: digitalId.documentType
+        };
+    }
+
+    async updateTouristIDStatus(did, newStatus, reason) {
+        const digitalId = await this.queryTouristID(did);
+        const updated = {
+            ...digitalId,
+            status: newStatus,
+            lastUpdated: new Date().toISOString(),
+            updatedBy: LOCAL_IDENTITY,
+            updateReason: reason
+        };
+        await this.put(DIGITAL_ID_CHAINCODE, did, updated);
+        return updated;
+    }
+
+    async extendTouristID(did, newExpiryDate, reason) {
+        const digitalId = await this.queryTouristID(did);
+        if (digitalId.status === 'REVOKED' || digitalId.status === 'EXPIRED') {
+            throw new Error(`Tourist ID ${did} is ${digitalId.status} and cannot be extended`);
+        }
+        if (Number.isNaN(new Date(newExpiryDate).getTime()) || new Date(newExpiryDate) <= new Date(digitalId.expiryDate)) {
+            throw new Error('New expiry date must be later than the current expiry date');
+        }
+        const updated = {
+            ...digitalId,
+            expiryDate: newExpiryDate,
+            lastUpdated: new Date().toISOString(),
+            updatedBy: LOCAL_IDENTITY,
+            updateReason: reason
+        };
+        await this.put(DIGITAL_ID_CHAINCODE, did, updated);
+        return updated;
+    }
+
+    async verifyDocumentHash(did, providedHash) {
+        const digitalId = await this.queryTouristID(did);
+        return {
+            did,
+            documentHashValid: digitalId.kycDocumentHash === providedHash,
+            verifiedAt: new Date().toISOString()
+        };
+    }
+}
+
+export default new LocalLedgerService();
@@ -0,0 +1,421 @@
+import { v4 as uuidv4 } from 'uuid';
+import { LocationHistory, Alert } from '../models/tracking.model.js';
+import Tourist from '../models/tourist.model.js';
+import GeoFence from '../models/geoFence.model.js';
+import geofenceService from './geofence.service.js';
+import escalationService from './escalation.service.js';
+import notificationService from './notification.service.js';
+import occupancyService from './occupancy.service.js';
+import safetyScoreService from './safetyScore.service.js';
+import itineraryMonitorService from './itineraryMonitor.service.js';
+import { notifyAdmins } from './socket.service.js';
+import { evaluateRestrictions, TRACKED_ACTIVITIES } from './geofenceRestriction.service.js';
+import { detectAnomalies, getAnomalyThresholds, getTrackWindowMs } from './anomalyDetection.service.js';
+
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+// Upper bound on history loaded for the anomaly detectors per update
+const MAX_TRACK_POINTS = 2000;
+
+const validationError = (message) => {
+    const error = new Error(message);
+    error.name = 'ValidationError';
+    return error;
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Fence types whose presence nearby means help is close at hand
+const POPULATED_FENCE_TYPES = ['safe', 'accommodation', 'tourist_spot', 'emergency_services'];
+
+const isRemoteLocation = async (location, thresholds) => {
+    const nearby = await GeoFence.findOne({
+        isActive: true,
+        type: { $in: POPULATED_FENCE_TYPES },
+        geometry: {
+            $near: {
+                $geometry: { type: 'Point', coordinates: [location.longitude, location.latitude] },
+                $maxDistance: thresholds.remoteDistanceMeters
+            }
+        }
+    }).select('_id').lean();
+    return !nearby;
+};
+
+// Runs the movement anomaly detectors over the tourist's recent track. The
+// current fix has already been saved, so it is the last point of the track.
+const movementAnomalyCheck = async ({ tourist, location, fences }) => {
+    const thresholds = getAnomalyThresholds();
+    const history = await LocationHistory.find({
+        touristId: tourist._id,
+        timestamp: {
+            $gte: new Date(location.timestamp.getTime() - getTrackWindowMs(thresholds)),
+            $lte: location.timestamp
+        }
+    })
+        .sort({ timestamp: -1 })
+        .limit(MAX_TRACK_POINTS)
+        .select('location timestamp speed altitude accuracy')
+        .lean();
+
+    const points = history.reverse().map(point => ({
+        timestamp: point.timestamp,
+        longitude: point.location.coordinates[0],
+        latitude: point.location.coordinates[1],
+        speed: point.speed,
+        altitude: point.altitude,
+        accuracy: point.accuracy
+    }));
+
+    const detections = await detectAnomalies(points, {
+        fences,
+        isRemote: () => isRemoteLocation(location, thresholds)
+    }, thresholds);
+
+    const definitions = [];
+    for (const detection of detections) {
+        const recent = await Alert.exists({
+            touristId: tourist._id,
+            'metadata.anomalyType': detection.anomalyType,
+            createdAt: { $gte: new Date(Date.now() - thresholds.cooldownMinutes * 60 * 1000) }
+        });
+        if (recent) {
+            continue;
+        }
+
+        definitions.push({
+            type: detection.type,
+            severity: detection.severity,
+            message: detection.message,
+            metadata: {
+                triggeredBy: 'system',
+                anomalyType: detection.anomalyType,
+                thresholdValue: detection.thresholdValue,
+                actualValue: detection.actualValue,
+                duration: detection.duration
+            }
+        });
+    }
+    return definitions;
+};
+
+// Fills in itinerary arrivals/departures and flags fixes far off the planned route
+const itineraryCheck = (context) => itineraryMonitorService.checkLocation(context);
+
+// Every location update, whether it arrives over REST or Socket.IO, goes
+// through the same stages: validate, persist, update the tourist's current
+// location, evaluate geofences, run anomaly checks and broadcast to admins.
+class LocationIngestionService {
+    constructor() {
+        // Anomaly checks receive { tourist, location, previous, fences } (fences
+        // the tourist is inside) and resolve to a list of alert definitions
+        // ({ type, severity, message, metadata }).
+        this.anomalyChecks = [movementAnomalyCheck, itineraryCheck];
+    }
+
+    registerAnomalyCheck(check) {
+        this.anomalyChecks.push(check);
+    }
+
+    normalize(data) {
+        const { touristId, latitude, longitude, timestamp } = data;
+
+        if (!touristId) {
+            throw validationError('Tourist ID is required');
+        }
+        if (!isNumber(latitude) || !isNumber(longitude)) {
+            throw validationError('Latitude and longitude must be numbers');
+        }
+        if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+            throw validationError('Invalid coordinates');
+        }
+
+        let recordedAt = new Date();
+        if (timestamp !== undefined && timestamp !== null) {
+            recordedAt = new Date(timestamp);
+            if (Number.isNaN(recordedAt.getTime())) {
+                throw validationError('Invalid timestamp');
+            }
+            if (recordedAt.getTime() - Date.now() > MAX_CLOCK_SKEW_MS) {
+                throw validationError('Timestamp is in the future');
+            }
+        }
+
+        for (const field of ['accuracy', 'speed', 'heading', 'altitude', 'batteryLevel']) {
+            if (data[field] !== undefined && data[field] !== null && !isNumber(data[field])) {
+                throw validationError(`${field} must be a number`);
+            }
+        }
+        if (data.batteryLevel !== undefined && data.batteryLevel !== null &&
+            (data.batteryLevel < 0 || data.batteryLevel > 100)) {
+            throw validationError('Battery level must be between 0 and 100');
+        }
+
+        const activity = data.activity ?? data.context?.activity;
+        if (activity !== undefined && activity !== null && !TRACKED_ACTIVITIES.includes(activity)) {
+            throw validationError(`Activity must be one of: ${TRACKED_ACTIVITIES.join(', ')}`);
+        }
+
+        return {
+            touristId,
+            deviceId: data.deviceId,
+            latitude,
+            longitude,
+            timestamp: recordedAt,
+            accuracy: data.accuracy ?? 10,
+            speed: data.speed ?? 0,
+            heading: data.heading ?? 0,
+            // Left unset rather than 0 so a missing reading never looks like a fall
+            altitude: data.altitude ?? undefined,
+            batteryLevel: data.batteryLevel ?? 100,
+            source: data.source || 'gps',
+            activity: activity || undefined
+        };
+    }
+
+    async ingest(data, { tourist, transport = 'rest' } = {}) {
+        const location = this.normalize(data);
+
+        tourist = tourist || await Tourist.findById(location.touristId).select('lastLocationUpdate currentLocation status');
+        if (!tourist) {
+            const error = new Error('Tourist not found');
+            error.name = 'NotFoundError';
+            throw error;
+        }
+
+        const coordinates = [location.longitude, location.latitude];
+        const record = new LocationHistory({
+            touristId: tourist._id,
+            deviceId: location.deviceId,
+            location: { type: 'Point', coordinates },
+            timestamp: location.timestamp,
+            accuracy: location.accuracy,
+            speed: location.speed,
+            heading: location.heading,
+            altitude: location.altitude,
+            batteryLevel: location.batteryLevel,
+            source: location.source,
+            context: location.activity ? { activity: location.activity } : undefined
+        });
+        await record.save();
+
+        // Buffered fixes sent after a newer one are kept in the history but
+        // must not move the tourist backwards or fire geofence transitions.
+        const previous = tourist.currentLocation?.coordinates?.length ? {
+            coordinates: tourist.currentLocation.coordinates,
+            timestamp: tourist.lastLocationUpdate
+        } : null;
+
+        const updated = await Tourist.findOneAndUpdate(
+            {
+                _id: tourist._id,
+                $or: [
+                    { lastLocationUpdate: { $exists: false } },
+                    { lastLocationUpdate: null },
+                    { lastLocationUpdate: { $lte: location.timestamp } }
+                ]
+            },
+            {
+                currentLocation: { type: 'Point', coordinates },
+                lastLocationUpdate: location.timestamp,
+                isActive: true
+            },
+            { new: true }
+        );
+
+        const result = {
+            record,
+            stale: !updated,
+            geofences: { entered: [], exited: [] },
+            alerts: []
+        };
+
+        if (!updated) {
+            return result;
+        }
+
+        const { alerts: geofenceAlerts, inside, ...geofences } = await this.evaluateGeofences(updated, location);
+        result.geofences = geofences;
+        result.alerts.push(...geofenceAlerts);
+        result.alerts.push(...await this.runAnomalyChecks(updated, location, previous, inside));
+
+        if (geofences.entered.length > 0 || geofences.exited.length > 0 || result.alerts.length > 0) {
+            safetyScoreService.requestRecompute(updated._id, 'location_event');
+        }
+
+        notifyAdmins('tourist_location_update', {
+            touristId: updated._id,
+            latitude: location.latitude,
+            longitude: location.longitude,
+            accuracy: location.accuracy,
+            timestamp: record.timestamp,
+            speed: location.speed,
+            batteryLevel: location.batteryLevel,
+            transport
+        });
+
+        console.log(`📍 Location updated for tourist ${updated._id}: ${location.latitude}, ${location.longitude}`);
+
+        return result;
+    }
+
+    async evaluateGeofences(tourist, location) {
+        const alerts = [];
+        let transitions = { entered: [], exited: [] };
+
+        try {
+            transitions = await geofenceService.evaluateLocation(tourist._id, location.longitude, location.latitude);
+
+            for (const fence of transitions.entered) {
+                const alert = await this.raiseAlert(tourist, location, {
+                    type: 'geofence_entry',
+                    severity: fence.type === 'danger' ? 'critical' : 'warning',
+                    message: {
+                        english: fence.alertMessage?.english || `Entered ${fence.name}`,
+                        hindi: fence.alertMessage?.hindi || `${fence.name} में प्रवेश किया`
+                    },
+                    geoFenceId: fence._id,
+                    geoFenceRevision: fence.revision ?? 0
+                });
+                if (fence.type === 'danger') {
+                    await escalationService.checkRepeatedDangerEntries(alert);
+                }
+                this.broadcastGeofenceAlert(alert, fence, 'entry', location);
+                alerts.push(alert);
+            }
+
+            for (const fence of transitions.exited) {
+                const alert = await this.raiseAlert(tourist, location, {
+                    type: 'geofence_exit',
+                    severity: 'info',
+                    message: {
+                        english: `Exited ${fence.name}`,
+                        hindi: `${fence.name} से बाहर निकला`
+                    },
+                    geoFenceId: fence._id,
+                    geoFenceRevision: fence.revision ?? 0
+                }, { notify: false });
+                this.broadcastGeofenceAlert(alert, fence, 'exit', location);
+                alerts.push(alert);
+            }
+
+            if (transitions.entered.length > 0 || transitions.exited.length > 0) {
+                await occupancyService.recordTransitions(transitions);
+            }
+
+            alerts.push(...await this.enforceRestrictions(tourist, location, transitions.inside));
+        } catch (error) {
+            console.error('Error checking geofences:', error);
+        }
+
+        const summarize = fence => ({ id: fence._id, name: fence.name, type: fence.type });
+        return {
+            entered: transitions.entered.map(summarize),
+            exited: transitions.exited.map(summarize),
+            inside: transitions.inside || [],
+            alerts
+        };
+    }
+
+    // Time windows, permits, prohibited activities and weather closures of the
+    // fences the tourist is in. Each violation alerts once per stay.
+    async enforceRestrictions(tourist, location, fences) {
+        const alerts = [];
+
+        for (const fence of fences) {
+            const violations = evaluateRestrictions(fence, {
+                tourist,
+                activity: location.activity,
+                at: location.timestamp
+            });
+            const added = await geofenceService.syncViolations(
+                tourist._id,
+                fence._id,
+                violations.map(violation => violation.code)
+            );
+
+            for (const violation of violations.filter(v => added.includes(v.code))) {
+                const alert = await this.raiseAlert(tourist, location, {
+                    type: violation.type,
+                    severity: violation.severity,
+                    message: violation.message,
+                    geoFenceId: fence._id,
+                    geoFenceRevision: fence.revision ?? 0,
+                    metadata: { triggeredBy: 'system' }
+                });
+                this.broadcastGeofenceAlert(alert, fence, 'restriction', location, violation.code);
+                alerts.push(alert);
+            }
+        }
+
+        return alerts;
+    }
+
+    async runAnomalyChecks(tourist, location, previous, fences = []) {
+        const alerts = [];
+
+        for (const check of this.anomalyChecks) {
+            try {
+                const definitions = await check({ tourist, location, previous, fences });
+                for (const definition of definitions || []) {
+                    const alert = await this.raiseAlert(tourist, location, definition);
+                    notifyAdmins('anomaly_alert', {
+                        alertId: alert.alertId,
+                        touristId: tourist._id,
+                        type: alert.type,
+                        anomalyType: alert.metadata?.anomalyType,
+                        severity: alert.severity,
+                        message: alert.message.english,
+                        thresholdValue: alert.metadata?.thresholdValue,
+                        actualValue: alert.metadata?.actualValue,
+                        location: { latitude: location.latitude, longitude: location.longitude },
+                        timestamp: alert.createdAt
+                    });
+                    alerts.push(alert);
+                }
+            } catch (error) {
+                console.error(`Anomaly check ${check.name || 'anonymous'} failed:`, error);
+            }
+        }
+
+        return alerts;
+    }
+
+    async raiseAlert(tourist, location, definition, { notify = true } = {}) {
+        const alert = new Alert({
+            alertId: `${definition.type}_${Date.now()}_${tourist._id}_${uuidv4().split('-')[0]}`,
+            touristId: tourist._id,
+            type: definition.type,
+            severity: definition.severity,
+            message: definition.message,
+            location: {
+                type: 'Point',
+                coordinates: [location.longitude, location.latitude]
+            },
+            geoFenceId: definition.geoFenceId,
+            geoFenceRevision: definition.geoFenceRevision,
+            metadata: definition.metadata
+        });
+
+        await alert.save();
+        if (notify) {
+            notificationService.notifyAlert(alert);
+        }
+        return alert;
+    }
+
+    broadcastGeofenceAlert(alert, fence, direction, location, violation) {
+        notifyAdmins('geofence_alert', {
+            alertId: alert.alertId,
+            touristId: alert.touristId,
+            type: direction,
+            violation,
+            fenceName: fence.name,
+            fenceType: fence.type,
+            severity: alert.severity,
+            location: { latitude: location.latitude, longitude: location.longitude },
+            timestamp: new Date()
+        });
+    }
+}
+
+export default new LocationIngestionService();
@@ -0,0 +1,205 @@
+// Machine-readable zone parsing for ICAO 9303 passports (TD3) and visas
+// (MRV-A and MRV-B). A TD3 MRZ is two 44 character lines:
+//   P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<
+//   L898902C36UTO7408122F1204159ZE184226B<<<<<10
+// Visas start with 'V' and use the same data line layout up to the expiry
+// date, in 44 (MRV-A) or 36 (MRV-B) characters, without the personal number
+// and composite check digits. Numeric fields carry check digits, so misread
+// characters can be detected.
+
+const TD3_LENGTH = 44;
+const MRV_B_LENGTH = 36;
+const CHECK_WEIGHTS = [7, 3, 1];
+
+// OCR confusions that can safely be undone in fields that only hold digits
+const DIGIT_FIXES = { O: '0', Q: '0', D: '0', U: '0', I: '1', L: '1', Z: '2', S: '5', G: '6', B: '8' };
+
+const charValue = (char) => {
+    if (char === '<') return 0;
+    if (char >= '0' && char <= '9') return char.charCodeAt(0) - 48;
+    if (char >= 'A' && char <= 'Z') return char.charCodeAt(0) - 55;
+    return NaN;
+};
+
+export const computeCheckDigit = (value) => {
+    let sum = 0;
+    for (let i = 0; i < value.length; i++) {
+        sum += charValue(value[i]) * CHECK_WEIGHTS[i % 3];
+    }
+    return Number.isNaN(sum) ? null : sum % 10;
+};
+
+const verifyCheckDigit = (value, checkDigit) => {
+    const expected = computeCheckDigit(value);
+    return expected !== null && expected === (checkDigit === '<' ? 0 : Number(checkDigit));
+};
+
+const toDigits = (value) => value.replace(/[A-Z]/g, char => DIGIT_FIXES[char] || char);
+
+// Uppercases, drops spaces and maps the look-alikes OCR produces for '<'
+const normalizeLine = (line) => line
+    .toUpperCase()
+    .replace(/\s+/g, '')
+    .replace(/«/g, '<<')
+    .replace(/[‹(\[{]/g, '<');
+
+// Fillers at the end of a line are often dropped or doubled by OCR. The
+// name line is mostly filler, so it may lose any amount of it; the data line
+// has fields up to its last character.
+const fitLength = (line, length, minLength) => {
+    if (line.length > length) {
+        return /^<+$/.test(line.slice(length)) ? line.slice(0, length) : null;
+    }
+    return line.length >= minLength ? line.padEnd(length, '<') : null;
+};
+
+// Expiry dates are read within this many years of today, either way; further
+// ahead than that they belong to the previous century
+const EXPIRY_WINDOW_YEARS = 50;
+
+// YYMMDD; dates of birth in the future belong to the previous century
+const parseMrzDate = (value, { pastOnly }) => {
+    if (!/^\d{6}$/.test(value)) {
+        return null;
+    }
+    const yy = Number(value.slice(0, 2));
+    const month = Number(value.slice(2, 4));
+    const day = Number(value.slice(4, 6));
+    const currentYear = new Date().getUTCFullYear();
+    let year = currentYear - (currentYear % 100) + yy;
+    if (year > currentYear + (pastOnly ? 0 : EXPIRY_WINDOW_YEARS)) {
+        year -= 100;
+    }
+
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return date;
+};
+
+// DD/MM/YYYY, the format the free-text extractors produce
+export const formatDayFirst = (date) => date
+    ? `${String(date.getUTCDate()).padStart(2, '0')}/${String(date.getUTCMonth() + 1).padStart(2, '0')}/${date.getUTCFullYear()}`
+    : null;
+
+const parseNames = (field) => {
+    // Trailing filler, including '<' misread as 'K'
+    const trimmed = field.replace(/<[<K]*$/, '');
+    const [surname, ...given] = trimmed.split('<<');
+    const clean = (value) => value.replace(/<+/g, ' ').trim();
+    return {
+        surname: clean(surname),
+        givenNames: clean(given.join(' '))
+    };
+};
+
+// Fields shared by every two-line MRZ: name line from position 5, data line
+// up to the expiry date check digit
+const parseCommonFields = (line1, line2) => {
+    const documentNumberField = line2.slice(0, 9);
+    const documentNumberCheck = toDigits(line2[9]);
+    const birthField = toDigits(line2.slice(13, 19));
+    const birthCheck = toDigits(line2[19]);
+    const expiryField = toDigits(line2.slice(21, 27));
+    const expiryCheck = toDigits(line2[27]);
+
+    const { surname, givenNames } = parseNames(line1.slice(5));
+    const sex = line2[20] === '<' ? 'X' : line2[20];
+
+    return {
+        fields: {
+            documentCode: line1.slice(0, 2).replace(/<+$/, ''),
+            issuingState: line1.slice(2, 5).replace(/<+$/, ''),
+            surname,
+            givenNames,
+            name: [givenNames, surname].filter(Boolean).join(' ') || null,
+            documentNumber: documentNumberField.replace(/<+$/, '') || null,
+            nationality: line2.slice(10, 13).replace(/<+$/, '') || null,
+            dateOfBirth: parseMrzDate(birthField, { pastOnly: true }),
+            sex: ['M', 'F', 'X'].includes(sex) ? sex : null,
+            expiryDate: parseMrzDate(expiryField, { pastOnly: false })
+        },
+        checks: {
+            documentNumber: verifyCheckDigit(documentNumberField, documentNumberCheck),
+            dateOfBirth: verifyCheckDigit(birthField, birthCheck),
+            expiryDate: verifyCheckDigit(expiryField, expiryCheck)
+        },
+        // The check-digit-bearing prefix of the data line, fixes applied
+        checked: documentNumberField + documentNumberCheck + line2.slice(10, 13)
+            + birthField + birthCheck + line2[20] + expiryField + expiryCheck
+    };
+};
+
+export const parseTd3 = (firstLine, secondLine) => {
+    const line1 = fitLength(normalizeLine(firstLine), TD3_LENGTH, 10);
+    const line2 = fitLength(normalizeLine(secondLine), TD3_LENGTH, TD3_LENGTH - 2);
+    if (!line1 || !line2 || line1[0] !== 'P' || !/^[A-Z0-9<]+$/.test(line2)) {
+        return null;
+    }
+
+    const { fields, checks, checked } = parseCommonFields(line1, line2);
+    const personalNumberField = line2.slice(28, 42);
+    const personalNumberCheck = toDigits(line2[42]);
+    const compositeCheck = toDigits(line2[43]);
+
+    // Document number, dates of birth and expiry, personal number and their check digits
+    const composite = checked.slice(0, 10) + checked.slice(13, 20) + checked.slice(21)
+        + personalNumberField + personalNumberCheck;
+
+    // An unused personal number field may carry '<' as its check digit
+    checks.personalNumber = /^<+$/.test(personalNumberField) && personalNumberCheck === '<'
+        ? true
+        : verifyCheckDigit(personalNumberField, personalNumberCheck);
+    checks.composite = verifyCheckDigit(composite, compositeCheck);
+
+    return {
+        format: 'TD3',
+        documentType: 'passport',
+        ...fields,
+        personalNumber: personalNumberField.replace(/<+$/, '').replace(/</g, ' ') || null,
+        checks,
+        valid: Object.values(checks).every(Boolean)
+    };
+};
+
+// The data line decides between MRV-A (44) and MRV-B (36); the name line
+// is padded to match
+export const parseMrv = (firstLine, secondLine) => {
+    const data = normalizeLine(secondLine);
+    const length = data.length >= TD3_LENGTH - 2 ? TD3_LENGTH : MRV_B_LENGTH;
+    const line1 = fitLength(normalizeLine(firstLine), length, 10);
+    const line2 = fitLength(data, length, length - 2);
+    if (!line1 || !line2 || line1[0] !== 'V' || !/^[A-Z0-9<]+$/.test(line2)) {
+        return null;
+    }
+
+    const { fields, checks } = parseCommonFields(line1, line2);
+    return {
+        format: length === TD3_LENGTH ? 'MRV-A' : 'MRV-B',
+        documentType: 'visa',
+        ...fields,
+        optionalData: line2.slice(28).replace(/<+$/, '').replace(/</g, ' ') || null,
+        checks,
+        valid: Object.values(checks).every(Boolean)
+    };
+};
+
+const PARSERS = { P: parseTd3, V: parseMrv };
+
+// Scans OCR lines for an MRZ: a name line starting with 'P' (passport) or
+// 'V' (visa) followed by the data line. The first pair that parses wins;
+// `line` is the index of its name line.
+export const findMrz = (lines) => {
+    const normalized = lines.map(normalizeLine);
+    for (let i = 0; i < normalized.length - 1; i++) {
+        const parse = PARSERS[normalized[i][0]];
+        if (parse && /^[PV][A-Z<][A-Z<]{3}/.test(normalized[i]) && normalized[i].includes('<<')) {
+            const mrz = parse(normalized[i], normalized[i + 1]);
+            if (mrz) {
+                return { ...mrz, line: i };
+            }
+        }
+    }
+    return null;
+};
@@ -0,0 +1,314 @@
+import Tourist from '../models/tourist.model.js';
+import User from '../models/user.model.js';
+import Incident from '../models/incident.model.js';
+import { Alert } from '../models/tracking.model.js';
+import { ROLES } from '../constants.js';
+import FakeNotificationProvider from './providers/fake.provider.js';
+import TwilioSmsProvider from './providers/twilioSms.provider.js';
+import FcmPushProvider from './providers/fcmPush.provider.js';
+import SendgridEmailProvider from './providers/sendgridEmail.provider.js';
+
+// Providers implement { name, channel, isConfigured(), send({ to, subject, body, data }) }
+// and resolve to { status: 'sent' | 'delivered' | 'failed', providerMessageId?, error? }.
+// NOTIFICATION_<CHANNEL>_PROVIDER picks the implementation; `fake` keeps
+// everything in memory so tests and development never reach real people.
+const PROVIDER_FACTORIES = {
+    sms: { twilio: () => new TwilioSmsProvider() },
+    push: { fcm: () => new FcmPushProvider() },
+    email: { sendgrid: () => new SendgridEmailProvider() }
+};
+
+const DEFAULT_PROVIDERS = {
+    sms: 'twilio',
+    push: 'fcm',
+    email: 'sendgrid'
+};
+
+// Who hears about an alert grows with its severity
+const AUDIENCE_BY_SEVERITY = {
+    info: ['tourist'],
+    warning: ['tourist'],
+    critical: ['tourist', 'emergency_contact'],
+    emergency: ['tourist', 'emergency_contact', 'authority']
+};
+
+const DEFAULT_SMS_LIMIT = 20;
+const SMS_WINDOW_MS = 60 * 60 * 1000;
+
+const getSmsLimit = () => {
+    const limit = parseInt(process.env.NOTIFICATION_SMS_LIMIT, 10);
+    return Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_SMS_LIMIT;
+};
+
+// Contacts and authorities are only told about alerts the server raised from
+// its own checks or that a signed-in account reported; anything else could be
+// used to page strangers and police, so it only reaches the tourist
+const isTrustedAlert = (alert) => alert.metadata?.triggeredBy === 'system' || !!alert.metadata?.reportedBy;
+
+const INCIDENT_SEVERITY_TO_ALERT_SEVERITY = {
+    low: 'info',
+    medium: 'warning',
+    high: 'critical',
+    critical: 'emergency'
+};
+
+class NotificationService {
+    constructor() {
+        this.providers = null;
+        // touristId -> send times of SMS about that tourist in the last hour
+        this.smsHistory = new Map();
+    }
+
+    getProviders() {
+        if (!this.providers) {
+            this.providers = {};
+            for (const channel of Object.keys(PROVIDER_FACTORIES)) {
+                const envKey = `NOTIFICATION_${channel.toUpperCase()}_PROVIDER`;
+                const name = process.env[envKey] || DEFAULT_PROVIDERS[channel];
+                const factory = PROVIDER_FACTORIES[channel][name];
+
+                if (name === 'fake') {
+                    this.providers[channel] = new FakeNotificationProvider(channel);
+                } else if (factory) {
+                    this.providers[channel] = factory();
+                } else {
+                    console.warn(`Unknown ${envKey} "${name}". ${channel} notifications are disabled.`);
+                    this.providers[channel] = null;
+                }
+            }
+        }
+        return this.providers;
+    }
+
+    setProvider(channel, provider) {
+        this.getProviders()[channel] = provider;
+    }
+
+    async buildRecipients(touristId, audience) {
+        const tourist = await Tourist.findById(touristId)
+            .select('personalInfo.name personalInfo.email personalInfo.phone emergencyContacts preferences devices')
+            .lean();
+        if (!tourist) {
+            return { tourist: null, recipients: [] };
+        }
+
+        const recipients = [];
+        const prefs = tourist.preferences?.notifications || {};
+
+        if (audience.includes('tourist')) {
+            if (prefs.push !== false) {
+                (tourist.devices || [])
+                    .filter(device => device.isActive !== false && device.pushToken)
+                    .forEach(device => recipients.push({
+                        type: 'tourist',
+                        method: 'push',
+                        to: device.pushToken,
+                        label: `device:${device.deviceId}`
+                    }));
+            }
+            if (prefs.sms !== false && tourist.personalInfo?.phone) {
+                recipients.push({ type: 'tourist', method: 'sms', to: tourist.personalInfo.phone });
+            }
+            if (prefs.email !== false && tourist.personalInfo?.email) {
+                recipients.push({ type: 'tourist', method: 'email', to: tourist.personalInfo.email });
+            }
+        }
+
+        if (audience.includes('emergency_contact')) {
+            for (const contact of tourist.emergencyContacts || []) {
+                if (contact.phone) {
+                    recipients.push({ type: 'emergency_contact', method: 'sms', to: contact.phone });
+                }
+                if (contact.email) {
+                    recipients.push({ type: 'emergency_contact', method: 'email', to: contact.email });
+                }
+            }
+        }
+
+        if (audience.includes('authority')) {
+            const officers = await User.find({
+                isActive: true,
+                roles: { $in: [ROLES.POLICE_OFFICER, ROLES.DISPATCHER] },
+                email: { $type: 'string' }
+            }).select('email').lean();
+            officers.forEach(officer => recipients.push({ type: 'authority', method: 'email', to: officer.email }));
+
+            (process.env.AUTHORITY_ALERT_PHONES || '')
+                .split(',')
+                .map(phone => phone.trim())
+                .filter(Boolean)
+                .forEach(phone => recipients.push({ type: 'authority', method: 'sms', to: phone }));
+        }
+
+        return { tourist, recipients };
+    }
+
+    // SMS costs money per message, so each tourist gets NOTIFICATION_SMS_LIMIT
+    // messages (default 20) per hour across all recipients. Kept in memory, so
+    // the limit applies per server process.
+    takeSmsQuota(touristId) {
+        const key = String(touristId);
+        const since = Date.now() - SMS_WINDOW_MS;
+        const sent = (this.smsHistory.get(key) || []).filter(time => time > since);
+        const allowed = sent.length < getSmsLimit();
+        if (allowed) {
+            sent.push(Date.now());
+        }
+        this.smsHistory.set(key, sent);
+        return allowed;
+    }
+
+    async deliver(recipients, content, { touristId } = {}) {
+        const providers = this.getProviders();
+
+        return Promise.all(recipients.map(async (recipient) => {
+            const provider = providers[recipient.method];
+            let result;
+
+            if (recipient.method === 'sms' && touristId && !this.takeSmsQuota(touristId)) {
+                result = { status: 'failed', error: `SMS limit of ${getSmsLimit()} per hour reached for tourist ${touristId}` };
+            } else if (!provider || !provider.isConfigured()) {
+                result = { status: 'failed', error: `No configured ${recipient.method} provider` };
+            } else {
+                // A provider that throws only fails its own recipient
+                try {
+                    result = await provider.send({
+                        to: recipient.to,
+                        subject: content.subject,
+                        body: recipient.type === 'tourist' ? content.touristBody : content.body,
+                        data: content.data
+                    });
+                } catch (error) {
+                    result = { status: 'failed', error: error.message };
+                }
+            }
+
+            if (result.status === 'failed') {
+                console.warn(`Notification to ${recipient.type} via ${recipient.method} failed: ${result.error}`);
+            }
+
+            return {
+                recipient: recipient.label || recipient.to,
+                type: recipient.type,
+                method: recipient.method,
+                timestamp: new Date(),
+                status: result.status
+            };
+        }));
+    }
+
+    async notifyAlert(alert) {
+        try {
+            let audience = AUDIENCE_BY_SEVERITY[alert.severity] || ['tourist'];
+            if (!isTrustedAlert(alert) && audience.length > 1) {
+                console.warn(`Alert ${alert.alertId} has no trusted source; only the tourist is notified`);
+                audience = ['tourist'];
+            }
+            const { tourist, recipients } = await this.buildRecipients(alert.touristId, audience);
+            if (!tourist || recipients.length === 0) {
+                return [];
+            }
+
+            const language = tourist.preferences?.language;
+            const localized = alert.message?.[language] || alert.message?.english;
+            const name = tourist.personalInfo?.name || 'A tourist';
+            const coordinates = alert.location?.coordinates;
+            const where = coordinates?.length ? ` Last known location: ${coordinates[1]}, ${coordinates[0]}.` : '';
+
+            const results = await this.deliver(recipients, {
+                subject: `Yatra Suraksha ${alert.severity} alert`,
+                touristBody: localized,
+                body: `${name}: ${alert.message?.english}.${where}`,
+                data: {
+                    alertId: alert.alertId,
+                    type: alert.type,
+                    severity: alert.severity
+                }
+            }, { touristId: alert.touristId });
+
+            await Alert.updateOne(
+                { _id: alert._id },
+                { $push: { 'notifications.sent': { $each: results } } }
+            );
+
+            return results;
+        } catch (error) {
+            console.error(`Failed to send notifications for alert ${alert.alertId}:`, error);
+            return [];
+        }
+    }
+
+    async notifyIncident(incident) {
+        try {
+            const alertSeverity = INCIDENT_SEVERITY_TO_ALERT_SEVERITY[incident.severity] || 'warning';
+            const audience = AUDIENCE_BY_SEVERITY[alertSeverity].filter(type => type !== 'tourist');
+            const { tourist, recipients } = await this.buildRecipients(incident.touristId, audience);
+            if (!tourist || recipients.length === 0) {
+                return [];
+            }
+
+            const [longitude, latitude] = incident.location.coordinates;
+            const results = await this.deliver(recipients, {
+                subject: `Yatra Suraksha incident ${incident.incidentId}`,
+                body: `Incident ${incident.incidentId} (${incident.severity}) opened for ${tourist.personalInfo?.name || 'a tourist'}: ${incident.description}. Location: ${latitude}, ${longitude}.`,
+                data: {
+                    incidentId: incident.incidentId,
+                    type: incident.type,
+                    severity: incident.severity
+                }
+            }, { touristId: incident.touristId });
+
+            const update = {
+                $push: {
+                    'notifications.notificationsSent': {
+                        $each: results.map(({ recipient, method, timestamp, status }) => ({ recipient, method, timestamp, status }))
+                    }
+                },
+                $set: {}
+            };
+            const reached = (type) => results.some(r => r.type === type && r.status !== 'failed');
+            if (reached('emergency_contact')) {
+                update.$set['notifications.emergencyContactsNotified'] = true;
+            }
+            if (reached('authority')) {
+                update.$set['notifications.authoritiesNotified'] = true;
+            }
+            if (Object.keys(update.$set).length === 0) {
+                delete update.$set;
+            }
+            await Incident.updateOne({ _id: incident._id }, update);
+
+            return results;
+        } catch (error) {
+            console.error(`Failed to send notifications for incident ${incident.incidentId}:`, error);
+            return [];
+        }
+    }
+
+    // Tells the tourist their digital ID is about to expire. Returns the
+    // delivery results; callers decide whether the notice counts as sent.
+    async notifyDigitalIdExpiry(digitalId, expiresAt) {
+        try {
+            const { tourist, recipients } = await this.buildRecipients(digitalId.touristId, ['tourist']);
+            if (!tourist || recipients.length === 0) {
+                return [];
+            }
+
+            const date = expiresAt.toISOString().slice(0, 10);
+            return await this.deliver(recipients, {
+                subject: 'Your Yatra Suraksha digital ID is expiring',
+                touristBody: `Your digital tourist ID expires on ${date}. If you are staying longer, ask a tourism office to extend it.`,
+                data: {
+                    digitalId: digitalId._id.toString(),
+                    did: digitalId.did,
+                    expiresAt: expiresAt.toISOString()
+                }
+            }, { touristId: digitalId.touristId });
+        } catch (error) {
+            console.error(`Failed to send expiry notice for digital ID ${digitalId._id}:`, error);
+            return [];
+        }
+    }
+}
+
+export default new NotificationService();
@@ -0,0 +1,266 @@
+import cron from 'node-cron';
+import GeoFence from '../models/geoFence.model.js';
+import GeofenceMembership from '../models/geofenceMembership.model.js';
+import GeofenceOccupancy from '../models/geofenceOccupancy.model.js';
+import { getAreaSquareMeters } from './geometry.service.js';
+import { notifyAdmins } from './socket.service.js';
+
+const DEFAULT_SAMPLE_CRON = '*/5 * * * *';
+const DEFAULT_WARNING_PERCENT = 80;
+const DEFAULT_STALE_MINUTES = 30;
+const HOUR_MS = 60 * 60 * 1000;
+const SQUARE_METERS_PER_HECTARE = 10000;
+
+const LEVEL_EVENTS = {
+    normal: 'capacity_normal',
+    warning: 'capacity_warning',
+    over: 'over_capacity'
+};
+
+const startOfHour = (date) => new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+
+// Live occupancy is the number of tourists whose membership says they are
+// inside a fence and who have reported a location recently, so tourists whose
+// phones went quiet do not keep a fence full forever. Counts are refreshed on
+// every entry/exit and by a periodic sampler that also builds the hourly
+// time series.
+class OccupancyService {
+    constructor() {
+        this.task = null;
+        this.isSampling = false;
+    }
+
+    getStaleMinutes() {
+        return parseFloat(process.env.OCCUPANCY_STALE_MINUTES) || DEFAULT_STALE_MINUTES;
+    }
+
+    getWarningPercent(fence) {
+        return fence.metadata?.capacityWarningPercent ||
+            parseFloat(process.env.CAPACITY_WARNING_PERCENT) ||
+            DEFAULT_WARNING_PERCENT;
+    }
+
+    getLevel(fence, occupancy) {
+        const capacity = fence.metadata?.capacity;
+        if (!capacity || capacity <= 0) {
+            return 'normal';
+        }
+        if (occupancy > capacity) {
+            return 'over';
+        }
+        return (occupancy / capacity) * 100 >= this.getWarningPercent(fence) ? 'warning' : 'normal';
+    }
+
+    freshCutoff(at = new Date()) {
+        return new Date(at.getTime() - this.getStaleMinutes() * 60 * 1000);
+    }
+
+    async countOccupants(fenceId, at = new Date()) {
+        return GeofenceMembership.countDocuments({
+            geoFence: fenceId,
+            isInside: true,
+            lastSeenAt: { $gte: this.freshCutoff(at) }
+        });
+    }
+
+    start() {
+        if (this.task) {
+            return;
+        }
+        let schedule = process.env.OCCUPANCY_SAMPLE_CRON || DEFAULT_SAMPLE_CRON;
+        if (!cron.validate(schedule)) {
+            console.warn(`Invalid OCCUPANCY_SAMPLE_CRON "${schedule}", using ${DEFAULT_SAMPLE_CRON}`);
+            schedule = DEFAULT_SAMPLE_CRON;
+        }
+        this.task = cron.schedule(schedule, () => this.sampleAll());
+        console.log(`👥 Occupancy sampler started (${schedule})`);
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+    }
+
+    // Called by the ingestion pipeline with the transitions of one location update
+    async recordTransitions({ entered = [], exited = [] }) {
+        const changes = new Map();
+        for (const fence of entered) {
+            const change = changes.get(fence._id.toString()) || { fenceId: fence._id, entries: 0, exits: 0 };
+            change.entries += 1;
+            changes.set(fence._id.toString(), change);
+        }
+        for (const fence of exited) {
+            const change = changes.get(fence._id.toString()) || { fenceId: fence._id, entries: 0, exits: 0 };
+            change.exits += 1;
+            changes.set(fence._id.toString(), change);
+        }
+
+        const at = new Date();
+        for (const { fenceId, entries, exits } of changes.values()) {
+            try {
+                const occupancy = await this.countOccupants(fenceId, at);
+                await this.applyOccupancy(fenceId, occupancy, { entries, exits, at });
+            } catch (error) {
+                console.error(`Failed to update occupancy for geofence ${fenceId}:`, error);
+            }
+        }
+    }
+
+    // Recounts every fence that has fresh occupants or still shows a non-zero
+    // count, so fences drain as tourists leave or go stale.
+    async sampleAll() {
+        if (this.isSampling) {
+            return;
+        }
+        this.isSampling = true;
+
+        try {
+            const at = new Date();
+            const counts = await GeofenceMembership.aggregate([
+                { $match: { isInside: true, lastSeenAt: { $gte: this.freshCutoff(at) } } },
+                { $group: { _id: '$geoFence', count: { $sum: 1 } } }
+            ]);
+            const occupancy = new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+
+            const occupied = await GeoFence.find({ 'statistics.currentOccupancy': { $gt: 0 } }).select('_id').lean();
+            for (const fence of occupied) {
+                if (!occupancy.has(fence._id.toString())) {
+                    occupancy.set(fence._id.toString(), 0);
+                }
+            }
+
+            for (const [fenceId, count] of occupancy) {
+                try {
+                    await this.applyOccupancy(fenceId, count, { sample: true, at });
+                } catch (error) {
+                    console.error(`Failed to sample occupancy for geofence ${fenceId}:`, error);
+                }
+            }
+        } catch (error) {
+            console.error('Error sampling geofence occupancy:', error);
+        } finally {
+            this.isSampling = false;
+        }
+    }
+
+    // Stores the count on the fence and in the hourly bucket, then emits a
+    // capacity event if the fence moved to a different level.
+    async applyOccupancy(fenceId, occupancy, { entries = 0, exits = 0, sample = false, at = new Date() } = {}) {
+        // Statistics are not configuration, so they bypass revisions and leave updatedAt alone
+        const fence = await GeoFence.findByIdAndUpdate(
+            fenceId,
+            {
+                $set: {
+                    'statistics.currentOccupancy': occupancy,
+                    'statistics.occupancyUpdatedAt': at
+                },
+                $max: { 'statistics.peakOccupancy': occupancy },
+                $inc: { 'statistics.totalVisitors': entries }
+            },
+            { new: true, timestamps: false }
+        ).select('name type isActive metadata statistics').lean();
+
+        if (!fence) {
+            return null;
+        }
+
+        const bucketUpdate = {
+            $inc: { entries, exits },
+            $max: { peak: occupancy },
+            $set: { lastOccupancy: occupancy }
+        };
+        if (sample) {
+            bucketUpdate.$inc.samples = 1;
+            bucketUpdate.$inc.occupancySum = occupancy;
+        }
+        await GeofenceOccupancy.updateOne(
+            { geoFence: fence._id, hour: startOfHour(at) },
+            bucketUpdate,
+            { upsert: true }
+        );
+
+        await this.updateLevel(fence, occupancy, at);
+        return fence;
+    }
+
+    async updateLevel(fence, occupancy, at) {
+        const previousLevel = fence.statistics?.occupancyLevel || 'normal';
+        const level = fence.isActive ? this.getLevel(fence, occupancy) : 'normal';
+        if (level === previousLevel) {
+            return;
+        }
+
+        // Conditional on the previous level so concurrent updates emit once
+        const result = await GeoFence.updateOne(
+            {
+                _id: fence._id,
+                'statistics.occupancyLevel': previousLevel === 'normal' ? { $in: ['normal', null] } : previousLevel
+            },
+            { $set: { 'statistics.occupancyLevel': level } },
+            { timestamps: false }
+        );
+        if (result.modifiedCount !== 1) {
+            return;
+        }
+
+        const capacity = fence.metadata?.capacity;
+        notifyAdmins(LEVEL_EVENTS[level], {
+            fenceId: fence._id,
+            fenceName: fence.name,
+            fenceType: fence.type,
+            occupancy,
+            capacity,
+            percent: capacity ? Math.round((occupancy / capacity) * 100) : null,
+            level,
+            previousLevel,
+            warningPercent: this.getWarningPercent(fence),
+            timestamp: at
+        });
+
+        console.log(`👥 Geofence ${fence.name} occupancy ${previousLevel} -> ${level} (${occupancy}/${capacity})`);
+    }
+
+    async getOccupancy(fence, { hours = 24 } = {}) {
+        const at = new Date();
+        const occupancy = await this.countOccupants(fence._id, at);
+        const capacity = fence.metadata?.capacity || null;
+        const areaSquareMeters = getAreaSquareMeters(fence);
+
+        const buckets = await GeofenceOccupancy.find({
+            geoFence: fence._id,
+            hour: { $gte: new Date(startOfHour(at).getTime() - (hours - 1) * HOUR_MS) }
+        }).sort({ hour: 1 }).lean();
+
+        return {
+            fenceId: fence._id,
+            name: fence.name,
+            type: fence.type,
+            occupancy,
+            capacity,
+            percent: capacity ? Math.round((occupancy / capacity) * 100) : null,
+            level: fence.isActive ? this.getLevel(fence, occupancy) : 'normal',
+            warningPercent: this.getWarningPercent(fence),
+            areaSquareMeters: Math.round(areaSquareMeters),
+            densityPerHectare: areaSquareMeters > 0
+                ? Math.round((occupancy / (areaSquareMeters / SQUARE_METERS_PER_HECTARE)) * 100) / 100
+                : null,
+            peakOccupancy: fence.statistics?.peakOccupancy || 0,
+            totalVisitors: fence.statistics?.totalVisitors || 0,
+            staleAfterMinutes: this.getStaleMinutes(),
+            timestamp: at,
+            // Hours without any recorded activity are omitted
+            series: buckets.map(bucket => ({
+                hour: bucket.hour,
+                peak: bucket.peak,
+                average: bucket.samples > 0 ? Math.round((bucket.occupancySum / bucket.samples) * 10) / 10 : null,
+                last: bucket.lastOccupancy,
+                entries: bucket.entries,
+                exits: bucket.exits
+            }))
+        };
+    }
+}
+
+export default new OccupancyService();
@@ -1,9 +1,87 @@
-import { computerVisionClient } from '../config/azure.config.js';
 import sharp from 'sharp';
+import { pdf } from 'pdf-to-img';
+import AzureOcrProvider from './providers/azureOcr.provider.js';
+import TesseractOcrProvider from './providers/tesseractOcr.provider.js';
+import FakeOcrProvider from './providers/fakeOcr.provider.js';
+import { findMrz, formatDayFirst } from './mrz.service.js';
+import { isValidAadhaar, maskAadhaar, redactAadhaarNumbers } from './aadhaar.service.js';
+
+// Providers implement { name, isConfigured(), recognize(imageBuffer, { originalBuffer, page }) }
+// and resolve to { text, confidence? }. originalBuffer is the uploaded file
+// (the whole PDF for rendered pages) and page its 1-based page number. OCR_PROVIDER picks the engine; the
+// rest of the pipeline only sees the text, so every engine yields the same
+// processDocument result.
+const PROVIDER_FACTORIES = {
+    azure: () => new AzureOcrProvider(),
+    tesseract: () => new TesseractOcrProvider(),
+    fake: () => new FakeOcrProvider()
+};
+
+const DEFAULT_PROVIDER = 'azure';
+
+// Pages read per upload across all files; PDFs are rendered at twice their
+// nominal size (about 144 dpi), enough for OCR on ID cards
+const DEFAULT_MAX_PAGES = 4;
+const PDF_RENDER_SCALE = 2;
+
+// Fields that provenance is reported for. Sex is a single letter and only
+// traced when it comes from an MRZ.
+const TRACED_FIELDS = ['name', 'dob', 'phone', 'documentNumber', 'nationality', 'sex', 'expiryDate', 'passportNumber', 'visaType'];
+// MRZ fields and the MRZ line they are read from (0 = name line, 1 = data line)
+const MRZ_FIELD_LINES = { name: 0, dob: 1, documentNumber: 1, nationality: 1, sex: 1, expiryDate: 1 };
+
+// State and union territory codes that prefix Indian driving licence numbers
+const DL_STATE_CODES = new Set([
+    'AN', 'AP', 'AR', 'AS', 'BR', 'CG', 'CH', 'DD', 'DL', 'DN', 'GA', 'GJ', 'HP', 'HR', 'JH', 'JK', 'KA', 'KL',
+    'LA', 'LD', 'MH', 'ML', 'MN', 'MP', 'MZ', 'NL', 'OD', 'OR', 'PB', 'PY', 'RJ', 'SK', 'TN', 'TR', 'TS', 'UK', 'UP', 'WB'
+]);
+
+// SS RR YYYY NNNNNNN: state, RTO, year of issue, serial
+const DL_NUMBER_PATTERN = /\b([A-Z]{2})[\s-]?(\d{2})[\s-]?((?:19|20)\d{2})[\s-]?(\d{7})\b/;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Fields that count towards the extraction confidence of each document type
+const CONFIDENCE_FIELDS = {
+    aadhaar: ['name', 'dob', 'phone', 'documentNumber'],
+    passport: ['name', 'dob', 'nationality', 'documentNumber'],
+    visa: ['name', 'nationality', 'documentNumber', 'expiryDate'],
+    driving_license: ['name', 'dob', 'documentNumber', 'expiryDate']
+};
+
+// Document types that carry an expiry date and the holder's nationality
+const EXPIRING_TYPES = ['passport', 'visa', 'driving_license'];
+const NATIONALITY_TYPES = ['passport', 'visa'];
+
+const namedError = (name, message) => {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+};
 
 class OCRService {
     constructor() {
-        this.client = computerVisionClient;
+        this.provider = undefined;
+    }
+
+    getProviderName() {
+        return process.env.OCR_PROVIDER || DEFAULT_PROVIDER;
+    }
+
+    getProvider() {
+        if (this.provider === undefined) {
+            const name = this.getProviderName();
+            const factory = PROVIDER_FACTORIES[name];
+            if (!factory) {
+                console.warn(`Unknown OCR_PROVIDER "${name}". Document reading is disabled.`);
+            }
+            this.provider = factory ? factory() : null;
+        }
+        return this.provider;
+    }
+
+    setProvider(provider) {
+        this.provider = provider;
     }
     validateImageFile(buffer) {
         if (!buffer || buffer.length < 4) {
@@ -14,7 +92,9 @@ class OCRService {
             png: [0x89, 0x50, 0x4E, 0x47],
             bmp: [0x42, 0x4D],
             tiff_le: [0x49, 0x49, 0x2A, 0x00], 
-            tiff_be: [0x4D, 0x4D, 0x00, 0x2A]  
+            tiff_be: [0x4D, 0x4D, 0x00, 0x2A],
+            // %PDF; rasterised page by page before OCR
+            pdf: [0x25, 0x50, 0x44, 0x46]
         };
         for (const [type, signature] of Object.entries(signatures)) {
             let matches = true;
@@ -36,7 +116,7 @@ class OCRService {
         try {
             
             const validation = this.validateImageFile(imageBuffer);
-            if (!validation.isValid) {
+            if (!validation.isValid || validation.detectedType === 'pdf') {
                 throw new Error(`Invalid image file format. Detected type: ${validation.detectedType}`);
             }
             
@@ -60,58 +140,59 @@ class OCRService {
         }
     }
 
-    async extractTextFromDocument(imageBuffer) {
-        try {
-            const processedImage = await this.preprocessImage(imageBuffer);
-            const result = await this.client.readInStream(processedImage);
-            const operationId = result.operationLocation.split('/').slice(-1)[0];
-            
-            let readResult;
-            let attempts = 0;
-            const maxAttempts = 30;
-            
-            do {
-                await new Promise(resolve => setTimeout(resolve, 1000));
-                readResult = await this.client.getReadResult(operationId);
-                attempts++;
-                
-                if (attempts >= maxAttempts) {
-                    throw new Error('OCR operation timeout');
-                }
-            } while (readResult.status === 'running');
+    async extractTextFromDocument(imageBuffer, { originalBuffer = imageBuffer, page = 1 } = {}) {
+        const provider = this.getProvider();
+        if (!provider?.isConfigured()) {
+            throw namedError('OcrUnavailableError', `OCR provider "${provider?.name || this.getProviderName()}" is not configured`);
+        }
 
-            if (readResult.status === 'succeeded') {
-                const textLines = [];
-                readResult.analyzeResult.readResults.forEach(page => {
-                    page.lines.forEach(line => {
-                        textLines.push(line.text);
-                    });
-                });
-                return textLines.join('\n');
-            }
-            
-            throw new Error(`OCR failed with status: ${readResult.status}`);
+        const processedImage = await this.preprocessImage(imageBuffer);
+        try {
+            const { text } = await provider.recognize(processedImage, { originalBuffer, page });
+            return text || '';
         } catch (error) {
-            console.error('Azure OCR error:', error);
-            throw error;
+            console.error(`${provider.name} OCR error:`, error);
+            const unavailable = namedError('OcrUnavailableError', `${provider.name} OCR failed: ${error.message}`);
+            unavailable.cause = error;
+            throw unavailable;
         }
     }
 
+    // Checked from the most to the least specific: e-visas mention the
+    // passport and licence numbers contain twelve digits in a row
     detectDocumentType(text) {
         const normalizedText = text.toLowerCase();
+
+        const mrz = findMrz(text.split('\n'));
+        if (mrz) {
+            return mrz.documentType;
+        }
+
+        if (/\be-?(?:tourist\s+|business\s+|medical\s+)?visa\b|electronic travel authori[sz]ation/.test(normalizedText)) {
+            return 'visa';
+        }
+
+        if (/driving\s+licen[cs]e|transport department/.test(normalizedText) ||
+            this.extractDrivingLicenceNumber(text.split('\n'))) {
+            return 'driving_license';
+        }
         
         if (normalizedText.includes('aadhaar') || 
             normalizedText.includes('आधार') || 
             /\d{4}\s?\d{4}\s?\d{4}/.test(text)) {
             return 'aadhaar';
         }
+
+        if (/\bvisa\b/.test(normalizedText)) {
+            return 'visa';
+        }
         
         if (normalizedText.includes('passport') || 
             /[A-Z]\d{7}/.test(text)) {
             return 'passport';
         }
         
-        return 'aadhaar';
+        return 'unknown';
     }
 
     extractInformationFromText(text, documentType) {
@@ -122,7 +203,13 @@ class OCRService {
             dob: null,
             phone: null,
             documentNumber: null,
-            documentType: documentType
+            nationality: null,
+            sex: null,
+            expiryDate: null,
+            passportNumber: null,
+            visaType: null,
+            documentType: documentType,
+            mrz: null
         };
 
         if (documentType === 'aadhaar') {
@@ -134,11 +221,149 @@ class OCRService {
             result.name = this.extractPassportName(lines);
             result.dob = this.extractPassportDOB(lines);
             result.documentNumber = this.extractPassportNumber(lines);
+            this.applyMrz(result, lines);
+        } else if (documentType === 'visa') {
+            Object.assign(result, this.extractVisaFields(lines));
+            this.applyMrz(result, lines);
+        } else if (documentType === 'driving_license') {
+            Object.assign(result, this.extractDrivingLicenceFields(lines));
         }
 
         return result;
     }
 
+    // The MRZ wins over the printed text. Fields with a check digit are only
+    // taken from it when the digit matches, unless the text had nothing.
+    applyMrz(result, lines) {
+        const mrz = findMrz(lines);
+        if (!mrz || mrz.documentType !== result.documentType) {
+            return;
+        }
+
+        const values = {
+            name: mrz.name,
+            dob: formatDayFirst(mrz.dateOfBirth),
+            documentNumber: mrz.documentNumber,
+            nationality: mrz.nationality,
+            sex: mrz.sex,
+            expiryDate: formatDayFirst(mrz.expiryDate)
+        };
+        const pick = (mrzValue, checked, fallback) => (mrzValue && (checked || !fallback) ? mrzValue : fallback);
+        result.name = values.name || result.name;
+        result.dob = pick(values.dob, mrz.checks.dateOfBirth, result.dob);
+        result.documentNumber = pick(values.documentNumber, mrz.checks.documentNumber, result.documentNumber);
+        result.nationality = values.nationality || result.nationality;
+        result.sex = values.sex;
+        result.expiryDate = pick(values.expiryDate, mrz.checks.expiryDate, result.expiryDate);
+        result.mrz = {
+            format: mrz.format,
+            issuingState: mrz.issuingState,
+            surname: mrz.surname,
+            givenNames: mrz.givenNames,
+            checks: mrz.checks,
+            valid: mrz.valid,
+            // Fields whose value was taken from the MRZ
+            fields: Object.keys(values).filter(field => values[field] && result[field] === values[field])
+        };
+    }
+
+    // Dates in the layouts found on Indian and foreign documents, as DD/MM/YYYY
+    normalizeDate(value) {
+        if (!value) {
+            return null;
+        }
+        let match;
+        let day, month, year;
+        if ((match = value.match(/\b(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{4})\b/))) {
+            [, day, month, year] = match.map(Number);
+        } else if ((match = value.match(/\b(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})\b/))) {
+            [, year, month, day] = match.map(Number);
+        } else if ((match = value.match(/\b(\d{1,2})[-\s\/.]*([A-Za-z]{3})[A-Za-z]*[-\s\/.,]*(\d{4})\b/))) {
+            day = Number(match[1]);
+            month = MONTHS.indexOf(match[2].toLowerCase()) + 1;
+            year = Number(match[3]);
+        } else {
+            return null;
+        }
+
+        const date = new Date(Date.UTC(year, month - 1, day));
+        if (month < 1 || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+            return null;
+        }
+        return formatDayFirst(date);
+    }
+
+    // The value after a label, on the same line ("Name: X" / "Name X") or on
+    // the next line when the label stands alone
+    extractLabelledValue(lines, labelPattern) {
+        const pattern = new RegExp(`^\\s*(?:${labelPattern.source})\\b\\s*[:.\\-]?\\s*(.*)$`, 'i');
+        for (let i = 0; i < lines.length; i++) {
+            const match = lines[i].match(pattern);
+            if (match) {
+                const value = match[1].trim();
+                if (value) {
+                    return value;
+                }
+                if (lines[i + 1]) {
+                    return lines[i + 1].trim();
+                }
+            }
+        }
+        return null;
+    }
+
+    extractLabelledName(lines) {
+        const name = this.extractLabelledValue(lines, /(?:applicant'?s?\s+)?(?:full\s+)?name/);
+        if (name) {
+            return name;
+        }
+        const givenNames = this.extractLabelledValue(lines, /given\s+names?/);
+        const surname = this.extractLabelledValue(lines, /surname/);
+        return [givenNames, surname].filter(Boolean).join(' ') || null;
+    }
+
+    // Indian e-visa (ETA) printouts and printed visa labels
+    extractVisaFields(lines) {
+        const visaType = this.extractLabelledValue(lines, /visa\s+type|type\s+of\s+visa/);
+        const nationality = this.extractLabelledValue(lines, /nationality/);
+        return {
+            name: this.extractLabelledName(lines),
+            dob: this.normalizeDate(this.extractLabelledValue(lines, /date\s+of\s+birth|dob/)),
+            documentNumber: (this.extractLabelledValue(lines, /(?:e-?visa|eta|application)\s+(?:id|no\.?|number)|visa\s+(?:no\.?|number)/) || '')
+                .replace(/\s+/g, '')
+                .toUpperCase() || null,
+            passportNumber: (this.extractLabelledValue(lines, /passport\s+(?:no\.?|number)/) || '')
+                .replace(/\s+/g, '')
+                .toUpperCase() || null,
+            nationality: nationality ? nationality.toUpperCase() : null,
+            expiryDate: this.normalizeDate(this.extractLabelledValue(lines, /(?:eta\s+|visa\s+)?(?:expiry\s+date|date\s+of\s+expiry|valid\s+(?:until|upto|up\s+to|till))/)),
+            visaType: visaType ? visaType.toUpperCase() : null
+        };
+    }
+
+    extractDrivingLicenceNumber(lines) {
+        for (const line of lines) {
+            const match = line.toUpperCase().match(DL_NUMBER_PATTERN);
+            if (match && DL_STATE_CODES.has(match[1])) {
+                return match.slice(1).join('');
+            }
+        }
+        return null;
+    }
+
+    // Indian driving licences. The non-transport validity is the one that
+    // applies to private vehicles, so it is preferred over the transport one.
+    extractDrivingLicenceFields(lines) {
+        const validity = this.extractLabelledValue(lines, /validity\s*\(?\s*nt\s*\)?/)
+            || this.extractLabelledValue(lines, /valid\s+(?:till|upto|up\s+to|until)|validity(?:\s*\(?\s*tr\s*\)?)?/);
+        return {
+            name: this.extractLabelledName(lines),
+            dob: this.normalizeDate(this.extractLabelledValue(lines, /date\s+of\s+birth|dob|d\.o\.b\.?/)),
+            documentNumber: this.extractDrivingLicenceNumber(lines),
+            expiryDate: this.normalizeDate(validity)
+        };
+    }
+
     extractAadhaarName(lines) {
         const skipWords = ['government', 'india', 'aadhaar', 'आधार', 'male', 'female', 'पुरुष', 'महिला'];
         
@@ -199,11 +424,15 @@ class OCRService {
         return null;
     }
 
+    // Only numbers with a valid Verhoeff check digit count; anything else is
+    // a misread (or another number on the card)
     extractAadhaarNumber(lines) {
         for (const line of lines) {
-            const match = line.match(/\b(\d{4})\s?(\d{4})\s?(\d{4})\b/);
-            if (match) {
-                return match[1] + match[2] + match[3];
+            for (const match of line.matchAll(/\b(\d{4})\s?(\d{4})\s?(\d{4})\b/g)) {
+                const number = match[1] + match[2] + match[3];
+                if (isValidAadhaar(number)) {
+                    return number;
+                }
             }
         }
         return null;
@@ -263,6 +492,13 @@ class OCRService {
             errors: [],
             warnings: []
         };
+        const { documentType } = extractedInfo;
+
+        if (!CONFIDENCE_FIELDS[documentType]) {
+            validation.errors.push('Document type could not be identified');
+            validation.isValid = false;
+            return validation;
+        }
 
         if (!extractedInfo.name || extractedInfo.name.length < 2) {
             validation.errors.push('Name not found or too short');
@@ -270,8 +506,13 @@ class OCRService {
         }
 
         if (!extractedInfo.dob) {
-            validation.errors.push('Date of birth not found');
-            validation.isValid = false;
+            // Visa labels often leave the date of birth to the passport
+            if (documentType === 'visa') {
+                validation.warnings.push('Date of birth not found');
+            } else {
+                validation.errors.push('Date of birth not found');
+                validation.isValid = false;
+            }
         } else {
             const dobPattern = /^\d{1,2}[-\/]\d{1,2}[-\/]\d{4}$/;
             if (!dobPattern.test(extractedInfo.dob)) {
@@ -280,7 +521,9 @@ class OCRService {
         }
 
         if (!extractedInfo.phone) {
-            validation.warnings.push('Phone number not found');
+            if (documentType === 'aadhaar') {
+                validation.warnings.push('Phone number not found');
+            }
         } else if (!/^[6-9]\d{9}$/.test(extractedInfo.phone)) {
             validation.errors.push('Invalid phone number format');
             validation.isValid = false;
@@ -290,17 +533,63 @@ class OCRService {
             validation.errors.push('Document number not found');
             validation.isValid = false;
         } else {
-            if (extractedInfo.documentType === 'aadhaar' && 
+            if (documentType === 'aadhaar' && 
                 !/^\d{12}$/.test(extractedInfo.documentNumber)) {
                 validation.errors.push('Invalid Aadhaar number format');
                 validation.isValid = false;
+            } else if (documentType === 'aadhaar' && !isValidAadhaar(extractedInfo.documentNumber)) {
+                validation.errors.push('Aadhaar number failed checksum validation');
+                validation.isValid = false;
             }
             
-            if (extractedInfo.documentType === 'passport' && 
-                !/^[A-Z]\d{7}$/.test(extractedInfo.documentNumber)) {
+            if (documentType === 'passport' && 
+                !/^[A-Z0-9]{5,9}$/.test(extractedInfo.documentNumber)) {
                 validation.errors.push('Invalid passport number format');
                 validation.isValid = false;
             }
+
+            if (documentType === 'visa' &&
+                !/^[A-Z0-9]{5,20}$/.test(extractedInfo.documentNumber)) {
+                validation.errors.push('Invalid visa number format');
+                validation.isValid = false;
+            }
+
+            if (documentType === 'driving_license' &&
+                this.extractDrivingLicenceNumber([extractedInfo.documentNumber]) !== extractedInfo.documentNumber) {
+                validation.errors.push('Invalid driving licence number format');
+                validation.isValid = false;
+            }
+        }
+
+        if (extractedInfo.mrz) {
+            const failed = Object.entries(extractedInfo.mrz.checks)
+                .filter(([, passed]) => !passed)
+                .map(([field]) => field);
+            if (failed.length) {
+                validation.errors.push(`MRZ check digit mismatch: ${failed.join(', ')}`);
+                validation.isValid = false;
+            }
+        }
+
+        if (NATIONALITY_TYPES.includes(documentType)) {
+            if (!extractedInfo.nationality) {
+                validation.warnings.push('Nationality not found');
+            } else if (extractedInfo.mrz && !/^[A-Z]{1,3}$/.test(extractedInfo.nationality)) {
+                validation.warnings.push('Nationality is not an ICAO country code');
+            }
+        }
+
+        if (EXPIRING_TYPES.includes(documentType) && !extractedInfo.expiryDate) {
+            validation.warnings.push('Expiry date not found');
+        }
+
+        if (extractedInfo.expiryDate) {
+            const [day, month, year] = extractedInfo.expiryDate.split('/').map(Number);
+            // Documents are valid through their expiry date
+            if (Date.UTC(year, month - 1, day + 1) <= Date.now()) {
+                validation.errors.push('Document has expired');
+                validation.isValid = false;
+            }
         }
 
         return validation;
@@ -308,7 +597,7 @@ class OCRService {
 
     calculateConfidence(extractedInfo) {
         let score = 0;
-        const fields = ['name', 'dob', 'phone', 'documentNumber'];
+        const fields = CONFIDENCE_FIELDS[extractedInfo.documentType] || [];
         
         fields.forEach(field => {
             if (extractedInfo[field] && extractedInfo[field].toString().trim()) {
@@ -319,25 +608,156 @@ class OCRService {
         return Math.min(score, 100);
     }
 
-    async processDocument(imageBuffer) {
+    getMaxPages() {
+        const pages = parseInt(process.env.OCR_MAX_PAGES, 10);
+        return Number.isInteger(pages) && pages > 0 ? pages : DEFAULT_MAX_PAGES;
+    }
+
+    // Renders every page of a PDF to PNG
+    async rasterizePdf(buffer, { password, maxPages = this.getMaxPages() } = {}) {
+        let document;
         try {
-            const extractedText = await this.extractTextFromDocument(imageBuffer);
-            console.log('Extracted text:', extractedText);
-            
+            document = await pdf(buffer, { scale: PDF_RENDER_SCALE, password });
+        } catch (error) {
+            if (error.name === 'PasswordException') {
+                throw namedError('ValidationError', password
+                    ? 'The PDF password is incorrect'
+                    : 'The PDF is password protected. Send its password as pdfPassword.');
+            }
+            const invalid = namedError('ValidationError', 'The uploaded PDF could not be read');
+            invalid.cause = error;
+            throw invalid;
+        }
+
+        try {
+            if (document.length > maxPages) {
+                throw namedError('ValidationError', `At most ${this.getMaxPages()} pages can be read per upload`);
+            }
+            const images = [];
+            for (let page = 1; page <= document.length; page++) {
+                images.push(await document.getPage(page));
+            }
+            return images;
+        } finally {
+            await document.destroy();
+        }
+    }
+
+    // Reads each file (images as one page, PDFs page by page) in upload
+    // order, so the front of a card can be followed by its back
+    async readPages(buffers, { pdfPassword } = {}) {
+        const maxPages = this.getMaxPages();
+        const images = [];
+        for (const [index, buffer] of buffers.entries()) {
+            if (this.validateImageFile(buffer).detectedType === 'pdf') {
+                const rendered = await this.rasterizePdf(buffer, { password: pdfPassword, maxPages: maxPages - images.length });
+                rendered.forEach((image, page) => images.push({ file: index + 1, filePage: page + 1, source: 'pdf', image, original: buffer }));
+            } else {
+                images.push({ file: index + 1, filePage: 1, source: 'image', image: buffer, original: buffer });
+            }
+            if (images.length > maxPages) {
+                throw namedError('ValidationError', `At most ${maxPages} pages can be read per upload`);
+            }
+        }
+
+        // One page at a time keeps memory and OCR provider load flat
+        const pages = [];
+        for (const { image, original, ...page } of images) {
+            const text = await this.extractTextFromDocument(image, { originalBuffer: original, page: page.filePage });
+            pages.push({
+                page: pages.length + 1,
+                ...page,
+                text: text
+                    .split('\n')
+                    .map(line => line.trim())
+                    .filter(line => line.length > 0)
+                    .join('\n')
+            });
+        }
+        return pages;
+    }
+
+    // Where each extracted value was read: { file, page, line, source }, with
+    // lines counted per page from 1. MRZ fields point at the MRZ line; the
+    // rest at the first line containing the value, ignoring spacing and
+    // punctuation, or holding the same date.
+    traceProvenance(extractedInfo, pages) {
+        const locations = pages.flatMap(page => page.text.split('\n').map((text, index) => ({
+            location: { file: page.file, page: page.page, line: index + 1 },
+            text
+        })));
+        const lines = locations.map(entry => entry.text);
+        const key = (value) => String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+        const mrz = extractedInfo.mrz ? findMrz(lines) : null;
+
+        const provenance = {};
+        for (const field of TRACED_FIELDS) {
+            const value = extractedInfo[field];
+            if (!value) {
+                continue;
+            }
+
+            if (mrz && extractedInfo.mrz.fields?.includes(field)) {
+                provenance[field] = { ...locations[mrz.line + MRZ_FIELD_LINES[field]].location, source: 'mrz' };
+                continue;
+            }
+            if (field === 'sex' || key(value).length < 2) {
+                continue;
+            }
+
+            const isDate = field === 'dob' || field === 'expiryDate';
+            const index = lines.findIndex(line => key(line).includes(key(value))
+                || (isDate && this.normalizeDate(line) === value));
+            if (index >= 0) {
+                provenance[field] = { ...locations[index].location, source: 'text' };
+            }
+        }
+        return provenance;
+    }
+
+    // Aadhaar numbers are masked in the text and the extracted fields
+    redactResult(result) {
+        const { extractedInfo } = result;
+        return {
+            ...result,
+            extractedText: redactAadhaarNumbers(result.extractedText),
+            extractedInfo: extractedInfo.documentType === 'aadhaar' && extractedInfo.documentNumber
+                ? { ...extractedInfo, documentNumber: maskAadhaar(extractedInfo.documentNumber) }
+                : extractedInfo,
+            pages: result.pages?.map(page => ({ ...page, text: redactAadhaarNumbers(page.text) }))
+        };
+    }
+
+    // Redacted result, safe to return to clients and to log. `input` is one
+    // image or PDF buffer, or several (e.g. the front and back of a card)
+    // that are read as one document.
+    async processDocument(input, options = {}) {
+        return this.redactResult(await this.analyzeDocument(input, options));
+    }
+
+    // Unredacted result with full document numbers, for server-side use
+    // such as hashing KYC document numbers. Never send it to a client.
+    async analyzeDocument(input, { pdfPassword } = {}) {
+        try {
+            const pages = await this.readPages(Array.isArray(input) ? input : [input], { pdfPassword });
+            const extractedText = pages.map(page => page.text).join('\n');
             const documentType = this.detectDocumentType(extractedText);
-            console.log('Detected document type:', documentType);
-            
             const extractedInfo = this.extractInformationFromText(extractedText, documentType);
-            console.log('Extracted info:', extractedInfo);
-            
             const confidence = this.calculateConfidence(extractedInfo);
+            // Document text and fields are identity data; only the outcome is logged
+            console.log(`📄 Read ${documentType} document: ${pages.length} page(s), confidence ${confidence}`);
+            const validation = this.validateExtractedInfo(extractedInfo);
+            const provenance = this.traceProvenance(extractedInfo, pages);
             
             return {
                 success: true,
                 documentType,
                 extractedText,
                 extractedInfo,
-                confidence
+                confidence,
+                validation,
+                pages,
+                provenance
             };
 
         } catch (error) {
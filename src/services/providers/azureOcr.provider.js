@@ -0,0 +1,46 @@
+import { computerVisionClient } from '../../config/azure.config.js';
+
+const POLL_INTERVAL_MS = 1000;
+const MAX_POLLS = 30;
+
+// Azure Computer Vision Read API. Reads are asynchronous: the image is
+// submitted, then the operation is polled until it finishes.
+class AzureOcrProvider {
+    constructor(client = computerVisionClient) {
+        this.name = 'azure';
+        this.client = client;
+    }
+
+    isConfigured() {
+        return !!this.client;
+    }
+
+    async recognize(imageBuffer) {
+        const result = await this.client.readInStream(imageBuffer);
+        const operationId = result.operationLocation.split('/').slice(-1)[0];
+
+        let readResult;
+        let attempts = 0;
+        do {
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+            readResult = await this.client.getReadResult(operationId);
+            attempts++;
+
+            if (attempts >= MAX_POLLS) {
+                throw new Error('Azure OCR operation timeout');
+            }
+        } while (readResult.status === 'running' || readResult.status === 'notStarted');
+
+        if (readResult.status !== 'succeeded') {
+            throw new Error(`Azure OCR failed with status: ${readResult.status}`);
+        }
+
+        const lines = [];
+        readResult.analyzeResult.readResults.forEach(page => {
+            page.lines.forEach(line => lines.push(line.text));
+        });
+        return { text: lines.join('\n') };
+    }
+}
+
+export default AzureOcrProvider;
@@ -0,0 +1,50 @@
+import fs from 'fs';
+import path from 'path';
+
+// In-memory provider for development and tests. Every message is kept in
+// `outbox` and, when NOTIFICATION_OUTBOX_FILE is set, appended to that file as
+// one JSON object per line. Recipients listed in `failRecipients` fail.
+class FakeNotificationProvider {
+    constructor(channel, options = {}) {
+        this.name = 'fake';
+        this.channel = channel;
+        this.outbox = [];
+        this.outboxFile = options.outboxFile || process.env.NOTIFICATION_OUTBOX_FILE || null;
+        this.failRecipients = new Set(options.failRecipients || []);
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async send(message) {
+        const record = {
+            id: `fake-${this.channel}-${this.outbox.length + 1}`,
+            channel: this.channel,
+            to: message.to,
+            subject: message.subject,
+            body: message.body,
+            data: message.data,
+            timestamp: new Date().toISOString()
+        };
+        const failed = this.failRecipients.has(message.to);
+        record.status = failed ? 'failed' : 'delivered';
+
+        this.outbox.push(record);
+
+        if (this.outboxFile) {
+            await fs.promises.mkdir(path.dirname(path.resolve(this.outboxFile)), { recursive: true });
+            await fs.promises.appendFile(this.outboxFile, JSON.stringify(record) + '\n');
+        }
+
+        return failed
+            ? { status: 'failed', error: 'Simulated delivery failure' }
+            : { status: 'delivered', providerMessageId: record.id };
+    }
+
+    clear() {
+        this.outbox = [];
+    }
+}
+
+export default FakeNotificationProvider;
@@ -0,0 +1,71 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+const FIXTURE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.bmp', '.tif', '.tiff', '.pdf']);
+// Pages of a PDF transcript are separated by form feeds, as pdftotext does
+const PAGE_BREAK = '\f';
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Deterministic provider for development and tests. Text is looked up by the
+// SHA-256 of the image: images registered with addFixture(), or every image
+// in OCR_FAKE_FIXTURES_DIR that has a transcript of the same name next to it
+// (passport.jpg + passport.txt). Unknown images return OCR_FAKE_TEXT, or
+// fail when that is not set. Every call is kept in `calls`.
+//
+// The image handed to providers has been normalised by OCRService, so
+// fixtures are matched by the original upload's hash as well; see
+// OCRService.extractTextFromDocument. PDF fixtures are matched the same way
+// and return the transcript page that was rendered.
+class FakeOcrProvider {
+    constructor(options = {}) {
+        this.name = 'fake';
+        this.fixtures = new Map();
+        this.defaultText = options.defaultText ?? process.env.OCR_FAKE_TEXT ?? null;
+        this.calls = [];
+
+        const fixturesDir = options.fixturesDir || process.env.OCR_FAKE_FIXTURES_DIR;
+        if (fixturesDir) {
+            this.loadFixtures(fixturesDir);
+        }
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    loadFixtures(dir) {
+        for (const file of fs.readdirSync(dir)) {
+            const extension = path.extname(file).toLowerCase();
+            const transcript = path.join(dir, `${path.basename(file, path.extname(file))}.txt`);
+            if (FIXTURE_EXTENSIONS.has(extension) && fs.existsSync(transcript)) {
+                this.addFixture(fs.readFileSync(path.join(dir, file)), fs.readFileSync(transcript, 'utf8'));
+            }
+        }
+    }
+
+    addFixture(imageBuffer, text, confidence = 95) {
+        this.fixtures.set(sha256(imageBuffer), { pages: text.split(PAGE_BREAK).map(page => page.trim()), confidence });
+    }
+
+    async recognize(imageBuffer, { originalBuffer, page = 1 } = {}) {
+        const keys = [sha256(imageBuffer), originalBuffer && sha256(originalBuffer)].filter(Boolean);
+        this.calls.push({ hash: keys[0], page, timestamp: new Date().toISOString() });
+
+        const fixture = keys.map(key => this.fixtures.get(key)).find(Boolean);
+        if (fixture) {
+            return { text: fixture.pages[page - 1] ?? '', confidence: fixture.confidence };
+        }
+        if (this.defaultText !== null) {
+            return { text: this.defaultText.replace(/\\n/g, '\n'), confidence: 95 };
+        }
+        throw new Error('Fake OCR has no transcript for this image');
+    }
+
+    clear() {
+        this.calls = [];
+    }
+}
+
+export default FakeOcrProvider;
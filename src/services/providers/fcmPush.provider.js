@@ -0,0 +1,36 @@
+import admin from 'firebase-admin';
+import firebase from '../../config/firebase.config.js';
+
+class FcmPushProvider {
+    constructor() {
+        this.name = 'fcm';
+        this.channel = 'push';
+    }
+
+    isConfigured() {
+        return !!firebase;
+    }
+
+    async send(message) {
+        try {
+            // FCM data payloads only accept string values
+            const data = Object.fromEntries(
+                Object.entries(message.data || {}).map(([key, value]) => [key, String(value)])
+            );
+            const messageId = await admin.messaging(firebase).send({
+                token: message.to,
+                notification: {
+                    title: message.subject,
+                    body: message.body
+                },
+                data,
+                android: { priority: 'high' }
+            });
+            return { status: 'sent', providerMessageId: messageId };
+        } catch (error) {
+            return { status: 'failed', error: error.message };
+        }
+    }
+}
+
+export default FcmPushProvider;
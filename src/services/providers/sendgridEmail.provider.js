@@ -0,0 +1,46 @@
+import fetch from 'node-fetch';
+
+const SENDGRID_URL = 'https://api.sendgrid.com/v3/mail/send';
+
+class SendgridEmailProvider {
+    constructor() {
+        this.name = 'sendgrid';
+        this.channel = 'email';
+        this.apiKey = process.env.SENDGRID_API_KEY;
+        this.from = process.env.NOTIFICATION_EMAIL_FROM;
+    }
+
+    isConfigured() {
+        return !!(this.apiKey && this.from);
+    }
+
+    async send(message) {
+        try {
+            const response = await fetch(SENDGRID_URL, {
+                method: 'POST',
+                headers: {
+                    'Authorization': `Bearer ${this.apiKey}`,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    personalizations: [{ to: [{ email: message.to }] }],
+                    from: { email: this.from, name: 'Yatra Suraksha' },
+                    subject: message.subject,
+                    content: [{ type: 'text/plain', value: message.body }]
+                })
+            });
+
+            if (!response.ok) {
+                return { status: 'failed', error: `SendGrid responded with ${response.status}` };
+            }
+            return {
+                status: 'sent',
+                providerMessageId: response.headers.get('x-message-id') || undefined
+            };
+        } catch (error) {
+            return { status: 'failed', error: error.message };
+        }
+    }
+}
+
+export default SendgridEmailProvider;
@@ -0,0 +1,96 @@
+import fs from 'fs';
+import path from 'path';
+import { createWorker } from 'tesseract.js';
+
+const DEFAULT_LANGS = 'eng';
+const RETRY_AFTER_MS = 5 * 60 * 1000;
+
+// Local OCR with the WebAssembly build of Tesseract, for development and
+// air-gapped deployments. Traineddata files are downloaded on first use
+// unless OCR_TESSERACT_LANG_PATH points at a directory that already has
+// them. One worker is created lazily and reused for every document.
+class TesseractOcrProvider {
+    constructor(options = {}) {
+        this.name = 'tesseract';
+        this.langs = options.langs || process.env.OCR_TESSERACT_LANGS || DEFAULT_LANGS;
+        this.langPath = options.langPath || process.env.OCR_TESSERACT_LANG_PATH || undefined;
+        this.cachePath = options.cachePath || process.env.OCR_TESSERACT_CACHE_PATH || undefined;
+        this.worker = null;
+        this.failedAt = null;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    // A local language directory must hold every requested language
+    checkLangPath() {
+        if (!this.langPath || /^https?:\/\//.test(this.langPath)) {
+            return;
+        }
+        const missing = this.langs.split('+').filter(lang => !['.traineddata', '.traineddata.gz']
+            .some(extension => fs.existsSync(path.join(this.langPath, `${lang}${extension}`))));
+        if (missing.length) {
+            throw new Error(`Tesseract language data missing from ${this.langPath}: ${missing.join(', ')}`);
+        }
+    }
+
+    getWorker() {
+        if (this.worker) {
+            return this.worker;
+        }
+        if (this.failedAt && Date.now() - this.failedAt < RETRY_AFTER_MS) {
+            return Promise.reject(new Error('Tesseract worker failed to start recently; retrying later'));
+        }
+
+        // tesseract.js never settles createWorker() when loading a language
+        // fails and rethrows job failures from its message listener unless
+        // an errorHandler is given, so failures are surfaced from the handler
+        let failLoad;
+        const loadFailed = new Promise((resolve, reject) => { failLoad = reject; });
+
+        this.worker = Promise.resolve()
+            .then(() => this.checkLangPath())
+            .then(() => Promise.race([
+                createWorker(this.langs, undefined, {
+                    langPath: this.langPath,
+                    cachePath: this.cachePath,
+                    errorHandler: error => {
+                        console.error('Tesseract worker error:', error);
+                        failLoad(new Error(`Tesseract failed: ${error}`));
+                    }
+                }),
+                loadFailed
+            ]))
+            .then(worker => {
+                this.failedAt = null;
+                return worker;
+            }, error => {
+                this.worker = null;
+                this.failedAt = Date.now();
+                throw error;
+            });
+        return this.worker;
+    }
+
+    async recognize(imageBuffer) {
+        const worker = await this.getWorker();
+        const { data } = await worker.recognize(imageBuffer);
+        const text = (data.text || '')
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .join('\n');
+        return { text, confidence: data.confidence };
+    }
+
+    async close() {
+        if (this.worker) {
+            const worker = await this.worker.catch(() => null);
+            this.worker = null;
+            await worker?.terminate();
+        }
+    }
+}
+
+export default TesseractOcrProvider;
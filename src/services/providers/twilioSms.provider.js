@@ -0,0 +1,36 @@
+import twilio from 'twilio';
+
+class TwilioSmsProvider {
+    constructor() {
+        this.name = 'twilio';
+        this.channel = 'sms';
+        this.client = null;
+        this.from = process.env.TWILIO_FROM_NUMBER;
+
+        if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+            this.client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+        }
+    }
+
+    isConfigured() {
+        return !!(this.client && this.from);
+    }
+
+    async send(message) {
+        try {
+            const result = await this.client.messages.create({
+                to: message.to,
+                from: this.from,
+                body: message.body
+            });
+            return {
+                status: result.status === 'failed' || result.status === 'undelivered' ? 'failed' : 'sent',
+                providerMessageId: result.sid
+            };
+        } catch (error) {
+            return { status: 'failed', error: error.message };
+        }
+    }
+}
+
+export default TwilioSmsProvider;
@@ -0,0 +1,86 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Signed payloads for digital ID QR codes. A token is
+//   YS1.<base64url(JSON payload)>.<base64url(Ed25519 signature)>
+// where the signature covers everything before the last dot, so scanners
+// holding the public key can verify a card without reaching the server.
+//
+// The private key comes from DIGITAL_ID_SIGNING_KEY (PEM; literal "\n" is
+// accepted) or DIGITAL_ID_SIGNING_KEY_FILE. Outside production a throwaway
+// key is generated when neither is set, so codes stop verifying on restart.
+
+const TOKEN_PREFIX = 'YS1';
+
+let keyPair = null;
+
+const configError = (message) => {
+    const error = new Error(message);
+    error.name = 'ConfigurationError';
+    return error;
+};
+
+const loadKeyPair = () => {
+    if (keyPair) {
+        return keyPair;
+    }
+
+    let pem = process.env.DIGITAL_ID_SIGNING_KEY?.replace(/\\n/g, '\n');
+    if (!pem && process.env.DIGITAL_ID_SIGNING_KEY_FILE) {
+        pem = fs.readFileSync(process.env.DIGITAL_ID_SIGNING_KEY_FILE, 'utf8');
+    }
+
+    if (pem) {
+        const privateKey = crypto.createPrivateKey(pem);
+        if (privateKey.asymmetricKeyType !== 'ed25519') {
+            throw configError('DIGITAL_ID_SIGNING_KEY must be an Ed25519 private key');
+        }
+        keyPair = { privateKey, publicKey: crypto.createPublicKey(privateKey), ephemeral: false };
+    } else if (process.env.NODE_ENV === 'production') {
+        throw configError('DIGITAL_ID_SIGNING_KEY or DIGITAL_ID_SIGNING_KEY_FILE must be set in production');
+    } else {
+        console.warn('⚠️  No DIGITAL_ID_SIGNING_KEY set; using a temporary key. Digital ID QR codes will not verify after a restart.');
+        keyPair = { ...crypto.generateKeyPairSync('ed25519'), ephemeral: true };
+    }
+
+    const der = keyPair.publicKey.export({ type: 'spki', format: 'der' });
+    keyPair.keyId = crypto.createHash('sha256').update(der).digest('hex').slice(0, 16);
+    return keyPair;
+};
+
+export const getKeyId = () => loadKeyPair().keyId;
+
+export const getPublicKeyPem = () => loadKeyPair().publicKey.export({ type: 'spki', format: 'pem' });
+
+export const signPayload = (payload) => {
+    const { privateKey, keyId } = loadKeyPair();
+    const body = Buffer.from(JSON.stringify({ ...payload, kid: keyId })).toString('base64url');
+    const signed = `${TOKEN_PREFIX}.${body}`;
+    const signature = crypto.sign(null, Buffer.from(signed), privateKey).toString('base64url');
+    return `${signed}.${signature}`;
+};
+
+// Returns { valid, payload, reason }. `publicKey` defaults to this
+// server's key; pass a cached PEM to check codes from another issuer.
+export const verifyToken = (token, publicKey) => {
+    const parts = typeof token === 'string' ? token.trim().split('.') : [];
+    if (parts.length !== 3 || parts[0] !== TOKEN_PREFIX) {
+        return { valid: false, payload: null, reason: 'Not a Yatra Suraksha digital ID code' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    } catch (error) {
+        return { valid: false, payload: null, reason: 'Malformed QR payload' };
+    }
+
+    const key = publicKey ? crypto.createPublicKey(publicKey) : loadKeyPair().publicKey;
+    let valid = false;
+    try {
+        valid = crypto.verify(null, Buffer.from(`${parts[0]}.${parts[1]}`), key, Buffer.from(parts[2], 'base64url'));
+    } catch (error) {
+        valid = false;
+    }
+    return { valid, payload, reason: valid ? null : 'Signature does not match' };
+};
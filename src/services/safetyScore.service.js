@@ -0,0 +1,375 @@
+import cron from 'node-cron';
+import geolib from 'geolib';
+import Tourist from '../models/tourist.model.js';
+import SafetyScore from '../models/safetyScore.model.js';
+import GeofenceMembership from '../models/geofenceMembership.model.js';
+import { LocationHistory, Alert } from '../models/tracking.model.js';
+import { SAFETY_SCORE_WEIGHTS } from '../constants.js';
+import { getDefaultTimezone } from './geofenceRestriction.service.js';
+import { notifyAdmins } from './socket.service.js';
+
+const DEFAULT_CRON = '*/15 * * * *';
+const BATCH_SIZE = 100;
+const HOUR_MS = 60 * 60 * 1000;
+const EXPOSURE_WINDOW_MS = 24 * HOUR_MS;
+const NIGHT_WINDOW_MS = 12 * HOUR_MS;
+const NIGHT_START_HOUR = 22;
+const NIGHT_END_HOUR = 5;
+const MOVING_SPEED_MS = 0.5;
+const DEFAULT_ITINERARY_DEVIATION_KM = 10;
+
+const SAFE_FENCE_TYPES = ['safe', 'emergency_services', 'accommodation'];
+const STRICT_FENCE_TYPES = ['danger', 'restricted'];
+const ALERT_WEIGHT = { emergency: 1, critical: 0.5, warning: 0.2, info: 0 };
+const EXPERIENCE_RISK = { beginner: 0.4, intermediate: 0.2, experienced: 0, expert: 0 };
+const STOP_RISK = { low: 0, medium: 0.1, high: 0.2, extreme: 0.4 };
+
+const overlapMs = (from, to, windowStart, windowEnd) =>
+    Math.max(0, Math.min(to.getTime(), windowEnd.getTime()) - Math.max(from.getTime(), windowStart.getTime()));
+
+// Each factor resolves to a share of its weight between 0 and 1, plus details
+// that explain the number. Factors only read data; persisting is done by
+// SafetyScoreService.
+const FACTORS = [
+    {
+        key: 'geofenceExposure',
+        label: 'Exposure to risky geofences in the last 24 hours',
+        compute: async ({ memberships }) => {
+            let share = 0;
+            let worst = null;
+            for (const membership of memberships) {
+                const fence = membership.geoFence;
+                if (!fence || SAFE_FENCE_TYPES.includes(fence.type)) {
+                    continue;
+                }
+                const exposure = ((fence.riskLevel || 5) / 10) * (membership.isInside ? 1 : 0.5);
+                if (exposure > share) {
+                    share = exposure;
+                    worst = { fenceId: fence._id, name: fence.name, type: fence.type, riskLevel: fence.riskLevel, inside: membership.isInside };
+                }
+            }
+            return { share, details: worst ? { worstFence: worst } : {} };
+        }
+    },
+    {
+        key: 'restrictedAreaTime',
+        label: 'Time spent in danger or restricted areas in the last 24 hours',
+        compute: async ({ memberships, at }) => {
+            const windowStart = new Date(at.getTime() - EXPOSURE_WINDOW_MS);
+            let minutes = 0;
+            for (const membership of memberships) {
+                if (!STRICT_FENCE_TYPES.includes(membership.geoFence?.type) || !membership.enteredAt) {
+                    continue;
+                }
+                const until = membership.isInside ? at : (membership.exitedAt || at);
+                minutes += overlapMs(membership.enteredAt, until, windowStart, at) / 60000;
+            }
+            minutes = Math.round(minutes);
+            return { share: Math.min(1, minutes / 120), details: { minutes } };
+        }
+    },
+    {
+        key: 'nightMovement',
+        label: `Movement between ${NIGHT_START_HOUR}:00 and 0${NIGHT_END_HOUR}:00 in the last 12 hours`,
+        compute: async ({ tourist, at }) => {
+            const timezone = getDefaultTimezone();
+            const [result] = await LocationHistory.aggregate([
+                {
+                    $match: {
+                        touristId: tourist._id,
+                        timestamp: { $gte: new Date(at.getTime() - NIGHT_WINDOW_MS), $lte: at },
+                        speed: { $gt: MOVING_SPEED_MS }
+                    }
+                },
+                { $project: { hour: { $hour: { date: '$timestamp', timezone } } } },
+                { $match: { $or: [{ hour: { $gte: NIGHT_START_HOUR } }, { hour: { $lt: NIGHT_END_HOUR } }] } },
+                { $count: 'fixes' }
+            ]);
+            const fixes = result?.fixes || 0;
+            return { share: Math.min(1, fixes / 20), details: { movingFixes: fixes, timezone } };
+        }
+    },
+    {
+        key: 'battery',
+        label: 'Device battery level',
+        compute: async ({ latestFix }) => {
+            const level = latestFix?.batteryLevel;
+            if (typeof level !== 'number') {
+                return { share: 0, details: { batteryLevel: null } };
+            }
+            const share = level <= 10 ? 1 : level <= 20 ? 0.6 : level <= 35 ? 0.3 : 0;
+            return { share, details: { batteryLevel: level } };
+        }
+    },
+    {
+        key: 'connectivity',
+        label: 'Time since the last location update',
+        compute: async ({ tourist, at }) => {
+            if (!tourist.lastLocationUpdate || tourist.preferences?.trackingEnabled === false) {
+                return { share: 0, details: { minutesSinceUpdate: null } };
+            }
+            const minutes = Math.round((at.getTime() - new Date(tourist.lastLocationUpdate).getTime()) / 60000);
+            const share = minutes >= 360 ? 1 : minutes >= 120 ? 0.6 : minutes >= 30 ? 0.3 : 0;
+            return { share, details: { minutesSinceUpdate: minutes } };
+        }
+    },
+    {
+        key: 'unacknowledgedAlerts',
+        label: 'Unacknowledged alerts in the last 24 hours',
+        compute: async ({ tourist, at }) => {
+            const counts = await Alert.aggregate([
+                {
+                    $match: {
+                        touristId: tourist._id,
+                        'acknowledgment.isAcknowledged': false,
+                        createdAt: { $gte: new Date(at.getTime() - EXPOSURE_WINDOW_MS) }
+                    }
+                },
+                { $group: { _id: '$severity', count: { $sum: 1 } } }
+            ]);
+            const bySeverity = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+            const share = Object.entries(bySeverity)
+                .reduce((sum, [severity, count]) => sum + (ALERT_WEIGHT[severity] || 0) * count, 0);
+            return { share: Math.min(1, share), details: { bySeverity } };
+        }
+    },
+    {
+        key: 'riskProfile',
+        label: 'Travel experience, medical conditions, special needs and past incidents',
+        compute: async ({ tourist }) => {
+            const profile = tourist.riskProfile || {};
+            const share = (EXPERIENCE_RISK[profile.travelExperience] || 0) +
+                0.2 * (profile.medicalConditions?.length || 0) +
+                0.2 * (profile.specialNeeds?.length || 0) +
+                0.2 * (profile.previousIncidents || 0);
+            return {
+                share: Math.min(1, share),
+                details: {
+                    travelExperience: profile.travelExperience || null,
+                    medicalConditions: profile.medicalConditions?.length || 0,
+                    specialNeeds: profile.specialNeeds?.length || 0,
+                    previousIncidents: profile.previousIncidents || 0
+                }
+            };
+        }
+    },
+    {
+        key: 'itineraryAdherence',
+        label: 'Distance from the planned itinerary stop and its risk level',
+        compute: async ({ tourist, at }) => {
+            const stop = (tourist.travelItinerary || []).find(item =>
+                item.plannedArrival && item.plannedDeparture &&
+                new Date(item.plannedArrival) <= at && new Date(item.plannedDeparture) >= at
+            );
+            if (!stop) {
+                return { share: 0, details: { currentStop: null } };
+            }
+
+            let share = STOP_RISK[stop.riskLevel] || 0;
+            let distanceKm = null;
+            const [stopLng, stopLat] = stop.location?.coordinates || [];
+            const [lng, lat] = tourist.currentLocation?.coordinates || [];
+            if (typeof stopLng === 'number' && typeof lng === 'number') {
+                distanceKm = Math.round(geolib.getDistance(
+                    { latitude: lat, longitude: lng },
+                    { latitude: stopLat, longitude: stopLng }
+                ) / 100) / 10;
+                const limitKm = parseFloat(process.env.ITINERARY_DEVIATION_KM) || DEFAULT_ITINERARY_DEVIATION_KM;
+                if (distanceKm > limitKm) {
+                    share += 0.6;
+                }
+            }
+            return {
+                share: Math.min(1, share),
+                details: { currentStop: stop.destination, riskLevel: stop.riskLevel || null, distanceKm }
+            };
+        }
+    }
+];
+
+const bandFor = (score) => (score >= 70 ? 'safe' : score >= 40 ? 'caution' : 'at_risk');
+
+// Recomputes Tourist.safetyScore from recent activity. Runs on a schedule for
+// every checked-in tourist and on demand after key events (geofence
+// transitions, alerts, acknowledgements, profile changes). A history entry is
+// written only when the score or its breakdown changes.
+class SafetyScoreService {
+    constructor() {
+        this.task = null;
+        this.isProcessing = false;
+        this.inFlight = new Set();
+        this.pending = new Map();
+    }
+
+    getWeights() {
+        let overrides = {};
+        if (process.env.SAFETY_SCORE_WEIGHTS) {
+            try {
+                overrides = JSON.parse(process.env.SAFETY_SCORE_WEIGHTS);
+            } catch (error) {
+                console.error('Invalid SAFETY_SCORE_WEIGHTS JSON, using defaults:', error.message);
+            }
+        }
+        return { ...SAFETY_SCORE_WEIGHTS, ...overrides };
+    }
+
+    start() {
+        if (this.task) {
+            return;
+        }
+        let schedule = process.env.SAFETY_SCORE_CRON || DEFAULT_CRON;
+        if (!cron.validate(schedule)) {
+            console.warn(`Invalid SAFETY_SCORE_CRON "${schedule}", using ${DEFAULT_CRON}`);
+            schedule = DEFAULT_CRON;
+        }
+        this.task = cron.schedule(schedule, () => this.recomputeActive());
+        console.log(`🛡️  Safety score engine started (${schedule})`);
+    }
+
+    stop() {
+        if (this.task) {
+            this.task.stop();
+            this.task = null;
+        }
+    }
+
+    async compute(tourist, at = new Date()) {
+        const weights = this.getWeights();
+        const [memberships, latestFix] = await Promise.all([
+            GeofenceMembership.find({
+                touristId: tourist._id,
+                $or: [{ isInside: true }, { lastSeenAt: { $gte: new Date(at.getTime() - EXPOSURE_WINDOW_MS) } }]
+            }).populate('geoFence', 'name type riskLevel').lean(),
+            LocationHistory.findOne({ touristId: tourist._id, timestamp: { $gte: new Date(at.getTime() - EXPOSURE_WINDOW_MS) } })
+                .sort({ timestamp: -1 })
+                .select('batteryLevel timestamp')
+                .lean()
+        ]);
+
+        const context = { tourist, at, memberships, latestFix };
+        const factors = [];
+        for (const factor of FACTORS) {
+            const maxPenalty = weights[factor.key] ?? 0;
+            const { share, details } = await factor.compute(context);
+            factors.push({
+                key: factor.key,
+                label: factor.label,
+                penalty: Math.round(share * maxPenalty * 10) / 10,
+                maxPenalty,
+                details
+            });
+        }
+
+        const totalPenalty = factors.reduce((sum, factor) => sum + factor.penalty, 0);
+        const score = Math.max(0, Math.min(100, Math.round(100 - totalPenalty)));
+        return { score, band: bandFor(score), factors, computedAt: at };
+    }
+
+    async recompute(touristId, { trigger = 'manual' } = {}) {
+        const tourist = await Tourist.findById(touristId)
+            .select('safetyScore lastLocationUpdate currentLocation travelItinerary riskProfile preferences personalInfo.name')
+            .lean();
+        if (!tourist) {
+            return null;
+        }
+
+        const result = await this.compute(tourist);
+        const previousScore = tourist.safetyScore;
+
+        await Tourist.updateOne(
+            { _id: tourist._id },
+            { $set: { safetyScore: result.score, safetyScoreUpdatedAt: result.computedAt } },
+            { timestamps: false }
+        );
+
+        const last = await SafetyScore.findOne({ touristId: tourist._id }).sort({ computedAt: -1 }).lean();
+        const penalties = factors => factors.map(factor => `${factor.key}:${factor.penalty}`).join(',');
+        if (!last || last.score !== result.score || penalties(last.factors) !== penalties(result.factors) || trigger === 'manual') {
+            await SafetyScore.create({
+                touristId: tourist._id,
+                score: result.score,
+                previousScore,
+                band: result.band,
+                trigger,
+                factors: result.factors,
+                computedAt: result.computedAt
+            });
+        }
+
+        const previousBand = typeof previousScore === 'number' ? bandFor(previousScore) : null;
+        if (previousBand && previousBand !== result.band) {
+            notifyAdmins('safety_score_update', {
+                touristId: tourist._id,
+                name: tourist.personalInfo?.name,
+                score: result.score,
+                previousScore,
+                band: result.band,
+                previousBand,
+                trigger,
+                timestamp: result.computedAt
+            });
+        }
+
+        return { touristId: tourist._id, previousScore, trigger, ...result };
+    }
+
+    // Fire-and-forget recompute for event handlers. Concurrent requests for
+    // the same tourist collapse into one follow-up run.
+    requestRecompute(touristId, trigger) {
+        const key = touristId.toString();
+        if (this.inFlight.has(key)) {
+            this.pending.set(key, trigger);
+            return;
+        }
+
+        this.inFlight.add(key);
+        this.recompute(touristId, { trigger })
+            .catch(error => console.error(`Failed to recompute safety score for tourist ${key}:`, error))
+            .finally(() => {
+                this.inFlight.delete(key);
+                const next = this.pending.get(key);
+                if (next) {
+                    this.pending.delete(key);
+                    this.requestRecompute(touristId, next);
+                }
+            });
+    }
+
+    // Every tourist who has not checked out
+    async recomputeActive() {
+        if (this.isProcessing) {
+            return;
+        }
+        this.isProcessing = true;
+
+        let processed = 0;
+        try {
+            const cursor = Tourist.find({ actualCheckOutTime: null, status: { $ne: 'inactive' } })
+                .select('_id')
+                .lean()
+                .cursor({ batchSize: BATCH_SIZE });
+
+            for await (const tourist of cursor) {
+                try {
+                    await this.recompute(tourist._id, { trigger: 'scheduled' });
+                    processed++;
+                } catch (error) {
+                    console.error(`Failed to recompute safety score for tourist ${tourist._id}:`, error);
+                }
+            }
+            if (processed > 0) {
+                console.log(`🛡️  Recomputed safety scores for ${processed} tourists`);
+            }
+        } catch (error) {
+            console.error('Error recomputing safety scores:', error);
+        } finally {
+            this.isProcessing = false;
+        }
+    }
+
+    async getHistory(touristId, { limit = 20 } = {}) {
+        return SafetyScore.find({ touristId }).sort({ computedAt: -1 }).limit(limit).lean();
+    }
+}
+
+export default new SafetyScoreService();
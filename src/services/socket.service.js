@@ -1,26 +1,74 @@
-import { LocationHistory, Alert, Device } from '../models/tracking.model.js'
+import { Alert, Device } from '../models/tracking.model.js'
 import Tourist from '../models/tourist.model.js'
-import GeoFence from '../models/geoFence.model.js'
-import geolib from 'geolib'
+import locationIngestionService from './locationIngestion.service.js'
+import escalationService from './escalation.service.js'
+import notificationService from './notification.service.js'
+import { verifySocketToken } from '../middlewares/auth.middleware.js'
+import { loadSocketAccount } from '../middlewares/role.middleware.js'
+import { PERMISSIONS } from '../constants.js'
+
+const CLIENT_ERRORS = ['ValidationError', 'NotFoundError', 'ForbiddenError']
 
 let connectedClients = new Map()
 let adminClients = new Set()
 let touristClients = new Map() 
+let socketServer = null
+
+const namedError = (name, message) => {
+    const error = new Error(message)
+    error.name = name
+    return error
+}
+
+const emitError = (socket, error, fallback) => {
+    socket.emit('error', { message: CLIENT_ERRORS.includes(error.name) ? error.message : fallback })
+}
+
+// Socket reports raise alerts, notifications and escalations, so a client
+// may only report for its own tourist profile unless it holds
+// locations:write_any. Without a touristId the caller's own profile is used.
+const resolveReportingTourist = async (user, touristId) => {
+    if (!touristId) {
+        const tourist = await Tourist.findOne({ firebaseUid: user.uid })
+        if (!tourist) {
+            throw namedError('NotFoundError', 'Tourist profile not found. Please complete profile setup.')
+        }
+        return tourist
+    }
+
+    const tourist = await Tourist.findById(touristId).catch(() => null)
+    if (!tourist) {
+        throw namedError('NotFoundError', 'Tourist not found')
+    }
+    if (tourist.firebaseUid !== user.uid && !user.permissions.includes(PERMISSIONS.LOCATIONS_WRITE_ANY)) {
+        throw namedError('ForbiddenError', 'Access denied. You can only report your own location.')
+    }
+    return tourist
+}
 
 export const initializeSocketIO = (io) => {
+    socketServer = io
+    io.use(verifySocketToken)
+    io.use(loadSocketAccount)
     io.on('connection', (socket) => {
+        const { user } = socket.data
         console.log(`🔌 Client connected: ${socket.id}`)
         connectedClients.set(socket.id, {
             type: 'unknown',
             connectedAt: new Date(),
             lastActivity: new Date()
         })
-        socket.on('join_admin', (data) => {
+        // The admin room streams every tourist's live location
+        socket.on('join_admin', () => {
+            if (!user.permissions.includes(PERMISSIONS.LOCATIONS_READ_ANY)) {
+                socket.emit('error', { message: `Access denied. Missing permission: ${PERMISSIONS.LOCATIONS_READ_ANY}` })
+                return
+            }
             console.log(`👨‍💼 Admin joined: ${socket.id}`)
             adminClients.add(socket.id)
             connectedClients.set(socket.id, {
                 type: 'admin',
-                userId: data.userId,
+                userId: user.id,
                 connectedAt: new Date(),
                 lastActivity: new Date()
             })
@@ -28,37 +76,52 @@ export const initializeSocketIO = (io) => {
             
             sendCurrentStatsToAdmin(socket)
         })
-        socket.on('join_tourist', (data) => {
-            console.log(`🚶‍♂️ Tourist joined: ${socket.id}, ID: ${data.touristId}`)
-            touristClients.set(data.touristId, socket.id)
-            connectedClients.set(socket.id, {
-                type: 'tourist',
-                touristId: data.touristId,
-                connectedAt: new Date(),
-                lastActivity: new Date()
-            })
+        // Messages for a tourist go to their own socket only
+        socket.on('join_tourist', async (data) => {
+            try {
+                const tourist = await resolveReportingTourist(user, null)
+                if (data?.touristId && data.touristId !== tourist._id.toString()) {
+                    throw namedError('ForbiddenError', 'Access denied. You can only join as your own tourist profile.')
+                }
+                const touristId = tourist._id.toString()
+                console.log(`🚶‍♂️ Tourist joined: ${socket.id}, ID: ${touristId}`)
+                touristClients.set(touristId, socket.id)
+                connectedClients.set(socket.id, {
+                    type: 'tourist',
+                    touristId,
+                    connectedAt: new Date(),
+                    lastActivity: new Date()
+                })
+            } catch (error) {
+                console.error('Error joining tourist:', error)
+                emitError(socket, error, 'Failed to join')
+            }
         })
         socket.on('location_update', async (data) => {
             try {
-                await handleLocationUpdate(data, socket.id, io)
+                const tourist = await resolveReportingTourist(user, data?.touristId)
+                await handleLocationUpdate({ ...data, touristId: tourist._id }, tourist)
             } catch (error) {
                 console.error('Error handling location update:', error)
-                socket.emit('error', { message: 'Failed to process location update' })
+                emitError(socket, error, 'Failed to process location update')
             }
         })
         socket.on('emergency_alert', async (data) => {
             try {
-                await handleEmergencyAlert(data, socket.id, io)
+                const tourist = await resolveReportingTourist(user, data?.touristId)
+                await handleEmergencyAlert({ ...data, touristId: tourist._id, reportedBy: user.id }, socket.id, io)
             } catch (error) {
                 console.error('Error handling emergency alert:', error)
-                socket.emit('error', { message: 'Failed to process emergency alert' })
+                emitError(socket, error, 'Failed to process emergency alert')
             }
         })
         socket.on('device_status', async (data) => {
             try {
-                await handleDeviceStatus(data, socket.id, io)
+                const tourist = await resolveReportingTourist(user, data?.touristId)
+                await handleDeviceStatus({ ...data, touristId: tourist._id }, socket.id, io)
             } catch (error) {
                 console.error('Error handling device status:', error)
+                emitError(socket, error, 'Failed to process device status')
             }
         })
         socket.on('heartbeat', (data) => {
@@ -91,52 +154,11 @@ export const initializeSocketIO = (io) => {
         checkInactiveDevices(io)
     }, 300000) 
 }
-const handleLocationUpdate = async (data, socketId, io) => {
-    const { touristId, latitude, longitude, accuracy, timestamp, speed, heading, altitude, batteryLevel, source } = data
-    if (!touristId || !latitude || !longitude) {
-        throw new Error('Missing required location data')
-    }
-    const locationRecord = new LocationHistory({
-        touristId,
-        location: {
-            type: 'Point',
-            coordinates: [longitude, latitude] 
-        },
-        timestamp: timestamp ? new Date(timestamp) : new Date(),
-        accuracy: accuracy || 10,
-        speed: speed || 0,
-        heading: heading || 0,
-        altitude: altitude || 0,
-        batteryLevel: batteryLevel || 100,
-        source: source || 'gps'
-    })
-
-    await locationRecord.save()
-    await Tourist.findByIdAndUpdate(touristId, {
-        currentLocation: {
-            type: 'Point',
-            coordinates: [longitude, latitude]
-        },
-        lastLocationUpdate: new Date(),
-        isActive: true
-    })
-    await checkGeofences(touristId, latitude, longitude, io)
-    const locationUpdate = {
-        touristId,
-        latitude,
-        longitude,
-        accuracy,
-        timestamp: locationRecord.timestamp,
-        speed,
-        batteryLevel
-    }
-
-    broadcastToAdmins(io, 'tourist_location_update', locationUpdate)
-
-    console.log(`📍 Location updated for tourist ${touristId}: ${latitude}, ${longitude}`)
+const handleLocationUpdate = async (data, tourist) => {
+    await locationIngestionService.ingest(data, { tourist, transport: 'socket' })
 }
 const handleEmergencyAlert = async (data, socketId, io) => {
-    const { touristId, latitude, longitude, type, message } = data
+    const { touristId, latitude, longitude, type, message, reportedBy } = data
     const alert = new Alert({
         alertId: `emergency_${Date.now()}_${touristId}`,
         touristId,
@@ -152,7 +174,8 @@ const handleEmergencyAlert = async (data, socketId, io) => {
         },
         metadata: {
             triggeredBy: 'user',
-            source: 'mobile_app'
+            source: 'mobile_app',
+            reportedBy
         }
     })
 
@@ -172,6 +195,8 @@ const handleEmergencyAlert = async (data, socketId, io) => {
     }
 
     broadcastToAdmins(io, 'emergency_alert', emergencyData)
+    notificationService.notifyAlert(alert)
+    await escalationService.scheduleForAlert(alert)
 
     console.log(`🚨 Emergency alert from tourist ${touristId} at ${latitude}, ${longitude}`)
 }
@@ -208,6 +233,7 @@ const handleDeviceStatus = async (data, socketId, io) => {
         })
 
         await alert.save()
+        notificationService.notifyAlert(alert)
         broadcastToAdmins(io, 'device_alert', {
             alertId: alert.alertId,
             touristId,
@@ -217,99 +243,6 @@ const handleDeviceStatus = async (data, socketId, io) => {
         })
     }
 }
-const checkGeofences = async (touristId, latitude, longitude, io) => {
-    try {
-        const geoFences = await GeoFence.find({ isActive: true })
-        
-        for (const fence of geoFences) {
-            let isInside = false
-            if (fence.geometry.type === 'Polygon') {
-                isInside = geolib.isPointInPolygon(
-                    { latitude, longitude },
-                    fence.geometry.coordinates[0].map(coord => ({
-                        latitude: coord[1],
-                        longitude: coord[0]
-                    }))
-                )
-            } else if (fence.geometry.type === 'Circle') {
-                const center = fence.geometry.coordinates
-                const distance = geolib.getDistance(
-                    { latitude, longitude },
-                    { latitude: center[1], longitude: center[0] }
-                )
-                isInside = distance <= (fence.geometry.radius || 1000)
-            }
-            const lastAlert = await Alert.findOne({
-                touristId,
-                geoFenceId: fence._id,
-                type: { $in: ['geofence_entry', 'geofence_exit'] }
-            }).sort({ createdAt: -1 })
-
-            const wasInside = lastAlert?.type === 'geofence_entry'
-
-            if (isInside && !wasInside) {
-                
-                const alert = new Alert({
-                    alertId: `geofence_entry_${Date.now()}_${touristId}`,
-                    touristId,
-                    type: 'geofence_entry',
-                    severity: fence.type === 'danger' ? 'critical' : 'warning',
-                    message: {
-                        english: fence.alertMessage?.english || `Entered ${fence.name}`,
-                        hindi: fence.alertMessage?.hindi || `${fence.name} में प्रवेश किया`
-                    },
-                    location: {
-                        type: 'Point',
-                        coordinates: [longitude, latitude]
-                    },
-                    geoFenceId: fence._id
-                })
-
-                await alert.save()
-                broadcastToAdmins(io, 'geofence_alert', {
-                    alertId: alert.alertId,
-                    touristId,
-                    type: 'entry',
-                    fenceName: fence.name,
-                    fenceType: fence.type,
-                    severity: alert.severity,
-                    location: { latitude, longitude },
-                    timestamp: new Date()
-                })
-            } else if (!isInside && wasInside) {
-                
-                const alert = new Alert({
-                    alertId: `geofence_exit_${Date.now()}_${touristId}`,
-                    touristId,
-                    type: 'geofence_exit',
-                    severity: 'info',
-                    message: {
-                        english: `Exited ${fence.name}`,
-                        hindi: `${fence.name} से बाहर निकला`
-                    },
-                    location: {
-                        type: 'Point',
-                        coordinates: [longitude, latitude]
-                    },
-                    geoFenceId: fence._id
-                })
-
-                await alert.save()
-                broadcastToAdmins(io, 'geofence_alert', {
-                    alertId: alert.alertId,
-                    touristId,
-                    type: 'exit',
-                    fenceName: fence.name,
-                    fenceType: fence.type,
-                    location: { latitude, longitude },
-                    timestamp: new Date()
-                })
-            }
-        }
-    } catch (error) {
-        console.error('Error checking geofences:', error)
-    }
-}
 const sendCurrentStatsToAdmin = async (socket) => {
     try {
         const stats = await getCurrentStats()
@@ -376,6 +309,10 @@ const checkInactiveDevices = async (io) => {
                     english: `Tourist device has been inactive for 30+ minutes`,
                     hindi: 'पर्यटक का उपकरण 30+ मिनट से निष्क्रिय है'
                 },
+                location: device.touristId.currentLocation?.coordinates?.length ? {
+                    type: 'Point',
+                    coordinates: device.touristId.currentLocation.coordinates
+                } : undefined,
                 metadata: {
                     deviceId: device.deviceId,
                     lastPing: device.currentMetrics.lastPing
@@ -383,6 +320,8 @@ const checkInactiveDevices = async (io) => {
             })
 
             await alert.save()
+            notificationService.notifyAlert(alert)
+            await escalationService.checkHighRiskInactivity(alert)
             broadcastToAdmins(io, 'inactivity_alert', {
                 alertId: alert.alertId,
                 touristId: device.touristId._id,
@@ -401,6 +340,13 @@ const broadcastToAdmins = (io, event, data) => {
         io.to(socketId).emit(event, data)
     })
 }
+// Lets REST controllers and background services push events to the admin
+// dashboard without holding a reference to the Socket.IO server
+export const notifyAdmins = (event, data) => {
+    if (socketServer) {
+        broadcastToAdmins(socketServer, event, data)
+    }
+}
 export const getConnectedClientsInfo = () => {
     return {
         total: connectedClients.size,
@@ -0,0 +1,181 @@
+/**
+ * Geofence Lookup Benchmark
+ *
+ * Seeds a throwaway database with synthetic geofences (polygons, polygons with
+ * holes, multipolygons and circles) and compares the old approach of loading
+ * every active fence per location update with the 2dsphere-indexed lookup in
+ * geofence.service.js.
+ *
+ * Usage:
+ *   MONGO_URI=mongodb://localhost:27017 node testing/benchmark-geofence-lookup.js
+ *
+ * Options (env):
+ *   BENCHMARK_DB        database to seed and drop (default: yatra_suraksha_benchmark)
+ *   FENCE_COUNT         number of fences to seed (default: 10000)
+ *   LOOKUPS             indexed lookups to time (default: 2000)
+ *   FULL_SCAN_LOOKUPS   full-scan lookups to time (default: 20)
+ *   TOURISTS            simulated tourists for the membership run (default: 200)
+ */
+
+import 'dotenv/config'
+import mongoose from 'mongoose'
+import GeoFence from '../src/models/geoFence.model.js'
+import GeofenceMembership from '../src/models/geofenceMembership.model.js'
+import geofenceService from '../src/services/geofence.service.js'
+import { evaluateFence } from '../src/services/geometry.service.js'
+
+const DB_NAME = process.env.BENCHMARK_DB || 'yatra_suraksha_benchmark'
+const FENCE_COUNT = parseInt(process.env.FENCE_COUNT) || 10000
+const LOOKUPS = parseInt(process.env.LOOKUPS) || 2000
+const FULL_SCAN_LOOKUPS = parseInt(process.env.FULL_SCAN_LOOKUPS) || 20
+const TOURISTS = parseInt(process.env.TOURISTS) || 200
+
+// Roughly the north-east region the app targets
+const BOUNDS = { minLng: 89.7, maxLng: 97.4, minLat: 21.9, maxLat: 29.5 }
+const METERS_PER_DEGREE = 111320
+
+const random = (min, max) => min + Math.random() * (max - min)
+
+const randomPoint = () => [
+    random(BOUNDS.minLng, BOUNDS.maxLng),
+    random(BOUNDS.minLat, BOUNDS.maxLat)
+]
+
+const ring = ([lng, lat], radiusMeters, sides) => {
+    const dLat = radiusMeters / METERS_PER_DEGREE
+    const dLng = dLat / Math.cos(lat * Math.PI / 180)
+    const positions = []
+    for (let i = 0; i < sides; i++) {
+        const angle = (2 * Math.PI * i) / sides
+        positions.push([lng + dLng * Math.cos(angle), lat + dLat * Math.sin(angle)])
+    }
+    positions.push(positions[0])
+    return positions
+}
+
+const FENCE_TYPES = ['safe', 'warning', 'danger', 'restricted', 'tourist_spot']
+
+const buildFence = (index) => {
+    const center = randomPoint()
+    const radius = random(100, 3000)
+    const kind = Math.random()
+    let geometry
+    let fenceRadius
+
+    if (kind < 0.3) {
+        geometry = { type: 'Point', coordinates: center }
+        fenceRadius = radius
+    } else if (kind < 0.5) {
+        geometry = { type: 'Polygon', coordinates: [ring(center, radius, 12), ring(center, radius / 3, 8)] }
+    } else if (kind < 0.6) {
+        const offset = [center[0] + (radius * 3) / METERS_PER_DEGREE, center[1]]
+        geometry = {
+            type: 'MultiPolygon',
+            coordinates: [[ring(center, radius, 8)], [ring(offset, radius / 2, 6)]]
+        }
+    } else {
+        geometry = { type: 'Polygon', coordinates: [ring(center, radius, Math.floor(random(5, 16)))] }
+    }
+
+    return {
+        name: `benchmark-fence-${index}`,
+        type: FENCE_TYPES[index % FENCE_TYPES.length],
+        geometry,
+        radius: fenceRadius,
+        riskLevel: (index % 10) + 1,
+        isActive: true,
+        createdBy: 'benchmark'
+    }
+}
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))]
+
+const time = async (label, iterations, fn) => {
+    const durations = []
+    const started = process.hrtime.bigint()
+    for (let i = 0; i < iterations; i++) {
+        const t0 = process.hrtime.bigint()
+        await fn(i)
+        durations.push(Number(process.hrtime.bigint() - t0) / 1e6)
+    }
+    const totalMs = Number(process.hrtime.bigint() - started) / 1e6
+    durations.sort((a, b) => a - b)
+
+    console.log(`\n${label}`)
+    console.log(`  iterations: ${iterations}`)
+    console.log(`  throughput: ${(iterations / (totalMs / 1000)).toFixed(1)} lookups/sec`)
+    console.log(`  p50: ${percentile(durations, 0.5).toFixed(2)} ms  p95: ${percentile(durations, 0.95).toFixed(2)} ms  max: ${durations[durations.length - 1].toFixed(2)} ms`)
+}
+
+const seed = async () => {
+    console.log(`🌱 Seeding ${FENCE_COUNT} geofences into ${DB_NAME}...`)
+    await GeoFence.createIndexes()
+    await GeofenceMembership.createIndexes()
+
+    const batchSize = 1000
+    for (let start = 0; start < FENCE_COUNT; start += batchSize) {
+        const batch = []
+        for (let i = start; i < Math.min(start + batchSize, FENCE_COUNT); i++) {
+            batch.push(buildFence(i))
+        }
+        await GeoFence.insertMany(batch, { ordered: false })
+    }
+}
+
+const run = async () => {
+    if (!process.env.MONGO_URI) {
+        console.error('❌ MONGO_URI is not set')
+        process.exit(1)
+    }
+    if (!DB_NAME.includes('benchmark')) {
+        console.error('❌ BENCHMARK_DB must contain "benchmark"; the database is dropped afterwards')
+        process.exit(1)
+    }
+
+    await mongoose.connect(process.env.MONGO_URI, { dbName: DB_NAME })
+    await mongoose.connection.dropDatabase()
+
+    try {
+        await seed()
+
+        const points = Array.from({ length: LOOKUPS }, randomPoint)
+
+        await time(`Full scan (old checkGeofences), ${FENCE_COUNT} fences`, FULL_SCAN_LOOKUPS, async (i) => {
+            const [lng, lat] = points[i]
+            const fences = await GeoFence.find({ isActive: true }).lean()
+            fences.filter(fence => evaluateFence(fence, lng, lat).inside)
+        })
+
+        let hits = 0
+        await time(`Indexed lookup (findFencesAt), ${FENCE_COUNT} fences`, LOOKUPS, async (i) => {
+            const [lng, lat] = points[i]
+            hits += (await geofenceService.findFencesAt(lng, lat)).length
+        })
+        console.log(`  points inside at least one fence: ${hits}`)
+
+        // Tourists walk short random paths so entries and exits actually happen
+        const tourists = Array.from({ length: TOURISTS }, () => ({
+            id: new mongoose.Types.ObjectId(),
+            position: randomPoint()
+        }))
+        let transitions = 0
+        await time(`Membership evaluation (evaluateLocation), ${TOURISTS} tourists`, LOOKUPS, async (i) => {
+            const tourist = tourists[i % TOURISTS]
+            tourist.position = [
+                tourist.position[0] + random(-0.01, 0.01),
+                tourist.position[1] + random(-0.01, 0.01)
+            ]
+            const { entered, exited } = await geofenceService.evaluateLocation(tourist.id, ...tourist.position)
+            transitions += entered.length + exited.length
+        })
+        console.log(`  entry/exit transitions: ${transitions}`)
+    } finally {
+        await mongoose.connection.dropDatabase()
+        await mongoose.disconnect()
+    }
+}
+
+run().catch((error) => {
+    console.error('❌ Benchmark failed:', error)
+    process.exit(1)
+})
@@ -0,0 +1,157 @@
+/**
+ * Movement Anomaly Replay
+ *
+ * Runs the movement anomaly detectors from anomalyDetection.service.js over a
+ * recorded track, point by point, exactly as the ingestion pipeline would for
+ * live updates. No database or server is needed, so thresholds can be tuned
+ * against real tracks before they are deployed.
+ *
+ * Usage:
+ *   node testing/replay-anomaly-track.js testing/tracks/sample-anomalies.json
+ *   node testing/replay-anomaly-track.js my-trip.gpx --not-remote
+ *   ANOMALY_THRESHOLDS='{"stationaryMinutes":60}' node testing/replay-anomaly-track.js track.json
+ *
+ * Track formats:
+ *   JSON  an array of points, or { points, fences, remote }. Points use
+ *         { timestamp, latitude, longitude, speed (m/s), altitude, accuracy };
+ *         fences are GeoFence-shaped objects ({ name, type, geometry, radius, restrictions })
+ *   GPX   track points with <ele>, <time> and optional <speed> in <extensions>
+ *
+ * Options:
+ *   --remote / --not-remote   whether the area counts as remote for sudden stops
+ *                             (default: the JSON `remote` field, else remote)
+ *   --json                    print detections as JSON
+ */
+
+import { readFileSync } from 'fs'
+import { XMLParser } from 'fast-xml-parser'
+import { detectAnomalies, getAnomalyThresholds, getTrackWindowMs } from '../src/services/anomalyDetection.service.js'
+import { evaluateFence } from '../src/services/geometry.service.js'
+
+// Same cap as the ingestion pipeline
+const MAX_TRACK_POINTS = 2000
+
+const args = process.argv.slice(2)
+const file = args.find(arg => !arg.startsWith('--'))
+
+const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value))
+
+const normalizePoint = (point) => ({
+    timestamp: new Date(point.timestamp ?? point.time),
+    latitude: toNumber(point.latitude ?? point.lat),
+    longitude: toNumber(point.longitude ?? point.lng ?? point.lon),
+    speed: toNumber(point.speed),
+    altitude: toNumber(point.altitude ?? point.ele),
+    accuracy: toNumber(point.accuracy)
+})
+
+const loadGpx = (content) => {
+    const parser = new XMLParser({
+        ignoreAttributes: false,
+        attributeNamePrefix: '@_',
+        removeNSPrefix: true,
+        isArray: (name) => ['trk', 'trkseg', 'trkpt'].includes(name)
+    })
+    const gpx = parser.parse(content).gpx
+    if (!gpx) {
+        throw new Error('Not a GPX document')
+    }
+    const points = (gpx.trk || [])
+        .flatMap(track => track.trkseg || [])
+        .flatMap(segment => segment.trkpt || [])
+        .map(point => normalizePoint({
+            lat: point['@_lat'],
+            lon: point['@_lon'],
+            ele: point.ele,
+            time: point.time,
+            speed: point.extensions?.speed
+        }))
+    return { points, fences: [] }
+}
+
+const loadTrack = (path) => {
+    const content = readFileSync(path, 'utf8')
+    if (path.toLowerCase().endsWith('.gpx')) {
+        return loadGpx(content)
+    }
+    const json = JSON.parse(content)
+    const points = (Array.isArray(json) ? json : json.points || []).map(normalizePoint)
+    return { points, fences: json.fences || [], remote: json.remote }
+}
+
+const run = async () => {
+    if (!file) {
+        console.error('Usage: node testing/replay-anomaly-track.js <track.json|track.gpx> [--remote|--not-remote] [--json]')
+        process.exit(1)
+    }
+
+    const track = loadTrack(file)
+    const points = track.points
+        .filter(point => !Number.isNaN(point.timestamp.getTime()) &&
+            typeof point.latitude === 'number' && typeof point.longitude === 'number')
+        .sort((a, b) => a.timestamp - b.timestamp)
+
+    const remote = args.includes('--not-remote') ? false : args.includes('--remote') ? true : track.remote ?? true
+    const thresholds = getAnomalyThresholds()
+    const windowMs = getTrackWindowMs(thresholds)
+    const cooldownMs = thresholds.cooldownMinutes * 60 * 1000
+
+    const inside = new Set()
+    const lastRaised = new Map()
+    const detections = []
+
+    for (let i = 0; i < points.length; i++) {
+        const current = points[i]
+
+        // Fence membership with the same hysteresis as live tracking
+        const fences = []
+        track.fences.forEach((fence, index) => {
+            const isInside = evaluateFence(fence, current.longitude, current.latitude, { wasInside: inside.has(index) }).inside
+            if (isInside) {
+                inside.add(index)
+                fences.push(fence)
+            } else {
+                inside.delete(index)
+            }
+        })
+
+        let start = i
+        while (start > 0 && i - start < MAX_TRACK_POINTS - 1 &&
+            current.timestamp - points[start - 1].timestamp <= windowMs) {
+            start--
+        }
+
+        const found = await detectAnomalies(points.slice(start, i + 1), { fences, isRemote: remote }, thresholds)
+        for (const detection of found) {
+            const previous = lastRaised.get(detection.anomalyType)
+            if (previous !== undefined && current.timestamp - previous < cooldownMs) {
+                continue
+            }
+            lastRaised.set(detection.anomalyType, current.timestamp)
+            detections.push({ index: i, timestamp: current.timestamp, ...detection })
+        }
+    }
+
+    if (args.includes('--json')) {
+        console.log(JSON.stringify(detections, null, 2))
+        return
+    }
+
+    console.log(`📍 Replayed ${points.length} points from ${file} (${remote ? 'remote' : 'not remote'}, ${track.fences.length} fences)`)
+    for (const detection of detections) {
+        console.log(`\n⚠️  #${detection.index} ${detection.timestamp.toISOString()} ${detection.anomalyType} -> ${detection.type} (${detection.severity})`)
+        console.log(`   ${detection.message.english}`)
+        console.log(`   threshold: ${detection.thresholdValue}  actual: ${detection.actualValue}`)
+    }
+
+    const counts = detections.reduce((acc, detection) => {
+        acc[detection.anomalyType] = (acc[detection.anomalyType] || 0) + 1
+        return acc
+    }, {})
+    console.log(`\n✅ ${detections.length} detections`, counts)
+}
+
+run().catch((error) => {
+    console.error('❌ Replay failed:', error)
+    process.exit(1)
+})
@@ -10,6 +10,8 @@ import { io } from 'socket.io-client'
 
 const BASE_URL = 'http://localhost:3000'
 const SOCKET_URL = 'http://localhost:3000'
+// Sockets need a Firebase ID token; join_admin also needs locations:read_any
+const ID_TOKEN = process.env.TEST_ID_TOKEN
 
 // Test data
 const testTourist = {
@@ -105,7 +107,8 @@ const testWebSocketConnection = async () => {
 
     return new Promise((resolve) => {
         const socket = io(SOCKET_URL, {
-            transports: ['websocket', 'polling']
+            transports: ['websocket', 'polling'],
+            auth: { token: ID_TOKEN }
         })
 
         socket.on('connect', () => {
@@ -200,7 +203,7 @@ const testWebSocketConnection = async () => {
 const simulateRealTimeTracking = async () => {
     console.log('\n🎯 Simulating Real-Time Tracking...\n')
 
-    const socket = io(SOCKET_URL)
+    const socket = io(SOCKET_URL, { auth: { token: ID_TOKEN } })
     const touristId = '60f1b2e4c4a1b2c3d4e5f678'
 
     socket.on('connect', () => {
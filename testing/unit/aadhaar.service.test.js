@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isValidAadhaar,
+    isValidVerhoeff,
+    maskAadhaar,
+    normalizeAadhaar,
+    redactAadhaarNumbers
+} from '../../src/services/aadhaar.service.js';
+
+// The number printed on the Aadhaar OCR fixture; its last digit is the
+// Verhoeff check digit
+const AADHAAR = '491836207354';
+
+test('the Verhoeff check digit catches misread and swapped digits', () => {
+    assert.equal(isValidVerhoeff(AADHAAR), true);
+    // Wrong check digit
+    assert.equal(isValidVerhoeff('491836207355'), false);
+    // Neighbouring digits swapped
+    assert.equal(isValidVerhoeff('491836203754'), false);
+});
+
+test('Aadhaar numbers are twelve digits not starting with 0 or 1', () => {
+    assert.equal(isValidAadhaar(AADHAAR), true);
+    assert.equal(isValidAadhaar('4918 3620 7354'), true);
+    assert.equal(isValidAadhaar('4918-3620-7354'), true);
+    assert.equal(isValidAadhaar('4918 3620 7355'), false);
+    // Passes the Verhoeff check, but no Aadhaar number starts with 1
+    assert.equal(isValidVerhoeff('191836207355'), true);
+    assert.equal(isValidAadhaar('191836207355'), false);
+    assert.equal(isValidAadhaar('49183620735'), false);
+    assert.equal(isValidAadhaar(null), false);
+});
+
+test('normalizing drops spaces and hyphens', () => {
+    assert.equal(normalizeAadhaar(' 4918 3620-7354 '), AADHAAR);
+    assert.equal(normalizeAadhaar(undefined), '');
+});
+
+test('masking keeps only the last four digits', () => {
+    assert.equal(maskAadhaar(AADHAAR), 'XXXX XXXX 7354');
+    assert.equal(maskAadhaar('4918 3620 7354'), 'XXXX XXXX 7354');
+    // Virtual IDs keep their extra group
+    assert.equal(maskAadhaar('4918362073541237'), 'XXXX XXXX XXXX 1237');
+    assert.equal(maskAadhaar(''), null);
+});
+
+test('redaction masks every Aadhaar-like number in free text, valid or not', () => {
+    const text = 'Aadhaar No: 4918 3620 7354\nVID: 4918-3620-7354-1237\nMisread: 491836207355\nPIN 793001';
+    const redacted = redactAadhaarNumbers(text);
+
+    assert.equal(redacted, 'Aadhaar No: XXXX XXXX 7354\nVID: XXXX XXXX XXXX 1237\nMisread: XXXX XXXX 7355\nPIN 793001');
+    assert.equal(redactAadhaarNumbers(null), '');
+});
@@ -0,0 +1,46 @@
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import { decryptField, encryptField, isEncrypted } from '../../src/services/fieldEncryption.service.js';
+
+// The key is read once, on first use
+before(() => {
+    process.env.PII_ENCRYPTION_KEY = crypto.randomBytes(32).toString('base64');
+});
+
+// Flips one bit of the given part of an enc:v1:<iv>:<tag>:<ciphertext> value
+const tamper = (value, partIndex) => {
+    const parts = value.split(':');
+    const bytes = Buffer.from(parts[partIndex], 'base64url');
+    bytes[0] ^= 1;
+    parts[partIndex] = bytes.toString('base64url');
+    return parts.join(':');
+};
+
+test('encrypted values round-trip', () => {
+    const encrypted = encryptField('491836207354');
+
+    assert.equal(isEncrypted(encrypted), true);
+    assert.match(encrypted, /^enc:v1:[\w-]+:[\w-]+:[\w-]+$/);
+    assert.ok(!encrypted.includes('491836207354'));
+    assert.equal(decryptField(encrypted), '491836207354');
+    assert.equal(decryptField(encryptField('प्रिया शर्मा')), 'प्रिया शर्मा');
+});
+
+test('each encryption uses a fresh IV', () => {
+    assert.notEqual(encryptField('491836207354'), encryptField('491836207354'));
+});
+
+test('values written before encryption are returned unchanged', () => {
+    assert.equal(isEncrypted('491836207354'), false);
+    assert.equal(isEncrypted(null), false);
+    assert.equal(decryptField('491836207354'), '491836207354');
+    assert.equal(decryptField(undefined), undefined);
+});
+
+test('tampered ciphertexts and tags are rejected', () => {
+    const encrypted = encryptField('491836207354');
+
+    assert.throws(() => decryptField(tamper(encrypted, 4)), /unable to authenticate/);
+    assert.throws(() => decryptField(tamper(encrypted, 3)), /unable to authenticate/);
+});
@@ -0,0 +1,126 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import geolib from 'geolib';
+import {
+    containsPoint,
+    distanceToBoundary,
+    evaluateFence,
+    getAreaSquareMeters,
+    normalizeGeometry,
+    validateGeometry
+} from '../../src/services/geometry.service.js';
+
+// Positions are [longitude, latitude], as GeoJSON stores them. The fences sit
+// around Shillong, where 0.01 degrees is roughly 1 km.
+const square = (west, south, size) => [
+    [west, south],
+    [west + size, south],
+    [west + size, south + size],
+    [west, south + size],
+    [west, south]
+];
+
+// A 2 km square with a 400 m square hole in the middle
+const WITH_HOLE = {
+    geometry: { type: 'Polygon', coordinates: [square(91.87, 25.56, 0.02), square(91.878, 25.568, 0.004)] }
+};
+
+const TWO_ISLANDS = {
+    geometry: {
+        type: 'MultiPolygon',
+        coordinates: [[square(91.87, 25.56, 0.01)], [square(91.90, 25.56, 0.01)]]
+    }
+};
+
+const CIRCLE = { geometry: { type: 'Point', coordinates: [91.8933, 25.5788] }, radius: 500 };
+
+// The position `meters` away on `bearing` (degrees clockwise from north)
+const offset = ([longitude, latitude], meters, bearing) => {
+    const point = geolib.computeDestinationPoint({ latitude, longitude }, meters, bearing);
+    return [point.longitude, point.latitude];
+};
+
+test('a point in a hole is outside the polygon', () => {
+    assert.equal(containsPoint(WITH_HOLE, 91.875, 25.575), true);
+    assert.equal(containsPoint(WITH_HOLE, 91.880, 25.570), false);
+    assert.equal(containsPoint(WITH_HOLE, 91.895, 25.575), false);
+});
+
+test('distance to the boundary includes the edges of holes', () => {
+    // 0.001 degrees of latitude from the hole's southern edge, about 111 m
+    const distance = distanceToBoundary(WITH_HOLE, 91.880, 25.567);
+    assert.ok(Math.abs(distance - 111) < 2, `expected about 111 m, got ${distance}`);
+
+    // Short distances from long edges stay accurate to the meter
+    const nearEdge = distanceToBoundary(WITH_HOLE, ...offset([91.87, 25.565], 10, 270));
+    assert.ok(Math.abs(nearEdge - 10) < 1, `expected about 10 m, got ${nearEdge}`);
+});
+
+test('a multipolygon contains points in any of its polygons but not between them', () => {
+    assert.equal(containsPoint(TWO_ISLANDS, 91.875, 25.565), true);
+    assert.equal(containsPoint(TWO_ISLANDS, 91.905, 25.565), true);
+    assert.equal(containsPoint(TWO_ISLANDS, 91.890, 25.565), false);
+});
+
+test('area excludes holes and adds up multipolygon parts', () => {
+    const outer = getAreaSquareMeters({ geometry: { type: 'Polygon', coordinates: [WITH_HOLE.geometry.coordinates[0]] } });
+    const hole = getAreaSquareMeters({ geometry: { type: 'Polygon', coordinates: [WITH_HOLE.geometry.coordinates[1]] } });
+    assert.ok(Math.abs(getAreaSquareMeters(WITH_HOLE) - (outer - hole)) < 1);
+
+    const island = getAreaSquareMeters({ geometry: { type: 'Polygon', coordinates: TWO_ISLANDS.geometry.coordinates[0] } });
+    assert.ok(Math.abs(getAreaSquareMeters(TWO_ISLANDS) - 2 * island) / island < 0.01);
+});
+
+test('circle membership follows the radius either side of the boundary', () => {
+    const center = CIRCLE.geometry.coordinates;
+    assert.equal(containsPoint(CIRCLE, ...center), true);
+    assert.equal(containsPoint(CIRCLE, ...offset(center, 495, 90)), true);
+    assert.equal(containsPoint(CIRCLE, ...offset(center, 505, 90)), false);
+    assert.equal(containsPoint(CIRCLE, ...offset(center, 495, 225)), true);
+    assert.equal(containsPoint(CIRCLE, ...offset(center, 505, 225)), false);
+
+    assert.ok(Math.abs(distanceToBoundary(CIRCLE, ...offset(center, 520, 0)) - 20) <= 1);
+    assert.equal(containsPoint({ ...CIRCLE, radius: 0 }, ...center), false);
+});
+
+test('entering takes effect as soon as the boundary is crossed', () => {
+    const fence = { ...WITH_HOLE, hysteresisMeters: 25 };
+    assert.deepEqual(evaluateFence(fence, 91.871, 25.565), { inside: true, withinBuffer: false });
+    // Just outside the western edge, but the tourist was not inside before
+    const outside = offset([91.87, 25.565], 10, 270);
+    assert.deepEqual(evaluateFence(fence, ...outside, { wasInside: false }), { inside: false, withinBuffer: false });
+});
+
+test('exiting waits until the tourist is beyond the hysteresis buffer', () => {
+    const fence = { ...WITH_HOLE, hysteresisMeters: 25 };
+    const edge = [91.87, 25.565];
+
+    assert.deepEqual(evaluateFence(fence, ...offset(edge, 10, 270), { wasInside: true }), { inside: true, withinBuffer: true });
+    assert.deepEqual(evaluateFence(fence, ...offset(edge, 40, 270), { wasInside: true }), { inside: false, withinBuffer: false });
+    // An explicit buffer overrides the fence's own
+    assert.deepEqual(
+        evaluateFence(fence, ...offset(edge, 40, 270), { wasInside: true, bufferMeters: 50 }),
+        { inside: true, withinBuffer: true }
+    );
+    // Walking into the hole is an exit too, with the same buffer
+    assert.deepEqual(evaluateFence(fence, 91.8800, 25.5681, { wasInside: true }), { inside: true, withinBuffer: true });
+    assert.deepEqual(evaluateFence(fence, 91.8800, 25.5700, { wasInside: true }), { inside: false, withinBuffer: false });
+});
+
+test('a zero buffer exits on the first fix outside', () => {
+    const fence = { ...CIRCLE, hysteresisMeters: 0 };
+    const justOutside = offset(CIRCLE.geometry.coordinates, 505, 90);
+    assert.deepEqual(evaluateFence(fence, ...justOutside, { wasInside: true }), { inside: false, withinBuffer: false });
+});
+
+test('geometry validation and ring closing', () => {
+    assert.equal(validateGeometry(WITH_HOLE.geometry), null);
+    assert.equal(validateGeometry(TWO_ISLANDS.geometry), null);
+    assert.equal(validateGeometry(CIRCLE.geometry, 500), null);
+    assert.match(validateGeometry(CIRCLE.geometry), /Radius is required/);
+    assert.match(validateGeometry({ type: 'Polygon', coordinates: [[[91.87, 25.56], [91.88, 25.56]]] }), /at least three/);
+    assert.match(validateGeometry({ type: 'LineString', coordinates: [] }), /must be Point, Polygon or MultiPolygon/);
+
+    const open = { type: 'Polygon', coordinates: [square(91.87, 25.56, 0.01).slice(0, 4)] };
+    assert.deepEqual(normalizeGeometry(open).coordinates[0].at(-1), [91.87, 25.56]);
+});
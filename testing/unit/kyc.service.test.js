@@ -0,0 +1,163 @@
+import { test, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import DigitalId from '../../src/models/digitalId.model.js';
+import KycDocument from '../../src/models/kycDocument.model.js';
+import Tourist from '../../src/models/tourist.model.js';
+import kycService from '../../src/services/kyc.service.js';
+import digitalIdService from '../../src/services/digitalId.service.js';
+import ocrService from '../../src/services/ocr.service.js';
+import FakeOcrProvider from '../../src/services/providers/fakeOcr.provider.js';
+
+// Documents are read by the fake OCR provider and stored through stubbed
+// model statics, so these tests need neither an OCR engine nor a database
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/ocr');
+const PASSPORT_TEXT = fs.readFileSync(path.join(FIXTURES_DIR, 'passport.txt'), 'utf8');
+
+const TOURIST = {
+    _id: '64b000000000000000000001',
+    personalInfo: { name: 'Priya Sharma', dateOfBirth: new Date('1992-03-14'), nationality: 'Indian' }
+};
+
+const query = (result) => ({ select: () => ({ lean: async () => result }) });
+
+const REVIEWER = { _id: '64b0000000000000000000ff' };
+
+let provider;
+let created;
+
+// Each test uploads a distinct blank image with its own transcript
+let imageSize = 8;
+const uploadWithText = async (text) => {
+    imageSize += 1;
+    const image = await sharp({ create: { width: imageSize, height: imageSize, channels: 3, background: 'white' } }).png().toBuffer();
+    provider.addFixture(image, text);
+    return kycService.submitDocument(TOURIST, [{ buffer: image }]);
+};
+
+before(() => {
+    process.env.KYC_HASH_KEY = 'test-kyc-key';
+    provider = new FakeOcrProvider();
+    ocrService.setProvider(provider);
+});
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(KycDocument, 'countDocuments', async () => 0);
+    mock.method(KycDocument, 'exists', async () => null);
+    created = null;
+    mock.method(KycDocument, 'create', async (fields) => {
+        created = fields;
+        return { toObject: () => ({ ...fields }) };
+    });
+    mock.method(KycDocument, 'distinct', async () => [created.verificationStatus]);
+    mock.method(Tourist, 'findById', () => query({ ...TOURIST, profileCompletionStage: 'complete' }));
+    mock.method(Tourist, 'updateOne', async () => ({ acknowledged: true }));
+});
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('a valid passport matching the profile is verified automatically', async () => {
+    const { document, kycStatus } = await uploadWithText(PASSPORT_TEXT);
+
+    assert.equal(document.verificationStatus, 'verified');
+    assert.equal(document.decidedBy, 'auto');
+    assert.ok(!document.flags.includes('document_invalid'));
+    assert.equal(document.validationErrors, undefined);
+    assert.equal(kycStatus, 'verified');
+});
+
+test('an expired passport goes to manual review however well it matches', async () => {
+    // Same holder with a passport that expired on 30/06/2020; every MRZ
+    // check digit is correct
+    const text = PASSPORT_TEXT
+        .replace('Date of Expiry 30/06/2039', 'Date of Expiry 30/06/2020')
+        .replace('Z1234567<1IND9203147F3906309<<<<<<<<<<<<<<08', 'Z1234567<1IND9203147F2006305<<<<<<<<<<<<<<00');
+
+    const { document, kycStatus } = await uploadWithText(text);
+
+    assert.ok(document.verificationScore >= 85);
+    assert.ok(document.flags.includes('document_invalid'));
+    assert.deepEqual(document.validationErrors, ['Document has expired']);
+    assert.equal(document.verificationStatus, 'pending');
+    assert.equal(document.reviewRequired, true);
+    assert.equal(document.decidedBy, undefined);
+    assert.equal(kycStatus, 'pending');
+});
+
+test('a passport whose MRZ check digits fail goes to manual review', async () => {
+    // Date of birth in the MRZ misread as 14/03/1993; the printed date
+    // still matches the profile
+    const text = PASSPORT_TEXT.replace('9203147F', '9303147F');
+
+    const { document } = await uploadWithText(text);
+
+    assert.ok(document.flags.includes('document_invalid'));
+    assert.ok(!document.flags.includes('dob_mismatch'));
+    assert.deepEqual(document.validationErrors, ['MRZ check digit mismatch: dateOfBirth, composite']);
+    assert.equal(document.verificationStatus, 'pending');
+    assert.equal(document.reviewRequired, true);
+});
+
+test('rejecting a document that backs an active digital ID suspends the ID', async () => {
+    const verified = new KycDocument({
+        touristId: TOURIST._id,
+        type: 'passport',
+        fileHash: 'a'.repeat(64),
+        verificationScore: 96,
+        verificationStatus: 'verified',
+        decidedBy: 'auto'
+    });
+    mock.method(KycDocument, 'findOneAndUpdate', async () => verified);
+    mock.method(KycDocument, 'distinct', async () => ['rejected']);
+    mock.method(DigitalId, 'updateMany', async () => ({ modifiedCount: 1 }));
+    mock.method(DigitalId, 'find', () => query([{ touristId: TOURIST._id }]));
+    const suspend = mock.method(digitalIdService, 'suspend', async () => ({ status: 'suspended' }));
+
+    const result = await kycService.decide(verified._id.toString(), {
+        approve: false,
+        reviewer: REVIEWER,
+        reason: 'Photo does not match the holder'
+    });
+
+    assert.equal(result.document.verificationStatus, 'rejected');
+    assert.equal(result.kycStatus, 'rejected');
+    assert.equal(result.digitalIdsSuspended, 1);
+    assert.equal(suspend.mock.callCount(), 1);
+    assert.deepEqual(suspend.mock.calls[0].arguments, [TOURIST._id, {
+        reason: 'KYC document rejected: Photo does not match the holder',
+        changedBy: `user:${REVIEWER._id}`
+    }]);
+    assert.deepEqual(DigitalId.find.mock.calls[0].arguments[0], {
+        'kycData.documents.kycDocumentId': verified._id,
+        status: 'active'
+    });
+});
+
+test('approving a document leaves digital IDs alone', async () => {
+    const pending = new KycDocument({
+        touristId: TOURIST._id,
+        type: 'passport',
+        fileHash: 'b'.repeat(64),
+        verificationScore: 70,
+        verificationStatus: 'pending'
+    });
+    mock.method(KycDocument, 'findOneAndUpdate', async () => pending);
+    mock.method(KycDocument, 'distinct', async () => ['verified']);
+    mock.method(DigitalId, 'updateMany', async () => ({ modifiedCount: 0 }));
+    mock.method(DigitalId, 'find', () => query([]));
+    const suspend = mock.method(digitalIdService, 'suspend', async () => ({}));
+
+    const result = await kycService.decide(pending._id.toString(), { approve: true, reviewer: REVIEWER });
+
+    assert.equal(result.document.verificationStatus, 'verified');
+    assert.equal(result.digitalIdsSuspended, 0);
+    assert.equal(suspend.mock.callCount(), 0);
+});
@@ -0,0 +1,134 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeCheckDigit, findMrz, formatDayFirst, parseMrv, parseTd3 } from '../../src/services/mrz.service.js';
+
+// The ICAO 9303 specimens, the passport from the OCR fixtures and an Indian
+// e-visa
+const ICAO_TD3 = ['P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<', 'L898902C36UTO7408122F1204159ZE184226B<<<<<10'];
+const ICAO_MRV_A = ['V<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<', 'L8988901C4XXX4009078F96121096ZE184226B<<<<<<'];
+const ICAO_MRV_B = ['V<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<', 'L8988901C4XXX4009078F9612109<<<<<<<<'];
+const PASSPORT = ['P<INDSHARMA<<PRIYA<<<<<<<<<<<<<<<<<<<<<<<<<<', 'Z1234567<1IND9203147F3906309<<<<<<<<<<<<<<08'];
+const E_VISA = ['V<INDMULLER<<JONAS<<<<<<<<<<<<<<<<<<<<<<<<<<', 'VB12345678DEU8805212M2704151<<<<<<<<<<<<<<<<'];
+
+test('check digits weight characters 7, 3, 1 with fillers as zero', () => {
+    assert.equal(computeCheckDigit('L898902C3'), 6);
+    assert.equal(computeCheckDigit('740812'), 2);
+    assert.equal(computeCheckDigit('120415'), 9);
+    assert.equal(computeCheckDigit('ZE184226B<<<<<'), 1);
+    assert.equal(computeCheckDigit('Z1234567<'), 1);
+    assert.equal(computeCheckDigit('<<<'), 0);
+    assert.equal(computeCheckDigit('12a'), null);
+});
+
+test('the composite check digit covers document number, dates and personal number', () => {
+    const line = ICAO_TD3[1];
+    const composite = line.slice(0, 10) + line.slice(13, 20) + line.slice(21, 43);
+    assert.equal(computeCheckDigit(composite), Number(line[43]));
+
+    assert.equal(parseTd3(...ICAO_TD3).checks.composite, true);
+    // Swapping the nationality is outside the composite; the document number is not
+    assert.equal(parseTd3(ICAO_TD3[0], line.replace('UTO74', 'XYZ74')).checks.composite, true);
+    assert.equal(parseTd3(ICAO_TD3[0], line.replace('L898902C3', 'L898902C4')).checks.composite, false);
+});
+
+test('parses a TD3 passport with every field checked', () => {
+    const mrz = parseTd3(...ICAO_TD3);
+
+    assert.equal(mrz.format, 'TD3');
+    assert.equal(mrz.documentType, 'passport');
+    assert.equal(mrz.issuingState, 'UTO');
+    assert.equal(mrz.surname, 'ERIKSSON');
+    assert.equal(mrz.givenNames, 'ANNA MARIA');
+    assert.equal(mrz.documentNumber, 'L898902C3');
+    assert.equal(mrz.nationality, 'UTO');
+    assert.equal(formatDayFirst(mrz.dateOfBirth), '12/08/1974');
+    assert.equal(mrz.sex, 'F');
+    assert.equal(formatDayFirst(mrz.expiryDate), '15/04/2012');
+    assert.equal(mrz.personalNumber, 'ZE184226B');
+    assert.deepEqual(mrz.checks, {
+        documentNumber: true,
+        dateOfBirth: true,
+        expiryDate: true,
+        personalNumber: true,
+        composite: true
+    });
+    assert.equal(mrz.valid, true);
+});
+
+test('an empty personal number may carry a filler check digit', () => {
+    const mrz = parseTd3(...PASSPORT);
+
+    assert.equal(mrz.documentNumber, 'Z1234567');
+    assert.equal(mrz.personalNumber, null);
+    assert.equal(mrz.checks.personalNumber, true);
+    assert.equal(mrz.valid, true);
+});
+
+test('TD3 check digit failures are reported per field', () => {
+    // Date of birth misread as 1993
+    const mrz = parseTd3(PASSPORT[0], PASSPORT[1].replace('920314', '930314'));
+
+    assert.equal(mrz.checks.dateOfBirth, false);
+    assert.equal(mrz.checks.composite, false);
+    assert.equal(mrz.checks.documentNumber, true);
+    assert.equal(mrz.valid, false);
+});
+
+test('TD3 parsing undoes OCR confusions and rejects what is not a passport', () => {
+    // 'O' for '0' in a check digit and a doubled trailing filler
+    const mrz = parseTd3(ICAO_TD3[0], ICAO_TD3[1].replace(/10$/, '1O<<'));
+    assert.equal(mrz.checks.composite, true);
+
+    assert.equal(parseTd3(ICAO_MRV_A[0], ICAO_TD3[1]), null);
+    assert.equal(parseTd3(ICAO_TD3[0], ICAO_TD3[1].slice(0, 30)), null);
+});
+
+test('parses an MRV-A visa from its 44 character line pair', () => {
+    const mrz = parseMrv(...E_VISA);
+
+    assert.equal(mrz.format, 'MRV-A');
+    assert.equal(mrz.documentType, 'visa');
+    assert.equal(mrz.issuingState, 'IND');
+    assert.equal(mrz.name, 'JONAS MULLER');
+    assert.equal(mrz.documentNumber, 'VB1234567');
+    assert.equal(mrz.nationality, 'DEU');
+    assert.equal(formatDayFirst(mrz.dateOfBirth), '21/05/1988');
+    assert.equal(mrz.sex, 'M');
+    assert.equal(formatDayFirst(mrz.expiryDate), '15/04/2027');
+    assert.deepEqual(mrz.checks, { documentNumber: true, dateOfBirth: true, expiryDate: true });
+    assert.equal(mrz.valid, true);
+
+    assert.equal(parseMrv(...ICAO_MRV_A).optionalData, '6ZE184226B');
+});
+
+test('parses an MRV-B visa from its 36 character line pair', () => {
+    const mrz = parseMrv(...ICAO_MRV_B);
+
+    assert.equal(mrz.format, 'MRV-B');
+    assert.equal(mrz.documentNumber, 'L8988901C');
+    assert.equal(mrz.optionalData, null);
+    assert.equal(mrz.valid, true);
+
+    const misread = parseMrv(ICAO_MRV_B[0], ICAO_MRV_B[1].replace('L8988901C', 'L8988907C'));
+    assert.equal(misread.checks.documentNumber, false);
+    assert.equal(misread.valid, false);
+});
+
+test('expiry dates far in the future belong to the previous century', () => {
+    // The ICAO visa specimens expire on 10/12/1996, not 2096
+    assert.equal(formatDayFirst(parseMrv(...ICAO_MRV_A).expiryDate), '10/12/1996');
+    assert.equal(formatDayFirst(parseMrv(...ICAO_MRV_B).expiryDate), '10/12/1996');
+    // Expired and current passports stay in this century
+    const expired = parseTd3(PASSPORT[0], 'Z1234567<1IND9203147F2006305<<<<<<<<<<<<<<00');
+    assert.equal(formatDayFirst(expired.expiryDate), '30/06/2020');
+    assert.equal(formatDayFirst(parseTd3(...PASSPORT).expiryDate), '30/06/2039');
+});
+
+test('finds the MRZ among other OCR lines', () => {
+    const lines = ['REPUBLIC OF INDIA', 'Visa', 'Name JONAS MULLER', ...E_VISA, ''];
+    const mrz = findMrz(lines);
+
+    assert.equal(mrz.format, 'MRV-A');
+    assert.equal(mrz.line, 3);
+    assert.equal(findMrz(['P<INDIA PASSPORT', 'Name PRIYA SHARMA']), null);
+});
@@ -0,0 +1,225 @@
+import { test, before, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import Tourist from '../../src/models/tourist.model.js';
+import User from '../../src/models/user.model.js';
+import { Alert } from '../../src/models/tracking.model.js';
+import notificationService from '../../src/services/notification.service.js';
+import locationIngestionService from '../../src/services/locationIngestion.service.js';
+import FakeNotificationProvider from '../../src/services/providers/fake.provider.js';
+
+// Recipients come from stubbed model queries and messages go to fake
+// providers, so nothing here needs a database or reaches real people
+
+const TOURIST = {
+    _id: '64b000000000000000000001',
+    personalInfo: { name: 'Priya Sharma', email: 'priya@example.com', phone: '+919876543210' },
+    emergencyContacts: [{ name: 'Ravi Sharma', phone: '+919800000001', email: 'ravi@example.com' }],
+    preferences: { language: 'english', notifications: {} },
+    devices: [
+        { deviceId: 'phone-1', pushToken: 'push-token-1', isActive: true },
+        { deviceId: 'old-phone', pushToken: 'push-token-0', isActive: false }
+    ]
+};
+
+const OFFICERS = [{ email: 'officer@police.example' }];
+
+const query = (result) => ({ select: () => ({ lean: async () => result }) });
+
+const makeAlert = (severity, metadata = { triggeredBy: 'system' }) => ({
+    _id: '64b0000000000000000000aa',
+    alertId: `test_${severity}`,
+    touristId: TOURIST._id,
+    type: 'geofence_entry',
+    severity,
+    message: { english: 'Entered a restricted area', hindi: 'प्रतिबंधित क्षेत्र में प्रवेश' },
+    location: { type: 'Point', coordinates: [91.8933, 25.5788] },
+    metadata
+});
+
+let providers;
+let recorded;
+
+const sentTo = (channel) => providers[channel].outbox.map(message => message.to);
+
+before(() => {
+    process.env.AUTHORITY_ALERT_PHONES = '+911000000100';
+});
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    mock.method(Tourist, 'findById', () => query(TOURIST));
+    mock.method(User, 'find', () => query(OFFICERS));
+    notificationService.smsHistory.clear();
+    recorded = [];
+    mock.method(Alert, 'updateOne', async (filter, update) => {
+        recorded.push(...update.$push['notifications.sent'].$each);
+        return { acknowledged: true };
+    });
+
+    providers = {
+        sms: new FakeNotificationProvider('sms'),
+        push: new FakeNotificationProvider('push'),
+        email: new FakeNotificationProvider('email')
+    };
+    for (const [channel, provider] of Object.entries(providers)) {
+        notificationService.setProvider(channel, provider);
+    }
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    delete process.env.NOTIFICATION_SMS_LIMIT;
+});
+
+test('warning alerts only reach the tourist, on every channel', async () => {
+    const results = await notificationService.notifyAlert(makeAlert('warning'));
+
+    assert.deepEqual(sentTo('push'), ['push-token-1']);
+    assert.deepEqual(sentTo('sms'), ['+919876543210']);
+    assert.deepEqual(sentTo('email'), ['priya@example.com']);
+    assert.ok(results.every(result => result.type === 'tourist' && result.status === 'delivered'));
+    assert.equal(providers.sms.outbox[0].body, 'Entered a restricted area');
+    assert.equal(User.find.mock.callCount(), 0);
+});
+
+test('emergency alerts also reach emergency contacts and authorities', async () => {
+    const results = await notificationService.notifyAlert(makeAlert('emergency'));
+
+    assert.deepEqual(sentTo('sms').sort(), ['+911000000100', '+919800000001', '+919876543210']);
+    assert.deepEqual(sentTo('email').sort(), ['officer@police.example', 'priya@example.com', 'ravi@example.com']);
+    assert.deepEqual(
+        results.map(({ type, method, recipient }) => `${type}:${method}:${recipient}`).sort(),
+        [
+            'authority:email:officer@police.example',
+            'authority:sms:+911000000100',
+            'emergency_contact:email:ravi@example.com',
+            'emergency_contact:sms:+919800000001',
+            'tourist:email:priya@example.com',
+            'tourist:push:device:phone-1',
+            'tourist:sms:+919876543210'
+        ]
+    );
+
+    // Contacts and authorities get the English message with the location
+    const contactSms = providers.sms.outbox.find(message => message.to === '+919800000001');
+    assert.equal(contactSms.body, 'Priya Sharma: Entered a restricted area. Last known location: 25.5788, 91.8933.');
+    assert.deepEqual(contactSms.data, { alertId: 'test_emergency', type: 'geofence_entry', severity: 'emergency' });
+});
+
+test('alerts without a trusted source only reach the tourist', async () => {
+    await notificationService.notifyAlert(makeAlert('emergency', { triggeredBy: 'user' }));
+
+    assert.deepEqual(sentTo('sms'), ['+919876543210']);
+    assert.deepEqual(sentTo('email'), ['priya@example.com']);
+    assert.equal(User.find.mock.callCount(), 0);
+});
+
+test('alerts reported by a signed-in account reach contacts and authorities', async () => {
+    await notificationService.notifyAlert(makeAlert('emergency', {
+        triggeredBy: 'user',
+        reportedBy: '64b0000000000000000000ff'
+    }));
+
+    assert.deepEqual(sentTo('sms').sort(), ['+911000000100', '+919800000001', '+919876543210']);
+    assert.equal(User.find.mock.callCount(), 1);
+});
+
+test('SMS about one tourist stop at NOTIFICATION_SMS_LIMIT per hour', async () => {
+    process.env.NOTIFICATION_SMS_LIMIT = '4';
+
+    // Three SMS per emergency: tourist, emergency contact and authority phone
+    const first = await notificationService.notifyAlert(makeAlert('emergency'));
+    const second = await notificationService.notifyAlert(makeAlert('emergency'));
+
+    assert.ok(first.every(result => result.status === 'delivered'));
+    assert.equal(providers.sms.outbox.length, 4);
+    assert.deepEqual(
+        second.filter(result => result.method === 'sms').map(result => result.status),
+        ['delivered', 'failed', 'failed']
+    );
+    // Other channels are not limited
+    assert.ok(second.filter(result => result.method !== 'sms').every(result => result.status === 'delivered'));
+
+    // Another tourist has their own allowance
+    Tourist.findById.mock.mockImplementation(() => query({ ...TOURIST, _id: '64b000000000000000000002' }));
+    await notificationService.notifyAlert({ ...makeAlert('warning'), touristId: '64b000000000000000000002' });
+    assert.equal(providers.sms.outbox.length, 5);
+});
+
+test('channels the tourist opted out of are skipped', async () => {
+    Tourist.findById.mock.mockImplementation(() => query({
+        ...TOURIST,
+        preferences: { notifications: { sms: false, push: false } }
+    }));
+
+    await notificationService.notifyAlert(makeAlert('warning'));
+
+    assert.deepEqual(sentTo('sms'), []);
+    assert.deepEqual(sentTo('push'), []);
+    assert.deepEqual(sentTo('email'), ['priya@example.com']);
+});
+
+test('delivery results are recorded on the alert, failures included', async () => {
+    notificationService.setProvider('sms', new FakeNotificationProvider('sms', { failRecipients: ['+919800000001'] }));
+
+    const results = await notificationService.notifyAlert(makeAlert('critical'));
+
+    assert.deepEqual(recorded, results);
+    const statusOf = (recipient) => results.find(result => result.recipient === recipient).status;
+    assert.equal(statusOf('+919800000001'), 'failed');
+    assert.equal(statusOf('ravi@example.com'), 'delivered');
+    assert.equal(statusOf('+919876543210'), 'delivered');
+});
+
+test('a provider that throws fails only its own recipients', async () => {
+    notificationService.setProvider('sms', {
+        name: 'broken',
+        channel: 'sms',
+        isConfigured: () => true,
+        send: async () => {
+            throw new Error('SMS gateway unreachable');
+        }
+    });
+
+    const results = await notificationService.notifyAlert(makeAlert('critical'));
+
+    assert.deepEqual(
+        results.map(({ method, status }) => `${method}:${status}`).sort(),
+        ['email:delivered', 'email:delivered', 'push:delivered', 'sms:failed', 'sms:failed']
+    );
+    assert.deepEqual(recorded, results);
+    assert.deepEqual(sentTo('email').sort(), ['priya@example.com', 'ravi@example.com']);
+});
+
+test('dispatch never throws when recipients cannot be loaded', async () => {
+    Tourist.findById.mock.mockImplementation(() => {
+        throw new Error('Database unavailable');
+    });
+
+    assert.deepEqual(await notificationService.notifyAlert(makeAlert('emergency')), []);
+});
+
+test('raising an alert does not wait for notifications', async () => {
+    // A provider that never answers must not hold up alert creation
+    notificationService.setProvider('sms', {
+        name: 'stuck',
+        channel: 'sms',
+        isConfigured: () => true,
+        send: () => new Promise(() => {})
+    });
+    const save = mock.method(Alert.prototype, 'save', async function() {
+        return this;
+    });
+
+    const alert = await locationIngestionService.raiseAlert(
+        { _id: TOURIST._id },
+        { latitude: 25.5788, longitude: 91.8933 },
+        { type: 'geofence_entry', severity: 'emergency', message: makeAlert('emergency').message }
+    );
+
+    assert.equal(save.mock.callCount(), 1);
+    assert.equal(alert.severity, 'emergency');
+    assert.equal(Tourist.findById.mock.callCount(), 1);
+});
@@ -0,0 +1,144 @@
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import ocrService from '../../src/services/ocr.service.js';
+import FakeOcrProvider from '../../src/services/providers/fakeOcr.provider.js';
+
+// Fixture images and PDFs sit next to the transcripts the fake provider
+// returns for them, so these tests never call a real OCR engine
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/ocr');
+const fixture = (name) => fs.readFileSync(path.join(FIXTURES_DIR, name));
+
+let provider;
+
+before(() => {
+    // The service logs every document it reads; keep the test output readable
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    process.env.OCR_MAX_PAGES = '4';
+    provider = new FakeOcrProvider({ fixturesDir: FIXTURES_DIR });
+    ocrService.setProvider(provider);
+});
+
+test('reads a passport from its MRZ with every check digit verified', async () => {
+    const result = await ocrService.processDocument(fixture('passport.png'));
+
+    assert.equal(result.documentType, 'passport');
+    assert.equal(result.extractedInfo.name, 'PRIYA SHARMA');
+    assert.equal(result.extractedInfo.documentNumber, 'Z1234567');
+    assert.equal(result.extractedInfo.dob, '14/03/1992');
+    assert.equal(result.extractedInfo.expiryDate, '30/06/2039');
+    assert.equal(result.extractedInfo.nationality, 'IND');
+    assert.equal(result.extractedInfo.sex, 'F');
+    assert.equal(result.extractedInfo.mrz.format, 'TD3');
+    assert.deepEqual(result.extractedInfo.mrz.checks, {
+        documentNumber: true,
+        dateOfBirth: true,
+        expiryDate: true,
+        personalNumber: true,
+        composite: true
+    });
+    assert.equal(result.extractedInfo.mrz.valid, true);
+    assert.equal(result.validation.isValid, true);
+});
+
+test('reports MRZ check digit failures', async () => {
+    // Same passport with the date of birth misread as 14/03/1993
+    const text = fixture('passport.txt').toString().replace('9203147F', '9303147F');
+    const image = await sharp({ create: { width: 8, height: 8, channels: 3, background: 'white' } }).png().toBuffer();
+    provider.addFixture(image, text);
+
+    const result = await ocrService.processDocument(image);
+
+    assert.equal(result.extractedInfo.mrz.checks.dateOfBirth, false);
+    assert.equal(result.extractedInfo.mrz.checks.composite, false);
+    assert.equal(result.extractedInfo.mrz.valid, false);
+    // The printed date of birth is used instead of the failed MRZ field
+    assert.equal(result.extractedInfo.dob, '14/03/1992');
+    assert.equal(result.validation.isValid, false);
+});
+
+test('masks the Aadhaar number in the fields and the text', async () => {
+    const result = await ocrService.processDocument(fixture('aadhaar.png'));
+
+    assert.equal(result.documentType, 'aadhaar');
+    assert.equal(result.extractedInfo.name, 'Priya Sharma');
+    assert.equal(result.extractedInfo.documentNumber, 'XXXX XXXX 7354');
+    assert.ok(result.extractedText.includes('XXXX XXXX 7354'));
+    assert.ok(!/4918\s?3620/.test(result.extractedText));
+    assert.ok(result.pages.every(page => !/4918\s?3620/.test(page.text)));
+    assert.equal(result.validation.isValid, true);
+});
+
+test('keeps the full Aadhaar number for server-side analysis', async () => {
+    const result = await ocrService.analyzeDocument(fixture('aadhaar.png'));
+
+    assert.equal(result.extractedInfo.documentNumber, '491836207354');
+});
+
+test('logs the outcome of a read without any document contents', async () => {
+    console.log.mock.resetCalls();
+
+    await ocrService.processDocument(fixture('aadhaar.png'));
+
+    const logged = console.log.mock.calls.map(call => call.arguments.join(' ')).join('\n');
+    assert.match(logged, /Read aadhaar document: 1 page\(s\), confidence \d+/);
+    assert.ok(!logged.includes('Priya'));
+    assert.ok(!/4918|3620|7354/.test(logged));
+});
+
+test('reads every page of a PDF and traces fields to their page and line', async () => {
+    const result = await ocrService.processDocument(fixture('aadhaar-front-back.pdf'));
+
+    assert.equal(result.documentType, 'aadhaar');
+    assert.deepEqual(result.pages.map(({ page, file, filePage, source }) => ({ page, file, filePage, source })), [
+        { page: 1, file: 1, filePage: 1, source: 'pdf' },
+        { page: 2, file: 1, filePage: 2, source: 'pdf' }
+    ]);
+    assert.ok(result.pages[1].text.startsWith('Unique Identification Authority of India'));
+
+    assert.equal(result.extractedInfo.phone, '9876543210');
+    assert.deepEqual(result.provenance.name, { file: 1, page: 1, line: 2, source: 'text' });
+    assert.deepEqual(result.provenance.dob, { file: 1, page: 1, line: 3, source: 'text' });
+    assert.deepEqual(result.provenance.documentNumber, { file: 1, page: 1, line: 5, source: 'text' });
+    assert.deepEqual(result.provenance.phone, { file: 1, page: 2, line: 4, source: 'text' });
+});
+
+test('points MRZ fields at the MRZ lines', async () => {
+    const result = await ocrService.processDocument(fixture('passport.png'));
+
+    assert.deepEqual(result.provenance.name, { file: 1, page: 1, line: 10, source: 'mrz' });
+    assert.deepEqual(result.provenance.documentNumber, { file: 1, page: 1, line: 11, source: 'mrz' });
+    assert.deepEqual(result.provenance.expiryDate, { file: 1, page: 1, line: 11, source: 'mrz' });
+});
+
+test('merges several files into one document in upload order', async () => {
+    const result = await ocrService.processDocument([fixture('aadhaar.png'), fixture('aadhaar-front-back.pdf')]);
+
+    assert.deepEqual(result.pages.map(({ page, file, filePage, source }) => ({ page, file, filePage, source })), [
+        { page: 1, file: 1, filePage: 1, source: 'image' },
+        { page: 2, file: 2, filePage: 1, source: 'pdf' },
+        { page: 3, file: 2, filePage: 2, source: 'pdf' }
+    ]);
+    assert.deepEqual(result.provenance.phone, { file: 2, page: 3, line: 4, source: 'text' });
+});
+
+test('rejects uploads with more pages than OCR_MAX_PAGES', async () => {
+    const pdf = fixture('aadhaar-front-back.pdf');
+
+    await assert.rejects(
+        ocrService.processDocument([pdf, pdf, pdf]),
+        { name: 'ValidationError', message: /At most 4 pages/ }
+    );
+});
+
+test('rejects PDFs that cannot be read', async () => {
+    await assert.rejects(
+        ocrService.processDocument(Buffer.from('%PDF-1.4 not really a pdf')),
+        { name: 'ValidationError', message: 'The uploaded PDF could not be read' }
+    );
+});
@@ -0,0 +1,34 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import User from '../../src/models/user.model.js';
+
+const FIREBASE_USER = { uid: 'firebase-uid-2', email: 'priya@example.com', email_verified: true, name: 'Priya Sharma' };
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+afterEach(() => {
+    mock.restoreAll();
+});
+
+test('a concurrent first sign-in returns the account the other request created', async () => {
+    const account = { firebaseUid: FIREBASE_USER.uid };
+    let lookups = 0;
+    mock.method(User, 'findOne', async () => (lookups++ === 0 ? null : account));
+    mock.method(User, 'create', async () => {
+        throw duplicateKeyError();
+    });
+
+    assert.equal(await User.findOrCreateFromFirebase(FIREBASE_USER), account);
+});
+
+test('an email already owned by another account is a conflict, not a missing account', async () => {
+    mock.method(User, 'findOne', async () => null);
+    mock.method(User, 'create', async () => {
+        throw duplicateKeyError();
+    });
+
+    await assert.rejects(
+        User.findOrCreateFromFirebase(FIREBASE_USER),
+        { name: 'ConflictError', message: /already exists/ }
+    );
+});
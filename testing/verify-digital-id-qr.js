@@ -0,0 +1,46 @@
+/**
+ * Offline Digital ID QR Check
+ *
+ * Verifies a scanned digital ID QR code against a cached verification key,
+ * the same check scanner apps run when they cannot reach the server or the
+ * ledger. Fetch the key once with GET /api/digital-id/public-key and save
+ * the `publicKey` PEM.
+ *
+ * Usage:
+ *   node testing/verify-digital-id-qr.js <qr-text> --key digital-id-key.pem
+ *   echo "$QR_TEXT" | node testing/verify-digital-id-qr.js --key digital-id-key.pem
+ *
+ * Only the signature and the expiry printed on the code are checked offline;
+ * suspension or revocation is only visible through POST /api/digital-id/verify.
+ */
+
+import { readFileSync } from 'fs'
+import { verifyToken } from '../src/services/qrSigning.service.js'
+
+const args = process.argv.slice(2)
+const keyIndex = args.indexOf('--key')
+const keyFile = keyIndex >= 0 ? args[keyIndex + 1] : null
+const token = args.find((arg, index) => !arg.startsWith('--') && index !== keyIndex + 1) ?? readFileSync(0, 'utf8').trim()
+
+if (!keyFile || !token) {
+    console.error('Usage: node testing/verify-digital-id-qr.js <qr-text> --key <public-key.pem>')
+    process.exit(2)
+}
+
+const { valid, payload, reason } = verifyToken(token, readFileSync(keyFile, 'utf8'))
+if (!valid) {
+    console.log(`❌ Not genuine: ${reason}`)
+    process.exit(1)
+}
+
+const expiresAt = new Date(payload.exp * 1000)
+const expired = expiresAt < new Date()
+
+console.log(`${expired ? '⚠️  Genuine but expired' : '✅ Genuine'}`)
+console.log(`   Name:        ${payload.name}`)
+console.log(`   Nationality: ${payload.nat ?? '-'}`)
+console.log(`   DID:         ${payload.did}`)
+console.log(`   Issued:      ${new Date(payload.iat * 1000).toISOString()}`)
+console.log(`   Expires:     ${expiresAt.toISOString()}`)
+console.log(`   Key ID:      ${payload.kid}`)
+process.exit(expired ? 1 : 0)